@@ -21,6 +21,7 @@
     // CONSTANTS & STATE
     // =========================================================================
     const MODULE_TAG = '[FoldNest Export]';
+    const FORMAT_MEMORY_KEY = 'foldnest_export_formats'; // localStorage, mirrored to chrome.storage for cloud sync
 
     let _modalEl = null;         // Current live modal DOM element
     let _bodyObserver = null;    // MutationObserver for watching studio header
@@ -137,6 +138,7 @@
         console.debug(`${MODULE_TAG} Starting — setting up MutationObserver`);
         _bindGlobalListeners();
         _watchForStudioHeader();
+        _watchSyncedFormatMemory();
     }
 
     // =========================================================================
@@ -501,7 +503,8 @@
                 const pillRow = document.createElement('div');
                 pillRow.className = 'fn-section-pills';
 
-                let activeFormat = config.formats[0];
+                const remembered = _loadFormatMemory()[type];
+                let activeFormat = config.formats.includes(remembered) ? remembered : config.formats[0];
                 formatSelects[type] = () => activeFormat;
 
                 config.formats.forEach(fmt => {
@@ -515,6 +518,7 @@
                         pillRow.querySelectorAll('.fn-chip').forEach(p => p.classList.remove('fn-chip-active'));
                         pill.classList.add('fn-chip-active');
                         activeFormat = fmt;
+                        _saveFormatMemory({ ..._loadFormatMemory(), [type]: fmt });
                     });
                     pillRow.appendChild(pill);
                 });
@@ -1852,11 +1856,40 @@
     function _saveFormatMemory(mem) {
         try {
             localStorage.setItem(FORMAT_MEMORY_KEY, JSON.stringify(mem));
+            // Mirror for the sync service worker, which cannot read page localStorage
+            if (chrome?.runtime?.id) {
+                chrome.storage.local.set({ [FORMAT_MEMORY_KEY]: { formats: mem } });
+            }
         } catch (e) {
             console.debug(`${MODULE_TAG} Format memory save failed:`, e.message);
         }
     }
 
+    /**
+     * Adopt format memory synced from other devices (chrome.storage -> localStorage)
+     */
+    function _watchSyncedFormatMemory() {
+        const adopt = (value) => {
+            if (!value || typeof value.formats !== 'object') return;
+            try {
+                localStorage.setItem(FORMAT_MEMORY_KEY, JSON.stringify(value.formats));
+            } catch (e) {
+                console.debug(`${MODULE_TAG} Format memory update failed:`, e.message);
+            }
+        };
+
+        try {
+            chrome.storage.local.get([FORMAT_MEMORY_KEY], (result) => adopt(result?.[FORMAT_MEMORY_KEY]));
+            chrome.storage.onChanged.addListener((changes, areaName) => {
+                if (areaName === 'local' && changes[FORMAT_MEMORY_KEY]) {
+                    adopt(changes[FORMAT_MEMORY_KEY].newValue);
+                }
+            });
+        } catch (e) {
+            console.debug(`${MODULE_TAG} Format memory sync unavailable:`, e.message);
+        }
+    }
+
     // =========================================================================
     // UTILITIES
     // =========================================================================
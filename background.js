@@ -1,7 +1,14 @@
 /**
- * NotebookLM FoldNest - Background Service v0.9.3
+ * NotebookLM FoldNest - Background Service v1.0.0
  * Handles remote configuration fetching to bypass CORS restrictions.
  * 
+ * v1.0.0 Changes:
+ * - Cloud sync moved here from the content scripts (sync-engine.js): a single
+ *   coordinator fed by chrome.storage.onChanged and scheduled with chrome.alarms
+ * - Task due-date reminders (task-reminders.js): chrome.alarms + chrome.notifications
+ * - Search index storage (search-store.js): IndexedDB shared by all tabs and sync
+ * - Tasks stored without an ID get one on install/update (FoldNestMerge.assignTaskIds)
+ *
  * v0.9.3 Changes:
  * - Added sync-related message handlers for Google Drive API
  * 
@@ -11,8 +18,35 @@
  * - Added timeout handling
  */
 
+importScripts('lz-string_min.js', 'sync-merge.js', 'sync-providers.js', 'sync-engine.js', 'task-reminders.js', 'search-store.js');
+
 const FETCH_TIMEOUT_MS = 10000; // 10 second timeout
 
+// --- CLOUD SYNC ---
+// Listeners must be registered synchronously so they wake the worker
+chrome.storage.onChanged.addListener(FoldNestSyncEngine.handleStorageChange);
+chrome.alarms.onAlarm.addListener(FoldNestSyncEngine.handleAlarm);
+chrome.runtime.onStartup.addListener(FoldNestSyncEngine.init);
+chrome.runtime.onInstalled.addListener(FoldNestSyncEngine.init);
+
+// --- TASK REMINDERS ---
+// Alarms are rebuilt from stored task state whenever the browser starts
+chrome.storage.onChanged.addListener(FoldNestReminders.handleStorageChange);
+chrome.alarms.onAlarm.addListener(FoldNestReminders.handleAlarm);
+chrome.notifications.onClicked.addListener(FoldNestReminders.handleNotificationClick);
+chrome.runtime.onStartup.addListener(FoldNestReminders.init);
+chrome.runtime.onInstalled.addListener(FoldNestReminders.init);
+
+// --- SEARCH INDEX ---
+// Opening the database moves old chrome.storage indexes into IndexedDB once
+FoldNestSearchStore.onChange(FoldNestSyncEngine.handleSearchIndexChange);
+chrome.runtime.onStartup.addListener(FoldNestSearchStore.init);
+chrome.runtime.onInstalled.addListener(FoldNestSearchStore.init);
+
+// --- TASK IDS ---
+// Tasks saved before tasks had IDs get one once, on install or update
+chrome.runtime.onInstalled.addListener(migrateTaskIds);
+
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     if (request.action === "fetchConfig") {
         fetchWithTimeout(request.url, FETCH_TIMEOUT_MS)
@@ -33,51 +67,13 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     }
 
     // --- SYNC MODULE MESSAGE HANDLERS ---
-    
-    // Get auth token for Google Drive API
-    if (request.action === "getAuthToken") {
-        console.log(`[FoldNest BG] 🔑 getAuthToken request, interactive: ${request.interactive}`);
-        (async () => {
-            try {
-                console.log('[FoldNest BG] 🔑 Calling chrome.identity.getAuthToken...');
-                // Use Promise-based API (Chrome 116+)
-                const result = await chrome.identity.getAuthToken({ 
-                    interactive: request.interactive || false 
-                });
-                console.log('[FoldNest BG] ✅ Token received successfully');
-                console.log(`[FoldNest BG] 🔑 Token length: ${result.token?.length || 0} chars`);
-                sendResponse({ success: true, token: result.token });
-            } catch (error) {
-                console.error('[FoldNest BG] ❌ getAuthToken error:', error);
-                console.error('[FoldNest BG] 💡 Error details:');
-                console.error('   - Error name:', error.name);
-                console.error('   - Error message:', error.message);
-                if (error.message?.includes('OAuth2')) {
-                    console.error('[FoldNest BG] 💡 OAuth2 error - check:');
-                    console.error('   1. manifest.json has correct oauth2.client_id');
-                    console.error('   2. Google Cloud Console OAuth client is type "Chrome extension"');
-                    console.error('   3. Extension ID is added to OAuth client');
-                }
-                sendResponse({ success: false, error: error.message || 'Authentication failed' });
-            }
-        })();
+    // Cloud sync runs here, once per browser (see sync-engine.js)
+    if (FoldNestSyncEngine.handleMessage(request, sender, sendResponse)) {
         return true;
     }
 
-    if (request.action === "revokeAuthToken") {
-        (async () => {
-            try {
-                if (request.token) {
-                    await chrome.identity.removeCachedAuthToken({ token: request.token });
-                    sendResponse({ success: true });
-                } else {
-                    sendResponse({ success: false, error: "No token provided" });
-                }
-            } catch (error) {
-                console.warn('[FoldNest] revokeAuthToken error:', error);
-                sendResponse({ success: false, error: error.message });
-            }
-        })();
+    // Search index reads and writes from content.js (see search-store.js)
+    if (FoldNestSearchStore.handleMessage(request, sender, sendResponse)) {
         return true;
     }
 
@@ -88,13 +84,47 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     }
 });
 
+/**
+ * Give every stored task without an ID the one sync-merge.js derives from its
+ * text, so the dashboard inbox, calendar and reminders see it and every device
+ * picks the same ID
+ */
+async function migrateTaskIds() {
+    try {
+        const prefix = 'notebookTreeState_';
+        const keys = chrome.storage.local.getKeys
+            ? await chrome.storage.local.getKeys()
+            : Object.keys(await chrome.storage.local.get(null));
+        const stateKeys = keys.filter(key => key.startsWith(prefix));
+        if (stateKeys.length === 0) return;
+
+        const stored = await chrome.storage.local.get(stateKeys);
+        const updates = {};
+        let assigned = 0;
+        stateKeys.forEach(key => {
+            const count = FoldNestMerge.assignTaskIds(stored[key]?.source?.tasks);
+            if (count) {
+                updates[key] = stored[key];
+                assigned += count;
+            }
+        });
+        if (assigned) {
+            await chrome.storage.local.set(updates);
+            console.log(`NotebookLM FoldNest: Gave ${assigned} task(s) an ID`);
+        }
+    } catch (e) {
+        console.warn("NotebookLM FoldNest: Task ID migration failed:", e.message);
+    }
+}
+
 /**
  * Fetch with timeout wrapper
  * @param {string} url - URL to fetch
  * @param {number} timeoutMs - Timeout in milliseconds
+ * @param {object} options - Extra fetch options (method, headers, body)
  * @returns {Promise<Response>}
  */
-function fetchWithTimeout(url, timeoutMs) {
+function fetchWithTimeout(url, timeoutMs, options = {}) {
     return new Promise((resolve, reject) => {
         const controller = new AbortController();
         const timeoutId = setTimeout(() => {
@@ -102,7 +132,7 @@ function fetchWithTimeout(url, timeoutMs) {
             reject(new Error('Request timeout'));
         }, timeoutMs);
 
-        fetch(url, { signal: controller.signal })
+        fetch(url, { ...options, signal: controller.signal })
             .then(response => {
                 clearTimeout(timeoutId);
                 resolve(response);
@@ -118,4 +148,4 @@ function fetchWithTimeout(url, timeoutMs) {
     });
 }
 
-console.log("NotebookLM FoldNest service worker started (v0.9.2)");
+console.log(`NotebookLM FoldNest service worker started (v${chrome.runtime.getManifest().version})`);
@@ -108,10 +108,11 @@ const DEBOUNCE_SEARCH_MS = 300;
 const URL_CHECK_INTERVAL_MS = 1000;
 const INIT_DELAY_MS = 500;
 const DOM_SETTLE_DELAY_MS = 50;
-const MAX_INDEX_CONTENT_LENGTH = 20000;
-const MAX_INDEX_SIZE_BYTES = 2 * 1024 * 1024; // 2MB limit for search index
+const MAX_INDEX_CONTENT_LENGTH = 100000;
+const INDEX_TOUCH_FLUSH_MS = 5000; // Batch note reads into one access-time update
 const FUZZY_MATCH_THRESHOLD = 0.65;
 const FOLDER_NAME_MATCH_THRESHOLD = 0.70;
+const SEARCH_TITLE_BOOST = 5; // Relevance added per query word found in a note's title
 const TOAST_DISPLAY_MS = 2500;
 const TOAST_FADE_MS = 300;
 const CONFIG_CACHE_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
@@ -159,6 +160,16 @@ const DEFAULT_SELECTORS = {
         '[contenteditable="true"]',
         '.note-body'
     ],
+    // Text notes in the Studio list, without audio/report artifacts (background note indexing)
+    studioNoteRow: [
+        'artifact-library-note'
+    ],
+    // Leaves the open note for the Studio list (background note indexing)
+    closeNoteButton: [
+        'button[aria-label="Back"]',
+        'button[aria-label="Close note"]',
+        '.note-header button[aria-label*="back" i]'
+    ],
     sourcePanel: [
         'section.source-panel', // Confirmed
         '.source-panel',
@@ -231,9 +242,12 @@ const DEFAULT_STATE = {
 };
 
 let appState = JSON.parse(JSON.stringify(DEFAULT_STATE));
+// Stamped on every notebook state this tab writes, so its own saves are told apart from other writers'
+const STATE_WRITER_ID = `tab_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
 let currentNotebookId = null;
 let searchIndex = {};
-let searchIndexAccessTimes = {}; // LRU tracking for search index eviction
+let pendingIndexTouches = new Set(); // Notes read since the last access-time update (LRU lives in search-store.js)
+let searchTextIndex = null; // FoldNestSearch inverted index over searchIndex, built on first search
 let urlCheckInterval = null;
 let mainObserver = null;
 let healthCheckInterval = null;
@@ -263,6 +277,85 @@ function saveSourceFilterState() {
     }
 }
 
+// Locked views are mirrored to chrome.storage.local so cloud sync can reach them
+const LOCKED_VIEWS_KEY = 'foldnest_locked_views';
+
+function mirrorLockedViews() {
+    chrome.storage.local.set({ [LOCKED_VIEWS_KEY]: { views: sourceFilterState.lockedViews || [] } });
+}
+
+function adoptSyncedLockedViews(value) {
+    if (!value || !Array.isArray(value.views)) return;
+    if (JSON.stringify(value.views) === JSON.stringify(sourceFilterState.lockedViews || [])) return;
+    sourceFilterState.lockedViews = value.views;
+    saveSourceFilterState();
+    renderLockedViewPills();
+}
+
+const refreshDashboardTaskInbox = debounce(() => renderDashboardTaskInbox(), 300);
+
+// Pick up locked views, search index entries and tasks changed on other devices or pages
+function watchSyncedStorage() {
+    try {
+        chrome.storage.local.get([LOCKED_VIEWS_KEY], (result) => {
+            if (result[LOCKED_VIEWS_KEY]) {
+                adoptSyncedLockedViews(result[LOCKED_VIEWS_KEY]);
+            } else if (sourceFilterState.lockedViews?.length) {
+                mirrorLockedViews();
+            }
+        });
+
+        // Notes indexed in other tabs or brought in by sync (search-store.js)
+        chrome.runtime.onMessage.addListener((request) => {
+            if (request.action === 'searchIndexUpdated' && request.notebookId === currentNotebookId) {
+                applySearchIndexChange(request);
+            }
+            if (request.action === 'searchIndexUpdated' && isDashboardMode) invalidateGlobalSearchNotebook(request.notebookId);
+            return false;
+        });
+
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName !== 'local') return;
+            if (changes[LOCKED_VIEWS_KEY]) adoptSyncedLockedViews(changes[LOCKED_VIEWS_KEY].newValue);
+
+            // Tasks edited elsewhere (e.g. the dashboard task inbox or sync); own saves carry our writer id
+            const stateKey = getStorageKey('notebookTreeState');
+            const incoming = stateKey && changes[stateKey]?.newValue;
+            if (incoming?.source && incoming._syncMeta?.writer !== STATE_WRITER_ID) {
+                appState.source.tasks = incoming.source.tasks || [];
+                if (incoming._syncMeta) appState._syncMeta = { ...incoming._syncMeta };
+                renderTasks();
+            }
+
+            // Timer started or stopped in another tab
+            if (changes[TASK_TIMER_KEY]) {
+                const timer = changes[TASK_TIMER_KEY].newValue || null;
+                if (JSON.stringify(timer) !== JSON.stringify(activeTaskTimer)) {
+                    adoptTaskTimer(timer);
+                    renderTasks();
+                }
+            }
+            if (changes[POMODORO_SETTINGS_KEY]) {
+                pomodoroLengths = window.FoldNestTimer.normalizePomodoro(changes[POMODORO_SETTINGS_KEY].newValue);
+            }
+
+            // Reminder notification clicked while this notebook was already open
+            if (changes[FOCUS_TASK_KEY]?.newValue && !isDashboardMode) focusPendingTask();
+
+            const changedNotebooks = Object.keys(changes)
+                .filter(key => key.startsWith('notebookTreeState_'))
+                .map(key => key.slice('notebookTreeState_'.length));
+            if (isDashboardMode && changedNotebooks.length) {
+                changedNotebooks.forEach(invalidateGlobalSearchNotebook);
+                refreshDashboardTaskInbox();
+            }
+        });
+    } catch (e) {
+        console.debug('[NotebookLM FoldNest] Synced storage watch failed:', e.message);
+    }
+}
+watchSyncedStorage();
+
 // Maps native mat-icon text content to filter category
 const SOURCE_TYPE_MAP = {
     'drive_pdf': 'pdf',
@@ -420,6 +513,7 @@ function debounce(fn, delay) {
 // Create debounced versions of frequently-called functions
 const debouncedRunOrganizer = debounce(() => safeRunOrganizer(), DEBOUNCE_ORGANIZER_MS);
 const debouncedIndexNote = debounce(() => safeDetectAndIndexActiveNote(), DEBOUNCE_INDEX_MS);
+const debouncedFlushIndexTouches = debounce(() => flushSearchIndexTouches(), INDEX_TOUCH_FLUSH_MS);
 
 // --- CUSTOM MODAL SYSTEM ---
 function showConfirmModal(message, onConfirm, onCancel) {
@@ -474,6 +568,283 @@ function showConfirmModal(message, onConfirm, onCancel) {
     overlay.querySelector('.plugin-modal-btn.confirm').focus();
 }
 
+// --- RECURRING TASKS ---
+const RECURRENCE_HISTORY_LIMIT = 100; // Completions kept per recurring task
+
+/**
+ * Builds the "Repeat" field shared by the task create/edit modals
+ * @param {object|null} rule - Current repeat rule (task-recurrence.js)
+ * @param {HTMLInputElement} dateInput - Due date input, used for the monthly day
+ * @returns {{field: HTMLElement, getRule: function(): object|null}}
+ */
+function buildRepeatField(rule, dateInput) {
+    const recurrence = window.FoldNestRecurrence;
+    const current = recurrence.normalize(rule) || { unit: '', every: 1 };
+
+    const unitSelect = createEl('select', { className: 'edit-task-repeat-unit' }, [
+        createEl('option', { value: '' }, ['Does not repeat']),
+        createEl('option', { value: 'day' }, ['Every N days']),
+        createEl('option', { value: 'week' }, ['Weekly']),
+        createEl('option', { value: 'month' }, ['Monthly'])
+    ]);
+    unitSelect.value = current.unit;
+
+    const everyInput = createEl('input', { type: 'number', min: '1', max: '365', className: 'edit-task-repeat-every' });
+    everyInput.value = current.every;
+    const everyLabel = createEl('span', { className: 'plugin-repeat-unit-label' });
+    const everyRow = createEl('div', { className: 'plugin-repeat-row' }, ['Every ', everyInput, everyLabel]);
+
+    const weekdayRow = createEl('div', { className: 'plugin-repeat-row plugin-repeat-weekdays' });
+    // Monday first, matching the week start used by the rule
+    [1, 2, 3, 4, 5, 6, 0].forEach(day => {
+        const btn = createEl('button', { type: 'button', className: 'plugin-repeat-day', 'data-day': day }, [recurrence.WEEKDAY_NAMES[day].slice(0, 2)]);
+        if ((current.weekdays || []).includes(day)) btn.classList.add('active');
+        btn.onclick = (e) => {
+            e.preventDefault();
+            btn.classList.toggle('active');
+        };
+        weekdayRow.appendChild(btn);
+    });
+
+    const monthlySelect = createEl('select', { className: 'edit-task-repeat-monthly' }, [
+        createEl('option', { value: 'date' }, ['On the same day of the month']),
+        createEl('option', { value: 'lastWeekday' }, ['On the last weekday of the month'])
+    ]);
+    monthlySelect.value = current.monthly || 'date';
+    const monthlyRow = createEl('div', { className: 'plugin-repeat-row' }, [monthlySelect]);
+
+    const update = () => {
+        const unit = unitSelect.value;
+        const plural = (parseInt(everyInput.value, 10) || 1) !== 1;
+        everyRow.style.display = unit ? 'flex' : 'none';
+        everyLabel.textContent = unit ? ` ${unit}${plural ? 's' : ''}` : '';
+        weekdayRow.style.display = unit === 'week' ? 'flex' : 'none';
+        monthlyRow.style.display = unit === 'month' ? 'flex' : 'none';
+    };
+    unitSelect.onchange = update;
+    everyInput.oninput = update;
+    update();
+
+    const field = createEl('div', { className: 'plugin-edit-field plugin-repeat-field' }, [
+        createEl('label', {}, ['Repeat']),
+        unitSelect,
+        everyRow,
+        weekdayRow,
+        monthlyRow
+    ]);
+
+    const getRule = () => {
+        if (!unitSelect.value) return null;
+        const due = recurrence.parseDate(dateInput.value) || new Date();
+        return recurrence.normalize({
+            unit: unitSelect.value,
+            every: everyInput.value,
+            weekdays: [...weekdayRow.querySelectorAll('.plugin-repeat-day.active')].map(btn => Number(btn.dataset.day)),
+            monthly: monthlySelect.value,
+            monthDay: due.getDate()
+        });
+    };
+
+    return { field, getRule };
+}
+
+// --- TASK REMINDERS ---
+// task.reminder ('HH:MM') fires a notification on the due date; the alarms
+// live in the service worker (task-reminders.js).
+
+const FOCUS_TASK_KEY = 'foldnest_focus_task';
+const FOCUS_TASK_MAX_AGE_MS = 60000;
+
+/**
+ * "Reminder" field for the task dialogs
+ * @param {string} reminder - Current reminder time ('HH:MM' or '')
+ * @returns {{field: HTMLElement, getReminder: function(): string}}
+ */
+function buildReminderField(reminder) {
+    const timeInput = createEl('input', { type: 'time', className: 'edit-task-reminder' });
+    timeInput.value = reminder || '';
+    const clearBtn = createEl('button', { className: 'quick-date-btn' }, ['None']);
+    clearBtn.onclick = (e) => {
+        e.preventDefault();
+        timeInput.value = '';
+    };
+
+    const field = createEl('div', { className: 'plugin-edit-field' }, [
+        createEl('label', {}, ['Reminder ', createEl('span', { className: 'optional-label' }, ['(notification on the due date)'])]),
+        createEl('div', { className: 'plugin-edit-date-row' }, [timeInput, clearBtn])
+    ]);
+    return { field, getReminder: () => timeInput.value };
+}
+
+/**
+ * Scroll to and highlight the task a reminder notification was clicked for
+ * (the service worker leaves the request in storage before opening the tab)
+ * @param {number} attempt - Retries while the task list is still being built
+ */
+async function focusPendingTask(attempt = 0) {
+    try {
+        const result = await chrome.storage.local.get([FOCUS_TASK_KEY]);
+        const request = result[FOCUS_TASK_KEY];
+        if (!request || request.notebookId !== getNotebookId()) return;
+        if (Date.now() - request.requestedAt > FOCUS_TASK_MAX_AGE_MS) {
+            chrome.storage.local.remove(FOCUS_TASK_KEY);
+            return;
+        }
+
+        if (!document.getElementById('plugin-task-list-mount')) {
+            if (attempt < 20) setTimeout(() => focusPendingTask(attempt + 1), 1000);
+            return;
+        }
+        chrome.storage.local.remove(FOCUS_TASK_KEY);
+
+        const task = (appState.source.tasks || []).find(t => t.id === request.taskId);
+        if (!task) {
+            showToast('That task no longer exists');
+            return;
+        }
+
+        // Open everything between the sidebar and the task
+        const shell = document.getElementById('foldnest-sidebar-shell');
+        if (shell?.classList.contains('collapsed')) document.querySelector('.plugin-sidebar-toggle')?.click();
+        appState.settings.tasksOpen = true;
+        const section = task.sectionId && appState.source.taskSections?.[task.sectionId];
+        if (section) section.isOpen = true;
+        if (task.done) appState.settings.completedOpen = true;
+        const taskBody = document.querySelector('.plugin-task-body');
+        if (taskBody) taskBody.style.display = 'block';
+        document.querySelector('.plugin-task-header .arrow')?.classList.add('open');
+        renderTasks();
+
+        const el = document.querySelector(`.plugin-task-item[data-task-id="${CSS.escape(task.id)}"]`);
+        if (el) {
+            el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            el.classList.add('plugin-task-focused');
+            setTimeout(() => el.classList.remove('plugin-task-focused'), 3000);
+        }
+    } catch (e) {
+        console.debug('[NotebookLM FoldNest] Task focus failed:', e.message);
+    }
+}
+
+/**
+ * Read-only list of a recurring task's past completions
+ * @param {object} task
+ * @returns {HTMLElement|null}
+ */
+function buildCompletionHistoryField(task) {
+    const completions = task.completions || [];
+    if (completions.length === 0) return null;
+
+    const list = createEl('div', { className: 'plugin-repeat-history' });
+    completions.slice(-10).reverse().forEach(entry => {
+        const doneOn = new Date(entry.doneAt).toLocaleDateString();
+        list.appendChild(createEl('div', {}, [entry.date ? `Due ${entry.date} · done ${doneOn}` : `Done ${doneOn}`]));
+    });
+
+    return createEl('div', { className: 'plugin-edit-field' }, [
+        createEl('label', {}, [`Completed ${completions.length} time${completions.length === 1 ? '' : 's'}`]),
+        list
+    ]);
+}
+
+/**
+ * Next occurrence of a recurring task, as spawned when it is completed
+ * @param {object} task - The occurrence being completed
+ * @param {object} rule - Normalized repeat rule
+ * @param {string} id - ID of the new occurrence
+ * @param {object[]} completions - Completion history, kept on the open occurrence only
+ * @returns {object}
+ */
+function buildNextOccurrence(task, rule, id, completions) {
+    const next = {
+        ...task,
+        id,
+        done: false,
+        date: window.FoldNestRecurrence.nextDueDate(rule, task.date),
+        subtasks: (task.subtasks || []).map(sub => ({ ...sub, done: false })),
+        completions
+    };
+    delete next.nextId;
+    // Time belongs to the occurrence it was spent on
+    delete next.timeSpent;
+    delete next.timeLog;
+    return next;
+}
+
+/**
+ * Whether two tasks have the same fields, in any key order
+ */
+function isSameTask(a, b) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length &&
+        keys.every(key => key in b && JSON.stringify(a[key]) === JSON.stringify(b[key]));
+}
+
+/**
+ * Check or uncheck a task. Completing a recurring task spawns its next
+ * occurrence right after it and moves the completion history onto it;
+ * unchecking it again removes that occurrence, and takes the history back,
+ * while the occurrence is still exactly as spawned.
+ * @param {object[]} allTasks
+ * @param {number} index
+ */
+function toggleTaskDone(allTasks, index) {
+    const task = allTasks[index];
+    task.done = !task.done;
+    if (task.done) finishTaskTimerOnDone(task);
+
+    const rule = window.FoldNestRecurrence?.normalize(task.repeat);
+    if (!rule) return;
+
+    if (task.done) {
+        // Every occurrence exports under the first one's UID, so calendars update one entry
+        if (!task.icsUid) task.icsUid = window.FoldNestICS.getTaskUid(task);
+        const completions = [...(task.completions || []), { date: task.date || '', doneAt: Date.now() }].slice(-RECURRENCE_HISTORY_LIMIT);
+        delete task.completions;
+        const next = buildNextOccurrence(task, rule, Math.random().toString(36).substr(2, 9), completions);
+        task.nextId = next.id;
+        allTasks.splice(index + 1, 0, next);
+        showToast(`Next: ${next.date}`);
+    } else if (task.nextId) {
+        const nextIndex = allTasks.findIndex(t => t.id === task.nextId);
+        const next = allTasks[nextIndex];
+        if (next && isSameTask(next, buildNextOccurrence(task, rule, next.id, next.completions))) {
+            allTasks.splice(nextIndex, 1);
+            const history = (next.completions || []).slice(0, -1);
+            if (history.length) task.completions = history;
+        }
+        delete task.nextId;
+    }
+}
+
+/**
+ * Copy the edit dialog's values onto a stored task
+ * @param {object} task - Task in appState.source.tasks (not a render copy)
+ * @param {object} updated - Values passed to showTaskEditModal's onSave
+ */
+function applyTaskEdit(task, updated) {
+    task.text = updated.text;
+    task.description = updated.description;
+    task.date = updated.date;
+    task.sectionId = updated.sectionId;
+    if (updated.reminder) {
+        task.reminder = updated.reminder;
+    } else {
+        delete task.reminder;
+    }
+    if (updated.repeat) {
+        task.repeat = updated.repeat;
+    } else {
+        delete task.repeat;
+    }
+    if (updated.tags && updated.tags.length) {
+        task.tags = updated.tags;
+    } else {
+        delete task.tags;
+    }
+    task.completeWithSubtasks = updated.completeWithSubtasks;
+}
+
 function showTaskEditModal(task, onSave) {
     const existing = document.getElementById('plugin-confirm-modal');
     if (existing) existing.remove();
@@ -534,6 +905,23 @@ function showTaskEditModal(task, onSave) {
     const dateInput = overlay.querySelector('.edit-task-date');
     const sectionSelect = overlay.querySelector('.edit-task-section');
 
+    const reminder = buildReminderField(task.reminder);
+    const repeat = buildRepeatField(task.repeat, dateInput);
+    const tagsField = buildTagsField(task.tags);
+    const sectionField = sectionSelect.closest('.plugin-edit-field');
+    sectionField.before(reminder.field, repeat.field);
+    sectionField.after(tagsField.field);
+
+    const completeWithSubtasks = createEl('input', { type: 'checkbox', className: 'edit-task-complete-with-subtasks' });
+    completeWithSubtasks.checked = !!task.completeWithSubtasks;
+    const completeField = createEl('label', { className: 'plugin-edit-checkbox' }, [
+        completeWithSubtasks,
+        'Complete this task when all its subtasks are done'
+    ]);
+    tagsField.field.after(completeField);
+    const historyField = buildCompletionHistoryField(task);
+    if (historyField) completeField.after(historyField);
+
     // Quick date buttons
     overlay.querySelectorAll('.quick-date-btn').forEach(btn => {
         btn.onclick = (e) => {
@@ -558,7 +946,11 @@ function showTaskEditModal(task, onSave) {
                 text: newText,
                 description: descInput.value.trim(),
                 date: dateInput.value,
-                sectionId: sectionSelect.value || null
+                sectionId: sectionSelect.value || null,
+                reminder: reminder.getReminder(),
+                repeat: repeat.getRule(),
+                tags: tagsField.getTags(),
+                completeWithSubtasks: completeWithSubtasks.checked
             });
         }
         closeModal();
@@ -639,6 +1031,12 @@ function showTaskCreateModal(preSelectedSectionId = null) {
     const dateInput = overlay.querySelector('.edit-task-date');
     const sectionSelect = overlay.querySelector('.edit-task-section');
 
+    const reminder = buildReminderField('');
+    const repeat = buildRepeatField(null, dateInput);
+    const tagsField = buildTagsField(taskFilterState.tags);
+    sectionSelect.closest('.plugin-edit-field').before(reminder.field, repeat.field);
+    sectionSelect.closest('.plugin-edit-field').after(tagsField.field);
+
     // Quick date buttons
     overlay.querySelectorAll('.quick-date-btn').forEach(btn => {
         btn.onclick = (e) => {
@@ -659,6 +1057,9 @@ function showTaskCreateModal(preSelectedSectionId = null) {
     overlay.querySelector('.plugin-modal-btn.confirm').onclick = () => {
         const newText = textInput.value.trim();
         if (newText) {
+            const rule = repeat.getRule();
+            const reminderTime = reminder.getReminder();
+            const tags = tagsField.getTags();
             addTask({
                 text: newText,
                 description: descInput.value.trim() || '',
@@ -666,7 +1067,10 @@ function showTaskCreateModal(preSelectedSectionId = null) {
                 done: false,
                 prio: 0,
                 date: dateInput.value || '',
-                sectionId: sectionSelect.value || null
+                sectionId: sectionSelect.value || null,
+                ...(reminderTime ? { reminder: reminderTime } : {}),
+                ...(tags.length ? { tags } : {}),
+                ...(rule ? { repeat: rule } : {})
             });
         }
         closeModal();
@@ -1013,7 +1417,18 @@ const ICONS = {
     unfoldMore: { d: 'M480-120 300-300l58-58 122 122 122-122 58 58-180 180ZM358-598l-58-58 180-180 180 180-58 58-122-122-122 122Z' },
     unfoldLess: { d: 'm356-160-56-56 180-180 180 180-56 56-124-124-124 124Zm124-404L300-744l56-56 124 124 124-124 56 56-180 180Z' },
     notebook: '<svg xmlns="http://www.w3.org/2000/svg" height="20px" viewBox="0 -960 960 960" width="20px" fill="currentColor"><path d="M120-40v-80h80v-760h400v160h200v600h80v80H120Zm240-160h200v-80H360v80Zm0-160h200v-80H360v80Zm-80-280h400v-200H280v200Z"/></svg>',
-    addToFolder: { d: 'M560-320h80v-80h80v-80h-80v-80h-80v80h-80v80h80v80ZM160-160q-33 0-56.5-23.5T80-240v-480q0-33 23.5-56.5T160-800h240l80 80h320q33 0 56.5 23.5T880-640v400q0 33-23.5 56.5T800-160H160Zm0-80h640v-400H447l-80-80H160v480Zm0 0v-480 480Z' }
+    addToFolder: { d: 'M560-320h80v-80h80v-80h-80v-80h-80v80h-80v80h80v80ZM160-160q-33 0-56.5-23.5T80-240v-480q0-33 23.5-56.5T160-800h240l80 80h320q33 0 56.5 23.5T880-640v400q0 33-23.5 56.5T800-160H160Zm0-80h640v-400H447l-80-80H160v480Zm0 0v-480 480Z' },
+
+    // Task board
+    board: '<svg xmlns="http://www.w3.org/2000/svg" height="14px" viewBox="0 -960 960 960" width="14px" fill="currentColor"><path d="M200-120q-33 0-56.5-23.5T120-200v-560q0-33 23.5-56.5T200-840h560q33 0 56.5 23.5T840-760v560q0 33-23.5 56.5T760-120H200Zm0-80h133v-560H200v560Zm213 0h134v-560H413v560Zm214 0h133v-560H627v560Z"/></svg>',
+
+    // Recurring tasks, reminders & time tracking
+    timer: '<svg xmlns="http://www.w3.org/2000/svg" height="12px" viewBox="0 -960 960 960" width="12px" fill="currentColor"><path d="M360-840v-80h240v80H360Zm80 440h80v-240h-80v240Zm40 320q-74 0-139.5-28.5T226-186q-49-49-77.5-114.5T120-440q0-74 28.5-139.5T226-694q49-49 114.5-77.5T480-800q62 0 119 20t107 58l56-56 56 56-56 56q38 50 58 107t20 119q0 74-28.5 139.5T734-186q-49 49-114.5 77.5T480-80Zm0-80q116 0 198-82t82-198q0-116-82-198t-198-82q-116 0-198 82t-82 198q0 116 82 198t198 82Zm0-280Z"/></svg>',
+    alarm: '<svg xmlns="http://www.w3.org/2000/svg" height="12px" viewBox="0 -960 960 960" width="12px" fill="currentColor"><path d="M160-200v-80h80v-280q0-83 50-147.5T420-792v-28q0-25 17.5-42.5T480-880q25 0 42.5 17.5T540-820v28q80 20 130 84.5T720-560v280h80v80H160Zm320-300Zm0 420q-33 0-56.5-23.5T400-160h160q0 33-23.5 56.5T480-80ZM320-280h320v-280q0-66-47-113t-113-47q-66 0-113 47t-47 113v280Z"/></svg>',
+    repeat: '<svg xmlns="http://www.w3.org/2000/svg" height="12px" viewBox="0 -960 960 960" width="12px" fill="currentColor"><path d="M280-80 120-240l160-160 56 58-62 62h406v-160h80v240H274l62 62-56 58Zm-80-440v-240h486l-62-62 56-58 160 160-160 160-56-58 62-62H280v160h-80Z"/></svg>',
+
+    // Background note indexing
+    indexNotes: { d: 'M80-200v-80h400v80H80Zm0-200v-80h200v80H80Zm0-200v-80h200v80H80Zm744 400L670-354q-24 17-52.5 25.5T560-320q-83 0-141.5-58.5T360-520q0-83 58.5-141.5T560-720q83 0 141.5 58.5T760-520q0 29-8.5 57.5T726-410l154 154-56 56ZM560-400q50 0 85-35t35-85q0-50-35-85t-85-35q-50 0-85 35t-35 85q0 50 35 85t85 35Z' },
 };
 
 // --- GLOBAL ICON STANDARDIZATION ---
@@ -1350,6 +1765,7 @@ function cleanup() {
             clearInterval(healthCheckInterval);
             healthCheckInterval = null;
         }
+        closeTaskBoard();
     } catch (e) {
         console.debug('[NotebookLM FoldNest] Cleanup error:', e.message);
     }
@@ -1431,14 +1847,13 @@ function init() {
         if (DEBUG_MODE) console.log(`[NotebookLM FoldNest] Notebook ID: ${currentNotebookId}`);
 
         const stateKey = getStorageKey('notebookTreeState');
-        const indexKey = getStorageKey('notebookSearchIndex');
 
         // v0.8.5: Local-only storage with migration from sync
         // First check if there's legacy data in sync storage to migrate
         chrome.storage.sync.get([stateKey], (syncResult) => {
             const hasSyncData = !chrome.runtime.lastError && syncResult[stateKey] && syncResult[stateKey].source;
 
-            chrome.storage.local.get([stateKey, indexKey], (localResult) => {
+            chrome.storage.local.get([stateKey], (localResult) => {
                 // Migration: If sync has data but local doesn't, migrate it
                 if (hasSyncData && (!localResult[stateKey] || !localResult[stateKey].source)) {
                     console.debug('[NotebookLM FoldNest] Migrating data from sync to local storage');
@@ -1470,13 +1885,13 @@ function init() {
                 if (!appState.studio.pinned) appState.studio.pinned = [];
                 if (!appState.source.tasks) appState.source.tasks = [];
                 if (!appState.source.taskSections) appState.source.taskSections = {};
+                // Stable task IDs let sync merge tasks edited on different devices
+                window.FoldNestMerge.assignTaskIds(appState.source.tasks);
 
-                // Load search index (always local)
-                if (localResult[indexKey]) {
-                    searchIndex = localResult[indexKey];
-                } else {
-                    searchIndex = {};
-                }
+                // Load search index (always local, from the service worker's IndexedDB)
+                searchIndex = {};
+                searchTextIndex = null;
+                loadSearchIndex();
 
                 // Save migrated/initialized state to local
                 chrome.storage.local.set({ [stateKey]: appState });
@@ -1558,6 +1973,9 @@ function startApp() {
     try {
         startObserver();
         setTimeout(safeRunOrganizer, INIT_DELAY_MS);
+        setTimeout(focusPendingTask, INIT_DELAY_MS);
+        setTimeout(applyPendingStudioSearch, INIT_DELAY_MS);
+        loadTaskTimer();
         healthCheckInterval = setInterval(checkSelectorHealth, HEALTH_CHECK_INTERVAL_MS);
         document.addEventListener('click', (e) => {
             try {
@@ -1586,6 +2004,7 @@ function saveState() {
         // Update sync metadata to flag local change
         if (!appState._syncMeta) appState._syncMeta = {};
         appState._syncMeta.lastModified = Date.now();
+        appState._syncMeta.writer = STATE_WRITER_ID;
         // appState._syncMeta.version = getExtensionVersion(); 
 
         return new Promise((resolve) => {
@@ -1594,10 +2013,7 @@ function saveState() {
                     console.error('[NotebookLM FoldNest] Save failed:', chrome.runtime.lastError.message);
                     reject(chrome.runtime.lastError);
                 } else {
-                    // v0.9.3: Trigger cloud sync if enabled (non-blocking)
-                    if (window.FoldNestSync && window.FoldNestSync.isEnabled()) {
-                        window.FoldNestSync.triggerUpload('notebook');
-                    }
+                    // Cloud sync picks this up via chrome.storage.onChanged in the service worker
                     resolve();
                 }
             });
@@ -1625,10 +2041,7 @@ function saveDashboardState() {
                     console.error('[NotebookLM FoldNest] Failed to save dashboard state:', chrome.runtime.lastError.message);
                     reject(chrome.runtime.lastError);
                 } else {
-                    // Trigger cloud sync if enabled (non-blocking)
-                    if (window.FoldNestSync && window.FoldNestSync.isEnabled()) {
-                        window.FoldNestSync.triggerUpload('dashboard');
-                    }
+                    // Cloud sync picks this up via chrome.storage.onChanged in the service worker
                     resolve();
                 }
             });
@@ -1779,6 +2192,9 @@ function renderTasks() {
         const headerCount = document.getElementById('plugin-task-count');
         if (!mount) return;
         mount.innerHTML = '';
+        renderTaskTimerBar();
+        renderTaskFilterBar();
+        const filterActive = isTaskFilterActive();
         const tasks = appState.source.tasks || [];
         const sections = appState.source.taskSections || {};
         if (appState.settings.completedOpen === undefined) appState.settings.completedOpen = false;
@@ -1789,6 +2205,7 @@ function renderTasks() {
         const sectionedTasks = {}; // sectionId -> { active: [], done: [] }
 
         tasks.forEach((task, index) => {
+            if (filterActive && !matchesTaskFilter(task)) return;
             const item = { ...task, originalIndex: index };
             const sectionId = task.sectionId || null;
 
@@ -1809,6 +2226,12 @@ function renderTasks() {
             mount.innerHTML = '<div style="padding:12px; font-style:italic; color:var(--plugin-text-secondary); font-size:12px; text-align:center;">No tasks...</div>';
             return;
         }
+        const matchCount = uncategorizedActive.length + uncategorizedDone.length +
+            Object.values(sectionedTasks).reduce((sum, list) => sum + list.length, 0);
+        if (filterActive && matchCount === 0) {
+            mount.innerHTML = '<div style="padding:12px; font-style:italic; color:var(--plugin-text-secondary); font-size:12px; text-align:center;">No tasks match this filter</div>';
+            return;
+        }
 
         // Render uncategorized active tasks first
         uncategorizedActive.forEach(item => mount.appendChild(createTaskElement(item, item.originalIndex, tasks, false)));
@@ -1817,6 +2240,8 @@ function renderTasks() {
         const sortedSections = Object.values(sections).sort((a, b) => (a.order || 0) - (b.order || 0));
         sortedSections.forEach(section => {
             const sectionTasks = sectionedTasks[section.id] || [];
+            // Filtering hides sections with nothing to show
+            if (filterActive && sectionTasks.length === 0) return;
             const sectionEl = createTaskSectionElement(section, sectionTasks, tasks);
             mount.appendChild(sectionEl);
         });
@@ -1861,6 +2286,9 @@ function renderTasks() {
             mount.appendChild(completedGroup);
         }
     });
+
+    // The board shows the same tasks; keep it in step with list edits
+    if (document.getElementById('plugin-task-board')) renderTaskBoard();
 }
 
 function createTaskSectionElement(section, sectionTasks, allTasks) {
@@ -2078,14 +2506,161 @@ function showTaskMoveMenu(e, taskIndex) {
     }
 }
 
+// --- SUBTASKS ---
+// Subtasks live inside their parent (task.subtasks = [{ id, text, done }]),
+// so sorting and moving the parent between sections carries them along.
+
+/**
+ * Check or uncheck a subtask. With task.completeWithSubtasks set, checking
+ * the last open subtask completes the parent too.
+ * @param {object[]} allTasks
+ * @param {number} index - Parent task index
+ * @param {string} subtaskId
+ */
+function toggleSubtaskDone(allTasks, index, subtaskId) {
+    const task = allTasks[index];
+    const subtask = (task.subtasks || []).find(sub => sub.id === subtaskId);
+    if (!subtask) return;
+    subtask.done = !subtask.done;
+
+    if (subtask.done && task.completeWithSubtasks && !task.done && task.subtasks.every(sub => sub.done)) {
+        toggleTaskDone(allTasks, index);
+        showToast(`All steps done - "${task.text}" completed`);
+    }
+}
+
+/**
+ * Renders a task's progress bar and collapsible subtask list into its row
+ * @param {HTMLElement} div - Task row from createTaskElement
+ * @param {number} realIndex - Parent task index
+ * @param {object[]} allTasks
+ * @param {boolean} startAdding - Open the "add subtask" input right away
+ */
+function renderSubtasks(div, realIndex, allTasks, startAdding = false) {
+    const task = allTasks[realIndex];
+    const subtasks = task.subtasks || [];
+    if (subtasks.length === 0 && !startAdding) return;
+
+    div.classList.add('has-subtasks');
+    const doneCount = subtasks.filter(sub => sub.done).length;
+    const isOpen = task.subtasksOpen !== false || startAdding;
+
+    if (subtasks.length > 0) {
+        const percent = Math.round((doneCount / subtasks.length) * 100);
+        const progress = createEl('div', { className: 'plugin-task-progress', title: `${doneCount} of ${subtasks.length} steps done` }, [
+            createEl('span', { className: `arrow ${isOpen ? 'open' : ''}` }),
+            createEl('div', { className: 'plugin-task-progress-bar' }, [
+                createEl('div', { className: 'plugin-task-progress-fill', style: { width: `${percent}%` } })
+            ]),
+            createEl('span', { className: 'plugin-task-progress-count' }, [`${doneCount}/${subtasks.length}`])
+        ]);
+        progress.querySelector('.arrow').innerHTML = ICONS.chevron;
+        progress.onclick = (e) => {
+            e.stopPropagation();
+            allTasks[realIndex].subtasksOpen = !isOpen;
+            saveState();
+            renderTasks();
+        };
+        div.querySelector('.plugin-task-content').appendChild(progress);
+    }
+
+    if (!isOpen) return;
+
+    const list = createEl('div', { className: 'plugin-subtask-list' });
+    subtasks.forEach(subtask => {
+        const check = createEl('div', { className: 'plugin-subtask-check' });
+        if (subtask.done) check.innerHTML = ICONS.check;
+        check.onclick = (e) => {
+            e.stopPropagation();
+            toggleSubtaskDone(allTasks, realIndex, subtask.id);
+            saveState();
+            renderTasks();
+        };
+
+        const text = createEl('div', { className: 'plugin-subtask-text', title: 'Double-click to rename' }, [subtask.text]);
+        text.ondblclick = (e) => {
+            e.stopPropagation();
+            const input = createEl('input', { type: 'text', className: 'plugin-subtask-input' });
+            input.value = subtask.text;
+            const commit = () => {
+                const value = input.value.trim();
+                if (value && value !== subtask.text) {
+                    subtask.text = value;
+                    saveState();
+                }
+                renderTasks();
+            };
+            input.onkeydown = (ev) => {
+                if (ev.key === 'Enter') commit();
+                if (ev.key === 'Escape') renderTasks();
+            };
+            input.onblur = commit;
+            text.replaceWith(input);
+            input.focus();
+            input.select();
+        };
+
+        const del = createEl('div', { className: 'plugin-subtask-del', title: 'Delete step' });
+        del.innerHTML = ICONS.close;
+        del.onclick = (e) => {
+            e.stopPropagation();
+            allTasks[realIndex].subtasks = subtasks.filter(sub => sub.id !== subtask.id);
+            saveState();
+            renderTasks();
+        };
+
+        list.appendChild(createEl('div', { className: `plugin-subtask ${subtask.done ? 'done' : ''}` }, [check, text, del]));
+    });
+
+    if (startAdding) {
+        const input = createEl('input', { type: 'text', className: 'plugin-subtask-input', placeholder: 'Add a step, Enter to save' });
+        input.onkeydown = (e) => {
+            e.stopPropagation();
+            if (e.key === 'Enter') {
+                const value = input.value.trim();
+                if (!value) return;
+                const parent = allTasks[realIndex];
+                if (!parent.subtasks) parent.subtasks = [];
+                parent.subtasks.push({ id: Math.random().toString(36).substr(2, 9), text: value, done: false });
+                saveState();
+                renderTasks();
+                // Keep adding steps to the same task
+                const row = document.querySelector(`.plugin-task-item[data-task-id="${parent.id}"]`);
+                row?.querySelector('.plugin-task-btn.add-subtask')?.click();
+            } else if (e.key === 'Escape') {
+                renderTasks();
+            }
+        };
+        list.appendChild(input);
+        setTimeout(() => input.focus(), 0);
+    }
+
+    div.appendChild(list);
+}
+
 function createTaskElement(task, realIndex, allTasks, isCompletedSection) {
     const div = document.createElement('div');
     div.className = `plugin-task-item ${task.done ? 'done' : ''} task-prio-${task.prio || 0}`;
+    if (task.id) div.dataset.taskId = task.id;
     let dateHtml = '';
+    const repeatRule = window.FoldNestRecurrence?.normalize(task.repeat);
+    const repeatHtml = repeatRule
+        ? `<span class="plugin-task-repeat" title="${window.FoldNestRecurrence.describe(repeatRule)}">${ICONS.repeat}</span>`
+        : '';
+    const isTiming = isTimingTask(task.id);
+    const timeHtml = task.timeSpent || isTiming
+        ? `<span class="plugin-task-time ${isTiming ? 'running' : ''}" data-logged="${task.timeSpent || 0}" title="Time tracked">${ICONS.timer} ${window.FoldNestTimer.formatDuration(task.timeSpent || 0)}</span>`
+        : '';
     if (task.date) {
         const isPast = new Date(task.date) < new Date().setHours(0, 0, 0, 0);
         const colorStyle = isPast && !task.done ? 'color:#d93025;' : '';
-        dateHtml = `<div class="plugin-task-date" style="${colorStyle}">${ICONS.calendar} ${task.date}</div>`;
+        // The reminder time comes from stored (possibly synced) state - filled in as text below
+        const reminderHtml = task.reminder && !task.done
+            ? `<span class="plugin-task-reminder">${ICONS.alarm}</span>`
+            : '';
+        dateHtml = `<div class="plugin-task-date" style="${colorStyle}">${ICONS.calendar} ${task.date}${reminderHtml}${repeatHtml}${timeHtml}</div>`;
+    } else if (repeatHtml || timeHtml) {
+        dateHtml = `<div class="plugin-task-date">${repeatHtml}${timeHtml}</div>`;
     }
     const moveActions = isCompletedSection ? '' : `
         <div class="plugin-task-btn move-section" title="Move to Section">${ICONS.moveItem}</div>
@@ -2114,6 +2689,8 @@ function createTaskElement(task, realIndex, allTasks, isCompletedSection) {
         </div>
         <div class="plugin-task-actions">
             ${linkBtn}
+            <div class="plugin-task-btn add-subtask" title="Add Subtask">${ICONS.add}</div>
+            ${task.done ? '' : `<div class="plugin-task-btn timer ${isTiming ? 'active' : ''}" title="${isTiming ? 'Stop timer' : 'Track time'}">${ICONS.timer}</div>`}
             <div class="plugin-task-btn desc ${descClass}" title="${descTooltip}">${ICONS.description}</div>
             <div class="plugin-task-btn prio" title="Priority (Red/Yel/Blu)">${ICONS.flag}</div>
             <div class="plugin-task-btn edit" title="Edit">${ICONS.edit}</div>
@@ -2122,11 +2699,60 @@ function createTaskElement(task, realIndex, allTasks, isCompletedSection) {
         </div>
     `;
 
+    const reminderEl = div.querySelector('.plugin-task-reminder');
+    if (reminderEl) {
+        reminderEl.title = `Reminder at ${task.reminder}`;
+        reminderEl.append(` ${task.reminder}`);
+    }
+
+    // Tags come from synced or imported state, so they are built as elements, never as HTML
+    if ((task.tags || []).length) {
+        div.querySelector('.plugin-task-content').appendChild(createEl('div', { className: 'plugin-task-tags' }, task.tags.map(tag =>
+            createEl('span', {
+                className: 'plugin-task-tag',
+                title: `Filter by #${tag}`,
+                onClick: (e) => {
+                    e.stopPropagation();
+                    if (!taskFilterState.tags.includes(tag)) setTaskFilter({ ...taskFilterState, tags: [...taskFilterState.tags, tag] });
+                }
+            }, [`#${tag}`])
+        )));
+    }
+
+    renderSubtasks(div, realIndex, allTasks);
+
+    const addSubtaskBtn = div.querySelector('.plugin-task-btn.add-subtask');
+    if (addSubtaskBtn) {
+        addSubtaskBtn.onclick = (e) => {
+            e.stopPropagation();
+            div.querySelector('.plugin-subtask-list')?.remove();
+            div.querySelector('.plugin-task-progress')?.remove();
+            renderSubtasks(div, realIndex, allTasks, true);
+        };
+    }
+
+    const timerBtn = div.querySelector('.plugin-task-btn.timer');
+    if (timerBtn) {
+        timerBtn.onclick = (e) => {
+            e.stopPropagation();
+            if (isTiming) {
+                stopTaskTimer();
+                return;
+            }
+            const stored = allTasks[realIndex];
+            if (!stored.id) {
+                stored.id = Math.random().toString(36).substr(2, 9);
+                saveState();
+            }
+            showTaskTimerMenu(e, stored);
+        };
+    }
+
     const checkEl = div.querySelector('.plugin-task-check');
     if (checkEl) {
         checkEl.onclick = (e) => {
             e.stopPropagation();
-            allTasks[realIndex].done = !allTasks[realIndex].done;
+            toggleTaskDone(allTasks, realIndex);
             saveState();
             renderTasks();
         };
@@ -2164,10 +2790,7 @@ function createTaskElement(task, realIndex, allTasks, isCompletedSection) {
         editBtn.onclick = (e) => {
             e.stopPropagation();
             showTaskEditModal(task, (updated) => {
-                allTasks[realIndex].text = updated.text;
-                allTasks[realIndex].description = updated.description;
-                allTasks[realIndex].date = updated.date;
-                allTasks[realIndex].sectionId = updated.sectionId;
+                applyTaskEdit(allTasks[realIndex], updated);
                 saveState();
                 renderTasks();
             });
@@ -2221,314 +2844,577 @@ function createTaskElement(task, realIndex, allTasks, isCompletedSection) {
     return div;
 }
 
-function addTask(taskObj) {
-    if (!isFeatureEnabled('taskManagement')) return;
+// --- TASK TIMER ---
+// One timer runs at a time, across notebooks. It is kept in chrome.storage.local
+// so it survives reloads and shows in every tab; stopping it logs the worked
+// sessions onto the task (task-timer.js).
 
-    if (!appState.source.tasks) appState.source.tasks = [];
-    if (typeof taskObj === 'string') {
-        appState.source.tasks.push({ text: taskObj, done: false, prio: 0, date: "" });
-    } else {
-        appState.source.tasks.push(taskObj);
+const TASK_TIMER_KEY = 'foldnest_task_timer';
+const POMODORO_SETTINGS_KEY = 'foldnest_pomodoro';
+const TIMER_TICK_MS = 1000;
+
+let activeTaskTimer = null;
+let pomodoroLengths = { work: 25, break: 5 };
+let taskTimerInterval = null;
+let lastTimerPhase = null;
+
+async function loadTaskTimer() {
+    try {
+        const result = await chrome.storage.local.get([TASK_TIMER_KEY, POMODORO_SETTINGS_KEY]);
+        pomodoroLengths = window.FoldNestTimer.normalizePomodoro(result[POMODORO_SETTINGS_KEY]);
+        adoptTaskTimer(result[TASK_TIMER_KEY] || null);
+        renderTasks();
+    } catch (e) {
+        console.debug('[NotebookLM FoldNest] Task timer load failed:', e.message);
     }
-    saveState();
-    renderTasks();
 }
 
-function normalizeKey(str) {
-    if (!str) return "";
-    return str.trim().toLowerCase().replace(/\s+/g, ' ');
+/**
+ * Take over a timer started or stopped here or in another tab (callers re-render)
+ * @param {object|null} timer
+ */
+function adoptTaskTimer(timer) {
+    activeTaskTimer = timer;
+    lastTimerPhase = null;
+    if (timer && !taskTimerInterval) {
+        taskTimerInterval = setInterval(tickTaskTimer, TIMER_TICK_MS);
+    } else if (!timer && taskTimerInterval) {
+        clearInterval(taskTimerInterval);
+        taskTimerInterval = null;
+    }
 }
 
-function getSimilarity(s1, s2) {
-    if (!s1 || !s2) return 0;
-    let longer = s1;
-    let shorter = s2;
-    if (s1.length < s2.length) { longer = s2; shorter = s1; }
-    let longerLength = longer.length;
-    if (longerLength === 0) return 1.0;
-    return (longerLength - editDistance(longer, shorter)) / longerLength;
+function isTimingTask(taskId) {
+    return !!activeTaskTimer && !!taskId &&
+        activeTaskTimer.notebookId === getNotebookId() && activeTaskTimer.taskId === taskId;
 }
 
-function editDistance(s1, s2) {
-    s1 = (s1 || '').toLowerCase();
-    s2 = (s2 || '').toLowerCase();
-    let costs = new Array();
-    for (let i = 0; i <= s1.length; i++) {
-        let lastValue = i;
-        for (let j = 0; j <= s2.length; j++) {
-            if (i == 0) costs[j] = j;
-            else {
-                if (j > 0) {
-                    let newValue = costs[j - 1];
-                    if (s1.charAt(i - 1) != s2.charAt(j - 1)) newValue = Math.min(Math.min(newValue, lastValue), costs[j]) + 1;
-                    costs[j - 1] = lastValue;
-                    lastValue = newValue;
-                }
+/**
+ * Start timing a task, stopping (and logging) any running timer first
+ * @param {object} task - Stored task with an id
+ * @param {boolean} usePomodoro - Alternate work and break phases
+ */
+async function startTaskTimer(task, usePomodoro) {
+    if (activeTaskTimer) await stopTaskTimer();
+
+    const timer = {
+        notebookId: getNotebookId(),
+        taskId: task.id,
+        taskText: task.text,
+        startedAt: Date.now(),
+        pomodoro: usePomodoro ? { ...pomodoroLengths } : null
+    };
+    await chrome.storage.local.set({ [TASK_TIMER_KEY]: timer });
+    adoptTaskTimer(timer);
+    renderTasks();
+    showToast(usePomodoro ? `Pomodoro started: ${pomodoroLengths.work} min focus` : 'Timer started');
+}
+
+/**
+ * Stop the running timer and log its sessions onto the task, even when the
+ * task belongs to another notebook
+ */
+async function stopTaskTimer() {
+    const timer = activeTaskTimer;
+    if (!timer) return;
+    const now = Date.now();
+    let added = 0;
+
+    try {
+        if (timer.notebookId === getNotebookId()) {
+            const task = (appState.source.tasks || []).find(t => t.id === timer.taskId);
+            if (task) {
+                added = window.FoldNestTimer.logSessions(task, timer, now);
+                saveState();
             }
+        } else {
+            await updateNotebookTask(timer.notebookId, timer.taskId, (tasks, index) => {
+                added = window.FoldNestTimer.logSessions(tasks[index], timer, now);
+            });
         }
-        if (i > 0) costs[s2.length] = lastValue;
+    } catch (e) {
+        console.error('[NotebookLM FoldNest] Could not log timer session:', e);
     }
-    return costs[s2.length];
-}
 
-function saveToIndex(title, content) {
-    if (!isFeatureEnabled('searchIndexing')) return;
+    await chrome.storage.local.remove(TASK_TIMER_KEY);
+    adoptTaskTimer(null);
+    renderTasks();
+    showToast(added ? `Logged ${window.FoldNestTimer.formatDuration(added)} on "${timer.taskText}"` : 'Timer stopped');
+}
 
-    runWithGracefulDegradation('searchIndexing', () => {
-        if (!title || !content || content.length < 5) return;
-        const indexKey = getStorageKey('notebookSearchIndex');
-        if (!indexKey) return;
-        const key = normalizeKey(title);
-        let safeContent = content.length > MAX_INDEX_CONTENT_LENGTH ? content.substring(0, MAX_INDEX_CONTENT_LENGTH) : content;
-        safeContent = safeContent.toLowerCase();
-        if (typeof LZString !== 'undefined') {
-            safeContent = LZString.compressToUTF16(safeContent);
-        }
-        if (searchIndex[key] === safeContent) {
-            // Update access time even if content unchanged
-            searchIndexAccessTimes[key] = Date.now();
-            return;
+/**
+ * Log the running timer onto a task that is being completed (sync, for toggleTaskDone)
+ * @param {object} task - Stored task
+ */
+function finishTaskTimerOnDone(task) {
+    if (!isTimingTask(task.id)) return;
+    window.FoldNestTimer.logSessions(task, activeTaskTimer, Date.now());
+    chrome.storage.local.remove(TASK_TIMER_KEY);
+    adoptTaskTimer(null);
+}
+
+function tickTaskTimer() {
+    const timer = activeTaskTimer;
+    if (!timer) return;
+    const now = Date.now();
+
+    const phase = window.FoldNestTimer.getPhase(timer, now);
+    if (phase) {
+        const key = `${phase.phase}-${phase.round}`;
+        // Only the tab in front announces phase changes
+        if (lastTimerPhase && lastTimerPhase !== key && document.visibilityState === 'visible') {
+            showToast(phase.phase === 'break'
+                ? `Focus round ${phase.round} done - take a ${timer.pomodoro.break} min break`
+                : `Break over - focus round ${phase.round}`);
         }
+        lastTimerPhase = key;
+    }
+    updateTaskTimerDisplay(now);
+}
 
-        // Check size and evict if necessary
-        const newEntrySize = new Blob([safeContent]).size;
-        let currentSize = Object.values(searchIndex).reduce((acc, val) => acc + new Blob([val]).size, 0);
-
-        // Evict least recently used entries until we have room
-        while (currentSize + newEntrySize > MAX_INDEX_SIZE_BYTES && Object.keys(searchIndex).length > 0) {
-            const lruKey = Object.keys(searchIndexAccessTimes).sort((a, b) =>
-                (searchIndexAccessTimes[a] || 0) - (searchIndexAccessTimes[b] || 0)
-            )[0];
+/**
+ * Refresh the running clock in the timer bar and on the timed task's row
+ * @param {number} now - Epoch ms
+ */
+function updateTaskTimerDisplay(now = Date.now()) {
+    const timer = activeTaskTimer;
+    if (!timer) return;
+    const { getPhase, getElapsed, formatClock, formatDuration } = window.FoldNestTimer;
 
-            if (lruKey && searchIndex[lruKey]) {
-                currentSize -= new Blob([searchIndex[lruKey]]).size;
-                delete searchIndex[lruKey];
-                delete searchIndexAccessTimes[lruKey];
-                console.debug('[NotebookLM FoldNest] Evicted LRU index entry:', lruKey);
-            } else {
-                break; // Safety: avoid infinite loop
-            }
-        }
+    const bar = document.getElementById('plugin-task-timer-mount');
+    if (bar) {
+        const phase = getPhase(timer, now);
+        const label = bar.querySelector('.plugin-timer-label');
+        const clock = bar.querySelector('.plugin-timer-clock');
+        if (label) label.textContent = phase ? `${phase.phase === 'work' ? 'Focus' : 'Break'} ${phase.round}` : 'Tracking';
+        if (clock) clock.textContent = phase ? formatClock(phase.endsAt - now) : formatClock(now - timer.startedAt);
+        bar.classList.toggle('on-break', phase?.phase === 'break');
+    }
 
-        searchIndex[key] = safeContent;
-        searchIndexAccessTimes[key] = Date.now();
-        chrome.storage.local.set({ [indexKey]: searchIndex });
-        updateSearchStats('studio');
-    }, true); // silent = true, don't show toast for indexing failures
+    const row = document.querySelector(`.plugin-task-time.running`);
+    if (row) row.lastChild.textContent = ` ${formatDuration(Number(row.dataset.logged || 0) + getElapsed(timer, now))}`;
 }
 
-function decompressContent(compressedContent, key) {
-    if (!compressedContent) return "";
-    // Update access time for LRU tracking
-    if (key) searchIndexAccessTimes[key] = Date.now();
-    if (typeof LZString === 'undefined') return compressedContent;
-    try {
-        const decompressed = LZString.decompressFromUTF16(compressedContent);
-        return decompressed || compressedContent;
-    } catch (e) {
-        console.debug('[NotebookLM FoldNest] Decompression error:', e.message);
-        return compressedContent;
+/**
+ * Running timer strip under the task header
+ */
+function renderTaskTimerBar() {
+    const mount = document.getElementById('plugin-task-timer-mount');
+    if (!mount) return;
+    const timer = activeTaskTimer;
+    if (!timer) {
+        mount.replaceChildren();
+        mount.style.display = 'none';
+        return;
     }
-}
 
-function filterProxies(context, query) {
-    try {
-        const term = (query || '').toLowerCase().trim();
-        const container = document.getElementById(`plugin-${context}-root`);
-        if (!container) return;
-        const getFolderNode = (id) => container.querySelector(`#node-${id}`);
-        if (!term) {
-            container.querySelectorAll('.plugin-proxy-item').forEach(el => {
-                el.style.display = 'flex';
-                el.style.opacity = '1';
-                el.removeAttribute('data-match-type');
-            });
-            container.querySelectorAll('.plugin-tree-node').forEach(el => el.style.display = 'block');
-            Object.values(appState[context].folders).forEach(f => {
-                const node = getFolderNode(f.id);
-                if (node) {
-                    if (f.isOpen) node.classList.add('open');
-                    else node.classList.remove('open');
-                }
-            });
-            return;
-        }
-        container.querySelectorAll('.plugin-proxy-item').forEach(el => el.style.display = 'none');
-        container.querySelectorAll('.plugin-tree-node').forEach(el => el.style.display = 'none');
-        const proxies = container.querySelectorAll('.plugin-proxy-item');
-        const terms = term.split(' ').filter(t => t);
-        proxies.forEach(proxy => {
-            const visibleText = proxy.dataset.searchTerm || proxy.innerText.toLowerCase();
-            const titleRaw = proxy.dataset.ref || "";
-            const titleKey = normalizeKey(titleRaw);
-            let deepContent = decompressContent(searchIndex[titleKey] || "", titleKey);
-            const isExactMatch = terms.every(t => (visibleText.includes(t) || deepContent.includes(t)));
-            const isFuzzyMatch = !isExactMatch && terms.every(t => getSimilarity(visibleText, t) > FUZZY_MATCH_THRESHOLD);
-            if (isExactMatch || isFuzzyMatch) {
-                proxy.style.display = 'flex';
-                if (isFuzzyMatch) {
-                    proxy.setAttribute('data-match-type', 'fuzzy');
-                } else {
-                    proxy.setAttribute('data-match-type', 'exact');
-                    proxy.style.opacity = '1';
-                }
-                let parent = proxy.parentElement;
-                while (parent && parent !== container) {
-                    if (parent.classList.contains('plugin-node-children')) {
-                        const folderNode = parent.parentElement;
-                        if (folderNode) {
-                            folderNode.style.display = 'block';
-                            folderNode.classList.add('open');
-                        }
-                    }
-                    parent = parent.parentElement;
-                }
-            }
-        });
-        const folderNodes = container.querySelectorAll('.plugin-tree-node');
-        folderNodes.forEach(node => {
-            const header = node.querySelector('.plugin-folder-header .folder-name');
-            if (!header) return;
-            const folderName = (header.innerText || '').toLowerCase();
-            const isFolderMatch = folderName.includes(term) || getSimilarity(folderName, term) > FOLDER_NAME_MATCH_THRESHOLD;
-            if (isFolderMatch) {
-                node.style.display = 'block';
-                let parent = node.parentElement;
-                while (parent && parent !== container) {
-                    if (parent.classList.contains('plugin-node-children')) {
-                        const grandParent = parent.parentElement;
-                        if (grandParent) {
-                            grandParent.style.display = 'block';
-                            grandParent.classList.add('open');
-                        }
-                    }
-                    parent = parent.parentElement;
-                }
-            }
-        });
-    } catch (e) {
-        console.debug('[NotebookLM FoldNest] Filter proxies error:', e.message);
+    const isHere = timer.notebookId === getNotebookId();
+    const taskName = createEl('span', {
+        className: 'plugin-timer-task',
+        title: isHere ? 'Show task' : 'Timing a task in another notebook'
+    }, [isHere ? timer.taskText : `${timer.taskText} (other notebook)`]);
+    if (isHere) {
+        taskName.onclick = () => {
+            const el = document.querySelector(`.plugin-task-item[data-task-id="${CSS.escape(timer.taskId)}"]`);
+            if (el) el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        };
     }
+    const stopBtn = createEl('button', { className: 'plugin-timer-stop', title: 'Stop and log time' }, ['Stop']);
+    stopBtn.onclick = (e) => {
+        e.stopPropagation();
+        stopTaskTimer();
+    };
+
+    mount.replaceChildren(
+        getIconElement('timer', '14px'),
+        createEl('span', { className: 'plugin-timer-label' }),
+        createEl('span', { className: 'plugin-timer-clock' }),
+        taskName,
+        stopBtn
+    );
+    mount.style.display = 'flex';
+    updateTaskTimerDisplay();
 }
 
-// --- SOURCE EXPLORER: Filter by type + search query ---
-function filterSourcesByType() {
-    try {
-        const container = document.getElementById('plugin-source-root');
-        if (!container) return;
+/**
+ * Timer menu of a task row: plain timer, Pomodoro, Pomodoro lengths
+ */
+function showTaskTimerMenu(e, task) {
+    document.querySelectorAll('.plugin-dropdown').forEach(el => el.remove());
+    const menu = createEl('div', { className: 'plugin-dropdown' });
+    const addItem = (label, onSelect) => {
+        const item = createEl('div', { className: 'plugin-dropdown-item' }, [label]);
+        item.onclick = (ev) => {
+            ev.stopPropagation();
+            menu.remove();
+            onSelect();
+        };
+        menu.appendChild(item);
+    };
 
-        const { query, activeFilter } = sourceFilterState;
-        const term = (query || '').toLowerCase().trim();
-        const filter = activeFilter || 'all';
+    addItem('Start timer', () => startTaskTimer(task, false));
+    addItem(`Start Pomodoro (${pomodoroLengths.work} / ${pomodoroLengths.break} min)`, () => startTaskTimer(task, true));
+    addItem('Pomodoro lengths…', showPomodoroSettingsModal);
 
-        // If no filter and no query, reset everything to visible
-        if (filter === 'all' && !term) {
-            container.querySelectorAll('.plugin-proxy-item').forEach(el => {
-                el.style.display = '';
-                el.removeAttribute('data-source-filtered');
-            });
-            container.querySelectorAll('.plugin-tree-node').forEach(el => {
-                el.style.display = '';
-            });
-            // Reset native items
-            document.querySelectorAll('.plugin-detected-row').forEach(el => {
-                el.style.display = '';
-            });
-            return;
-        }
+    document.body.appendChild(menu);
+    const rect = e.target.getBoundingClientRect();
+    menu.style.top = (rect.bottom + window.scrollY) + 'px';
+    menu.style.left = rect.left + 'px';
 
-        const proxies = container.querySelectorAll('.plugin-proxy-item');
-        // Get all native rows that are NOT currently proxied (hidden)
-        const nativeRows = Array.from(document.querySelectorAll('.plugin-detected-row')).filter(r =>
-            !r.classList.contains('plugin-hidden-native') &&
-            (r.classList.contains('single-source-container') || r.querySelector('.source-title'))
-        );
+    setTimeout(() => {
+        const close = () => {
+            menu.remove();
+            document.removeEventListener('click', close);
+        };
+        document.addEventListener('click', close);
+    }, DOM_SETTLE_DELAY_MS);
+}
 
-        const matchedFolderIds = new Set();
-        let hasAnyMatch = false;
+function showPomodoroSettingsModal() {
+    const existing = document.getElementById('plugin-confirm-modal');
+    if (existing) existing.remove();
 
-        proxies.forEach(proxy => {
-            const sourceType = proxy.dataset.sourceType || 'other';
-            const searchTerm = proxy.dataset.searchTerm || proxy.innerText.toLowerCase();
+    const workInput = createEl('input', { type: 'number', min: '1', max: '180', className: 'pomodoro-work-input' });
+    const breakInput = createEl('input', { type: 'number', min: '1', max: '180', className: 'pomodoro-break-input' });
+    workInput.value = pomodoroLengths.work;
+    breakInput.value = pomodoroLengths.break;
+
+    const cancelBtn = createEl('button', { className: 'plugin-modal-btn cancel' }, ['Cancel']);
+    const saveBtn = createEl('button', { className: 'plugin-modal-btn confirm' }, ['Save']);
+    const overlay = createEl('div', { id: 'plugin-confirm-modal', className: 'plugin-modal-overlay' }, [
+        createEl('div', { className: 'plugin-modal-content plugin-edit-modal' }, [
+            createEl('div', { className: 'plugin-modal-title' }, ['Pomodoro']),
+            createEl('div', { className: 'plugin-edit-field' }, [createEl('label', {}, ['Focus (minutes)']), workInput]),
+            createEl('div', { className: 'plugin-edit-field' }, [createEl('label', {}, ['Break (minutes)']), breakInput]),
+            createEl('div', { className: 'plugin-modal-buttons' }, [cancelBtn, saveBtn])
+        ])
+    ]);
 
-            const typeMatch = (filter === 'all') || (sourceType === filter);
-            const textMatch = !term || searchTerm.includes(term);
+    const escHandler = (e) => {
+        if (e.key === 'Escape') closeModal();
+    };
+    const closeModal = () => {
+        overlay.remove();
+        document.removeEventListener('keydown', escHandler);
+    };
 
-            if (typeMatch && textMatch) {
-                proxy.style.display = 'flex';
-                proxy.setAttribute('data-source-filtered', 'visible');
-                hasAnyMatch = true;
-                // Expand parent folders to show match
-                let parent = proxy.parentElement;
-                while (parent && parent !== container) {
-                    if (parent.classList.contains('plugin-node-children')) {
-                        const folderNode = parent.parentElement;
-                        if (folderNode && folderNode.id) {
-                            folderNode.style.display = 'block';
-                            folderNode.classList.add('open');
-                            matchedFolderIds.add(folderNode.id);
-                        }
-                    }
-                    parent = parent.parentElement;
-                }
-            } else {
-                proxy.style.display = 'none';
-                proxy.setAttribute('data-source-filtered', 'hidden');
-            }
-        });
+    cancelBtn.onclick = closeModal;
+    saveBtn.onclick = () => {
+        pomodoroLengths = window.FoldNestTimer.normalizePomodoro({ work: workInput.value, break: breakInput.value });
+        chrome.storage.local.set({ [POMODORO_SETTINGS_KEY]: pomodoroLengths });
+        closeModal();
+        showToast(`Pomodoro: ${pomodoroLengths.work} min focus, ${pomodoroLengths.break} min break`);
+    };
+    overlay.onclick = (e) => {
+        if (e.target === overlay) closeModal();
+    };
+    document.addEventListener('keydown', escHandler);
+    document.body.appendChild(overlay);
+    workInput.focus();
+}
 
-        nativeRows.forEach(native => {
-            const sourceType = native.dataset.sourceType || 'other';
-            const searchTerm = native.dataset.searchTerm || (native.innerText || '').toLowerCase();
+/**
+ * Weekly time per notebook and section, from every notebook's logged sessions
+ * @param {number} weekOffset - 0 = this week, -1 = last week
+ */
+async function showTimeSummaryModal(weekOffset = 0) {
+    const existing = document.getElementById('plugin-confirm-modal');
+    if (existing) existing.remove();
+    const { getWeekStart, summarize, formatDuration, logSessions } = window.FoldNestTimer;
 
-            const typeMatch = (filter === 'all') || (sourceType === filter);
-            const textMatch = !term || searchTerm.includes(term);
+    const now = Date.now();
+    const from = getWeekStart(now, weekOffset);
+    const to = getWeekStart(now, weekOffset + 1);
+    const states = await loadAllNotebookStates();
+    const notebookId = getNotebookId();
+    if (notebookId && !isDashboardMode) states[notebookId] = appState;
+
+    // Count the running timer as if it stopped now
+    const timer = activeTaskTimer;
+    const timedTasks = states[timer?.notebookId]?.source?.tasks;
+    const timedIndex = timedTasks ? timedTasks.findIndex(t => t.id === timer.taskId) : -1;
+    if (timedIndex > -1) {
+        const running = { ...timedTasks[timedIndex] };
+        logSessions(running, timer, now);
+        const state = states[timer.notebookId];
+        states[timer.notebookId] = {
+            ...state,
+            source: { ...state.source, tasks: timedTasks.map((t, i) => (i === timedIndex ? running : t)) }
+        };
+    }
 
-            if (typeMatch && textMatch) {
-                native.style.display = '';
-                hasAnyMatch = true;
-            } else {
-                native.style.display = 'none';
-            }
-        });
+    const titles = await loadNotebookTitlesById();
 
-        // Hide folders with no visible children (unless folder name matches)
-        container.querySelectorAll('.plugin-tree-node').forEach(node => {
-            if (matchedFolderIds.has(node.id)) return; // Already shown by child match
-            const header = node.querySelector('.plugin-folder-header .folder-name');
-            if (header) {
-                const folderName = (header.innerText || '').toLowerCase();
-                if (term && folderName.includes(term)) {
-                    node.style.display = 'block';
-                    hasAnyMatch = true;
-                    return;
-                }
-            }
-            // Check if any descendant proxy is visible
-            const hasVisible = node.querySelector('.plugin-proxy-item[data-source-filtered="visible"]');
-            node.style.display = hasVisible ? 'block' : 'none';
+    const notebooks = summarize(states, from.getTime(), to.getTime());
+    const weekTotal = notebooks.reduce((sum, n) => sum + n.total, 0);
+    const maxSection = Math.max(1, ...notebooks.flatMap(n => n.sections.map(s => s.total)));
+    const lastDay = new Date(to.getFullYear(), to.getMonth(), to.getDate() - 1);
+    const dateOptions = { month: 'short', day: 'numeric' };
+
+    const prevBtn = createEl('button', { className: 'plugin-time-week-btn', title: 'Previous week' }, ['‹']);
+    const nextBtn = createEl('button', { className: 'plugin-time-week-btn', title: 'Next week' }, ['›']);
+    if (weekOffset >= 0) nextBtn.disabled = true;
+    const weekLabel = weekOffset === 0 ? 'This week' : (weekOffset === -1 ? 'Last week' : '');
+
+    const list = createEl('div', { className: 'plugin-time-summary' });
+    if (notebooks.length === 0) {
+        list.appendChild(createEl('div', { className: 'plugin-inbox-empty' }, ['No time logged in this week']));
+    }
+    notebooks.forEach(notebook => {
+        list.appendChild(createEl('div', { className: 'plugin-time-summary-notebook' }, [
+            createEl('span', {}, [titles[notebook.notebookId] || 'Untitled notebook']),
+            createEl('span', {}, [formatDuration(notebook.total)])
+        ]));
+        notebook.sections.forEach(section => {
+            list.appendChild(createEl('div', { className: 'plugin-time-summary-section' }, [
+                createEl('span', { className: 'plugin-time-summary-name' }, [section.name]),
+                createEl('span', { className: 'plugin-time-summary-bar' }, [
+                    createEl('span', { style: { width: `${Math.round(section.total / maxSection * 100)}%` } })
+                ]),
+                createEl('span', {}, [formatDuration(section.total)])
+            ]));
         });
+    });
 
-        let emptyMsg = container.querySelector('.plugin-source-empty-msg');
-        if (!hasAnyMatch && (term || filter !== 'all')) {
-            if (!emptyMsg) {
-                emptyMsg = document.createElement('div');
-                emptyMsg.className = 'plugin-source-empty-msg';
-                emptyMsg.style.cssText = 'padding: 20px; text-align: center; color: #9aa0a6; font-size: 13px; font-style: italic;';
-                emptyMsg.textContent = 'No sources match your search.';
-                container.appendChild(emptyMsg);
-            }
-            emptyMsg.style.display = 'block';
-        } else if (emptyMsg) {
-            emptyMsg.style.display = 'none';
+    const closeBtn = createEl('button', { className: 'plugin-modal-btn confirm' }, ['Close']);
+    const overlay = createEl('div', { id: 'plugin-confirm-modal', className: 'plugin-modal-overlay' }, [
+        createEl('div', { className: 'plugin-modal-content plugin-edit-modal' }, [
+            createEl('div', { className: 'plugin-modal-title' }, ['Time Tracked']),
+            createEl('div', { className: 'plugin-time-week' }, [
+                prevBtn,
+                createEl('span', {}, [
+                    `${weekLabel ? weekLabel + ': ' : ''}${from.toLocaleDateString(undefined, dateOptions)} – ${lastDay.toLocaleDateString(undefined, dateOptions)}`
+                ]),
+                nextBtn,
+                createEl('span', { className: 'plugin-time-week-total' }, [formatDuration(weekTotal)])
+            ]),
+            list,
+            createEl('div', { className: 'plugin-modal-buttons' }, [closeBtn])
+        ])
+    ]);
+
+    const escHandler = (e) => {
+        if (e.key === 'Escape') closeModal();
+    };
+    const closeModal = () => {
+        overlay.remove();
+        document.removeEventListener('keydown', escHandler);
+    };
+
+    closeBtn.onclick = closeModal;
+    prevBtn.onclick = () => {
+        closeModal();
+        showTimeSummaryModal(weekOffset - 1);
+    };
+    nextBtn.onclick = () => {
+        closeModal();
+        showTimeSummaryModal(weekOffset + 1);
+    };
+    overlay.onclick = (e) => {
+        if (e.target === overlay) closeModal();
+    };
+    document.addEventListener('keydown', escHandler);
+    document.body.appendChild(overlay);
+}
+
+// --- TASK TAGS & FILTERS ---
+// Tags are free labels across sections (task.tags = ['anki', 'lecture']).
+// The active filter lives in memory; saved combinations are kept in
+// appState.settings.savedTaskFilters, like locked views in the Source Explorer.
+
+const EMPTY_TASK_FILTER = { tags: [], tagMode: 'and', prios: [], overdue: false, hasSource: false };
+let taskFilterState = { ...EMPTY_TASK_FILTER, tags: [], prios: [] };
+let taskFilterPanelOpen = false;
+
+const TASK_FILTER_PRIORITIES = [
+    { prio: 1, label: 'High' },
+    { prio: 2, label: 'Medium' },
+    { prio: 3, label: 'Low' }
+];
+
+/**
+ * Normalize a tag to lowercase letters, digits, "-" and "_"
+ * @param {string} raw - e.g. "#Group Project"
+ * @returns {string} e.g. "group-project" ('' if nothing is left)
+ */
+function normalizeTaskTag(raw) {
+    return String(raw || '')
+        .trim()
+        .replace(/^#+/, '')
+        .toLowerCase()
+        .replace(/\s+/g, '-')
+        .replace(/[^\p{L}\p{N}_-]/gu, '');
+}
+
+/**
+ * Split a "anki, #lecture group-project" style list into unique tags
+ * @param {string} text
+ * @returns {string[]}
+ */
+function parseTaskTags(text) {
+    const tags = String(text || '').split(/[,\s]+/).map(normalizeTaskTag).filter(Boolean);
+    return [...new Set(tags)];
+}
+
+/**
+ * "Tags" field for the task dialogs
+ * @param {string[]} tags
+ * @returns {{field: HTMLElement, getTags: function(): string[]}}
+ */
+function buildTagsField(tags) {
+    const input = createEl('input', { type: 'text', className: 'edit-task-tags', placeholder: 'anki, lecture, group-project' });
+    input.value = (tags || []).join(', ');
+    const field = createEl('div', { className: 'plugin-edit-field' }, [
+        createEl('label', {}, ['Tags ', createEl('span', { className: 'optional-label' }, ['(comma separated)'])]),
+        input
+    ]);
+    return { field, getTags: () => parseTaskTags(input.value) };
+}
+
+function isTaskFilterActive(filter = taskFilterState) {
+    return filter.tags.length > 0 || filter.prios.length > 0 || filter.overdue || filter.hasSource;
+}
+
+/**
+ * Whether a task passes the filter. Categories combine with AND; tags
+ * combine with the filter's tag mode.
+ * @param {object} task
+ * @param {object} filter
+ * @returns {boolean}
+ */
+function matchesTaskFilter(task, filter = taskFilterState) {
+    if (filter.tags.length > 0) {
+        const tags = task.tags || [];
+        const hasTag = tag => tags.includes(tag);
+        if (filter.tagMode === 'or' ? !filter.tags.some(hasTag) : !filter.tags.every(hasTag)) return false;
+    }
+    if (filter.prios.length > 0 && !filter.prios.includes(task.prio || 0)) return false;
+    if (filter.overdue) {
+        const isPast = task.date && new Date(task.date) < new Date().setHours(0, 0, 0, 0);
+        if (task.done || !isPast) return false;
+    }
+    if (filter.hasSource && !(task.sourceNote && task.sourceNote.trim())) return false;
+    return true;
+}
+
+function sameTaskFilter(a, b) {
+    const key = f => JSON.stringify({
+        tags: [...f.tags].sort(),
+        tagMode: f.tags.length > 1 ? f.tagMode : 'and',
+        prios: [...f.prios].sort(),
+        overdue: !!f.overdue,
+        hasSource: !!f.hasSource
+    });
+    return key(a) === key(b);
+}
+
+function setTaskFilter(filter) {
+    taskFilterState = {
+        ...EMPTY_TASK_FILTER,
+        ...filter,
+        tags: [...(filter.tags || [])],
+        prios: [...(filter.prios || [])]
+    };
+    renderTasks();
+}
+
+/**
+ * Chip toggling one value of the active filter
+ */
+function createTaskFilterChip(label, isActive, onToggle, className = '') {
+    const chip = createEl('span', { className: `plugin-task-filter-chip ${className} ${isActive ? 'active' : ''}` }, [label]);
+    chip.onclick = (e) => {
+        e.stopPropagation();
+        onToggle();
+    };
+    return chip;
+}
+
+/**
+ * Tag chip row, filter chips and saved filter pills above the task list
+ */
+function renderTaskFilterBar() {
+    const mount = document.getElementById('plugin-task-filter-mount');
+    if (!mount) return;
+
+    const tasks = appState.source.tasks || [];
+    const filter = taskFilterState;
+    const tagCounts = {};
+    tasks.forEach(task => (task.tags || []).forEach(tag => {
+        tagCounts[tag] = (tagCounts[tag] || 0) + 1;
+    }));
+    // Keep selected tags visible even if no task carries them any more
+    filter.tags.forEach(tag => {
+        if (!tagCounts[tag]) tagCounts[tag] = 0;
+    });
+    const tags = Object.keys(tagCounts).sort();
+    const savedFilters = appState.settings.savedTaskFilters || [];
+    const rows = [];
+
+    if (tags.length > 0) {
+        const tagRow = createEl('div', { className: 'plugin-task-filter-row plugin-task-tag-row' }, tags.map(tag =>
+            createTaskFilterChip(`#${tag} ${tagCounts[tag]}`, filter.tags.includes(tag), () => {
+                setTaskFilter({
+                    ...filter,
+                    tags: filter.tags.includes(tag) ? filter.tags.filter(t => t !== tag) : [...filter.tags, tag]
+                });
+            }, 'tag')
+        ));
+        if (filter.tags.length > 1) {
+            tagRow.appendChild(createTaskFilterChip(filter.tagMode === 'or' ? 'Any tag (OR)' : 'All tags (AND)', true, () => {
+                setTaskFilter({ ...filter, tagMode: filter.tagMode === 'or' ? 'and' : 'or' });
+            }, 'mode'));
         }
-    } catch (e) {
-        console.debug('[NotebookLM FoldNest] filterSourcesByType error:', e.message);
+        rows.push(tagRow);
+    }
+
+    if (taskFilterPanelOpen || isTaskFilterActive()) {
+        const chips = TASK_FILTER_PRIORITIES.map(({ prio, label }) =>
+            createTaskFilterChip(label, filter.prios.includes(prio), () => {
+                setTaskFilter({
+                    ...filter,
+                    prios: filter.prios.includes(prio) ? filter.prios.filter(p => p !== prio) : [...filter.prios, prio]
+                });
+            }, `task-prio-${prio}`)
+        );
+        chips.push(
+            createTaskFilterChip('Overdue', filter.overdue, () => setTaskFilter({ ...filter, overdue: !filter.overdue })),
+            createTaskFilterChip('Has source note', filter.hasSource, () => setTaskFilter({ ...filter, hasSource: !filter.hasSource }))
+        );
+        if (isTaskFilterActive()) {
+            const alreadySaved = savedFilters.some(saved => sameTaskFilter(saved.filter, filter));
+            if (!alreadySaved) chips.push(createTaskFilterChip('Save filter…', false, showSaveTaskFilterModal, 'action'));
+            chips.push(createTaskFilterChip('Clear', false, () => setTaskFilter(EMPTY_TASK_FILTER), 'action'));
+        }
+        rows.push(createEl('div', { className: 'plugin-task-filter-row' }, chips));
     }
+
+    if (savedFilters.length > 0) {
+        rows.push(createEl('div', { className: 'plugin-task-filter-row plugin-task-saved-filters' }, savedFilters.map(saved => {
+            const isActive = sameTaskFilter(saved.filter, filter);
+            const remove = createEl('span', { className: 'pill-remove', title: 'Remove saved filter' }, ['×']);
+            remove.onclick = (e) => {
+                e.stopPropagation();
+                appState.settings.savedTaskFilters = savedFilters.filter(f => f.id !== saved.id);
+                saveState();
+                renderTaskFilterBar();
+                showToast('Filter removed');
+            };
+            const pill = createEl('span', { className: `plugin-task-saved-filter ${isActive ? 'active' : ''}` }, [
+                createEl('span', { className: 'pill-name' }, [saved.name]),
+                remove
+            ]);
+            // Clicking the active saved filter turns it off again
+            pill.onclick = () => setTaskFilter(isActive ? EMPTY_TASK_FILTER : saved.filter);
+            return pill;
+        })));
+    }
+
+    mount.replaceChildren(...rows);
+    mount.style.display = rows.length > 0 ? 'block' : 'none';
 }
 
-// --- SOURCE EXPLORER: Lock View Modal ---
-function showLockViewModal() {
+function showSaveTaskFilterModal() {
     const existing = document.getElementById('plugin-confirm-modal');
     if (existing) existing.remove();
 
@@ -2537,15 +3423,15 @@ function showLockViewModal() {
     overlay.className = 'plugin-modal-overlay';
     overlay.innerHTML = `
         <div class="plugin-modal-content plugin-lock-modal">
-            <div class="plugin-lock-modal-title">Lock Current View</div>
-            <div class="plugin-lock-modal-sub">Save this filter combination to quickly restore it later.</div>
+            <div class="plugin-lock-modal-title">Save Task Filter</div>
+            <div class="plugin-lock-modal-sub">Save this tag and filter combination to quickly restore it later.</div>
             <div class="plugin-lock-modal-input-wrap">
-                <input type="text" class="plugin-lock-modal-input" placeholder="My Custom View" maxlength="50" />
+                <input type="text" class="plugin-lock-modal-input" placeholder="My Task Filter" maxlength="50" />
                 <span class="plugin-lock-modal-counter">0/50</span>
             </div>
             <div class="plugin-modal-buttons">
                 <button class="plugin-modal-btn cancel">Cancel</button>
-                <button class="plugin-modal-btn confirm plugin-lock-save-btn">Lock View</button>
+                <button class="plugin-modal-btn confirm plugin-lock-save-btn">Save Filter</button>
             </div>
         </div>
     `;
@@ -2566,19 +3452,21 @@ function showLockViewModal() {
             input.setAttribute('placeholder', 'Please enter a name');
             return;
         }
-        if (!sourceFilterState.lockedViews) sourceFilterState.lockedViews = [];
-        sourceFilterState.lockedViews.push({
+        if (!appState.settings.savedTaskFilters) appState.settings.savedTaskFilters = [];
+        appState.settings.savedTaskFilters.push({
+            id: Date.now().toString(36),
             name,
-            query: sourceFilterState.query,
-            filter: sourceFilterState.activeFilter,
-            id: Date.now().toString(36)
+            filter: { ...taskFilterState, tags: [...taskFilterState.tags], prios: [...taskFilterState.prios] }
         });
-        saveSourceFilterState();
+        saveState();
         closeModal();
-        renderLockedViewPills();
-        showToast(`View "${name}" locked`);
+        renderTaskFilterBar();
+        showToast(`Filter "${name}" saved`);
     };
 
+    input.onkeydown = (e) => {
+        if (e.key === 'Enter') saveBtn.click();
+    };
     overlay.querySelector('.plugin-modal-btn.cancel').onclick = closeModal;
     overlay.onclick = (e) => { if (e.target === overlay) closeModal(); };
 
@@ -2591,589 +3479,1617 @@ function showLockViewModal() {
     input.focus();
 }
 
-// --- SOURCE EXPLORER: Render locked view pills ---
-function renderLockedViewPills() {
-    const mount = document.getElementById('plugin-locked-views-mount');
-    if (!mount) return;
+// --- QUICK ADD ---
+// Inline syntax in the task box (task-quickadd.js): "quiz fri 3pm !high #Exam-prep"
 
-    if (!sourceFilterState.lockedViews || sourceFilterState.lockedViews.length === 0) {
-        mount.innerHTML = '';
-        mount.style.display = 'none';
-        return;
+/**
+ * Parse the task box against this notebook's sections
+ * @param {string} text
+ * @returns {object} See FoldNestQuickAdd.parse
+ */
+function parseQuickAddTask(text) {
+    const sections = Object.values(appState.source.taskSections || {});
+    if (!window.FoldNestQuickAdd) {
+        return { text, date: '', reminder: '', prio: 0, sectionId: null, tags: [], parts: [] };
     }
+    return window.FoldNestQuickAdd.parse(text, { sections, similarity: getSimilarity });
+}
 
-    mount.style.display = 'flex';
-    mount.innerHTML = '';
+const QUICK_ADD_CHIP_ICONS = { date: 'calendar', time: 'alarm', section: 'folder', prio: 'flag' };
 
-    sourceFilterState.lockedViews.forEach((view) => {
-        const pill = document.createElement('div');
-        pill.className = 'plugin-locked-view-pill';
-        const chipDef = SOURCE_FILTER_CHIPS.find(c => c.key === view.filter) || SOURCE_FILTER_CHIPS[0];
-        pill.style.setProperty('--pill-color', chipDef.color);
+/**
+ * Show what the task box will create: one chip per parsed date, time,
+ * priority, section and tag, plus the remaining title
+ * @param {HTMLElement|null} container - .plugin-quickadd-preview
+ * @param {string} text - Current task box value
+ */
+function renderQuickAddPreview(container, text) {
+    if (!container) return;
+    const parsed = text.trim() ? parseQuickAddTask(text) : null;
+    if (!parsed || parsed.parts.length === 0) {
+        container.replaceChildren();
+        container.style.display = 'none';
+        return;
+    }
 
-        const nameSpan = document.createElement('span');
-        nameSpan.className = 'pill-name';
-        nameSpan.textContent = view.name;
+    const chips = parsed.parts.map(part => {
+        const chip = createEl('span', {
+            className: `plugin-quickadd-chip chip-${part.type} ${part.prio ? `task-prio-${part.prio}` : ''}`
+        });
+        if (QUICK_ADD_CHIP_ICONS[part.type]) chip.appendChild(getIconElement(QUICK_ADD_CHIP_ICONS[part.type], '12px'));
+        chip.appendChild(document.createTextNode(part.label));
+        return chip;
+    });
+    container.replaceChildren(
+        createEl('span', { className: 'plugin-quickadd-title', title: 'Task title' }, [parsed.text]),
+        ...chips
+    );
+    container.style.display = 'flex';
+}
 
-        const removeBtn = document.createElement('span');
-        removeBtn.className = 'pill-remove';
-        removeBtn.innerHTML = '&times;';
-        removeBtn.title = 'Remove view';
-        removeBtn.onclick = (e) => {
-            e.stopPropagation();
-            sourceFilterState.lockedViews = sourceFilterState.lockedViews.filter(v => v.id !== view.id);
-            saveSourceFilterState();
-            renderLockedViewPills();
-            showToast('View removed');
-        };
+// --- TASK BOARD ---
+// Full-window Kanban view of the same tasks: one column per task section,
+// plus "No Section" and "Completed". Dragging a card between columns sets
+// sectionId/done; dropping it between cards reorders appState.source.tasks.
 
-        pill.appendChild(nameSpan);
-        pill.appendChild(removeBtn);
+const BOARD_NO_SECTION = '__none__';
+const BOARD_COMPLETED = '__completed__';
+const BOARD_PREVIEW_LENGTH = 120;
 
-        pill.onclick = () => {
-            sourceFilterState.query = view.query || '';
-            sourceFilterState.activeFilter = view.filter || 'all';
+/**
+ * Column a task belongs to (mirrors renderTasks: unknown sections count as none)
+ * @param {object} task
+ * @returns {string}
+ */
+function getBoardColumnKey(task) {
+    if (task.done) return BOARD_COMPLETED;
+    const sections = appState.source.taskSections || {};
+    return task.sectionId && sections[task.sectionId] ? task.sectionId : BOARD_NO_SECTION;
+}
 
-            // Update search input
-            const searchInput = document.querySelector('#plugin-source-root .plugin-source-search input');
-            if (searchInput) {
-                searchInput.value = sourceFilterState.query;
-                const clearBtn = document.querySelector('#plugin-source-root .plugin-source-search-clear');
-                if (clearBtn) clearBtn.style.opacity = sourceFilterState.query ? '1' : '0';
-            }
+/**
+ * Move a task to a column, before another card (or to the end of the column)
+ * @param {string} taskId
+ * @param {string} columnKey - Section ID, BOARD_NO_SECTION or BOARD_COMPLETED
+ * @param {string|null} beforeTaskId - Card the task was dropped in front of
+ */
+function moveTaskOnBoard(taskId, columnKey, beforeTaskId) {
+    const tasks = appState.source.tasks || [];
+    let index = tasks.findIndex(t => t.id === taskId);
+    if (index === -1 || taskId === beforeTaskId) return;
+
+    // Same path as the checkbox, so recurring tasks spawn/withdraw their next occurrence
+    const shouldBeDone = columnKey === BOARD_COMPLETED;
+    if (!!tasks[index].done !== shouldBeDone) {
+        toggleTaskDone(tasks, index);
+        // Unchecking may have removed the next occurrence, which can sit above the task
+        index = tasks.findIndex(t => t.id === taskId);
+    }
+    const [task] = tasks.splice(index, 1);
+    if (!shouldBeDone) task.sectionId = columnKey === BOARD_NO_SECTION ? null : columnKey;
+
+    index = beforeTaskId ? tasks.findIndex(t => t.id === beforeTaskId) : -1;
+    if (index === -1) {
+        // End of the column: after its last card, or at the end of the list
+        let last = -1;
+        tasks.forEach((t, i) => {
+            if (getBoardColumnKey(t) === columnKey) last = i;
+        });
+        index = last === -1 ? tasks.length : last + 1;
+    }
+    tasks.splice(index, 0, task);
+    saveState();
+    renderTasks();
+}
 
-            // Update active chip
-            const chips = document.querySelectorAll('#plugin-source-root .plugin-filter-chip');
-            chips.forEach(c => {
-                const isActive = c.dataset.filter === sourceFilterState.activeFilter;
-                c.classList.toggle('active', isActive);
-                const chipColor = c.style.getPropertyValue('--chip-color');
-                if (isActive) {
-                    c.style.background = chipColor;
-                    c.style.color = '#fff';
-                } else {
-                    c.style.background = 'rgba(255,255,255,0.04)';
-                    c.style.color = chipColor;
-                }
-            });
+/**
+ * Builds one draggable board card
+ * @param {object} task
+ * @param {number} realIndex - Index in appState.source.tasks
+ * @returns {HTMLElement}
+ */
+function createBoardCard(task, realIndex) {
+    const allTasks = appState.source.tasks;
+    const card = createEl('div', {
+        className: `plugin-board-card task-prio-${task.prio || 0} ${task.done ? 'done' : ''}`,
+        draggable: 'true',
+        'data-task-id': task.id,
+        title: 'Drag to move · click to edit'
+    }, [createEl('div', { className: 'plugin-board-card-text' }, [task.text])]);
+
+    if (task.description && task.description.trim()) {
+        const preview = task.description.length > BOARD_PREVIEW_LENGTH
+            ? task.description.substring(0, BOARD_PREVIEW_LENGTH) + '...'
+            : task.description;
+        card.appendChild(createEl('div', { className: 'plugin-board-card-desc' }, [preview]));
+    }
 
-            saveSourceFilterState();
-            filterSourcesByType();
-            showToast(`View "${view.name}" applied`);
+    const meta = createEl('div', { className: 'plugin-board-card-meta' });
+    if (task.date) {
+        const isPast = new Date(task.date) < new Date().setHours(0, 0, 0, 0);
+        const date = createEl('span', { className: `plugin-board-card-date ${isPast && !task.done ? 'overdue' : ''}` }, [
+            getIconElement('calendar', '12px'),
+            ` ${task.date}`
+        ]);
+        if (window.FoldNestRecurrence?.normalize(task.repeat)) {
+            const repeat = createEl('span', { className: 'plugin-task-repeat', title: window.FoldNestRecurrence.describe(task.repeat) });
+            repeat.appendChild(getIconElement('repeat', '12px'));
+            date.appendChild(repeat);
+        }
+        meta.appendChild(date);
+    }
+    if (task.subtasks?.length) {
+        const done = task.subtasks.filter(sub => sub.done).length;
+        meta.appendChild(createEl('span', { className: 'plugin-task-progress-count' }, [`${done}/${task.subtasks.length}`]));
+    }
+    if (task.sourceNote && task.sourceNote.trim()) {
+        const link = createEl('span', {
+            className: 'plugin-task-btn link has-link',
+            title: `Show in Studio: ${task.sourceNote}`
+        }, [getIconElement('link', '14px')]);
+        link.onclick = (e) => {
+            e.stopPropagation();
+            closeTaskBoard();
+            filterStudioToNote(task.sourceNote);
         };
+        meta.appendChild(link);
+    }
+    if (meta.childNodes.length) card.appendChild(meta);
 
-        mount.appendChild(pill);
-    });
+    card.onclick = () => {
+        showTaskEditModal(task, (updated) => {
+            applyTaskEdit(allTasks[realIndex], updated);
+            saveState();
+            renderTasks();
+        });
+    };
+    card.ondragstart = (e) => {
+        e.dataTransfer.setData('text/plain', task.id);
+        e.dataTransfer.effectAllowed = 'move';
+        card.classList.add('dragging');
+    };
+    card.ondragend = () => card.classList.remove('dragging');
+    return card;
 }
 
-function filterStudioToNote(noteTitle) {
-    try {
-        if (!noteTitle) return;
-
-        // Find the Studio search input
-        const studioRoot = document.getElementById('plugin-studio-root');
-        if (!studioRoot) {
-            showToast("Studio panel not found");
-            return;
-        }
-
-        const searchInput = studioRoot.querySelector('.plugin-search-area input');
-        const clearBtn = studioRoot.querySelector('.plugin-search-area .search-clear-btn');
-        if (searchInput) {
-            // Set the search input value
-            searchInput.value = noteTitle;
-            // Trigger the filter
-            filterProxies('studio', noteTitle);
-            // Show the clear button
-            if (clearBtn) clearBtn.classList.add('visible');
-            // Focus the input so user can easily clear it
-            searchInput.focus();
-            searchInput.select();
-        } else {
-            // If no search input, just filter directly
-            filterProxies('studio', noteTitle);
-        }
+/**
+ * Builds a board column that accepts dropped cards
+ * @param {string} key - Column key (see getBoardColumnKey)
+ * @param {string} title
+ * @param {Array<{task: object, index: number}>} items
+ * @param {string|null} color - Section color
+ * @returns {HTMLElement}
+ */
+function createBoardColumn(key, title, items, color = null) {
+    const list = createEl('div', { className: 'plugin-board-column-list' });
+    items.forEach(({ task, index }) => list.appendChild(createBoardCard(task, index)));
+    if (items.length === 0) list.appendChild(createEl('div', { className: 'plugin-board-empty' }, ['Drop tasks here']));
+
+    const header = createEl('div', { className: 'plugin-board-column-header' }, [
+        createEl('span', { className: 'plugin-board-column-title' }, [title]),
+        createEl('span', { className: 'section-count' }, [`(${items.length})`])
+    ]);
+    if (color) header.style.borderTopColor = color;
+    const column = createEl('div', { className: 'plugin-board-column', 'data-column': key }, [header, list]);
 
-        showToast(`Filtered to: ${noteTitle}`);
-    } catch (e) {
-        console.debug('[NotebookLM FoldNest] Filter studio to note error:', e.message);
-    }
+    const clearMarkers = () => {
+        column.classList.remove('drag-over');
+        list.querySelectorAll('.drop-before').forEach(el => el.classList.remove('drop-before'));
+    };
+    // The card under the pointer's lower half means "drop after it", i.e. before the next card
+    const getBeforeCard = (e) => [...list.querySelectorAll('.plugin-board-card:not(.dragging)')]
+        .find(el => {
+            const rect = el.getBoundingClientRect();
+            return e.clientY < rect.top + rect.height / 2;
+        }) || null;
+
+    column.ondragover = (e) => {
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        clearMarkers();
+        column.classList.add('drag-over');
+        getBeforeCard(e)?.classList.add('drop-before');
+    };
+    column.ondragleave = (e) => {
+        if (!column.contains(e.relatedTarget)) clearMarkers();
+    };
+    column.ondrop = (e) => {
+        e.preventDefault();
+        const before = getBeforeCard(e);
+        clearMarkers();
+        const taskId = e.dataTransfer.getData('text/plain');
+        if (taskId) moveTaskOnBoard(taskId, key, before ? before.dataset.taskId : null);
+    };
+    return column;
 }
 
-function rebuildSearchIndex() {
-    showConfirmModal("Rebuild Search Index?<br><br>This will clear your local search cache.", () => {
-        searchIndex = {};
-        searchIndexAccessTimes = {};
-        const indexKey = getStorageKey('notebookSearchIndex');
-        if (indexKey) chrome.storage.local.remove(indexKey);
-        // Reset search indexing feature if it was disabled
-        resetFeature('searchIndexing');
-        updateSearchStats('studio');
-        showToast("Index cleared. Please click your notes to re-index them.");
+/**
+ * Re-render the open board's columns from appState
+ */
+function renderTaskBoard() {
+    const columnsEl = document.querySelector('#plugin-task-board .plugin-board-columns');
+    if (!columnsEl) return;
+
+    const scrollLeft = columnsEl.scrollLeft;
+    const sections = Object.values(appState.source.taskSections || {}).sort((a, b) => (a.order || 0) - (b.order || 0));
+    const byColumn = {};
+    const filterActive = isTaskFilterActive();
+    (appState.source.tasks || []).forEach((task, index) => {
+        if (filterActive && !matchesTaskFilter(task)) return;
+        const key = getBoardColumnKey(task);
+        if (!byColumn[key]) byColumn[key] = [];
+        byColumn[key].push({ task, index });
     });
-}
 
-function expandAllFolders(context) {
-    Object.values(appState[context].folders).forEach(f => f.isOpen = true);
-    saveState();
-    renderTree(context);
-    setTimeout(() => safeProcessItems(context), DOM_SETTLE_DELAY_MS);
+    columnsEl.replaceChildren(
+        createBoardColumn(BOARD_NO_SECTION, 'No Section', byColumn[BOARD_NO_SECTION] || []),
+        ...sections.map(section => createBoardColumn(section.id, section.name, byColumn[section.id] || [], section.color)),
+        createBoardColumn(BOARD_COMPLETED, 'Completed', byColumn[BOARD_COMPLETED] || [])
+    );
+    columnsEl.scrollLeft = scrollLeft;
 }
 
-function collapseAllFolders(context) {
-    Object.values(appState[context].folders).forEach(f => f.isOpen = false);
-    saveState();
-    renderTree(context);
+let boardEscHandler = null;
+
+function closeTaskBoard() {
+    document.getElementById('plugin-task-board')?.remove();
+    if (boardEscHandler) document.removeEventListener('keydown', boardEscHandler);
+    boardEscHandler = null;
 }
 
-function exportFolders() {
-    try {
-        const notebookId = getNotebookId();
-        const data = {
-            version: getExtensionVersion(),
-            exportedAt: new Date().toISOString(),
-            description: "NotebookLM FoldNest backup",
-            notebookId: notebookId,
-            source: appState.source,
-            studio: appState.studio,
-            settings: appState.settings
-        };
-        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-
-        // Generate filename: notebooklm-First 3 Words...
-        let namePart = notebookId ? notebookId.substring(0, 8) : 'backup';
-        const title = getCurrentNotebookTitle();
+/**
+ * Open the board overlay, or close it if it is already open
+ */
+function toggleTaskBoard() {
+    if (document.getElementById('plugin-task-board')) {
+        closeTaskBoard();
+        return;
+    }
 
-        if (title) {
-            const words = title.trim().split(/\s+/);
+    const closeBtn = createEl('button', { className: 'plugin-btn secondary', title: 'Close board (Esc)' }, [getIconElement('cancel', '18px')]);
+    closeBtn.onclick = closeTaskBoard;
+    const addBtn = createEl('button', { className: 'plugin-btn secondary', title: 'New task' }, [getIconElement('add', '18px')]);
+    addBtn.onclick = () => showTaskCreateModal();
+
+    const overlay = createEl('div', { id: 'plugin-task-board', className: 'plugin-board-overlay' }, [
+        createEl('div', { className: 'plugin-board-header' }, [
+            createEl('div', { className: 'plugin-board-title' }, [
+                getIconElement('board', '20px'),
+                `Tasks${getCurrentNotebookTitle() ? ` · ${getCurrentNotebookTitle()}` : ''}`
+            ]),
+            createEl('div', { className: 'plugin-board-actions' }, [addBtn, closeBtn])
+        ]),
+        createEl('div', { className: 'plugin-board-columns' })
+    ]);
 
-            // Check for leading emoji/symbol (no alphanumeric characters)
-            // If found, include it plus 3 words (total 4 tokens)
-            let limit = 3;
-            if (words.length > 0 && !/[a-zA-Z0-9]/.test(words[0])) {
-                limit = 4;
-            }
+    boardEscHandler = (e) => {
+        // Dialogs opened from the board close first
+        if (e.key === 'Escape' && !document.getElementById('plugin-confirm-modal')) closeTaskBoard();
+    };
+    document.addEventListener('keydown', boardEscHandler);
+    document.body.appendChild(overlay);
+    renderTaskBoard();
+}
 
-            if (words.length > limit) {
-                namePart = words.slice(0, limit).join(' ') + '...';
-            } else {
-                namePart = title;
-            }
-        }
+function addTask(taskObj) {
+    if (!isFeatureEnabled('taskManagement')) return;
 
-        // Sanitize for filename (keep unicode like emoji, but remove reserved chars)
-        // Windows reserved: < > : " / \ | ? *
-        const safeName = namePart.replace(/[<>:"\/\\|?*]/g, '');
-        a.download = `notebooklm-${safeName}.json`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
-        showToast("✅ Config downloaded");
-    } catch (e) {
-        console.error('[NotebookLM FoldNest] Download failed:', e);
-        showToast("❌ Download failed");
+    if (!appState.source.tasks) appState.source.tasks = [];
+    const id = Math.random().toString(36).substr(2, 9);
+    if (typeof taskObj === 'string') {
+        appState.source.tasks.push({ id, text: taskObj, done: false, prio: 0, date: "" });
+    } else {
+        appState.source.tasks.push({ id, ...taskObj });
     }
+    saveState();
+    renderTasks();
 }
 
-function importFolders() {
-    try {
-        const input = document.createElement('input');
-        input.type = 'file';
-        input.accept = '.json';
-        input.onchange = (e) => {
-            const file = e.target.files[0];
-            if (!file) return;
-            const reader = new FileReader();
-            reader.onload = (event) => {
-                try {
-                    const data = JSON.parse(event.target.result);
-                    if (!data.source || !data.studio) throw new Error("Invalid backup");
-                    showConfirmModal("Replace existing configuration?", async () => {
-                        appState.source = data.source;
-                        appState.studio = data.studio;
-                        if (data.settings) appState.settings = data.settings;
-                        await saveState();
-                        location.reload();
-                    });
-                } catch (err) {
-                    console.debug('[NotebookLM FoldNest] Upload error:', err);
-                    alert("Upload failed: " + err.message);
+function normalizeKey(str) {
+    if (!str) return "";
+    return str.trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function getSimilarity(s1, s2) {
+    if (!s1 || !s2) return 0;
+    let longer = s1;
+    let shorter = s2;
+    if (s1.length < s2.length) { longer = s2; shorter = s1; }
+    let longerLength = longer.length;
+    if (longerLength === 0) return 1.0;
+    return (longerLength - editDistance(longer, shorter)) / longerLength;
+}
+
+function editDistance(s1, s2) {
+    s1 = (s1 || '').toLowerCase();
+    s2 = (s2 || '').toLowerCase();
+    let costs = new Array();
+    for (let i = 0; i <= s1.length; i++) {
+        let lastValue = i;
+        for (let j = 0; j <= s2.length; j++) {
+            if (i == 0) costs[j] = j;
+            else {
+                if (j > 0) {
+                    let newValue = costs[j - 1];
+                    if (s1.charAt(i - 1) != s2.charAt(j - 1)) newValue = Math.min(Math.min(newValue, lastValue), costs[j]) + 1;
+                    costs[j - 1] = lastValue;
+                    lastValue = newValue;
                 }
-            };
-            reader.readAsText(file);
-        };
-        input.click();
-    } catch (e) {
-        console.error('[NotebookLM FoldNest] Upload setup failed:', e);
+            }
+        }
+        if (i > 0) costs[s2.length] = lastValue;
     }
+    return costs[s2.length];
 }
 
-function showToast(message) {
-    try {
-        const existing = document.getElementById('plugin-toast');
-        if (existing) existing.remove();
-        const toast = document.createElement('div');
-        toast.id = 'plugin-toast';
-        toast.innerText = message;
-        toast.style.cssText = `position: fixed; bottom: 30px; left: 50%; transform: translateX(-50%); background-color: #323232; color: #fff; padding: 10px 24px; border-radius: 4px; font-size: 14px; z-index: 10000; opacity: 0; transition: opacity 0.3s ease-in-out; pointer-events: none;`;
-        document.body.appendChild(toast);
-        requestAnimationFrame(() => toast.style.opacity = '1');
-        setTimeout(() => {
-            toast.style.opacity = '0';
-            setTimeout(() => toast.remove(), TOAST_FADE_MS);
-        }, TOAST_DISPLAY_MS);
-    } catch (e) {
-        // Toast is non-critical
-    }
+/**
+ * Send a request to search-store.js in the service worker
+ * @param {object} message - { action: 'searchIndex…', ... } (notebookId defaults to the open notebook)
+ * @returns {Promise<object|null>} The response, or null when the worker is unreachable
+ */
+function sendSearchIndexMessage(message) {
+    return new Promise((resolve) => {
+        try {
+            chrome.runtime.sendMessage({ notebookId: currentNotebookId, ...message }, (response) => {
+                if (chrome.runtime.lastError || !response || response.error) resolve(null);
+                else resolve(response);
+            });
+        } catch (e) {
+            resolve(null); // Extension was reloaded
+        }
+    });
 }
 
-function updateSearchStats(context) {
-    try {
-        if (context !== 'studio') return;
-        const searchInput = document.querySelector('#plugin-studio-root .plugin-search-area input');
-        if (!searchInput) return;
-        const studioSelector = Array.isArray(activeSelectors.studioRow) ? activeSelectors.studioRow.join(', ') : activeSelectors.studioRow;
-        const totalNotes = document.querySelectorAll(`${studioSelector}.plugin-detected-row, mat-card.plugin-detected-row`).length;
-        const indexedCount = Object.keys(searchIndex).length;
-        searchInput.placeholder = `Search titles (${indexedCount}/${totalNotes} indexed)...`;
-    } catch (e) {
-        // Non-critical
+function loadSearchIndex() {
+    const notebookId = currentNotebookId;
+    sendSearchIndexMessage({ action: 'searchIndexGet', notebookId }).then(response => {
+        if (!response || notebookId !== currentNotebookId) return;
+        // Notes indexed while loading are newer than the stored copies
+        searchIndex = { ...response.entries, ...searchIndex };
+        searchTextIndex = null;
+        updateSearchStats('studio');
+    });
+}
+
+/**
+ * Follow a change broadcast by search-store.js (other tabs, sync, evictions)
+ * @param {{changed: Object<string, string>, evicted: string[], cleared: boolean}} change
+ */
+function applySearchIndexChange({ changed = {}, evicted = [], cleared = false }) {
+    if (cleared) {
+        searchIndex = {};
+        searchTextIndex = null;
     }
+    Object.keys(changed).forEach(key => {
+        if (searchIndex[key] === changed[key]) return;
+        searchIndex[key] = changed[key];
+        updateSearchTextIndex(key, changed[key]);
+    });
+    evicted.forEach(key => {
+        if (!(key in searchIndex)) return;
+        delete searchIndex[key];
+        updateSearchTextIndex(key, null);
+        console.debug('[NotebookLM FoldNest] Evicted LRU index entry:', key);
+    });
+    updateSearchStats('studio');
 }
 
-function startObserver() {
-    try {
-        const targetContainer = safeQuery(document, [
-            '.notebook-container',
-            'main[role="main"]',
-            '[data-notebook-content]',
-            '#app-root',
-            'mat-sidenav-content'
-        ]) || document.body;
+function queueSearchIndexTouch(key) {
+    pendingIndexTouches.add(key);
+    debouncedFlushIndexTouches();
+}
 
-        mainObserver = new MutationObserver((mutations) => {
-            try {
-                const isRelevant = mutations.some(m => {
-                    if (!m.target) return false;
-                    if (m.target.closest && m.target.closest('.plugin-container')) return false;
-                    if (m.type === 'attributes' && (m.attributeName === 'style' || m.attributeName === 'class')) {
-                        if (m.attributeName === 'class' && m.target.tagName === 'MAT-CHECKBOX') return true;
-                        return false;
-                    }
-                    return true;
-                });
-                if (!isRelevant) return;
+function flushSearchIndexTouches() {
+    if (pendingIndexTouches.size === 0) return;
+    sendSearchIndexMessage({ action: 'searchIndexTouch', keys: [...pendingIndexTouches] });
+    pendingIndexTouches = new Set();
+}
 
-                debouncedRunOrganizer();
-                debouncedIndexNote();
-            } catch (e) { }
-        });
+function saveToIndex(title, content) {
+    if (!isFeatureEnabled('searchIndexing')) return;
 
-        mainObserver.observe(targetContainer, {
-            childList: true,
-            subtree: true,
-            attributes: true,
-            attributeFilter: ['class']
+    runWithGracefulDegradation('searchIndexing', () => {
+        if (!title || !content || content.length < 5) return;
+        if (!currentNotebookId || isDashboardMode) return;
+        const key = normalizeKey(title);
+        // Kept in its original case for search snippets and the pop-out
+        let safeContent = content.length > MAX_INDEX_CONTENT_LENGTH ? content.substring(0, MAX_INDEX_CONTENT_LENGTH) : content;
+        if (typeof LZString !== 'undefined') {
+            safeContent = LZString.compressToUTF16(safeContent);
+        }
+        if (searchIndex[key] === safeContent) {
+            // Update access time even if content unchanged
+            queueSearchIndexTouch(key);
+            return;
+        }
+
+        searchIndex[key] = safeContent;
+        updateSearchTextIndex(key, safeContent);
+        updateSearchStats('studio');
+        // One record per note; the service worker evicts least recently used notes beyond its size cap
+        sendSearchIndexMessage({ action: 'searchIndexPut', key, content: safeContent }).then(response => {
+            if (response?.evicted?.length) applySearchIndexChange({ evicted: response.evicted });
         });
+    }, true); // silent = true, don't show toast for indexing failures
+}
 
-        console.debug('[NotebookLM FoldNest] Observer started on:', targetContainer.tagName || 'body');
+function decompressContent(compressedContent, key) {
+    if (!compressedContent) return "";
+    // Update access time for LRU tracking
+    if (key) queueSearchIndexTouch(key);
+    if (typeof LZString === 'undefined') return compressedContent;
+    try {
+        const decompressed = LZString.decompressFromUTF16(compressedContent);
+        return decompressed || compressedContent;
     } catch (e) {
-        console.error('[NotebookLM FoldNest] Observer setup failed:', e);
+        console.debug('[NotebookLM FoldNest] Decompression error:', e.message);
+        return compressedContent;
     }
 }
 
-function safeDetectAndIndexActiveNote() {
-    if (!isFeatureEnabled('searchIndexing')) return;
-
-    runWithGracefulDegradation('searchIndexing', () => {
-        detectAndIndexActiveNote();
-    }, true); // silent = true
+/**
+ * Inverted index over the stored note text. Built from searchIndex on the
+ * first search, then kept current one note at a time.
+ */
+function getSearchTextIndex() {
+    if (!searchTextIndex) {
+        searchTextIndex = window.FoldNestSearch.createIndex();
+        Object.keys(searchIndex).forEach(key => {
+            window.FoldNestSearch.addDocument(searchTextIndex, key, decompressContent(searchIndex[key]));
+        });
+    }
+    return searchTextIndex;
 }
 
-function detectAndIndexActiveNote() {
-    const titleEl = safeQuery(document, activeSelectors.activeNoteTitle);
-    if (!titleEl) return;
-    let title = safeGetText(titleEl) || titleEl.value;
-    if (!title) return;
-    const bodyEl = safeQuery(document, activeSelectors.activeNoteBody);
-    if (bodyEl) {
-        const content = safeGetText(bodyEl);
-        if (content) saveToIndex(title, content);
+/**
+ * Re-index one note after its stored text changed
+ * @param {string} key - normalizeKey(title)
+ * @param {string|null} compressedContent - New stored text (null when removed)
+ */
+function updateSearchTextIndex(key, compressedContent) {
+    if (!searchTextIndex) return; // Not built yet: the first search reads the current entries
+    if (compressedContent) {
+        window.FoldNestSearch.addDocument(searchTextIndex, key, decompressContent(compressedContent));
+    } else {
+        window.FoldNestSearch.removeDocument(searchTextIndex, key);
     }
 }
 
-function safeRunOrganizer() {
-    runWithGracefulDegradation('folderOrganization', () => {
-        runOrganizer();
-    });
+function createSearchSnippet(segments) {
+    return createEl('div', { className: 'plugin-search-snippet' },
+        segments.map(part => (part.match ? createEl('mark', {}, [part.text]) : part.text)));
 }
 
-function safeProcessItems(context) {
-    if (!isFeatureEnabled('folderOrganization')) return;
+function clearSearchRanking(container) {
+    container.classList.remove('plugin-search-ranked');
+    container.querySelectorAll('.plugin-search-snippet').forEach(el => el.remove());
+    container.querySelectorAll('.plugin-proxy-item, .plugin-tree-node').forEach(el => el.style.order = '');
+}
 
-    runWithGracefulDegradation('folderOrganization', () => {
-        processItems(context);
-    });
-}
-
-function runOrganizer() {
-    if (!getNotebookId()) return;
-    applyFocusMode();
-
-    const sourceAnchor = findSelectAllRow();
-    if (sourceAnchor) {
-        injectContainer(sourceAnchor, 'source');
-        processItems('source');
-    }
-
-    const studioAnchor = findStudioAnchor();
-    if (studioAnchor) {
-        injectContainer(studioAnchor, 'studio');
-        processItems('studio');
-    }
-}
-
-function findSelectAllRow() {
+function filterProxies(context, query) {
     try {
-        const nameMatch = document.querySelector('span[name="allsources"]');
-        if (nameMatch) return getRowContainer(nameMatch);
+        const term = (query || '').toLowerCase().trim();
+        const container = document.getElementById(`plugin-${context}-root`);
+        if (!container) return;
+        clearSearchRanking(container);
+        const getFolderNode = (id) => container.querySelector(`#node-${id}`);
+        if (!term) {
+            container.querySelectorAll('.plugin-proxy-item').forEach(el => {
+                el.style.display = 'flex';
+                el.style.opacity = '1';
+                el.removeAttribute('data-match-type');
+            });
+            container.querySelectorAll('.plugin-tree-node').forEach(el => el.style.display = 'block');
+            Object.values(appState[context].folders).forEach(f => {
+                const node = getFolderNode(f.id);
+                if (node) {
+                    if (f.isOpen) node.classList.add('open');
+                    else node.classList.remove('open');
+                }
+            });
+            return;
+        }
+        container.querySelectorAll('.plugin-proxy-item').forEach(el => el.style.display = 'none');
+        container.querySelectorAll('.plugin-tree-node').forEach(el => el.style.display = 'none');
+        const proxies = container.querySelectorAll('.plugin-proxy-item');
+        const terms = term.split(' ').filter(t => t);
 
-        const allSpans = document.querySelectorAll('span, div, label');
-        const textMatch = Array.from(allSpans).find(el =>
-            el.innerText && el.innerText.trim() === "Select all sources"
-        );
-        if (textMatch) return getRowContainer(textMatch);
+        // Every query word has to be in the title or the note text; stop-words
+        // only count when the query has nothing else
+        const { words, hits } = window.FoldNestSearch.search(getSearchTextIndex(), term, key => decompressContent(searchIndex[key], key));
+        const contentWords = words.filter(w => !w.stop);
+        const requiredWords = (contentWords.length ? contentWords : words).map(w => words.indexOf(w));
+        const ranked = [];
 
-        const sourceRowSelector = Array.isArray(activeSelectors.sourceRow)
-            ? activeSelectors.sourceRow[0]
-            : activeSelectors.sourceRow;
-        const allChecks = safeQueryAll(document, 'mat-checkbox');
-        if (allChecks.length > 0) {
-            const firstCheck = allChecks[0];
-            if (!firstCheck.closest(sourceRowSelector)) {
-                return getRowContainer(firstCheck);
-            }
-        }
-        return null;
-    } catch (e) {
-        return null;
-    }
-}
+        proxies.forEach(proxy => {
+            const visibleText = proxy.dataset.searchTerm || proxy.innerText.toLowerCase();
+            const titleRaw = proxy.dataset.ref || "";
+            const titleKey = normalizeKey(titleRaw);
+            const hit = hits.get(titleKey);
+            const inTitle = words.map(w => visibleText.includes(w.word));
+            const isExactMatch = requiredWords.length
+                ? requiredWords.every(i => inTitle[i] || hit?.matched.has(i))
+                : visibleText.includes(term);
+            const isFuzzyMatch = !isExactMatch && terms.every(t => getSimilarity(visibleText, t) > FUZZY_MATCH_THRESHOLD);
+            if (isExactMatch || isFuzzyMatch) {
+                proxy.style.display = 'flex';
+                if (isFuzzyMatch) {
+                    proxy.setAttribute('data-match-type', 'fuzzy');
+                } else {
+                    proxy.setAttribute('data-match-type', 'exact');
+                    proxy.style.opacity = '1';
+                }
 
-function findStudioAnchor() {
-    try {
-        const genBox = safeQuery(document, activeSelectors.generatorBox);
-        if (genBox) return genBox;
+                const titleWords = requiredWords.filter(i => inTitle[i]).length;
+                const score = isExactMatch ? (hit ? hit.score : 0) + titleWords * SEARCH_TITLE_BOOST : -1;
+                ranked.push({ proxy, score });
 
-        const sortBtn = document.querySelector('button[aria-label="Sort"]');
-        if (sortBtn) return getRowContainer(sortBtn);
+                if (isExactMatch && hit) {
+                    const segments = window.FoldNestSearch.makeSnippet(decompressContent(searchIndex[titleKey], titleKey), hit.terms);
+                    if (segments.length) proxy.appendChild(createSearchSnippet(segments));
+                }
 
-        const firstNote = safeQuery(document, activeSelectors.studioRow);
-        if (firstNote) return firstNote;
+                let parent = proxy.parentElement;
+                while (parent && parent !== container) {
+                    if (parent.classList.contains('plugin-node-children')) {
+                        const folderNode = parent.parentElement;
+                        if (folderNode) {
+                            folderNode.style.display = 'block';
+                            folderNode.classList.add('open');
+                        }
+                    }
+                    parent = parent.parentElement;
+                }
+            }
+        });
 
-        return null;
-    } catch (e) {
-        return null;
-    }
-}
+        // Most relevant first within each folder; folders follow their best note
+        ranked.sort((a, b) => b.score - a.score);
+        ranked.forEach(({ proxy }, rank) => {
+            proxy.style.order = rank;
+            let node = proxy.parentElement?.closest('.plugin-tree-node');
+            while (node && container.contains(node)) {
+                if (node.style.order === '' || Number(node.style.order) > rank) node.style.order = rank;
+                node = node.parentElement?.closest('.plugin-tree-node');
+            }
+        });
+        if (ranked.length) container.classList.add('plugin-search-ranked');
 
-function getRowContainer(element) {
-    try {
-        if (!element) return null;
-        let row = element;
-        let depth = 0;
-        while (row && row.parentElement && depth++ < 20) {
-            if (row.classList.contains('row') ||
-                row.parentElement.tagName === 'MAT-NAV-LIST' ||
-                row.parentElement.classList.contains('panel-content')) {
-                return row;
+        const folderNodes = container.querySelectorAll('.plugin-tree-node');
+        folderNodes.forEach(node => {
+            const header = node.querySelector('.plugin-folder-header .folder-name');
+            if (!header) return;
+            const folderName = (header.innerText || '').toLowerCase();
+            const isFolderMatch = folderName.includes(term) || getSimilarity(folderName, term) > FOLDER_NAME_MATCH_THRESHOLD;
+            if (isFolderMatch) {
+                node.style.display = 'block';
+                // Folders matched by name only come after folders with matching notes
+                if (node.style.order === '') node.style.order = ranked.length;
+                let parent = node.parentElement;
+                while (parent && parent !== container) {
+                    if (parent.classList.contains('plugin-node-children')) {
+                        const grandParent = parent.parentElement;
+                        if (grandParent) {
+                            grandParent.style.display = 'block';
+                            grandParent.classList.add('open');
+                            if (grandParent.style.order === '') grandParent.style.order = ranked.length;
+                        }
+                    }
+                    parent = parent.parentElement;
+                }
             }
-            row = row.parentElement;
-        }
-        return element;
+        });
     } catch (e) {
-        return element;
+        console.debug('[NotebookLM FoldNest] Filter proxies error:', e.message);
     }
 }
 
-// --- SIDEBAR RESIZING HELPERS (v0.9.1) ---
-function resizeSidebar(width) {
-    if (width < 200 || width > 420) return;
-    document.documentElement.style.setProperty('--sidebar-width', `${width}px`);
-    localStorage.setItem('notebooklm_sidebar_width', width);
-}
-
-// --- SIDEBAR SHELL HELPER ---
-function ensureSidebarShell() {
-    let shell = document.getElementById('foldnest-sidebar-shell');
-    if (shell) return shell;
-
+// --- SOURCE EXPLORER: Filter by type + search query ---
+function filterSourcesByType() {
     try {
-        shell = document.createElement('div');
-        shell.id = 'foldnest-sidebar-shell';
-        shell.className = 'plugin-sidebar-shell';
+        const container = document.getElementById('plugin-source-root');
+        if (!container) return;
 
-        // Restore state (default open on desktop, closed on mobile)
-        const isMobile = window.innerWidth < 900;
-        const storedState = localStorage.getItem('notebookSidebarOpen');
-        const isOpen = storedState === null ? !isMobile : storedState !== 'false';
+        const { query, activeFilter } = sourceFilterState;
+        const term = (query || '').toLowerCase().trim();
+        const filter = activeFilter || 'all';
 
-        if (!isOpen) {
-            shell.classList.add('collapsed');
-            document.body.classList.add('plugin-sidebar-collapsed');
-        } else {
-            document.body.classList.add('plugin-sidebar-open');
+        // If no filter and no query, reset everything to visible
+        if (filter === 'all' && !term) {
+            container.querySelectorAll('.plugin-proxy-item').forEach(el => {
+                el.style.display = '';
+                el.removeAttribute('data-source-filtered');
+            });
+            container.querySelectorAll('.plugin-tree-node').forEach(el => {
+                el.style.display = '';
+            });
+            // Reset native items
+            document.querySelectorAll('.plugin-detected-row').forEach(el => {
+                el.style.display = '';
+            });
+            return;
         }
 
-        // Create Toggle Button
-        const toggleBtn = document.createElement('div');
-        toggleBtn.className = 'plugin-sidebar-toggle';
-        // Icon: Side Navigation / Sidebar
-        toggleBtn.innerHTML = `<svg focusable="false" width="20" height="20" viewBox="0 0 24 24" fill="currentColor"><path d="M21 4H3C2.45 4 2 4.45 2 5v14c0 .55.45 1 1 1h18c.55 0 1-.45 1-1V5c0-.55-.45-1-1-1zm-1 14H9V6h11v12zM7 6H4v12h3V6z"/></svg>`;
-        toggleBtn.title = "Toggle Sidebar";
-        toggleBtn.onclick = () => {
-            const isCollapsed = shell.classList.toggle('collapsed');
-            document.body.classList.toggle('plugin-sidebar-open', !isCollapsed);
-            document.body.classList.toggle('plugin-sidebar-collapsed', isCollapsed);
-            localStorage.setItem('notebookSidebarOpen', (!isCollapsed).toString());
-        };
+        const proxies = container.querySelectorAll('.plugin-proxy-item');
+        // Get all native rows that are NOT currently proxied (hidden)
+        const nativeRows = Array.from(document.querySelectorAll('.plugin-detected-row')).filter(r =>
+            !r.classList.contains('plugin-hidden-native') &&
+            (r.classList.contains('single-source-container') || r.querySelector('.source-title'))
+        );
 
-        document.body.appendChild(shell);
-        document.body.appendChild(toggleBtn);
+        const matchedFolderIds = new Set();
+        let hasAnyMatch = false;
 
-        // --- v0.9.1 RESIZER INJECTION (Dashboard Only) ---
-        if (getPageType() === 'dashboard') {
-            shell.classList.add('dashboard-mode'); // Scoped styling marker
-            const resizer = document.createElement('div');
-            resizer.id = 'sidebar-resizer';
-            resizer.className = 'plugin-sidebar-resizer';
-            shell.appendChild(resizer);
+        proxies.forEach(proxy => {
+            const sourceType = proxy.dataset.sourceType || 'other';
+            const searchTerm = proxy.dataset.searchTerm || proxy.innerText.toLowerCase();
 
-            // Resizer Logic
-            let startX, startWidth;
+            const typeMatch = (filter === 'all') || (sourceType === filter);
+            const textMatch = !term || searchTerm.includes(term);
 
-            const onMouseMove = (e) => {
-                requestAnimationFrame(() => {
-                    const newWidth = Math.max(200, Math.min(420, startWidth + (e.clientX - startX)));
-                    resizeSidebar(newWidth);
-                });
-            };
+            if (typeMatch && textMatch) {
+                proxy.style.display = 'flex';
+                proxy.setAttribute('data-source-filtered', 'visible');
+                hasAnyMatch = true;
+                // Expand parent folders to show match
+                let parent = proxy.parentElement;
+                while (parent && parent !== container) {
+                    if (parent.classList.contains('plugin-node-children')) {
+                        const folderNode = parent.parentElement;
+                        if (folderNode && folderNode.id) {
+                            folderNode.style.display = 'block';
+                            folderNode.classList.add('open');
+                            matchedFolderIds.add(folderNode.id);
+                        }
+                    }
+                    parent = parent.parentElement;
+                }
+            } else {
+                proxy.style.display = 'none';
+                proxy.setAttribute('data-source-filtered', 'hidden');
+            }
+        });
 
-            const onMouseUp = () => {
-                document.removeEventListener('mousemove', onMouseMove);
-                document.removeEventListener('mouseup', onMouseUp);
-                document.body.style.userSelect = '';
-                resizer.classList.remove('active');
-            };
+        nativeRows.forEach(native => {
+            const sourceType = native.dataset.sourceType || 'other';
+            const searchTerm = native.dataset.searchTerm || (native.innerText || '').toLowerCase();
 
-            resizer.addEventListener('mousedown', (e) => {
-                startX = e.clientX;
-                startWidth = parseInt(getComputedStyle(document.documentElement).getPropertyValue('--sidebar-width')) || 260;
-                document.addEventListener('mousemove', onMouseMove);
-                document.addEventListener('mouseup', onMouseUp);
-                document.body.style.userSelect = 'none'; // Prevent selection
-                resizer.classList.add('active');
-            });
-        }
+            const typeMatch = (filter === 'all') || (sourceType === filter);
+            const textMatch = !term || searchTerm.includes(term);
 
-        return shell;
+            if (typeMatch && textMatch) {
+                native.style.display = '';
+                hasAnyMatch = true;
+            } else {
+                native.style.display = 'none';
+            }
+        });
+
+        // Hide folders with no visible children (unless folder name matches)
+        container.querySelectorAll('.plugin-tree-node').forEach(node => {
+            if (matchedFolderIds.has(node.id)) return; // Already shown by child match
+            const header = node.querySelector('.plugin-folder-header .folder-name');
+            if (header) {
+                const folderName = (header.innerText || '').toLowerCase();
+                if (term && folderName.includes(term)) {
+                    node.style.display = 'block';
+                    hasAnyMatch = true;
+                    return;
+                }
+            }
+            // Check if any descendant proxy is visible
+            const hasVisible = node.querySelector('.plugin-proxy-item[data-source-filtered="visible"]');
+            node.style.display = hasVisible ? 'block' : 'none';
+        });
+
+        let emptyMsg = container.querySelector('.plugin-source-empty-msg');
+        if (!hasAnyMatch && (term || filter !== 'all')) {
+            if (!emptyMsg) {
+                emptyMsg = document.createElement('div');
+                emptyMsg.className = 'plugin-source-empty-msg';
+                emptyMsg.style.cssText = 'padding: 20px; text-align: center; color: #9aa0a6; font-size: 13px; font-style: italic;';
+                emptyMsg.textContent = 'No sources match your search.';
+                container.appendChild(emptyMsg);
+            }
+            emptyMsg.style.display = 'block';
+        } else if (emptyMsg) {
+            emptyMsg.style.display = 'none';
+        }
     } catch (e) {
-        console.error('[NotebookLM FoldNest] Failed to create sidebar shell:', e);
-        return null;
+        console.debug('[NotebookLM FoldNest] filterSourcesByType error:', e.message);
     }
 }
 
-function injectContainer(anchorEl, context) {
-    try {
-        const id = `plugin-${context}-root`;
-        if (safeHasClass(anchorEl, 'plugin-ui-injected') || document.getElementById(id)) return;
-        let wrapper = anchorEl.parentElement;
-        if (!wrapper) return;
+// --- SOURCE EXPLORER: Lock View Modal ---
+function showLockViewModal() {
+    const existing = document.getElementById('plugin-confirm-modal');
+    if (existing) existing.remove();
 
-        const container = document.createElement('div');
-        container.id = id;
-        container.className = 'plugin-container';
+    const overlay = document.createElement('div');
+    overlay.id = 'plugin-confirm-modal';
+    overlay.className = 'plugin-modal-overlay';
+    overlay.innerHTML = `
+        <div class="plugin-modal-content plugin-lock-modal">
+            <div class="plugin-lock-modal-title">Lock Current View</div>
+            <div class="plugin-lock-modal-sub">Save this filter combination to quickly restore it later.</div>
+            <div class="plugin-lock-modal-input-wrap">
+                <input type="text" class="plugin-lock-modal-input" placeholder="My Custom View" maxlength="50" />
+                <span class="plugin-lock-modal-counter">0/50</span>
+            </div>
+            <div class="plugin-modal-buttons">
+                <button class="plugin-modal-btn cancel">Cancel</button>
+                <button class="plugin-modal-btn confirm plugin-lock-save-btn">Lock View</button>
+            </div>
+        </div>
+    `;
 
-        const controls = document.createElement('div');
-        controls.className = 'plugin-controls-area';
-        const rebuildBtn = context === 'studio' ? `<button class="plugin-btn secondary rebuild-index" title="Rebuild Index (Local)">${ICONS.refresh}</button>` : '';
-        const focusBtn = context === 'studio' ? `<button class="plugin-btn secondary toggle-focus toggle-off" title="Enter Zen Mode">${ICONS.focus}</button>` : '';
+    const closeModal = () => overlay.remove();
+    const input = overlay.querySelector('.plugin-lock-modal-input');
+    const counter = overlay.querySelector('.plugin-lock-modal-counter');
+    const saveBtn = overlay.querySelector('.plugin-lock-save-btn');
 
-        controls.innerHTML = `
-            <button class="plugin-btn add-folder" title="Create New Folder">${ICONS.newFolder}</button>
-            <button class="plugin-btn secondary expand-all" title="Expand All">${ICONS.expandAll}</button>
-            <button class="plugin-btn secondary collapse-all" title="Collapse All">${ICONS.collapseAll}</button>
-            <button class="plugin-btn secondary export-btn" title="Download config">${ICONS.export}</button>
-            <button class="plugin-btn secondary import-btn" title="Upload config">${ICONS.import}</button>
-            <button class="plugin-btn secondary reset-btn" title="Reset Tree">${ICONS.restart}</button>
-            ${rebuildBtn}
-            ${focusBtn}
-        `;
+    input.oninput = () => {
+        counter.textContent = `${input.value.length}/50`;
+    };
 
-        if (context === 'source') {
-            const toggleResearchBtn = document.createElement('button');
-            toggleResearchBtn.className = 'plugin-btn secondary toggle-research';
-            toggleResearchBtn.innerHTML = ICONS.search;
-            const applyResearchState = () => {
-                const isVisible = appState.settings.showResearch;
-                const promos = document.querySelectorAll('.source-discovery-promo-container');
-                const boxes = document.querySelectorAll('source-discovery-query-box');
-                promos.forEach(el => el.style.display = isVisible ? '' : 'none');
-                boxes.forEach(el => el.style.display = isVisible ? '' : 'none');
-                toggleResearchBtn.classList.toggle('toggle-off', !isVisible);
-                toggleResearchBtn.title = isVisible ? "Hide Web Research" : "Show Web Research";
-            };
-            toggleResearchBtn.onclick = () => {
-                appState.settings.showResearch = !appState.settings.showResearch;
-                saveState();
-                applyResearchState();
-            };
-            applyResearchState();
-            controls.appendChild(toggleResearchBtn);
+    saveBtn.onclick = () => {
+        const name = input.value.trim();
+        if (!name) {
+            input.style.borderColor = '#EF5350';
+            input.setAttribute('placeholder', 'Please enter a name');
+            return;
+        }
+        if (!sourceFilterState.lockedViews) sourceFilterState.lockedViews = [];
+        sourceFilterState.lockedViews.push({
+            name,
+            query: sourceFilterState.query,
+            filter: sourceFilterState.activeFilter,
+            id: Date.now().toString(36)
+        });
+        saveSourceFilterState();
+        mirrorLockedViews();
+        closeModal();
+        renderLockedViewPills();
+        showToast(`View "${name}" locked`);
+    };
 
-            // --- [NEW] SELECT ALL BUTTON ---
-            const selectAllBtn = document.createElement('button');
-            selectAllBtn.className = 'plugin-btn secondary select-all-btn';
-            selectAllBtn.innerHTML = ICONS.selectAll;
-            selectAllBtn.title = "Toggle All Sources";
-            selectAllBtn.onclick = () => toggleAllSources();
-            controls.appendChild(selectAllBtn);
-            // -------------------------------
+    overlay.querySelector('.plugin-modal-btn.cancel').onclick = closeModal;
+    overlay.onclick = (e) => { if (e.target === overlay) closeModal(); };
 
-            const taskSection = document.createElement('div');
-            taskSection.className = 'plugin-task-section';
-            const arrowClass = appState.settings.tasksOpen ? 'arrow open' : 'arrow';
+    const escHandler = (e) => {
+        if (e.key === 'Escape') { closeModal(); document.removeEventListener('keydown', escHandler); }
+    };
+    document.addEventListener('keydown', escHandler);
 
-            // Build section options for dropdown
-            const sections = appState.source.taskSections || {};
-            const sortedSections = Object.values(sections).sort((a, b) => (a.order || 0) - (b.order || 0));
-            let sectionOptionsHtml = '<option value="">No Section</option>';
-            sortedSections.forEach(s => {
-                sectionOptionsHtml += `<option value="${s.id}">${s.name}</option>`;
+    document.body.appendChild(overlay);
+    input.focus();
+}
+
+// --- SOURCE EXPLORER: Render locked view pills ---
+function renderLockedViewPills() {
+    const mount = document.getElementById('plugin-locked-views-mount');
+    if (!mount) return;
+
+    if (!sourceFilterState.lockedViews || sourceFilterState.lockedViews.length === 0) {
+        mount.innerHTML = '';
+        mount.style.display = 'none';
+        return;
+    }
+
+    mount.style.display = 'flex';
+    mount.innerHTML = '';
+
+    sourceFilterState.lockedViews.forEach((view) => {
+        const pill = document.createElement('div');
+        pill.className = 'plugin-locked-view-pill';
+        const chipDef = SOURCE_FILTER_CHIPS.find(c => c.key === view.filter) || SOURCE_FILTER_CHIPS[0];
+        pill.style.setProperty('--pill-color', chipDef.color);
+
+        const nameSpan = document.createElement('span');
+        nameSpan.className = 'pill-name';
+        nameSpan.textContent = view.name;
+
+        const removeBtn = document.createElement('span');
+        removeBtn.className = 'pill-remove';
+        removeBtn.innerHTML = '&times;';
+        removeBtn.title = 'Remove view';
+        removeBtn.onclick = (e) => {
+            e.stopPropagation();
+            sourceFilterState.lockedViews = sourceFilterState.lockedViews.filter(v => v.id !== view.id);
+            saveSourceFilterState();
+            mirrorLockedViews();
+            renderLockedViewPills();
+            showToast('View removed');
+        };
+
+        pill.appendChild(nameSpan);
+        pill.appendChild(removeBtn);
+
+        pill.onclick = () => {
+            sourceFilterState.query = view.query || '';
+            sourceFilterState.activeFilter = view.filter || 'all';
+
+            // Update search input
+            const searchInput = document.querySelector('#plugin-source-root .plugin-source-search input');
+            if (searchInput) {
+                searchInput.value = sourceFilterState.query;
+                const clearBtn = document.querySelector('#plugin-source-root .plugin-source-search-clear');
+                if (clearBtn) clearBtn.style.opacity = sourceFilterState.query ? '1' : '0';
+            }
+
+            // Update active chip
+            const chips = document.querySelectorAll('#plugin-source-root .plugin-filter-chip');
+            chips.forEach(c => {
+                const isActive = c.dataset.filter === sourceFilterState.activeFilter;
+                c.classList.toggle('active', isActive);
+                const chipColor = c.style.getPropertyValue('--chip-color');
+                if (isActive) {
+                    c.style.background = chipColor;
+                    c.style.color = '#fff';
+                } else {
+                    c.style.background = 'rgba(255,255,255,0.04)';
+                    c.style.color = chipColor;
+                }
             });
 
-            taskSection.innerHTML = `
-                <div class="plugin-task-header">
-                    <div style="display:flex; align-items:center; gap:4px;">
-                        <span class="${arrowClass}">${ICONS.chevron}</span> 
-                        Tasks <span id="plugin-task-count" style="font-size:11px; opacity:0.7;"></span>
-                    </div>
-                    <div class="plugin-task-header-actions">
-                        <div class="plugin-header-btn add-section" title="Add Section">${ICONS.newFolder}</div>
-                        <div class="plugin-header-btn sort-tasks-date" title="Sort by Due Date">${ICONS.sortDate}</div>
-                        <div class="plugin-header-btn sort-tasks" title="Sort by Priority">${ICONS.sort}</div>
-                    </div>
-                </div>
-                <div class="plugin-task-body" style="display:${appState.settings.tasksOpen ? 'block' : 'none'}">
+            saveSourceFilterState();
+            filterSourcesByType();
+            showToast(`View "${view.name}" applied`);
+        };
+
+        mount.appendChild(pill);
+    });
+}
+
+function filterStudioToNote(noteTitle) {
+    try {
+        if (!noteTitle) return;
+
+        // Find the Studio search input
+        const studioRoot = document.getElementById('plugin-studio-root');
+        if (!studioRoot) {
+            showToast("Studio panel not found");
+            return;
+        }
+
+        const searchInput = studioRoot.querySelector('.plugin-search-area input');
+        const clearBtn = studioRoot.querySelector('.plugin-search-area .search-clear-btn');
+        if (searchInput) {
+            // Set the search input value
+            searchInput.value = noteTitle;
+            // Trigger the filter
+            filterProxies('studio', noteTitle);
+            // Show the clear button
+            if (clearBtn) clearBtn.classList.add('visible');
+            // Focus the input so user can easily clear it
+            searchInput.focus();
+            searchInput.select();
+        } else {
+            // If no search input, just filter directly
+            filterProxies('studio', noteTitle);
+        }
+
+        showToast(`Filtered to: ${noteTitle}`);
+    } catch (e) {
+        console.debug('[NotebookLM FoldNest] Filter studio to note error:', e.message);
+    }
+}
+
+function rebuildSearchIndex() {
+    showConfirmModal("Rebuild Search Index?<br><br>This will clear your local search cache.", () => {
+        cancelNoteCrawler();
+        searchIndex = {};
+        pendingIndexTouches = new Set();
+        searchTextIndex = null;
+        sendSearchIndexMessage({ action: 'searchIndexClear' });
+        // Reset search indexing feature if it was disabled
+        resetFeature('searchIndexing');
+        updateSearchStats('studio');
+        showConfirmModal("Index cleared.<br><br>Open every Studio note now to re-index it?",
+            () => startNoteCrawler(),
+            () => showToast("Index cleared. Notes are re-indexed as you open them."));
+    });
+}
+
+// --- BACKGROUND NOTE INDEXING ---
+// Opt-in crawler for notes that were never opened: it opens each Studio note
+// that is not indexed yet, saves its text with saveToIndex(), then reopens the
+// note that was open before. One note at a time, with a pause in between.
+
+const CRAWL_NOTE_DELAY_MS = 1500; // Pause between two notes
+const CRAWL_LOAD_TIMEOUT_MS = 8000; // A note whose editor does not show up is skipped
+const CRAWL_POLL_MS = 250;
+
+let noteCrawl = null; // { notebookId, total, done, indexed, cancelled, error, finished } while the crawler runs
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Title of the note open in the editor ('' when none)
+ */
+function getActiveNoteTitle() {
+    const titleEl = safeQuery(document, activeSelectors.activeNoteTitle);
+    // The title input's aria-label is not its title, so its value comes first
+    return titleEl ? (titleEl.value || safeGetText(titleEl) || '').trim() : '';
+}
+
+/**
+ * Studio notes in the page (generated audio, reports etc. have no text to index)
+ * @returns {Map<string, {title: string, row: HTMLElement}>} normalizeKey(title) -> note
+ */
+function getStudioNoteRows() {
+    const notes = new Map();
+    safeQueryAll(document, activeSelectors.studioNoteRow).forEach(row => {
+        const title = safeGetText(safeQuery(row, activeSelectors.studioTitle));
+        if (title && !notes.has(normalizeKey(title))) notes.set(normalizeKey(title), { title, row });
+    });
+    return notes;
+}
+
+function openStudioNote(row) {
+    const titleEl = safeQuery(row, activeSelectors.studioTitle);
+    if (titleEl) safeClick(titleEl);
+    else safeClick(row);
+}
+
+/**
+ * Leave the open note. Throws when no closeNoteButton selector matches, since
+ * the crawler cannot get back to the note list without it.
+ */
+function closeOpenNote() {
+    if (!safeClick(safeQuery(document, activeSelectors.closeNoteButton))) {
+        throw new Error('No close-note button found (closeNoteButton selectors)');
+    }
+}
+
+/**
+ * Make sure the note list is in the page, leaving the open note if it replaced the list
+ * @returns {Promise<boolean>}
+ */
+async function showStudioNoteList() {
+    if (safeQuery(document, activeSelectors.studioNoteRow)) return true;
+    closeOpenNote();
+    for (let waited = 0; waited < CRAWL_LOAD_TIMEOUT_MS; waited += CRAWL_POLL_MS) {
+        await wait(CRAWL_POLL_MS);
+        if (safeQuery(document, activeSelectors.studioNoteRow)) return true;
+    }
+    return false;
+}
+
+/**
+ * Wait until the editor shows a note and its text has stopped changing
+ * @param {string} title
+ * @returns {Promise<string>} Note text ('' on timeout or cancel)
+ */
+async function waitForNoteBody(title) {
+    const key = normalizeKey(title);
+    let previous = '';
+    for (let waited = 0; waited < CRAWL_LOAD_TIMEOUT_MS && !noteCrawl?.cancelled; waited += CRAWL_POLL_MS) {
+        await wait(CRAWL_POLL_MS);
+        if (normalizeKey(getActiveNoteTitle()) !== key) continue;
+        const content = safeGetText(safeQuery(document, activeSelectors.activeNoteBody));
+        // Long notes render in chunks; two equal reads in a row mean it is done
+        if (content && content === previous) return content;
+        previous = content;
+    }
+    return '';
+}
+
+/**
+ * Reopen the note that was open before the crawl (or close the editor)
+ * @param {string} title - '' when no note was open
+ */
+async function restoreOpenNote(title) {
+    if (normalizeKey(getActiveNoteTitle()) === normalizeKey(title)) return;
+    if (!title) {
+        closeOpenNote();
+        return;
+    }
+    if (!(await showStudioNoteList())) return;
+    const note = getStudioNoteRows().get(normalizeKey(title));
+    if (note) openStudioNote(note.row);
+}
+
+/**
+ * Ask before indexing, since the crawler takes over the Studio panel for a while
+ */
+function confirmNoteCrawler() {
+    if (!isFeatureEnabled('searchIndexing')) {
+        showToast("Search indexing is disabled");
+        return;
+    }
+    const pending = [...getStudioNoteRows().keys()].filter(key => !searchIndex[key]).length;
+    if (pending === 0) {
+        showToast("Every Studio note is already indexed");
+        return;
+    }
+    const seconds = Math.ceil(pending * (CRAWL_NOTE_DELAY_MS + 1000) / 1000);
+    showConfirmModal(
+        `Index all Studio notes?<br><br>FoldNest will open the ${pending} note${pending === 1 ? '' : 's'} not indexed yet one by one ` +
+        `(about ${seconds} seconds), then return to the note you have open. You can cancel at any time.`,
+        () => startNoteCrawler()
+    );
+}
+
+/**
+ * Open every unindexed Studio note in turn and index it. A cancelled crawl
+ * still running (e.g. right after a rebuild) is waited for first.
+ */
+async function startNoteCrawler() {
+    if (noteCrawl?.cancelled) await noteCrawl.finished;
+    if (noteCrawl || !currentNotebookId || isDashboardMode) return;
+    const pending = [...getStudioNoteRows().entries()]
+        .filter(([key]) => !searchIndex[key])
+        .map(([, note]) => note.title);
+    if (pending.length === 0) return;
+
+    let finish;
+    const crawl = {
+        notebookId: currentNotebookId,
+        total: pending.length,
+        done: 0,
+        indexed: 0,
+        cancelled: false,
+        error: null,
+        finished: new Promise(resolve => { finish = resolve; })
+    };
+    noteCrawl = crawl;
+    const originalTitle = getActiveNoteTitle();
+
+    try {
+        for (const title of pending) {
+            if (crawl.cancelled || currentNotebookId !== crawl.notebookId) break;
+            renderNoteCrawlProgress(title);
+
+            const note = (await showStudioNoteList()) && getStudioNoteRows().get(normalizeKey(title));
+            if (note) {
+                openStudioNote(note.row);
+                const content = await waitForNoteBody(title);
+                if (content && !crawl.cancelled) {
+                    saveToIndex(title, content);
+                    crawl.indexed++;
+                }
+            }
+            crawl.done++;
+            renderNoteCrawlProgress();
+            if (crawl.done < crawl.total && !crawl.cancelled) await wait(CRAWL_NOTE_DELAY_MS);
+        }
+        if (currentNotebookId === crawl.notebookId) await restoreOpenNote(originalTitle);
+    } catch (e) {
+        console.warn('[NotebookLM FoldNest] Note indexing stopped:', e.message);
+        crawl.error = e.message;
+    } finally {
+        noteCrawl = null;
+        renderNoteCrawlProgress();
+        finish();
+    }
+
+    if (crawl.error) {
+        showToast(`Indexing stopped after ${crawl.indexed} note${crawl.indexed === 1 ? '' : 's'}: ${crawl.error}`);
+    } else {
+        showToast(crawl.cancelled
+            ? `Indexing cancelled (${crawl.indexed} note${crawl.indexed === 1 ? '' : 's'} indexed)`
+            : `Indexed ${crawl.indexed} of ${crawl.total} notes`);
+    }
+}
+
+function cancelNoteCrawler() {
+    if (!noteCrawl) return;
+    noteCrawl.cancelled = true;
+    renderNoteCrawlProgress();
+}
+
+/**
+ * Progress bar with a cancel button under the Studio controls (removed when idle)
+ * @param {string} currentTitle - Note being opened, if any
+ */
+function renderNoteCrawlProgress(currentTitle = '') {
+    let bar = document.getElementById('plugin-index-crawl');
+    if (!noteCrawl) {
+        if (bar) bar.remove();
+        return;
+    }
+
+    const studioRoot = document.getElementById('plugin-studio-root');
+    if (!bar && studioRoot) {
+        const cancelBtn = createEl('button', { className: 'plugin-btn secondary plugin-index-crawl-cancel', title: 'Stop indexing' }, ['Cancel']);
+        cancelBtn.onclick = () => cancelNoteCrawler();
+        bar = createEl('div', { id: 'plugin-index-crawl', className: 'plugin-index-crawl' }, [
+            createEl('div', { className: 'plugin-index-crawl-row' }, [
+                createEl('span', { className: 'plugin-index-crawl-label' }),
+                cancelBtn
+            ]),
+            createEl('div', { className: 'plugin-index-crawl-track' }, [
+                createEl('div', { className: 'plugin-index-crawl-fill' })
+            ])
+        ]);
+        const controls = studioRoot.querySelector('.plugin-controls-area');
+        if (controls) controls.after(bar);
+        else studioRoot.prepend(bar);
+    }
+    if (!bar) return;
+
+    const { done, total, cancelled } = noteCrawl;
+    let label = `Indexed ${done} of ${total} notes`;
+    if (cancelled) label = 'Cancelling…';
+    else if (currentTitle) label = `Indexing ${done + 1} of ${total}: ${currentTitle}`;
+    bar.querySelector('.plugin-index-crawl-label').textContent = label;
+    bar.querySelector('.plugin-index-crawl-label').title = label;
+    bar.querySelector('.plugin-index-crawl-cancel').disabled = cancelled;
+    bar.querySelector('.plugin-index-crawl-fill').style.width = `${Math.round(done / total * 100)}%`;
+}
+
+function expandAllFolders(context) {
+    Object.values(appState[context].folders).forEach(f => f.isOpen = true);
+    saveState();
+    renderTree(context);
+    setTimeout(() => safeProcessItems(context), DOM_SETTLE_DELAY_MS);
+}
+
+function collapseAllFolders(context) {
+    Object.values(appState[context].folders).forEach(f => f.isOpen = false);
+    saveState();
+    renderTree(context);
+}
+
+function exportFolders() {
+    try {
+        const notebookId = getNotebookId();
+        const data = {
+            version: getExtensionVersion(),
+            exportedAt: new Date().toISOString(),
+            description: "NotebookLM FoldNest backup",
+            notebookId: notebookId,
+            source: appState.source,
+            studio: appState.studio,
+            settings: appState.settings
+        };
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+
+        // Generate filename: notebooklm-First 3 Words...
+        let namePart = notebookId ? notebookId.substring(0, 8) : 'backup';
+        const title = getCurrentNotebookTitle();
+
+        if (title) {
+            const words = title.trim().split(/\s+/);
+
+            // Check for leading emoji/symbol (no alphanumeric characters)
+            // If found, include it plus 3 words (total 4 tokens)
+            let limit = 3;
+            if (words.length > 0 && !/[a-zA-Z0-9]/.test(words[0])) {
+                limit = 4;
+            }
+
+            if (words.length > limit) {
+                namePart = words.slice(0, limit).join(' ') + '...';
+            } else {
+                namePart = title;
+            }
+        }
+
+        // Sanitize for filename (keep unicode like emoji, but remove reserved chars)
+        // Windows reserved: < > : " / \ | ? *
+        const safeName = namePart.replace(/[<>:"\/\\|?*]/g, '');
+        a.download = `notebooklm-${safeName}.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+        showToast("✅ Config downloaded");
+    } catch (e) {
+        console.error('[NotebookLM FoldNest] Download failed:', e);
+        showToast("❌ Download failed");
+    }
+}
+
+function importFolders() {
+    try {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json';
+        input.onchange = (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            const reader = new FileReader();
+            reader.onload = (event) => {
+                try {
+                    const data = JSON.parse(event.target.result);
+                    if (!data.source || !data.studio) throw new Error("Invalid backup");
+                    showConfirmModal("Replace existing configuration?", async () => {
+                        appState.source = data.source;
+                        appState.studio = data.studio;
+                        if (data.settings) appState.settings = data.settings;
+                        await saveState();
+                        location.reload();
+                    });
+                } catch (err) {
+                    console.debug('[NotebookLM FoldNest] Upload error:', err);
+                    alert("Upload failed: " + err.message);
+                }
+            };
+            reader.readAsText(file);
+        };
+        input.click();
+    } catch (e) {
+        console.error('[NotebookLM FoldNest] Upload setup failed:', e);
+    }
+}
+
+function showToast(message) {
+    try {
+        const existing = document.getElementById('plugin-toast');
+        if (existing) existing.remove();
+        const toast = document.createElement('div');
+        toast.id = 'plugin-toast';
+        toast.innerText = message;
+        toast.style.cssText = `position: fixed; bottom: 30px; left: 50%; transform: translateX(-50%); background-color: #323232; color: #fff; padding: 10px 24px; border-radius: 4px; font-size: 14px; z-index: 10000; opacity: 0; transition: opacity 0.3s ease-in-out; pointer-events: none;`;
+        document.body.appendChild(toast);
+        requestAnimationFrame(() => toast.style.opacity = '1');
+        setTimeout(() => {
+            toast.style.opacity = '0';
+            setTimeout(() => toast.remove(), TOAST_FADE_MS);
+        }, TOAST_DISPLAY_MS);
+    } catch (e) {
+        // Toast is non-critical
+    }
+}
+
+function updateSearchStats(context) {
+    try {
+        if (context !== 'studio') return;
+        const searchInput = document.querySelector('#plugin-studio-root .plugin-search-area input');
+        if (!searchInput) return;
+        const studioSelector = Array.isArray(activeSelectors.studioRow) ? activeSelectors.studioRow.join(', ') : activeSelectors.studioRow;
+        const totalNotes = document.querySelectorAll(`${studioSelector}.plugin-detected-row, mat-card.plugin-detected-row`).length;
+        const indexedCount = Object.keys(searchIndex).length;
+        searchInput.placeholder = `Search titles (${indexedCount}/${totalNotes} indexed)...`;
+    } catch (e) {
+        // Non-critical
+    }
+}
+
+function startObserver() {
+    try {
+        const targetContainer = safeQuery(document, [
+            '.notebook-container',
+            'main[role="main"]',
+            '[data-notebook-content]',
+            '#app-root',
+            'mat-sidenav-content'
+        ]) || document.body;
+
+        mainObserver = new MutationObserver((mutations) => {
+            try {
+                const isRelevant = mutations.some(m => {
+                    if (!m.target) return false;
+                    if (m.target.closest && m.target.closest('.plugin-container')) return false;
+                    if (m.type === 'attributes' && (m.attributeName === 'style' || m.attributeName === 'class')) {
+                        if (m.attributeName === 'class' && m.target.tagName === 'MAT-CHECKBOX') return true;
+                        return false;
+                    }
+                    return true;
+                });
+                if (!isRelevant) return;
+
+                debouncedRunOrganizer();
+                debouncedIndexNote();
+            } catch (e) { }
+        });
+
+        mainObserver.observe(targetContainer, {
+            childList: true,
+            subtree: true,
+            attributes: true,
+            attributeFilter: ['class']
+        });
+
+        console.debug('[NotebookLM FoldNest] Observer started on:', targetContainer.tagName || 'body');
+    } catch (e) {
+        console.error('[NotebookLM FoldNest] Observer setup failed:', e);
+    }
+}
+
+function safeDetectAndIndexActiveNote() {
+    if (!isFeatureEnabled('searchIndexing')) return;
+
+    runWithGracefulDegradation('searchIndexing', () => {
+        detectAndIndexActiveNote();
+    }, true); // silent = true
+}
+
+function detectAndIndexActiveNote() {
+    const title = getActiveNoteTitle();
+    if (!title) return;
+    const bodyEl = safeQuery(document, activeSelectors.activeNoteBody);
+    if (bodyEl) {
+        const content = safeGetText(bodyEl);
+        if (content) saveToIndex(title, content);
+    }
+}
+
+function safeRunOrganizer() {
+    runWithGracefulDegradation('folderOrganization', () => {
+        runOrganizer();
+    });
+}
+
+function safeProcessItems(context) {
+    if (!isFeatureEnabled('folderOrganization')) return;
+
+    runWithGracefulDegradation('folderOrganization', () => {
+        processItems(context);
+    });
+}
+
+function runOrganizer() {
+    if (!getNotebookId()) return;
+    applyFocusMode();
+
+    const sourceAnchor = findSelectAllRow();
+    if (sourceAnchor) {
+        injectContainer(sourceAnchor, 'source');
+        processItems('source');
+    }
+
+    const studioAnchor = findStudioAnchor();
+    if (studioAnchor) {
+        injectContainer(studioAnchor, 'studio');
+        processItems('studio');
+    }
+}
+
+function findSelectAllRow() {
+    try {
+        const nameMatch = document.querySelector('span[name="allsources"]');
+        if (nameMatch) return getRowContainer(nameMatch);
+
+        const allSpans = document.querySelectorAll('span, div, label');
+        const textMatch = Array.from(allSpans).find(el =>
+            el.innerText && el.innerText.trim() === "Select all sources"
+        );
+        if (textMatch) return getRowContainer(textMatch);
+
+        const sourceRowSelector = Array.isArray(activeSelectors.sourceRow)
+            ? activeSelectors.sourceRow[0]
+            : activeSelectors.sourceRow;
+        const allChecks = safeQueryAll(document, 'mat-checkbox');
+        if (allChecks.length > 0) {
+            const firstCheck = allChecks[0];
+            if (!firstCheck.closest(sourceRowSelector)) {
+                return getRowContainer(firstCheck);
+            }
+        }
+        return null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function findStudioAnchor() {
+    try {
+        const genBox = safeQuery(document, activeSelectors.generatorBox);
+        if (genBox) return genBox;
+
+        const sortBtn = document.querySelector('button[aria-label="Sort"]');
+        if (sortBtn) return getRowContainer(sortBtn);
+
+        const firstNote = safeQuery(document, activeSelectors.studioRow);
+        if (firstNote) return firstNote;
+
+        return null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function getRowContainer(element) {
+    try {
+        if (!element) return null;
+        let row = element;
+        let depth = 0;
+        while (row && row.parentElement && depth++ < 20) {
+            if (row.classList.contains('row') ||
+                row.parentElement.tagName === 'MAT-NAV-LIST' ||
+                row.parentElement.classList.contains('panel-content')) {
+                return row;
+            }
+            row = row.parentElement;
+        }
+        return element;
+    } catch (e) {
+        return element;
+    }
+}
+
+// --- SIDEBAR RESIZING HELPERS (v0.9.1) ---
+function resizeSidebar(width) {
+    if (width < 200 || width > 420) return;
+    document.documentElement.style.setProperty('--sidebar-width', `${width}px`);
+    localStorage.setItem('notebooklm_sidebar_width', width);
+}
+
+// --- SIDEBAR SHELL HELPER ---
+function ensureSidebarShell() {
+    let shell = document.getElementById('foldnest-sidebar-shell');
+    if (shell) return shell;
+
+    try {
+        shell = document.createElement('div');
+        shell.id = 'foldnest-sidebar-shell';
+        shell.className = 'plugin-sidebar-shell';
+
+        // Restore state (default open on desktop, closed on mobile)
+        const isMobile = window.innerWidth < 900;
+        const storedState = localStorage.getItem('notebookSidebarOpen');
+        const isOpen = storedState === null ? !isMobile : storedState !== 'false';
+
+        if (!isOpen) {
+            shell.classList.add('collapsed');
+            document.body.classList.add('plugin-sidebar-collapsed');
+        } else {
+            document.body.classList.add('plugin-sidebar-open');
+        }
+
+        // Create Toggle Button
+        const toggleBtn = document.createElement('div');
+        toggleBtn.className = 'plugin-sidebar-toggle';
+        // Icon: Side Navigation / Sidebar
+        toggleBtn.innerHTML = `<svg focusable="false" width="20" height="20" viewBox="0 0 24 24" fill="currentColor"><path d="M21 4H3C2.45 4 2 4.45 2 5v14c0 .55.45 1 1 1h18c.55 0 1-.45 1-1V5c0-.55-.45-1-1-1zm-1 14H9V6h11v12zM7 6H4v12h3V6z"/></svg>`;
+        toggleBtn.title = "Toggle Sidebar";
+        toggleBtn.onclick = () => {
+            const isCollapsed = shell.classList.toggle('collapsed');
+            document.body.classList.toggle('plugin-sidebar-open', !isCollapsed);
+            document.body.classList.toggle('plugin-sidebar-collapsed', isCollapsed);
+            localStorage.setItem('notebookSidebarOpen', (!isCollapsed).toString());
+        };
+
+        document.body.appendChild(shell);
+        document.body.appendChild(toggleBtn);
+
+        // --- v0.9.1 RESIZER INJECTION (Dashboard Only) ---
+        if (getPageType() === 'dashboard') {
+            shell.classList.add('dashboard-mode'); // Scoped styling marker
+            const resizer = document.createElement('div');
+            resizer.id = 'sidebar-resizer';
+            resizer.className = 'plugin-sidebar-resizer';
+            shell.appendChild(resizer);
+
+            // Resizer Logic
+            let startX, startWidth;
+
+            const onMouseMove = (e) => {
+                requestAnimationFrame(() => {
+                    const newWidth = Math.max(200, Math.min(420, startWidth + (e.clientX - startX)));
+                    resizeSidebar(newWidth);
+                });
+            };
+
+            const onMouseUp = () => {
+                document.removeEventListener('mousemove', onMouseMove);
+                document.removeEventListener('mouseup', onMouseUp);
+                document.body.style.userSelect = '';
+                resizer.classList.remove('active');
+            };
+
+            resizer.addEventListener('mousedown', (e) => {
+                startX = e.clientX;
+                startWidth = parseInt(getComputedStyle(document.documentElement).getPropertyValue('--sidebar-width')) || 260;
+                document.addEventListener('mousemove', onMouseMove);
+                document.addEventListener('mouseup', onMouseUp);
+                document.body.style.userSelect = 'none'; // Prevent selection
+                resizer.classList.add('active');
+            });
+        }
+
+        return shell;
+    } catch (e) {
+        console.error('[NotebookLM FoldNest] Failed to create sidebar shell:', e);
+        return null;
+    }
+}
+
+function injectContainer(anchorEl, context) {
+    try {
+        const id = `plugin-${context}-root`;
+        if (safeHasClass(anchorEl, 'plugin-ui-injected') || document.getElementById(id)) return;
+        let wrapper = anchorEl.parentElement;
+        if (!wrapper) return;
+
+        const container = document.createElement('div');
+        container.id = id;
+        container.className = 'plugin-container';
+
+        const controls = document.createElement('div');
+        controls.className = 'plugin-controls-area';
+        const rebuildBtn = context === 'studio' ? `<button class="plugin-btn secondary rebuild-index" title="Rebuild Index (Local)">${ICONS.refresh}</button>` : '';
+        const indexAllBtn = context === 'studio' ? `<button class="plugin-btn secondary index-all" title="Index All Notes">${ICONS.indexNotes}</button>` : '';
+        const focusBtn = context === 'studio' ? `<button class="plugin-btn secondary toggle-focus toggle-off" title="Enter Zen Mode">${ICONS.focus}</button>` : '';
+
+        controls.innerHTML = `
+            <button class="plugin-btn add-folder" title="Create New Folder">${ICONS.newFolder}</button>
+            <button class="plugin-btn secondary expand-all" title="Expand All">${ICONS.expandAll}</button>
+            <button class="plugin-btn secondary collapse-all" title="Collapse All">${ICONS.collapseAll}</button>
+            <button class="plugin-btn secondary export-btn" title="Download config">${ICONS.export}</button>
+            <button class="plugin-btn secondary import-btn" title="Upload config">${ICONS.import}</button>
+            <button class="plugin-btn secondary reset-btn" title="Reset Tree">${ICONS.restart}</button>
+            ${rebuildBtn}
+            ${indexAllBtn}
+            ${focusBtn}
+        `;
+
+        if (context === 'source') {
+            const toggleResearchBtn = document.createElement('button');
+            toggleResearchBtn.className = 'plugin-btn secondary toggle-research';
+            toggleResearchBtn.innerHTML = ICONS.search;
+            const applyResearchState = () => {
+                const isVisible = appState.settings.showResearch;
+                const promos = document.querySelectorAll('.source-discovery-promo-container');
+                const boxes = document.querySelectorAll('source-discovery-query-box');
+                promos.forEach(el => el.style.display = isVisible ? '' : 'none');
+                boxes.forEach(el => el.style.display = isVisible ? '' : 'none');
+                toggleResearchBtn.classList.toggle('toggle-off', !isVisible);
+                toggleResearchBtn.title = isVisible ? "Hide Web Research" : "Show Web Research";
+            };
+            toggleResearchBtn.onclick = () => {
+                appState.settings.showResearch = !appState.settings.showResearch;
+                saveState();
+                applyResearchState();
+            };
+            applyResearchState();
+            controls.appendChild(toggleResearchBtn);
+
+            // --- [NEW] SELECT ALL BUTTON ---
+            const selectAllBtn = document.createElement('button');
+            selectAllBtn.className = 'plugin-btn secondary select-all-btn';
+            selectAllBtn.innerHTML = ICONS.selectAll;
+            selectAllBtn.title = "Toggle All Sources";
+            selectAllBtn.onclick = () => toggleAllSources();
+            controls.appendChild(selectAllBtn);
+            // -------------------------------
+
+            const taskSection = document.createElement('div');
+            taskSection.className = 'plugin-task-section';
+            const arrowClass = appState.settings.tasksOpen ? 'arrow open' : 'arrow';
+
+            // Build section options for dropdown
+            const sections = appState.source.taskSections || {};
+            const sortedSections = Object.values(sections).sort((a, b) => (a.order || 0) - (b.order || 0));
+            let sectionOptionsHtml = '<option value="">No Section</option>';
+            sortedSections.forEach(s => {
+                sectionOptionsHtml += `<option value="${s.id}">${s.name}</option>`;
+            });
+
+            taskSection.innerHTML = `
+                <div class="plugin-task-header">
+                    <div style="display:flex; align-items:center; gap:4px;">
+                        <span class="${arrowClass}">${ICONS.chevron}</span> 
+                        Tasks <span id="plugin-task-count" style="font-size:11px; opacity:0.7;"></span>
+                    </div>
+                    <div class="plugin-task-header-actions">
+                        <div class="plugin-header-btn add-section" title="Add Section">${ICONS.newFolder}</div>
+                        <div class="plugin-header-btn import-tasks" title="Import tasks (Markdown / CSV)">${ICONS.import}</div>
+                        <div class="plugin-header-btn export-tasks" title="Export tasks (Markdown / CSV / JSON)">${ICONS.export}</div>
+                        <div class="plugin-header-btn sort-tasks-date" title="Sort by Due Date">${ICONS.sortDate}</div>
+                        <div class="plugin-header-btn sort-tasks" title="Sort by Priority">${ICONS.sort}</div>
+                        <div class="plugin-header-btn filter-tasks" title="Filter tasks">${ICONS.tune}</div>
+                        <div class="plugin-header-btn board-tasks" title="Board view">${ICONS.board}</div>
+                        <div class="plugin-header-btn calendar-tasks" title="Calendar export / import (.ics)">${ICONS.calendar}</div>
+                        <div class="plugin-header-btn time-summary" title="Time tracked this week">${ICONS.timer}</div>
+                    </div>
+                </div>
+                <div id="plugin-task-timer-mount" class="plugin-task-timer-bar" style="display:none;"></div>
+                <div class="plugin-task-body" style="display:${appState.settings.tasksOpen ? 'block' : 'none'}">
                     <div class="plugin-task-input-area">
-                        <input type="text" class="task-text-input" placeholder="Add task..." />
+                        <input type="text" class="task-text-input" placeholder="Add task... (e.g. quiz fri 3pm !high #section)" />
                         <button class="plugin-btn secondary expand-options-btn" title="More Options">${ICONS.moreHoriz}</button>
                         <button class="plugin-btn secondary add-task-btn">${ICONS.add}</button>
                     </div>
+                    <div class="plugin-quickadd-preview" style="display:none;"></div>
                     <div class="plugin-task-options" style="display:none;">
                         <div class="plugin-task-options-row">
                             <label>
@@ -3193,6 +5109,7 @@ function injectContainer(anchorEl, context) {
                             </label>
                         </div>
                     </div>
+                    <div id="plugin-task-filter-mount" class="plugin-task-filter-bar" style="display:none;"></div>
                     <div id="plugin-task-list-mount" class="plugin-task-list"></div>
                 </div>
             `;
@@ -3213,1597 +5130,2550 @@ function injectContainer(anchorEl, context) {
                         }
                     }
                 };
-            }
-            const sortTasksBtn = taskSection.querySelector('.sort-tasks');
-            if (sortTasksBtn) {
-                sortTasksBtn.onclick = (e) => {
-                    e.stopPropagation();
-                    if (appState.source.tasks && appState.source.tasks.length > 0) {
-                        appState.source.tasks.sort((a, b) => {
-                            const getVal = (p) => (p && p > 0) ? p : 99;
-                            return getVal(a.prio) - getVal(b.prio);
-                        });
-                        saveState();
-                        renderTasks();
-                        showToast("Tasks sorted by Priority");
-                    }
+            }
+            const filterBtn = taskSection.querySelector('.filter-tasks');
+            if (filterBtn) {
+                filterBtn.onclick = (e) => {
+                    e.stopPropagation();
+                    taskFilterPanelOpen = !taskFilterPanelOpen;
+                    filterBtn.classList.toggle('active', taskFilterPanelOpen);
+                    renderTaskFilterBar();
+                };
+            }
+            const boardBtn = taskSection.querySelector('.board-tasks');
+            if (boardBtn) {
+                boardBtn.onclick = (e) => {
+                    e.stopPropagation();
+                    toggleTaskBoard();
+                };
+            }
+            const calendarBtn = taskSection.querySelector('.calendar-tasks');
+            if (calendarBtn) {
+                calendarBtn.onclick = (e) => {
+                    e.stopPropagation();
+                    showCalendarModal({
+                        getItems: getNotebookCalendarItems,
+                        name: `notebooklm-tasks-${(getCurrentNotebookTitle() || getNotebookId() || 'notebook').trim()}`,
+                        allowImport: true
+                    });
+                };
+            }
+            const importTasksBtn = taskSection.querySelector('.import-tasks');
+            if (importTasksBtn) {
+                importTasksBtn.onclick = (e) => {
+                    e.stopPropagation();
+                    showTaskImportModal();
+                };
+            }
+            const exportTasksBtn = taskSection.querySelector('.export-tasks');
+            if (exportTasksBtn) {
+                exportTasksBtn.onclick = (e) => {
+                    e.stopPropagation();
+                    showTaskExportModal({ allowCurrent: true });
+                };
+            }
+            const timeSummaryBtn = taskSection.querySelector('.time-summary');
+            if (timeSummaryBtn) {
+                timeSummaryBtn.onclick = (e) => {
+                    e.stopPropagation();
+                    showTimeSummaryModal();
+                };
+            }
+            const sortTasksBtn = taskSection.querySelector('.sort-tasks');
+            if (sortTasksBtn) {
+                sortTasksBtn.onclick = (e) => {
+                    e.stopPropagation();
+                    if (appState.source.tasks && appState.source.tasks.length > 0) {
+                        appState.source.tasks.sort((a, b) => {
+                            const getVal = (p) => (p && p > 0) ? p : 99;
+                            return getVal(a.prio) - getVal(b.prio);
+                        });
+                        saveState();
+                        renderTasks();
+                        showToast("Tasks sorted by Priority");
+                    }
+                };
+            }
+            const addSectionBtn = taskSection.querySelector('.add-section');
+            if (addSectionBtn) {
+                addSectionBtn.onclick = (e) => {
+                    e.stopPropagation();
+                    const name = prompt("Section Name:");
+                    if (name && name.trim()) {
+                        createTaskSection(name.trim());
+                        showToast("Section created");
+                        // Refresh the section dropdown
+                        const select = taskSection.querySelector('.task-section-select');
+                        if (select) {
+                            const newOption = document.createElement('option');
+                            newOption.value = Object.keys(appState.source.taskSections).pop();
+                            newOption.textContent = name.trim();
+                            select.appendChild(newOption);
+                        }
+                    }
+                };
+            }
+
+            // Sort by date handler
+            const sortDateBtn = taskSection.querySelector('.sort-tasks-date');
+            if (sortDateBtn) {
+                sortDateBtn.onclick = (e) => {
+                    e.stopPropagation();
+                    if (appState.source.tasks && appState.source.tasks.length > 0) {
+                        appState.source.tasks.sort((a, b) => {
+                            // Tasks with no date go to the end
+                            if (!a.date && !b.date) return 0;
+                            if (!a.date) return 1;
+                            if (!b.date) return -1;
+                            return new Date(a.date) - new Date(b.date);
+                        });
+                        saveState();
+                        renderTasks();
+                        showToast("Tasks sorted by Due Date");
+                    }
+                };
+            }
+
+            const taskInput = taskSection.querySelector('.task-text-input');
+            const taskDateInput = taskSection.querySelector('.task-date-input');
+            const taskSectionSelect = taskSection.querySelector('.task-section-select');
+            const taskOptionsPanel = taskSection.querySelector('.plugin-task-options');
+            const expandOptionsBtn = taskSection.querySelector('.expand-options-btn');
+            const addTaskBtn = taskSection.querySelector('.add-task-btn');
+            const quickAddPreview = taskSection.querySelector('.plugin-quickadd-preview');
+
+            // Toggle options panel
+            if (expandOptionsBtn && taskOptionsPanel) {
+                expandOptionsBtn.onclick = (e) => {
+                    e.stopPropagation();
+                    const isVisible = taskOptionsPanel.style.display !== 'none';
+                    taskOptionsPanel.style.display = isVisible ? 'none' : 'block';
+                    expandOptionsBtn.classList.toggle('active', !isVisible);
+                };
+            }
+
+            // Quick date buttons
+            const quickDateBtns = taskSection.querySelectorAll('.quick-date-btn');
+            quickDateBtns.forEach(btn => {
+                btn.onclick = (e) => {
+                    e.stopPropagation();
+                    const days = parseInt(btn.dataset.days, 10);
+                    const date = new Date();
+                    date.setDate(date.getDate() + days);
+                    const dateStr = date.toISOString().split('T')[0];
+                    if (taskDateInput) taskDateInput.value = dateStr;
+                };
+            });
+
+            const addTaskHandler = () => {
+                if (taskInput) {
+                    const val = taskInput.value.trim();
+                    if (val) {
+                        // Quick add: inline syntax, with the options panel taking precedence
+                        const parsed = parseQuickAddTask(val);
+                        const dateVal = taskDateInput ? taskDateInput.value : '';
+                        const sectionVal = taskSectionSelect ? taskSectionSelect.value : '';
+                        addTask({
+                            text: parsed.text,
+                            done: false,
+                            prio: parsed.prio,
+                            date: dateVal || parsed.date,
+                            sectionId: sectionVal || parsed.sectionId,
+                            ...(parsed.reminder ? { reminder: parsed.reminder } : {}),
+                            ...(parsed.tags.length ? { tags: parsed.tags } : {})
+                        });
+                        taskInput.value = '';
+                        if (taskDateInput) taskDateInput.value = '';
+                        if (taskSectionSelect) taskSectionSelect.value = '';
+                        renderQuickAddPreview(quickAddPreview, '');
+                    } else {
+                        // No text: open full create modal
+                        showTaskCreateModal();
+                    }
+                }
+            };
+            if (addTaskBtn) addTaskBtn.onclick = addTaskHandler;
+            if (taskInput) {
+                taskInput.onkeydown = (e) => { if (e.key === 'Enter') addTaskHandler(); };
+                taskInput.oninput = () => renderQuickAddPreview(quickAddPreview, taskInput.value);
+            }
+            // --- SOURCE EXPLORER SECTION ---
+            const sourceExplorer = document.createElement('div');
+            sourceExplorer.className = 'plugin-source-explorer';
+            // Inline fallbacks for card shell
+            sourceExplorer.style.cssText = 'margin:12px 8px 14px 8px;border-radius:14px;overflow:hidden;border:1.5px solid rgba(77,208,225,0.40);box-shadow:0 4px 24px rgba(0,0,0,0.30);';
+
+            // --- Section header (collapsible) ---
+            const explorerHeader = document.createElement('div');
+            explorerHeader.className = 'plugin-source-explorer-header';
+            explorerHeader.innerHTML = `
+                <div class="plugin-source-explorer-title">
+                    <span class="plugin-source-explorer-icon">${ICONS.search}</span>
+                    <span class="se-title-text">Source Explorer</span>
+                </div>
+                <span class="plugin-source-explorer-arrow open">${ICONS.chevron}</span>
+            `;
+
+            const explorerBody = document.createElement('div');
+            explorerBody.className = 'plugin-source-explorer-body' + (appState.settings.sourceExplorerOpen ? '' : ' collapsed');
+            if (!appState.settings.sourceExplorerOpen) explorerBody.style.display = 'none';
+
+            explorerHeader.querySelector('.plugin-source-explorer-arrow').classList.toggle('open', appState.settings.sourceExplorerOpen);
+
+            explorerHeader.onclick = () => {
+                appState.settings.sourceExplorerOpen = !appState.settings.sourceExplorerOpen;
+                saveState();
+                explorerBody.style.display = appState.settings.sourceExplorerOpen ? '' : 'none';
+                explorerBody.classList.toggle('collapsed', !appState.settings.sourceExplorerOpen);
+                explorerHeader.querySelector('.plugin-source-explorer-arrow').classList.toggle('open', appState.settings.sourceExplorerOpen);
+            };
+
+            sourceExplorer.appendChild(explorerHeader);
+            sourceExplorer.appendChild(explorerBody);
+
+            // Search bar
+            const searchArea = document.createElement('div');
+            searchArea.className = 'plugin-source-search';
+            searchArea.style.cssText = 'display:flex;align-items:center;gap:10px;background:rgba(32,33,36,0.90);border:2px solid rgba(77,208,225,0.35);border-radius:12px;padding:11px 16px;';
+            searchArea.innerHTML = `
+                <span class="plugin-source-search-icon">${ICONS.search}</span>
+                <input type="text" placeholder="Search sources..." style="flex:1;background:transparent;border:none;outline:none;color:#e8eaed;font-size:14px;min-width:0;padding:2px 0;" />
+                <span class="plugin-source-search-clear" title="Clear">${ICONS.cancel}</span>
+            `;
+
+            const sourceSearchInput = searchArea.querySelector('input');
+            const sourceSearchClear = searchArea.querySelector('.plugin-source-search-clear');
+            const debouncedSourceFilter = debounce((value) => {
+                sourceFilterState.query = value;
+                filterSourcesByType();
+                saveSourceFilterState();
+            }, 300);
+
+            // initialize value if saved
+            if (sourceFilterState.query) {
+                sourceSearchInput.value = sourceFilterState.query;
+                sourceSearchClear.style.opacity = '1';
+            } else {
+                sourceSearchClear.style.opacity = '0';
+            }
+
+            sourceSearchInput.oninput = (e) => {
+                const val = e.target.value.toLowerCase();
+                sourceSearchClear.style.opacity = val ? '1' : '0';
+                debouncedSourceFilter(val);
+            };
+            sourceSearchClear.onclick = () => {
+                sourceSearchInput.value = '';
+                sourceSearchClear.style.opacity = '0';
+                sourceFilterState.query = '';
+                filterSourcesByType();
+                saveSourceFilterState();
+            };
+
+            explorerBody.appendChild(searchArea);
+
+            // Filter label
+            const filterLabel = document.createElement('div');
+            filterLabel.className = 'plugin-source-filter-label';
+            filterLabel.textContent = 'Filter by type';
+            explorerBody.appendChild(filterLabel);
+
+            // Filter chips
+            const chipRow = document.createElement('div');
+            chipRow.className = 'plugin-source-filter-chips';
+
+            SOURCE_FILTER_CHIPS.forEach(chip => {
+                const isActive = chip.key === sourceFilterState.activeFilter;
+                const btn = document.createElement('button');
+                btn.className = 'plugin-filter-chip' + (isActive ? ' active' : '');
+                btn.dataset.filter = chip.key;
+                btn.style.setProperty('--chip-color', chip.color);
+                // Inline fallbacks to survive Angular Material button resets
+                btn.style.border = `2px solid ${chip.color}`;
+                btn.style.color = isActive ? '#fff' : chip.color;
+                btn.style.background = isActive ? chip.color : 'rgba(255,255,255,0.04)';
+                btn.style.borderRadius = '20px';
+                btn.style.padding = '8px 18px';
+                btn.style.fontWeight = '700';
+                btn.style.fontSize = '12.5px';
+                btn.style.cursor = 'pointer';
+                btn.style.letterSpacing = '0.4px';
+                btn.textContent = chip.label;
+
+                btn.onclick = () => {
+                    const wasActive = btn.classList.contains('active');
+                    // Remove active from all — also reset inline styles
+                    chipRow.querySelectorAll('.plugin-filter-chip').forEach(c => {
+                        c.classList.remove('active');
+                        const cColor = c.style.getPropertyValue('--chip-color');
+                        c.style.background = 'rgba(255,255,255,0.04)';
+                        c.style.color = cColor;
+                    });
+                    if (wasActive && chip.key !== 'all') {
+                        // Clicking active chip resets to All
+                        const allChip = chipRow.querySelector('[data-filter="all"]');
+                        allChip.classList.add('active');
+                        allChip.style.background = allChip.style.getPropertyValue('--chip-color') || '#4DD0E1';
+                        allChip.style.color = '#fff';
+                        sourceFilterState.activeFilter = 'all';
+                    } else {
+                        btn.classList.add('active');
+                        btn.style.background = chip.color;
+                        btn.style.color = '#fff';
+                        sourceFilterState.activeFilter = chip.key;
+                    }
+                    saveSourceFilterState();
+                    filterSourcesByType();
+                };
+
+                chipRow.appendChild(btn);
+            });
+
+            explorerBody.appendChild(chipRow);
+
+            // Lock View button + locked views mount
+            const lockRow = document.createElement('div');
+            lockRow.className = 'plugin-lock-view-row';
+
+            const lockBtn = document.createElement('button');
+            lockBtn.className = 'plugin-lock-view-btn';
+            // Inline fallbacks for gradient button
+            lockBtn.style.background = 'linear-gradient(135deg, #4DD0E1 0%, #AB47BC 50%, #FF7043 100%)';
+            lockBtn.style.color = '#fff';
+            lockBtn.style.border = 'none';
+            lockBtn.style.borderRadius = '24px';
+            lockBtn.style.padding = '10px 24px';
+            lockBtn.style.fontWeight = '700';
+            lockBtn.style.fontSize = '13px';
+            lockBtn.style.cursor = 'pointer';
+            lockBtn.style.letterSpacing = '0.5px';
+            lockBtn.innerHTML = `${ICONS.lock} <span>Lock View</span>`;
+            lockBtn.onclick = () => showLockViewModal();
+            lockRow.appendChild(lockBtn);
+
+            explorerBody.appendChild(lockRow);
+
+            const lockedViewsMount = document.createElement('div');
+            lockedViewsMount.id = 'plugin-locked-views-mount';
+            lockedViewsMount.className = 'plugin-locked-views';
+            lockedViewsMount.style.display = 'none';
+            explorerBody.appendChild(lockedViewsMount);
+
+            setTimeout(renderLockedViewPills, 50);
+
+            // Re-apply filter on initial render
+            setTimeout(() => {
+                if (sourceFilterState.query || sourceFilterState.activeFilter !== 'all') {
+                    filterSourcesByType();
+                }
+            }, 100);
+
+            container.appendChild(sourceExplorer);
+            // --- END SOURCE EXPLORER ---
+
+            container.appendChild(taskSection);
+            setTimeout(renderTasks, DOM_SETTLE_DELAY_MS);
+        }
+
+        if (context === 'studio') {
+            const toggleBtn = document.createElement('button');
+            toggleBtn.className = 'plugin-btn secondary toggle-gen';
+            toggleBtn.innerHTML = ICONS.tune;
+            const applyGeneratorsState = () => {
+                const isVisible = appState.settings.showGenerators;
+                const box = safeQuery(document, activeSelectors.generatorBox);
+                if (box) box.style.display = isVisible ? '' : 'none';
+                toggleBtn.classList.toggle('toggle-off', !isVisible);
+                toggleBtn.title = isVisible ? "Hide Generators" : "Show Generators";
+            };
+            toggleBtn.onclick = () => {
+                appState.settings.showGenerators = !appState.settings.showGenerators;
+                saveState();
+                applyGeneratorsState();
+            };
+            applyGeneratorsState();
+            controls.appendChild(toggleBtn);
+
+            const searchDiv = document.createElement('div');
+            searchDiv.className = 'plugin-search-area';
+            searchDiv.innerHTML = `
+                <input type="text" placeholder="Search titles...">
+                <span class="search-clear-btn" title="Clear search">${ICONS.cancel}</span>
+            `;
+            const debouncedFilter = debounce((value) => filterProxies(context, value), DEBOUNCE_SEARCH_MS);
+            const searchInput = searchDiv.querySelector('input');
+            const clearBtn = searchDiv.querySelector('.search-clear-btn');
+            if (searchInput) {
+                searchInput.oninput = (e) => {
+                    debouncedFilter(e.target.value);
+                    // Show/hide clear button based on input content
+                    if (clearBtn) clearBtn.classList.toggle('visible', e.target.value.length > 0);
                 };
             }
-            const addSectionBtn = taskSection.querySelector('.add-section');
-            if (addSectionBtn) {
-                addSectionBtn.onclick = (e) => {
-                    e.stopPropagation();
-                    const name = prompt("Section Name:");
-                    if (name && name.trim()) {
-                        createTaskSection(name.trim());
-                        showToast("Section created");
-                        // Refresh the section dropdown
-                        const select = taskSection.querySelector('.task-section-select');
-                        if (select) {
-                            const newOption = document.createElement('option');
-                            newOption.value = Object.keys(appState.source.taskSections).pop();
-                            newOption.textContent = name.trim();
-                            select.appendChild(newOption);
-                        }
+            if (clearBtn) {
+                clearBtn.onclick = () => {
+                    if (searchInput) {
+                        searchInput.value = '';
+                        filterProxies(context, '');
+                        clearBtn.classList.remove('visible');
+                        searchInput.focus();
                     }
                 };
             }
+            container.appendChild(searchDiv);
+        }
 
-            // Sort by date handler
-            const sortDateBtn = taskSection.querySelector('.sort-tasks-date');
-            if (sortDateBtn) {
-                sortDateBtn.onclick = (e) => {
-                    e.stopPropagation();
-                    if (appState.source.tasks && appState.source.tasks.length > 0) {
-                        appState.source.tasks.sort((a, b) => {
-                            // Tasks with no date go to the end
-                            if (!a.date && !b.date) return 0;
-                            if (!a.date) return 1;
-                            if (!b.date) return -1;
-                            return new Date(a.date) - new Date(b.date);
-                        });
-                        saveState();
-                        renderTasks();
-                        showToast("Tasks sorted by Due Date");
-                    }
-                };
+        const addFolderBtn = controls.querySelector('.add-folder');
+        if (addFolderBtn) addFolderBtn.onclick = () => createFolder(context);
+
+        const expandAllBtn = controls.querySelector('.expand-all');
+        if (expandAllBtn) expandAllBtn.onclick = () => expandAllFolders(context);
+
+        const collapseAllBtn = controls.querySelector('.collapse-all');
+        if (collapseAllBtn) collapseAllBtn.onclick = () => collapseAllFolders(context);
+
+        const exportBtn = controls.querySelector('.export-btn');
+        if (exportBtn) exportBtn.onclick = () => exportFolders();
+
+        const importBtn = controls.querySelector('.import-btn');
+        if (importBtn) importBtn.onclick = () => importFolders();
+
+        const resetBtn = controls.querySelector('.reset-btn');
+        if (resetBtn) {
+            resetBtn.onclick = () => {
+                showConfirmModal("Reset all folders?", async () => {
+                    appState[context] = { folders: {}, mappings: {}, pinned: [], tasks: [] };
+                    await saveState();
+                    location.reload();
+                });
+            };
+        }
+
+        if (context === 'studio') {
+            const rebuildIndexBtn = controls.querySelector('.rebuild-index');
+            if (rebuildIndexBtn) rebuildIndexBtn.onclick = () => rebuildSearchIndex();
+
+            const indexAllButton = controls.querySelector('.index-all');
+            if (indexAllButton) indexAllButton.onclick = () => (noteCrawl ? cancelNoteCrawler() : confirmNoteCrawler());
+
+            const toggleFocusBtn = controls.querySelector('.toggle-focus');
+            if (toggleFocusBtn) toggleFocusBtn.onclick = () => toggleFocusMode();
+        }
+        container.appendChild(controls);
+
+        const pinnedMount = document.createElement('div');
+        pinnedMount.id = `pinned-mount-${context}`;
+        pinnedMount.className = 'plugin-pinned-section';
+        pinnedMount.style.display = 'none';
+        container.appendChild(pinnedMount);
+
+        const treeMount = document.createElement('div');
+        treeMount.id = `tree-mount-${context}`;
+        container.appendChild(treeMount);
+
+        if (context === 'source') {
+            wrapper.insertBefore(container, anchorEl);
+        } else if (context === 'studio') {
+            if (safeHasClass(anchorEl, 'create-artifact-buttons-container') && anchorEl.nextElementSibling) {
+                wrapper.insertBefore(container, anchorEl.nextElementSibling);
+            } else if (anchorEl.tagName === 'ARTIFACT-LIBRARY-NOTE' || anchorEl.tagName === 'MAT-CARD') {
+                wrapper.insertBefore(container, anchorEl);
+            } else {
+                wrapper.appendChild(container);
             }
+        } else {
+            wrapper.appendChild(container);
+        }
+        anchorEl.classList.add('plugin-ui-injected');
+        renderTree(context);
+    } catch (e) {
+        console.error('[NotebookLM FoldNest] Inject container error:', e);
+    }
+}
 
-            const taskInput = taskSection.querySelector('.task-text-input');
-            const taskDateInput = taskSection.querySelector('.task-date-input');
-            const taskSectionSelect = taskSection.querySelector('.task-section-select');
-            const taskOptionsPanel = taskSection.querySelector('.plugin-task-options');
-            const expandOptionsBtn = taskSection.querySelector('.expand-options-btn');
-            const addTaskBtn = taskSection.querySelector('.add-task-btn');
+function renderTree(context) {
+    if (!isFeatureEnabled('treeRendering')) return;
 
-            // Toggle options panel
-            if (expandOptionsBtn && taskOptionsPanel) {
-                expandOptionsBtn.onclick = (e) => {
-                    e.stopPropagation();
-                    const isVisible = taskOptionsPanel.style.display !== 'none';
-                    taskOptionsPanel.style.display = isVisible ? 'none' : 'block';
-                    expandOptionsBtn.classList.toggle('active', !isVisible);
-                };
-            }
+    runWithGracefulDegradation('treeRendering', () => {
+        const mount = document.getElementById(`tree-mount-${context}`);
+        if (!mount) return;
+        const fragment = document.createDocumentFragment();
+        const folders = Object.values(appState[context].folders || {});
+        const roots = folders.filter(f => !f.parentId).sort((a, b) => (a.order || 0) - (b.order || 0) || a.name.localeCompare(b.name));
+        roots.forEach(root => fragment.appendChild(buildFolderNode(root, folders, context)));
+        mount.innerHTML = '';
+        mount.appendChild(fragment);
+    });
+}
 
-            // Quick date buttons
-            const quickDateBtns = taskSection.querySelectorAll('.quick-date-btn');
-            quickDateBtns.forEach(btn => {
-                btn.onclick = (e) => {
-                    e.stopPropagation();
-                    const days = parseInt(btn.dataset.days, 10);
-                    const date = new Date();
-                    date.setDate(date.getDate() + days);
-                    const dateStr = date.toISOString().split('T')[0];
-                    if (taskDateInput) taskDateInput.value = dateStr;
-                };
-            });
+function buildFolderNode(folder, allFolders, context) {
+    const node = document.createElement('div');
+    node.className = `plugin-tree-node ${folder.isOpen ? 'open' : ''}`;
+    node.id = `node-${folder.id}`;
+    const style = folder.color ? `border-left: 4px solid ${folder.color};` : '';
 
-            const addTaskHandler = () => {
-                if (taskInput) {
-                    const val = taskInput.value.trim();
-                    if (val) {
-                        // Quick add: use inline options if provided
-                        const dateVal = taskDateInput ? taskDateInput.value : '';
-                        const sectionVal = taskSectionSelect ? taskSectionSelect.value : '';
-                        addTask({
-                            text: val,
-                            done: false,
-                            prio: 0,
-                            date: dateVal,
-                            sectionId: sectionVal || null
-                        });
-                        taskInput.value = '';
-                        if (taskDateInput) taskDateInput.value = '';
-                        if (taskSectionSelect) taskSectionSelect.value = '';
-                    } else {
-                        // No text: open full create modal
-                        showTaskCreateModal();
-                    }
-                }
-            };
-            if (addTaskBtn) addTaskBtn.onclick = addTaskHandler;
-            if (taskInput) taskInput.onkeydown = (e) => { if (e.key === 'Enter') addTaskHandler(); };
-            // --- SOURCE EXPLORER SECTION ---
-            const sourceExplorer = document.createElement('div');
-            sourceExplorer.className = 'plugin-source-explorer';
-            // Inline fallbacks for card shell
-            sourceExplorer.style.cssText = 'margin:12px 8px 14px 8px;border-radius:14px;overflow:hidden;border:1.5px solid rgba(77,208,225,0.40);box-shadow:0 4px 24px rgba(0,0,0,0.30);';
+    const header = document.createElement('div');
+    header.className = 'plugin-folder-header';
+    header.style.cssText = style;
 
-            // --- Section header (collapsible) ---
-            const explorerHeader = document.createElement('div');
-            explorerHeader.className = 'plugin-source-explorer-header';
-            explorerHeader.innerHTML = `
-                <div class="plugin-source-explorer-title">
-                    <span class="plugin-source-explorer-icon">${ICONS.search}</span>
-                    <span class="se-title-text">Source Explorer</span>
-                </div>
-                <span class="plugin-source-explorer-arrow open">${ICONS.chevron}</span>
-            `;
+    // Folder-check only for source context (v0.8.3)
+    const folderCheckHtml = context === 'source'
+        ? `<span class="action-icon folder-check" title="Toggle Folder Items">${ICONS.checkOff}</span>`
+        : '';
 
-            const explorerBody = document.createElement('div');
-            explorerBody.className = 'plugin-source-explorer-body' + (appState.settings.sourceExplorerOpen ? '' : ' collapsed');
-            if (!appState.settings.sourceExplorerOpen) explorerBody.style.display = 'none';
+    header.innerHTML = `
+        <span class="arrow">${ICONS.chevron}</span>
+        <span class="folder-icon" style="color:${folder.color || '#FFB74D'}">${ICONS.folder}</span>
+        <span class="folder-name"></span>
+        <div class="folder-actions">
+             ${folderCheckHtml}
+             <span class="action-icon move-up" title="Move Up">${ICONS.up}</span>
+             <span class="action-icon move-down" title="Move Down">${ICONS.down}</span>
+             <span class="action-icon color-pick" title="Color">${ICONS.palette}</span>
+             <span class="action-icon add" title="Add Sub">${ICONS.add}</span>
+             <span class="action-icon ren" title="Rename">${ICONS.edit}</span>
+             <span class="action-icon del" title="Delete">${ICONS.close}</span>
+        </div>
+    `;
 
-            explorerHeader.querySelector('.plugin-source-explorer-arrow').classList.toggle('open', appState.settings.sourceExplorerOpen);
+    const folderNameEl = header.querySelector('.folder-name');
+    if (folderNameEl) folderNameEl.textContent = folder.name;
 
-            explorerHeader.onclick = () => {
-                appState.settings.sourceExplorerOpen = !appState.settings.sourceExplorerOpen;
-                saveState();
-                explorerBody.style.display = appState.settings.sourceExplorerOpen ? '' : 'none';
-                explorerBody.classList.toggle('collapsed', !appState.settings.sourceExplorerOpen);
-                explorerHeader.querySelector('.plugin-source-explorer-arrow').classList.toggle('open', appState.settings.sourceExplorerOpen);
-            };
+    header.onclick = (e) => {
+        if (e.target.closest('.folder-actions')) return;
+        folder.isOpen = !folder.isOpen;
+        saveState();
+        renderTree(context);
+        setTimeout(() => safeProcessItems(context), DOM_SETTLE_DELAY_MS);
+    };
 
-            sourceExplorer.appendChild(explorerHeader);
-            sourceExplorer.appendChild(explorerBody);
+    // --- [NEW HANDLER] - Source panel only ---
+    if (context === 'source') {
+        const checkBtn = header.querySelector('.folder-check');
+        if (checkBtn) {
+            checkBtn.onclick = (e) => {
+                e.stopPropagation();
+                toggleFolderItems(folder.id, context);
+            };
+        }
+    }
 
-            // Search bar
-            const searchArea = document.createElement('div');
-            searchArea.className = 'plugin-source-search';
-            searchArea.style.cssText = 'display:flex;align-items:center;gap:10px;background:rgba(32,33,36,0.90);border:2px solid rgba(77,208,225,0.35);border-radius:12px;padding:11px 16px;';
-            searchArea.innerHTML = `
-                <span class="plugin-source-search-icon">${ICONS.search}</span>
-                <input type="text" placeholder="Search sources..." style="flex:1;background:transparent;border:none;outline:none;color:#e8eaed;font-size:14px;min-width:0;padding:2px 0;" />
-                <span class="plugin-source-search-clear" title="Clear">${ICONS.cancel}</span>
-            `;
+    const moveUpBtn = header.querySelector('.move-up');
+    if (moveUpBtn) moveUpBtn.onclick = (e) => { e.stopPropagation(); moveFolder(context, folder.id, -1); };
 
-            const sourceSearchInput = searchArea.querySelector('input');
-            const sourceSearchClear = searchArea.querySelector('.plugin-source-search-clear');
-            const debouncedSourceFilter = debounce((value) => {
-                sourceFilterState.query = value;
-                filterSourcesByType();
-                saveSourceFilterState();
-            }, 300);
+    const moveDownBtn = header.querySelector('.move-down');
+    if (moveDownBtn) moveDownBtn.onclick = (e) => { e.stopPropagation(); moveFolder(context, folder.id, 1); };
 
-            // initialize value if saved
-            if (sourceFilterState.query) {
-                sourceSearchInput.value = sourceFilterState.query;
-                sourceSearchClear.style.opacity = '1';
-            } else {
-                sourceSearchClear.style.opacity = '0';
-            }
+    const colorPickBtn = header.querySelector('.color-pick');
+    if (colorPickBtn) {
+        colorPickBtn.onclick = (e) => {
+            e.stopPropagation();
+            const colors = [null, '#EF5350', '#FF7043', '#FF9800', '#FFB74D', '#FFF176', '#AED581', '#66BB6A', '#26A69A', '#4DD0E1', '#42A5F5', '#5C6BC0', '#7E57C2', '#B39DDB', '#F48FB1', '#BCAAA4', '#90A4AE'];
+            const cur = folder.color || null;
+            const next = colors[(colors.indexOf(cur) + 1) % colors.length];
+            folder.color = next;
+            saveState();
+            renderTree(context);
+        };
+    }
 
-            sourceSearchInput.oninput = (e) => {
-                const val = e.target.value.toLowerCase();
-                sourceSearchClear.style.opacity = val ? '1' : '0';
-                debouncedSourceFilter(val);
-            };
-            sourceSearchClear.onclick = () => {
-                sourceSearchInput.value = '';
-                sourceSearchClear.style.opacity = '0';
-                sourceFilterState.query = '';
-                filterSourcesByType();
-                saveSourceFilterState();
-            };
+    const addSubBtn = header.querySelector('.add');
+    if (addSubBtn) addSubBtn.onclick = () => createFolder(context, folder.id);
 
-            explorerBody.appendChild(searchArea);
+    const renameBtn = header.querySelector('.ren');
+    if (renameBtn) {
+        renameBtn.onclick = (e) => {
+            e.stopPropagation();
+            const n = prompt("Rename:", folder.name);
+            if (n) {
+                folder.name = n;
+                saveState();
+                renderTree(context);
+            }
+        };
+    }
 
-            // Filter label
-            const filterLabel = document.createElement('div');
-            filterLabel.className = 'plugin-source-filter-label';
-            filterLabel.textContent = 'Filter by type';
-            explorerBody.appendChild(filterLabel);
+    const deleteBtn = header.querySelector('.del');
+    if (deleteBtn) {
+        deleteBtn.onclick = (e) => {
+            e.stopPropagation();
+            showConfirmModal("Delete folder?", () => deleteFolder(context, folder.id));
+        };
+    }
 
-            // Filter chips
-            const chipRow = document.createElement('div');
-            chipRow.className = 'plugin-source-filter-chips';
+    node.appendChild(header);
+    const content = document.createElement('div');
+    content.className = 'plugin-node-children';
+    content.id = `folder-content-${folder.id}`;
+    const subs = allFolders.filter(f => f.parentId === folder.id).sort((a, b) => (a.order || 0) - (b.order || 0));
+    subs.forEach(sub => content.appendChild(buildFolderNode(sub, allFolders, context)));
+    node.appendChild(content);
+    return node;
+}
 
-            SOURCE_FILTER_CHIPS.forEach(chip => {
-                const isActive = chip.key === sourceFilterState.activeFilter;
-                const btn = document.createElement('button');
-                btn.className = 'plugin-filter-chip' + (isActive ? ' active' : '');
-                btn.dataset.filter = chip.key;
-                btn.style.setProperty('--chip-color', chip.color);
-                // Inline fallbacks to survive Angular Material button resets
-                btn.style.border = `2px solid ${chip.color}`;
-                btn.style.color = isActive ? '#fff' : chip.color;
-                btn.style.background = isActive ? chip.color : 'rgba(255,255,255,0.04)';
-                btn.style.borderRadius = '20px';
-                btn.style.padding = '8px 18px';
-                btn.style.fontWeight = '700';
-                btn.style.fontSize = '12.5px';
-                btn.style.cursor = 'pointer';
-                btn.style.letterSpacing = '0.4px';
-                btn.textContent = chip.label;
+function moveFolder(context, folderId, direction) {
+    try {
+        const folders = Object.values(appState[context].folders || {});
+        const target = appState[context].folders[folderId];
+        if (!target) return;
+        const pid = target.parentId || null;
+        const sibs = folders.filter(f => (f.parentId || null) === pid).sort((a, b) => (a.order || 0) - (b.order || 0));
+        sibs.forEach((f, i) => f.order = i);
+        const idx = sibs.findIndex(f => f.id === folderId);
+        const newIdx = idx + direction;
+        if (newIdx >= 0 && newIdx < sibs.length) {
+            const swap = sibs[newIdx];
+            [target.order, swap.order] = [swap.order, target.order];
+            saveState();
+            renderTree(context);
+        }
+    } catch (e) {
+        console.debug('[NotebookLM FoldNest] Move folder error:', e.message);
+    }
+}
 
-                btn.onclick = () => {
-                    const wasActive = btn.classList.contains('active');
-                    // Remove active from all — also reset inline styles
-                    chipRow.querySelectorAll('.plugin-filter-chip').forEach(c => {
-                        c.classList.remove('active');
-                        const cColor = c.style.getPropertyValue('--chip-color');
-                        c.style.background = 'rgba(255,255,255,0.04)';
-                        c.style.color = cColor;
-                    });
-                    if (wasActive && chip.key !== 'all') {
-                        // Clicking active chip resets to All
-                        const allChip = chipRow.querySelector('[data-filter="all"]');
-                        allChip.classList.add('active');
-                        allChip.style.background = allChip.style.getPropertyValue('--chip-color') || '#4DD0E1';
-                        allChip.style.color = '#fff';
-                        sourceFilterState.activeFilter = 'all';
-                    } else {
-                        btn.classList.add('active');
-                        btn.style.background = chip.color;
-                        btn.style.color = '#fff';
-                        sourceFilterState.activeFilter = chip.key;
-                    }
-                    saveSourceFilterState();
-                    filterSourcesByType();
-                };
+function processItems(context) {
+    // Race condition guard - prevent concurrent processing
+    if (isProcessingItems) return;
+    isProcessingItems = true;
 
-                chipRow.appendChild(btn);
-            });
+    try {
+        let items = [];
 
-            explorerBody.appendChild(chipRow);
+        if (context === 'source') {
+            if (appState.settings.showResearch === false) {
+                const promos = document.querySelectorAll('.source-discovery-promo-container');
+                const boxes = document.querySelectorAll('source-discovery-query-box');
+                promos.forEach(el => el.style.display = 'none');
+                boxes.forEach(el => el.style.display = 'none');
+            }
+            items = safeQueryAll(document, activeSelectors.sourceRow);
 
-            // Lock View button + locked views mount
-            const lockRow = document.createElement('div');
-            lockRow.className = 'plugin-lock-view-row';
+            if (items.length === 0) {
+                const icons = document.querySelectorAll('mat-icon[data-mat-icon-type="font"]');
+                const cands = new Set();
+                icons.forEach(i => {
+                    const iconText = safeGetText(i);
+                    if (['drive_pdf', 'article', 'description', 'insert_drive_file'].includes(iconText)) {
+                        const container = i.closest('div[tabindex="0"]');
+                        if (container) cands.add(container);
+                    }
+                });
+                items = Array.from(cands);
+            }
+        } else {
+            // Studio panel: explicitly get BOTH notes and generated items
+            const notes = document.querySelectorAll('artifact-library-note');
+            const generatedItems = document.querySelectorAll('artifact-library-item');
+            items = [...notes, ...generatedItems];
 
-            const lockBtn = document.createElement('button');
-            lockBtn.className = 'plugin-lock-view-btn';
-            // Inline fallbacks for gradient button
-            lockBtn.style.background = 'linear-gradient(135deg, #4DD0E1 0%, #AB47BC 50%, #FF7043 100%)';
-            lockBtn.style.color = '#fff';
-            lockBtn.style.border = 'none';
-            lockBtn.style.borderRadius = '24px';
-            lockBtn.style.padding = '10px 24px';
-            lockBtn.style.fontWeight = '700';
-            lockBtn.style.fontSize = '13px';
-            lockBtn.style.cursor = 'pointer';
-            lockBtn.style.letterSpacing = '0.5px';
-            lockBtn.innerHTML = `${ICONS.lock} <span>Lock View</span>`;
-            lockBtn.onclick = () => showLockViewModal();
-            lockRow.appendChild(lockBtn);
+            // Fallback if neither found
+            if (items.length === 0) {
+                items = safeQueryAll(document, activeSelectors.studioRow);
+            }
+            if (items.length === 0) {
+                items = document.querySelectorAll('mat-card');
+            }
+        }
 
-            explorerBody.appendChild(lockRow);
+        const pinnedMount = document.getElementById(`pinned-mount-${context}`);
+        if (pinnedMount) pinnedMount.innerHTML = '';
+        let hasPinned = false;
 
-            const lockedViewsMount = document.createElement('div');
-            lockedViewsMount.id = 'plugin-locked-views-mount';
-            lockedViewsMount.className = 'plugin-locked-views';
-            lockedViewsMount.style.display = 'none';
-            explorerBody.appendChild(lockedViewsMount);
+        // Track stats for folder checkboxes
+        const folderStates = {};
 
-            setTimeout(renderLockedViewPills, 50);
+        items.forEach(nativeRow => {
+            try {
+                nativeRow.classList.add('plugin-detected-row');
 
-            // Re-apply filter on initial render
-            setTimeout(() => {
-                if (sourceFilterState.query || sourceFilterState.activeFilter !== 'all') {
-                    filterSourcesByType();
+                // Skip items that are still being generated (studio panel only)
+                if (context === 'studio') {
+                    const itemButton = nativeRow.querySelector('.artifact-item-button');
+                    if (itemButton && itemButton.classList.contains('shimmer-yellow')) return;
+                    const button = nativeRow.querySelector('button.artifact-button-content');
+                    if (button && button.disabled) return;
                 }
-            }, 100);
-
-            container.appendChild(sourceExplorer);
-            // --- END SOURCE EXPLORER ---
 
-            container.appendChild(taskSection);
-            setTimeout(renderTasks, DOM_SETTLE_DELAY_MS);
-        }
+                let titleEl = context === 'source'
+                    ? safeQuery(nativeRow, activeSelectors.sourceTitle)
+                    : safeQuery(nativeRow, activeSelectors.studioTitle);
 
-        if (context === 'studio') {
-            const toggleBtn = document.createElement('button');
-            toggleBtn.className = 'plugin-btn secondary toggle-gen';
-            toggleBtn.innerHTML = ICONS.tune;
-            const applyGeneratorsState = () => {
-                const isVisible = appState.settings.showGenerators;
-                const box = safeQuery(document, activeSelectors.generatorBox);
-                if (box) box.style.display = isVisible ? '' : 'none';
-                toggleBtn.classList.toggle('toggle-off', !isVisible);
-                toggleBtn.title = isVisible ? "Hide Generators" : "Show Generators";
-            };
-            toggleBtn.onclick = () => {
-                appState.settings.showGenerators = !appState.settings.showGenerators;
-                saveState();
-                applyGeneratorsState();
-            };
-            applyGeneratorsState();
-            controls.appendChild(toggleBtn);
+                // Special fallback for Source Items using the "More" button's aria-description
+                let text = '';
+                if (titleEl) {
+                    text = safeGetText(titleEl);
+                }
 
-            const searchDiv = document.createElement('div');
-            searchDiv.className = 'plugin-search-area';
-            searchDiv.innerHTML = `
-                <input type="text" placeholder="Search titles...">
-                <span class="search-clear-btn" title="Clear search">${ICONS.cancel}</span>
-            `;
-            const debouncedFilter = debounce((value) => filterProxies(context, value), DEBOUNCE_SEARCH_MS);
-            const searchInput = searchDiv.querySelector('input');
-            const clearBtn = searchDiv.querySelector('.search-clear-btn');
-            if (searchInput) {
-                searchInput.oninput = (e) => {
-                    debouncedFilter(e.target.value);
-                    // Show/hide clear button based on input content
-                    if (clearBtn) clearBtn.classList.toggle('visible', e.target.value.length > 0);
-                };
-            }
-            if (clearBtn) {
-                clearBtn.onclick = () => {
-                    if (searchInput) {
-                        searchInput.value = '';
-                        filterProxies(context, '');
-                        clearBtn.classList.remove('visible');
-                        searchInput.focus();
+                if (!text && context === 'source') {
+                    // Try finding the "More" button inside this row
+                    const moreBtn = nativeRow.querySelector('.source-item-more-button');
+                    if (moreBtn && moreBtn.getAttribute('aria-description')) {
+                        // format: "10 Adrenergic Agonists... atf.pdf"
+                        // We might want to clean it up, but for now use raw
+                        text = moreBtn.getAttribute('aria-description');
+                        if (DEBUG_MODE) console.log("Extracted title from aria-description:", text);
                     }
-                };
-            }
-            container.appendChild(searchDiv);
-        }
+                }
 
-        const addFolderBtn = controls.querySelector('.add-folder');
-        if (addFolderBtn) addFolderBtn.onclick = () => createFolder(context);
+                if (!text) return;
 
-        const expandAllBtn = controls.querySelector('.expand-all');
-        if (expandAllBtn) expandAllBtn.onclick = () => expandAllFolders(context);
+                // --- [NEW] DETECT CHECK STATE ---
+                let isChecked = false;
+                if (context === 'source') {
+                    const nativeBox = nativeRow.querySelector('mat-checkbox');
+                    isChecked = nativeBox && nativeBox.classList.contains('mat-mdc-checkbox-checked');
+                }
 
-        const collapseAllBtn = controls.querySelector('.collapse-all');
-        if (collapseAllBtn) collapseAllBtn.onclick = () => collapseAllFolders(context);
+                if (!nativeRow.querySelector('.plugin-move-trigger')) {
+                    injectMoveTrigger(nativeRow, text, context);
+                }
 
-        const exportBtn = controls.querySelector('.export-btn');
-        if (exportBtn) exportBtn.onclick = () => exportFolders();
+                if (isPinned(context, text)) {
+                    hasPinned = true;
+                    if (pinnedMount) {
+                        pinnedMount.appendChild(createProxyItem(nativeRow, text, context, true));
+                    }
+                }
 
-        const importBtn = controls.querySelector('.import-btn');
-        if (importBtn) importBtn.onclick = () => importFolders();
+                const folderId = appState[context].mappings[text];
+                let proxy = null;
 
-        const resetBtn = controls.querySelector('.reset-btn');
-        if (resetBtn) {
-            resetBtn.onclick = () => {
-                showConfirmModal("Reset all folders?", async () => {
-                    appState[context] = { folders: {}, mappings: {}, pinned: [], tasks: [] };
-                    await saveState();
-                    location.reload();
-                });
-            };
-        }
+                if (context === 'source') {
+                    const safeText = CSS.escape(text);
+                    const target = folderId ? document.getElementById(`folder-content-${folderId}`) : null;
+                    if (target) {
+                        proxy = target.querySelector(`.plugin-proxy-item[data-ref="${safeText}"]`);
+                    }
+                    if (!proxy) {
+                        proxy = createProxyItem(nativeRow, text, context, false);
+                    }
+                    nativeRow.dataset.sourceType = proxy.dataset.sourceType || 'other';
+                    nativeRow.dataset.searchTerm = proxy.dataset.searchTerm || text.toLowerCase();
+                }
+
+                if (folderId && appState[context].folders[folderId]) {
+                    nativeRow.classList.add('plugin-hidden-native');
+                    const target = document.getElementById(`folder-content-${folderId}`);
+                    if (target) {
+                        if (context === 'source' && proxy && proxy.parentElement !== target) {
+                            target.appendChild(proxy);
+                        } else if (context === 'studio') {
+                            const safeText = CSS.escape(text);
+                            let studioProxy = target.querySelector(`.plugin-proxy-item[data-ref="${safeText}"]`);
+                            if (!studioProxy) {
+                                studioProxy = createProxyItem(nativeRow, text, context, false);
+                                target.appendChild(studioProxy);
+                            }
+                        }
+
+                        // --- [NEW] SYNC ITEM CHECKBOX ---
+                        if (context === 'source' && proxy) {
+                            const checkBtn = proxy.querySelector('.plugin-item-check');
+                            if (checkBtn) {
+                                const targetIcon = isChecked ? ICONS.checkOn : ICONS.checkOff;
+                                if (checkBtn.innerHTML !== targetIcon) checkBtn.innerHTML = targetIcon;
+                            }
 
-        if (context === 'studio') {
-            const rebuildIndexBtn = controls.querySelector('.rebuild-index');
-            if (rebuildIndexBtn) rebuildIndexBtn.onclick = () => rebuildSearchIndex();
+                            // Track folder stats
+                            if (!folderStates[folderId]) folderStates[folderId] = { total: 0, checked: 0 };
+                            folderStates[folderId].total++;
+                            if (isChecked) folderStates[folderId].checked++;
+                        }
+                    }
+                } else {
+                    nativeRow.classList.remove('plugin-hidden-native');
+                    if (proxy && proxy.parentElement) proxy.remove();
+                }
+            } catch (e) {
+                console.debug('[NotebookLM FoldNest] Process item error:', e.message);
+            }
+        });
 
-            const toggleFocusBtn = controls.querySelector('.toggle-focus');
-            if (toggleFocusBtn) toggleFocusBtn.onclick = () => toggleFocusMode();
+        // --- [NEW] UPDATE FOLDER ICONS ---
+        if (context === 'source') {
+            Object.keys(folderStates).forEach(fid => {
+                const node = document.getElementById(`node-${fid}`);
+                const checkBtn = node ? node.querySelector('.folder-check') : null;
+                if (checkBtn) {
+                    const s = folderStates[fid];
+                    if (s.checked === 0) checkBtn.innerHTML = ICONS.checkOff;
+                    else if (s.checked === s.total) checkBtn.innerHTML = ICONS.checkOn;
+                    else checkBtn.innerHTML = ICONS.checkIndet;
+                }
+            });
         }
-        container.appendChild(controls);
 
-        const pinnedMount = document.createElement('div');
-        pinnedMount.id = `pinned-mount-${context}`;
-        pinnedMount.className = 'plugin-pinned-section';
-        pinnedMount.style.display = 'none';
-        container.appendChild(pinnedMount);
-
-        const treeMount = document.createElement('div');
-        treeMount.id = `tree-mount-${context}`;
-        container.appendChild(treeMount);
+        if (pinnedMount) pinnedMount.style.display = hasPinned ? 'block' : 'none';
+        if (context === 'studio') updateSearchStats('studio');
 
-        if (context === 'source') {
-            wrapper.insertBefore(container, anchorEl);
-        } else if (context === 'studio') {
-            if (safeHasClass(anchorEl, 'create-artifact-buttons-container') && anchorEl.nextElementSibling) {
-                wrapper.insertBefore(container, anchorEl.nextElementSibling);
-            } else if (anchorEl.tagName === 'ARTIFACT-LIBRARY-NOTE' || anchorEl.tagName === 'MAT-CARD') {
-                wrapper.insertBefore(container, anchorEl);
-            } else {
-                wrapper.appendChild(container);
-            }
-        } else {
-            wrapper.appendChild(container);
+        // Re-apply source explorer filters after DOM refresh
+        if (context === 'source' && (sourceFilterState.query || sourceFilterState.activeFilter !== 'all')) {
+            setTimeout(filterSourcesByType, 50);
         }
-        anchorEl.classList.add('plugin-ui-injected');
-        renderTree(context);
-    } catch (e) {
-        console.error('[NotebookLM FoldNest] Inject container error:', e);
+    } finally {
+        isProcessingItems = false;
     }
 }
 
-function renderTree(context) {
-    if (!isFeatureEnabled('treeRendering')) return;
-
-    runWithGracefulDegradation('treeRendering', () => {
-        const mount = document.getElementById(`tree-mount-${context}`);
-        if (!mount) return;
-        const fragment = document.createDocumentFragment();
-        const folders = Object.values(appState[context].folders || {});
-        const roots = folders.filter(f => !f.parentId).sort((a, b) => (a.order || 0) - (b.order || 0) || a.name.localeCompare(b.name));
-        roots.forEach(root => fragment.appendChild(buildFolderNode(root, folders, context)));
-        mount.innerHTML = '';
-        mount.appendChild(fragment);
-    });
+function isPinned(context, title) {
+    return appState[context].pinned && appState[context].pinned.includes(title);
 }
 
-function buildFolderNode(folder, allFolders, context) {
-    const node = document.createElement('div');
-    node.className = `plugin-tree-node ${folder.isOpen ? 'open' : ''}`;
-    node.id = `node-${folder.id}`;
-    const style = folder.color ? `border-left: 4px solid ${folder.color};` : '';
-
-    const header = document.createElement('div');
-    header.className = 'plugin-folder-header';
-    header.style.cssText = style;
-
-    // Folder-check only for source context (v0.8.3)
-    const folderCheckHtml = context === 'source'
-        ? `<span class="action-icon folder-check" title="Toggle Folder Items">${ICONS.checkOff}</span>`
-        : '';
-
-    header.innerHTML = `
-        <span class="arrow">${ICONS.chevron}</span>
-        <span class="folder-icon" style="color:${folder.color || '#FFB74D'}">${ICONS.folder}</span>
-        <span class="folder-name"></span>
-        <div class="folder-actions">
-             ${folderCheckHtml}
-             <span class="action-icon move-up" title="Move Up">${ICONS.up}</span>
-             <span class="action-icon move-down" title="Move Down">${ICONS.down}</span>
-             <span class="action-icon color-pick" title="Color">${ICONS.palette}</span>
-             <span class="action-icon add" title="Add Sub">${ICONS.add}</span>
-             <span class="action-icon ren" title="Rename">${ICONS.edit}</span>
-             <span class="action-icon del" title="Delete">${ICONS.close}</span>
-        </div>
-    `;
-
-    const folderNameEl = header.querySelector('.folder-name');
-    if (folderNameEl) folderNameEl.textContent = folder.name;
+function togglePin(context, title) {
+    if (!isFeatureEnabled('pinning')) return;
 
-    header.onclick = (e) => {
-        if (e.target.closest('.folder-actions')) return;
-        folder.isOpen = !folder.isOpen;
+    runWithGracefulDegradation('pinning', () => {
+        if (!appState[context].pinned) appState[context].pinned = [];
+        const idx = appState[context].pinned.indexOf(title);
+        if (idx > -1) appState[context].pinned.splice(idx, 1);
+        else appState[context].pinned.push(title);
         saveState();
-        renderTree(context);
-        setTimeout(() => safeProcessItems(context), DOM_SETTLE_DELAY_MS);
-    };
-
-    // --- [NEW HANDLER] - Source panel only ---
-    if (context === 'source') {
-        const checkBtn = header.querySelector('.folder-check');
-        if (checkBtn) {
-            checkBtn.onclick = (e) => {
-                e.stopPropagation();
-                toggleFolderItems(folder.id, context);
-            };
-        }
-    }
+        safeProcessItems(context);
+    });
+}
 
-    const moveUpBtn = header.querySelector('.move-up');
-    if (moveUpBtn) moveUpBtn.onclick = (e) => { e.stopPropagation(); moveFolder(context, folder.id, -1); };
+function createProxyItem(nativeRow, text, context, isPinnedView) {
+    const proxy = document.createElement('div');
+    proxy.className = 'plugin-proxy-item inside-plugin-folder';
+    proxy.dataset.ref = text;
+    proxy.dataset.searchTerm = text.toLowerCase();
+    if (isPinnedView) proxy.classList.add('is-pinned-proxy');
 
-    const moveDownBtn = header.querySelector('.move-down');
-    if (moveDownBtn) moveDownBtn.onclick = (e) => { e.stopPropagation(); moveFolder(context, folder.id, 1); };
+    // --- [NEW] ITEM CHECKBOX ---
+    if (context === 'source' && !isPinnedView) {
+        const checkSpan = document.createElement('span');
+        checkSpan.className = 'plugin-item-check';
+        checkSpan.style.marginRight = '8px';
+        checkSpan.style.cursor = 'pointer';
+        checkSpan.style.display = 'flex';
+        checkSpan.style.alignItems = 'center';
+        checkSpan.appendChild(getIconElement('checkOff'));
 
-    const colorPickBtn = header.querySelector('.color-pick');
-    if (colorPickBtn) {
-        colorPickBtn.onclick = (e) => {
+        checkSpan.onclick = (e) => {
             e.stopPropagation();
-            const colors = [null, '#EF5350', '#FF7043', '#FF9800', '#FFB74D', '#FFF176', '#AED581', '#66BB6A', '#26A69A', '#4DD0E1', '#42A5F5', '#5C6BC0', '#7E57C2', '#B39DDB', '#F48FB1', '#BCAAA4', '#90A4AE'];
-            const cur = folder.color || null;
-            const next = colors[(colors.indexOf(cur) + 1) % colors.length];
-            folder.color = next;
-            saveState();
-            renderTree(context);
+            const nativeBox = nativeRow.querySelector('mat-checkbox input');
+            if (nativeBox) nativeBox.click();
         };
+        proxy.appendChild(checkSpan);
     }
 
-    const addSubBtn = header.querySelector('.add');
-    if (addSubBtn) addSubBtn.onclick = () => createFolder(context, folder.id);
+    let iconElement;
+    if (context === 'source') {
+        let detectedType = 'other';
+        let foundIcon = null;
 
-    const renameBtn = header.querySelector('.ren');
-    if (renameBtn) {
-        renameBtn.onclick = (e) => {
-            e.stopPropagation();
-            const n = prompt("Rename:", folder.name);
-            if (n) {
-                folder.name = n;
-                saveState();
-                renderTree(context);
-            }
-        };
-    }
+        const faviconImg = nativeRow.querySelector('img.favicon-icon');
+        const allMatIcons = Array.from(nativeRow.querySelectorAll('mat-icon'));
 
-    const deleteBtn = header.querySelector('.del');
-    if (deleteBtn) {
-        deleteBtn.onclick = (e) => {
-            e.stopPropagation();
-            showConfirmModal("Delete folder?", () => deleteFolder(context, folder.id));
-        };
-    }
+        if (faviconImg) {
+            detectedType = 'web';
+            foundIcon = faviconImg;
+        } else {
+            // Find the most relevant mat-icon
+            const ignoredIcons = ['more_vert', 'more_horiz', 'close', 'check', 'edit'];
+            const validIcons = allMatIcons.filter(i => {
+                const t = (i.textContent || i.innerText || '').trim();
+                return t && !ignoredIcons.includes(t);
+            });
 
-    node.appendChild(header);
-    const content = document.createElement('div');
-    content.className = 'plugin-node-children';
-    content.id = `folder-content-${folder.id}`;
-    const subs = allFolders.filter(f => f.parentId === folder.id).sort((a, b) => (a.order || 0) - (b.order || 0));
-    subs.forEach(sub => content.appendChild(buildFolderNode(sub, allFolders, context)));
-    node.appendChild(content);
-    return node;
-}
+            if (validIcons.length > 0) {
+                // Heuristics
+                const icon = validIcons[0]; // first valid icon
+                const iconName = (icon.textContent || icon.innerText || '').trim();
+                const cls = icon.className || '';
 
-function moveFolder(context, folderId, direction) {
-    try {
-        const folders = Object.values(appState[context].folders || {});
-        const target = appState[context].folders[folderId];
-        if (!target) return;
-        const pid = target.parentId || null;
-        const sibs = folders.filter(f => (f.parentId || null) === pid).sort((a, b) => (a.order || 0) - (b.order || 0));
-        sibs.forEach((f, i) => f.order = i);
-        const idx = sibs.findIndex(f => f.id === folderId);
-        const newIdx = idx + direction;
-        if (newIdx >= 0 && newIdx < sibs.length) {
-            const swap = sibs[newIdx];
-            [target.order, swap.order] = [swap.order, target.order];
-            saveState();
-            renderTree(context);
+                if (iconName === 'video_youtube' || cls.includes('youtube-icon-color')) {
+                    detectedType = 'youtube';
+                } else if (iconName === 'video_audio_call' || iconName === 'videocam' || iconName === 'movie') {
+                    detectedType = 'video';
+                } else if (iconName === 'audio_file' || iconName === 'mic') {
+                    detectedType = 'audio';
+                } else if (iconName === 'image' || iconName === 'photo') {
+                    detectedType = 'images';
+                } else if (iconName === 'article' || iconName === 'description') {
+                    detectedType = 'gdocs';
+                } else if (iconName === 'drive_pdf' || iconName === 'insert_drive_file') {
+                    detectedType = 'pdf';
+                } else if (cls.includes('icon-color') && cls.includes('google-symbols')) {
+                    // Fallback for generic google symbols if text doesn't match perfectly
+                    if (iconName.includes('video')) detectedType = 'video';
+                    else if (iconName.includes('audio')) detectedType = 'audio';
+                    else detectedType = 'gdocs';
+                } else {
+                    detectedType = SOURCE_TYPE_MAP[iconName] || 'other';
+                }
+                foundIcon = icon;
+            }
         }
-    } catch (e) {
-        console.debug('[NotebookLM FoldNest] Move folder error:', e.message);
-    }
-}
 
-function processItems(context) {
-    // Race condition guard - prevent concurrent processing
-    if (isProcessingItems) return;
-    isProcessingItems = true;
+        // URL / Title extension refinement (highest priority for media)
+        const lowerText = text.toLowerCase();
+        if (lowerText.endsWith('.pdf')) {
+            detectedType = 'pdf';
+        } else if (lowerText.endsWith('.mp3') || lowerText.endsWith('.wav') || lowerText.endsWith('.m4a') || lowerText.endsWith('.ogg')) {
+            detectedType = 'audio';
+        } else if (lowerText.endsWith('.mp4') || lowerText.endsWith('.webm') || lowerText.endsWith('.mov')) {
+            detectedType = 'video';
+        } else if (lowerText.endsWith('.jpg') || lowerText.endsWith('.png') || lowerText.endsWith('.jpeg') || lowerText.endsWith('.gif')) {
+            detectedType = 'images';
+        } else if (lowerText.endsWith('.youtube') || lowerText.includes('youtube.com') || lowerText.includes('youtu.be')) {
+            detectedType = 'youtube';
+        }
 
-    try {
-        let items = [];
+        proxy.dataset.sourceType = detectedType;
 
-        if (context === 'source') {
-            if (appState.settings.showResearch === false) {
-                const promos = document.querySelectorAll('.source-discovery-promo-container');
-                const boxes = document.querySelectorAll('source-discovery-query-box');
-                promos.forEach(el => el.style.display = 'none');
-                boxes.forEach(el => el.style.display = 'none');
-            }
-            items = safeQueryAll(document, activeSelectors.sourceRow);
+        if (foundIcon) {
+            if (foundIcon.tagName.toLowerCase() === 'img') {
+                iconElement = foundIcon.cloneNode(true);
+                iconElement.style.marginRight = '8px';
+                iconElement.style.width = '16px';
+                iconElement.style.height = '16px';
+                iconElement.style.objectFit = 'contain';
+            } else {
+                const iconName = (foundIcon.textContent || foundIcon.innerText || '').trim();
+                let iconColor = 'var(--plugin-icon-color)';
+                try {
+                    const style = window.getComputedStyle(foundIcon);
+                    if (style.color) iconColor = style.color;
+                } catch (e) { }
 
-            if (items.length === 0) {
-                const icons = document.querySelectorAll('mat-icon[data-mat-icon-type="font"]');
-                const cands = new Set();
-                icons.forEach(i => {
-                    const iconText = safeGetText(i);
-                    if (['drive_pdf', 'article', 'description', 'insert_drive_file'].includes(iconText)) {
-                        const container = i.closest('div[tabindex="0"]');
-                        if (container) cands.add(container);
-                    }
-                });
-                items = Array.from(cands);
+                iconElement = document.createElement('mat-icon');
+                iconElement.className = foundIcon.className;
+                iconElement.textContent = iconName;
+                iconElement.setAttribute('aria-hidden', 'true');
+                iconElement.setAttribute('data-mat-icon-type', 'font');
+                iconElement.style.marginRight = '8px';
+                iconElement.style.display = 'inline-flex';
+                iconElement.style.alignItems = 'center';
+                iconElement.style.fontSize = '20px';
+                iconElement.style.width = '20px';
+                iconElement.style.height = '20px';
+                iconElement.style.color = iconColor;
             }
         } else {
-            // Studio panel: explicitly get BOTH notes and generated items
-            const notes = document.querySelectorAll('artifact-library-note');
-            const generatedItems = document.querySelectorAll('artifact-library-item');
-            items = [...notes, ...generatedItems];
+            iconElement = document.createElement('span');
+            iconElement.innerText = '📄';
+            iconElement.style.marginRight = '8px';
+        }
+    } else {
+        // Studio panel: Find and clone the artifact icon
+        const artifactIcon = nativeRow.querySelector('.artifact-icon');
 
-            // Fallback if neither found
-            if (items.length === 0) {
-                items = safeQueryAll(document, activeSelectors.studioRow);
-            }
-            if (items.length === 0) {
-                items = document.querySelectorAll('mat-card');
+        if (artifactIcon) {
+            const iconName = (artifactIcon.textContent || artifactIcon.innerText || '').trim();
+            if (iconName && iconName !== 'more_vert' && iconName !== 'sync') {
+                let iconColor = 'var(--plugin-icon-color)';
+                try {
+                    const style = window.getComputedStyle(artifactIcon);
+                    if (style.color) iconColor = style.color;
+                } catch (e) { }
+
+                iconElement = document.createElement('mat-icon');
+                iconElement.className = artifactIcon.className;
+                iconElement.textContent = iconName;
+                iconElement.setAttribute('aria-hidden', 'true');
+                iconElement.setAttribute('data-mat-icon-type', 'font');
+                iconElement.style.marginRight = '8px';
+                iconElement.style.display = 'inline-flex';
+                iconElement.style.alignItems = 'center';
+                iconElement.style.fontSize = '20px';
+                iconElement.style.width = '20px';
+                iconElement.style.height = '20px';
+                iconElement.style.color = iconColor;
+            } else {
+                iconElement = artifactIcon.cloneNode(true);
+                iconElement.style.marginRight = '8px';
+                iconElement.style.display = 'flex';
             }
+        } else {
+            // Fallback to generic document icon
+            const span = document.createElement('span');
+            span.innerHTML = `<svg style="color:#4DD0E1;" xmlns="http://www.w3.org/2000/svg" height="20px" viewBox="0 -960 960 960" width="20px" fill="currentColor"><path d="M320-240h320v-80H320v80Zm0-160h320v-80H320v80ZM240-80q-33 0-56.5-23.5T160-160v-640q0-33 23.5-56.5T240-880h320l240 240v480q0 33-23.5 56.5T720-80H240Zm280-520v-200H240v640h480v-440H520ZM240-800v200-200 640-640Z"></path></svg>`;
+            iconElement = span.firstElementChild;
         }
+    }
 
-        const pinnedMount = document.getElementById(`pinned-mount-${context}`);
-        if (pinnedMount) pinnedMount.innerHTML = '';
-        let hasPinned = false;
+    const isP = isPinned(context, text);
+    const pinIcon = isP ? ICONS.keepFilled : ICONS.keep;
 
-        // Track stats for folder checkboxes
-        const folderStates = {};
+    const contentDiv = document.createElement('div');
+    contentDiv.className = 'proxy-content';
+    const iconSpan = document.createElement('span');
+    iconSpan.className = 'proxy-icon';
+    if (iconElement) iconSpan.appendChild(iconElement);
+    contentDiv.appendChild(iconSpan);
+    const textSpan = document.createElement('span');
+    textSpan.className = 'proxy-text';
+    textSpan.textContent = text;
+    contentDiv.appendChild(textSpan);
 
-        items.forEach(nativeRow => {
-            try {
-                nativeRow.classList.add('plugin-detected-row');
+    const actionsDiv = document.createElement('div');
+    actionsDiv.className = 'proxy-actions';
 
-                // Skip items that are still being generated (studio panel only)
-                if (context === 'studio') {
-                    const itemButton = nativeRow.querySelector('.artifact-item-button');
-                    if (itemButton && itemButton.classList.contains('shimmer-yellow')) return;
-                    const button = nativeRow.querySelector('button.artifact-button-content');
-                    if (button && button.disabled) return;
-                }
+    // Pop-out button (Studio panel only - for notes)
+    if (context === 'studio') {
+        const popoutBtn = document.createElement('span');
+        popoutBtn.className = 'plugin-popout-btn';
+        popoutBtn.title = "Open in new window";
+        popoutBtn.appendChild(getIconElement('newWindow'));
+        popoutBtn.onclick = (e) => {
+            e.stopPropagation();
+            // Call the pop-out handler (registered by note-popout.js)
+            if (window.NotebookLMFoldNest && window.NotebookLMFoldNest.openNotePopout) {
+                window.NotebookLMFoldNest.openNotePopout(text, nativeRow);
+            } else {
+                showToast('Pop-out feature initializing...');
+            }
+        };
+        actionsDiv.appendChild(popoutBtn);
+    }
 
-                let titleEl = context === 'source'
-                    ? safeQuery(nativeRow, activeSelectors.sourceTitle)
-                    : safeQuery(nativeRow, activeSelectors.studioTitle);
+    const ejectBtn = document.createElement('span');
+    ejectBtn.className = 'pin-btn';
+    ejectBtn.title = "Eject";
+    ejectBtn.appendChild(getIconElement('eject'));
+    ejectBtn.onclick = (e) => {
+        e.stopPropagation();
+        delete appState[context].mappings[text];
+        saveState();
+        nativeRow.classList.remove('plugin-hidden-native');
+        proxy.remove();
+    };
+    actionsDiv.appendChild(ejectBtn);
 
-                // Special fallback for Source Items using the "More" button's aria-description
-                let text = '';
-                if (titleEl) {
-                    text = safeGetText(titleEl);
-                }
+    const pinBtn = document.createElement('span');
+    pinBtn.className = 'pin-btn';
+    pinBtn.title = isP ? "Unpin" : "Pin";
+    pinBtn.appendChild(getIconElement(isP ? 'keepFilled' : 'keep'));
+    pinBtn.onclick = (e) => {
+        e.stopPropagation();
+        togglePin(context, text);
+    };
+    actionsDiv.appendChild(pinBtn);
 
-                if (!text && context === 'source') {
-                    // Try finding the "More" button inside this row
-                    const moreBtn = nativeRow.querySelector('.source-item-more-button');
-                    if (moreBtn && moreBtn.getAttribute('aria-description')) {
-                        // format: "10 Adrenergic Agonists... atf.pdf"
-                        // We might want to clean it up, but for now use raw
-                        text = moreBtn.getAttribute('aria-description');
-                        if (DEBUG_MODE) console.log("Extracted title from aria-description:", text);
-                    }
-                }
+    proxy.appendChild(contentDiv);
+    proxy.appendChild(actionsDiv);
 
-                if (!text) return;
+    if (!isPinnedView) injectMoveTrigger(proxy, text, context);
 
-                // --- [NEW] DETECT CHECK STATE ---
-                let isChecked = false;
-                if (context === 'source') {
-                    const nativeBox = nativeRow.querySelector('mat-checkbox');
-                    isChecked = nativeBox && nativeBox.classList.contains('mat-mdc-checkbox-checked');
-                }
+    proxy.onclick = (e) => {
+        if (e.target.closest('.plugin-move-trigger') || e.target.closest('.pin-btn') || e.target.closest('.plugin-item-check') || e.target.closest('.plugin-popout-btn')) return;
 
-                if (!nativeRow.querySelector('.plugin-move-trigger')) {
-                    injectMoveTrigger(nativeRow, text, context);
-                }
+        if (context === 'source') {
+            const titleEl = safeQuery(nativeRow, activeSelectors.sourceTitle);
+            if (titleEl) safeClick(titleEl);
+            else safeClick(nativeRow);
+        } else {
+            const titleEl = safeQuery(nativeRow, activeSelectors.studioTitle);
+            if (titleEl) safeClick(titleEl);
+            else safeClick(nativeRow);
+        }
+    };
 
-                if (isPinned(context, text)) {
-                    hasPinned = true;
-                    if (pinnedMount) {
-                        pinnedMount.appendChild(createProxyItem(nativeRow, text, context, true));
-                    }
-                }
+    return proxy;
+}
 
-                const folderId = appState[context].mappings[text];
-                let proxy = null;
+function injectMoveTrigger(row, text, context) {
+    try {
+        const btn = document.createElement('span');
+        btn.className = 'plugin-move-trigger';
+        btn.title = "Move to Folder";
 
-                if (context === 'source') {
-                    const safeText = CSS.escape(text);
-                    const target = folderId ? document.getElementById(`folder-content-${folderId}`) : null;
-                    if (target) {
-                        proxy = target.querySelector(`.plugin-proxy-item[data-ref="${safeText}"]`);
-                    }
-                    if (!proxy) {
-                        proxy = createProxyItem(nativeRow, text, context, false);
-                    }
-                    nativeRow.dataset.sourceType = proxy.dataset.sourceType || 'other';
-                    nativeRow.dataset.searchTerm = proxy.dataset.searchTerm || text.toLowerCase();
-                }
+        // Use addToFolder icon for Studio items to match user request, move for others
+        const iconKey = context === 'studio' ? 'addToFolder' : 'move';
+        btn.appendChild(getIconElement(iconKey));
 
-                if (folderId && appState[context].folders[folderId]) {
-                    nativeRow.classList.add('plugin-hidden-native');
-                    const target = document.getElementById(`folder-content-${folderId}`);
-                    if (target) {
-                        if (context === 'source' && proxy && proxy.parentElement !== target) {
-                            target.appendChild(proxy);
-                        } else if (context === 'studio') {
-                            const safeText = CSS.escape(text);
-                            let studioProxy = target.querySelector(`.plugin-proxy-item[data-ref="${safeText}"]`);
-                            if (!studioProxy) {
-                                studioProxy = createProxyItem(nativeRow, text, context, false);
-                                target.appendChild(studioProxy);
-                            }
-                        }
+        btn.onclick = (e) => {
+            e.stopPropagation();
+            showMoveMenu(e, text, context);
+        };
 
-                        // --- [NEW] SYNC ITEM CHECKBOX ---
-                        if (context === 'source' && proxy) {
-                            const checkBtn = proxy.querySelector('.plugin-item-check');
-                            if (checkBtn) {
-                                const targetIcon = isChecked ? ICONS.checkOn : ICONS.checkOff;
-                                if (checkBtn.innerHTML !== targetIcon) checkBtn.innerHTML = targetIcon;
-                            }
+        // Ensure visibility on hover via CSS (added in styles.css)
+        btn.style.opacity = '0';
+        btn.style.transition = 'opacity 0.2s';
 
-                            // Track folder stats
-                            if (!folderStates[folderId]) folderStates[folderId] = { total: 0, checked: 0 };
-                            folderStates[folderId].total++;
-                            if (isChecked) folderStates[folderId].checked++;
-                        }
-                    }
+        if (row.classList.contains('plugin-proxy-item')) {
+            const actions = row.querySelector('.proxy-actions');
+            if (actions) actions.insertBefore(btn, actions.firstChild);
+        } else {
+            if (context === 'source') {
+                const moreBtn = row.querySelector('button[aria-label="More"]');
+                if (moreBtn && moreBtn.parentElement) {
+                    moreBtn.parentElement.insertBefore(btn, moreBtn);
+                    moreBtn.parentElement.style.display = 'flex';
                 } else {
-                    nativeRow.classList.remove('plugin-hidden-native');
-                    if (proxy && proxy.parentElement) proxy.remove();
+                    row.insertBefore(btn, row.firstChild);
                 }
-            } catch (e) {
-                console.debug('[NotebookLM FoldNest] Process item error:', e.message);
-            }
-        });
-
-        // --- [NEW] UPDATE FOLDER ICONS ---
-        if (context === 'source') {
-            Object.keys(folderStates).forEach(fid => {
-                const node = document.getElementById(`node-${fid}`);
-                const checkBtn = node ? node.querySelector('.folder-check') : null;
-                if (checkBtn) {
-                    const s = folderStates[fid];
-                    if (s.checked === 0) checkBtn.innerHTML = ICONS.checkOff;
-                    else if (s.checked === s.total) checkBtn.innerHTML = ICONS.checkOn;
-                    else checkBtn.innerHTML = ICONS.checkIndet;
+            } else {
+                // Studio items
+                const actions = row.querySelector('.artifact-item-button, .actions-container, .artifact-actions');
+                if (actions) {
+                    actions.insertBefore(btn, actions.firstChild);
+                    actions.style.display = 'flex';
+                    actions.style.alignItems = 'center';
+                } else {
+                    // Fallback for list view rows
+                    const actionsCell = row.querySelector('.actions-column, [role="gridcell"]:last-child, .artifact-list-item-actions');
+                    if (actionsCell) {
+                        actionsCell.insertBefore(btn, actionsCell.firstChild);
+                        actionsCell.style.display = 'flex';
+                        actionsCell.style.alignItems = 'center';
+                    } else {
+                        row.appendChild(btn);
+                    }
                 }
-            });
+            }
         }
 
-        if (pinnedMount) pinnedMount.style.display = hasPinned ? 'block' : 'none';
-        if (context === 'studio') updateSearchStats('studio');
+        // Manual hover handling as backup/complement to CSS
+        row.addEventListener('mouseenter', () => btn.style.opacity = '1');
+        row.addEventListener('mouseleave', () => btn.style.opacity = '0');
+    } catch (e) {
+        console.debug('[NotebookLM FoldNest] Inject move trigger error:', e.message);
+    }
+}
 
-        // Re-apply source explorer filters after DOM refresh
-        if (context === 'source' && (sourceFilterState.query || sourceFilterState.activeFilter !== 'all')) {
-            setTimeout(filterSourcesByType, 50);
+function showMoveMenu(e, text, context) {
+    try {
+        document.querySelectorAll('.plugin-dropdown').forEach(el => el.remove());
+        const menu = document.createElement('div');
+        menu.className = 'plugin-dropdown';
+
+        if (appState[context].mappings[text]) {
+            const item = document.createElement('div');
+            item.className = 'plugin-dropdown-item';
+            item.style.color = '#f28b82';
+            item.innerText = "Remove from Folder";
+            item.onclick = (ev) => {
+                ev.stopPropagation();
+                delete appState[context].mappings[text];
+                saveState();
+                const safeText = CSS.escape(text);
+                const proxy = document.querySelector(`.plugin-proxy-item[data-ref="${safeText}"]`);
+                if (proxy) proxy.remove();
+                safeProcessItems(context);
+                menu.remove();
+            };
+            menu.appendChild(item);
         }
-    } finally {
-        isProcessingItems = false;
+
+        const list = getFlatList(context);
+        if (list.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'plugin-dropdown-item';
+            empty.style.fontStyle = 'italic';
+            empty.innerText = "No folders created";
+            menu.appendChild(empty);
+        }
+        list.forEach(f => {
+            const item = document.createElement('div');
+            item.className = 'plugin-dropdown-item';
+            // Add indent spaces
+            for (let i = 0; i < f.level; i++) item.appendChild(document.createTextNode('\u00A0\u00A0'));
+            item.appendChild(getIconElement('folder', '16px'));
+            item.appendChild(document.createTextNode(' ' + f.name));
+            item.onclick = (ev) => {
+                ev.stopPropagation();
+                appState[context].mappings[text] = f.id;
+                appState[context].folders[f.id].isOpen = true;
+                saveState();
+                renderTree(context);
+                setTimeout(() => safeProcessItems(context), DOM_SETTLE_DELAY_MS);
+                menu.remove();
+            };
+            menu.appendChild(item);
+        });
+
+        document.body.appendChild(menu);
+        const rect = e.target.getBoundingClientRect();
+        menu.style.top = (rect.bottom + window.scrollY) + 'px';
+        menu.style.left = rect.left + 'px';
+
+        setTimeout(() => {
+            const close = () => {
+                menu.remove();
+                document.removeEventListener('click', close);
+            };
+            document.addEventListener('click', close);
+        }, DOM_SETTLE_DELAY_MS);
+    } catch (e) {
+        console.debug('[NotebookLM FoldNest] Show move menu error:', e.message);
     }
 }
 
-function isPinned(context, title) {
-    return appState[context].pinned && appState[context].pinned.includes(title);
+function createFolder(context, parentId) {
+    const name = prompt("Folder Name:");
+    if (!name) return;
+    const id = Math.random().toString(36).substr(2, 9);
+    const count = Object.values(appState[context].folders || {}).filter(f => f.parentId === parentId).length;
+    appState[context].folders[id] = { id, name, parentId, isOpen: true, order: count };
+    saveState();
+    renderTree(context);
 }
 
-function togglePin(context, title) {
-    if (!isFeatureEnabled('pinning')) return;
-
-    runWithGracefulDegradation('pinning', () => {
-        if (!appState[context].pinned) appState[context].pinned = [];
-        const idx = appState[context].pinned.indexOf(title);
-        if (idx > -1) appState[context].pinned.splice(idx, 1);
-        else appState[context].pinned.push(title);
+function deleteFolder(context, id) {
+    try {
+        delete appState[context].folders[id];
+        const maps = appState[context].mappings || {};
+        Object.keys(maps).forEach(k => {
+            if (maps[k] === id) delete maps[k];
+        });
+        Object.values(appState[context].folders || {}).forEach(f => {
+            if (f.parentId === id) f.parentId = null;
+        });
         saveState();
+        renderTree(context);
         safeProcessItems(context);
-    });
+    } catch (e) {
+        console.debug('[NotebookLM FoldNest] Delete folder error:', e.message);
+    }
 }
 
-function createProxyItem(nativeRow, text, context, isPinnedView) {
-    const proxy = document.createElement('div');
-    proxy.className = 'plugin-proxy-item inside-plugin-folder';
-    proxy.dataset.ref = text;
-    proxy.dataset.searchTerm = text.toLowerCase();
-    if (isPinnedView) proxy.classList.add('is-pinned-proxy');
-
-    // --- [NEW] ITEM CHECKBOX ---
-    if (context === 'source' && !isPinnedView) {
-        const checkSpan = document.createElement('span');
-        checkSpan.className = 'plugin-item-check';
-        checkSpan.style.marginRight = '8px';
-        checkSpan.style.cursor = 'pointer';
-        checkSpan.style.display = 'flex';
-        checkSpan.style.alignItems = 'center';
-        checkSpan.appendChild(getIconElement('checkOff'));
-
-        checkSpan.onclick = (e) => {
-            e.stopPropagation();
-            const nativeBox = nativeRow.querySelector('mat-checkbox input');
-            if (nativeBox) nativeBox.click();
-        };
-        proxy.appendChild(checkSpan);
+function getFlatList(context) {
+    const arr = [];
+    const folders = appState[context].folders || {};
+    function recurse(pid, level) {
+        const kids = Object.values(folders).filter(f => (f.parentId || null) === (pid || null)).sort((a, b) => (a.order || 0) - (b.order || 0));
+        kids.forEach(k => {
+            arr.push({ id: k.id, name: k.name, level });
+            recurse(k.id, level + 1);
+        });
     }
+    recurse(null, 0);
+    return arr;
+}
 
-    let iconElement;
-    if (context === 'source') {
-        let detectedType = 'other';
-        let foundIcon = null;
+// --- FLOATING TASK BUTTON FOR TEXT SELECTION ---
+let floatingTaskBtn = null;
 
-        const faviconImg = nativeRow.querySelector('img.favicon-icon');
-        const allMatIcons = Array.from(nativeRow.querySelectorAll('mat-icon'));
+function setupFloatingTaskButton() {
+    // Remove any existing button
+    if (floatingTaskBtn) {
+        floatingTaskBtn.remove();
+        floatingTaskBtn = null;
+    }
 
-        if (faviconImg) {
-            detectedType = 'web';
-            foundIcon = faviconImg;
-        } else {
-            // Find the most relevant mat-icon
-            const ignoredIcons = ['more_vert', 'more_horiz', 'close', 'check', 'edit'];
-            const validIcons = allMatIcons.filter(i => {
-                const t = (i.textContent || i.innerText || '').trim();
-                return t && !ignoredIcons.includes(t);
-            });
+    document.addEventListener('mouseup', handleTextSelection);
+    document.addEventListener('mousedown', hideFloatingButton);
+}
 
-            if (validIcons.length > 0) {
-                // Heuristics
-                const icon = validIcons[0]; // first valid icon
-                const iconName = (icon.textContent || icon.innerText || '').trim();
-                const cls = icon.className || '';
+function handleTextSelection(e) {
+    // Don't show if clicking on our own UI
+    if (e.target.closest('.plugin-container') || e.target.closest('.plugin-modal-overlay')) {
+        return;
+    }
 
-                if (iconName === 'video_youtube' || cls.includes('youtube-icon-color')) {
-                    detectedType = 'youtube';
-                } else if (iconName === 'video_audio_call' || iconName === 'videocam' || iconName === 'movie') {
-                    detectedType = 'video';
-                } else if (iconName === 'audio_file' || iconName === 'mic') {
-                    detectedType = 'audio';
-                } else if (iconName === 'image' || iconName === 'photo') {
-                    detectedType = 'images';
-                } else if (iconName === 'article' || iconName === 'description') {
-                    detectedType = 'gdocs';
-                } else if (iconName === 'drive_pdf' || iconName === 'insert_drive_file') {
-                    detectedType = 'pdf';
-                } else if (cls.includes('icon-color') && cls.includes('google-symbols')) {
-                    // Fallback for generic google symbols if text doesn't match perfectly
-                    if (iconName.includes('video')) detectedType = 'video';
-                    else if (iconName.includes('audio')) detectedType = 'audio';
-                    else detectedType = 'gdocs';
-                } else {
-                    detectedType = SOURCE_TYPE_MAP[iconName] || 'other';
-                }
-                foundIcon = icon;
-            }
+    // Small delay to let selection settle
+    setTimeout(() => {
+        const selection = window.getSelection();
+        const selectedText = selection ? selection.toString().trim() : '';
+
+        if (selectedText.length < 3) {
+            hideFloatingButton();
+            return;
         }
 
-        // URL / Title extension refinement (highest priority for media)
-        const lowerText = text.toLowerCase();
-        if (lowerText.endsWith('.pdf')) {
-            detectedType = 'pdf';
-        } else if (lowerText.endsWith('.mp3') || lowerText.endsWith('.wav') || lowerText.endsWith('.m4a') || lowerText.endsWith('.ogg')) {
-            detectedType = 'audio';
-        } else if (lowerText.endsWith('.mp4') || lowerText.endsWith('.webm') || lowerText.endsWith('.mov')) {
-            detectedType = 'video';
-        } else if (lowerText.endsWith('.jpg') || lowerText.endsWith('.png') || lowerText.endsWith('.jpeg') || lowerText.endsWith('.gif')) {
-            detectedType = 'images';
-        } else if (lowerText.endsWith('.youtube') || lowerText.includes('youtube.com') || lowerText.includes('youtu.be')) {
-            detectedType = 'youtube';
+        // Check if selection is within a note editor
+        const anchorNode = selection.anchorNode;
+        if (!anchorNode) {
+            hideFloatingButton();
+            return;
         }
 
-        proxy.dataset.sourceType = detectedType;
+        const editorParent = anchorNode.parentElement?.closest('.ql-editor, .ProseMirror, [contenteditable="true"], .note-body');
+        if (!editorParent) {
+            hideFloatingButton();
+            return;
+        }
 
-        if (foundIcon) {
-            if (foundIcon.tagName.toLowerCase() === 'img') {
-                iconElement = foundIcon.cloneNode(true);
-                iconElement.style.marginRight = '8px';
-                iconElement.style.width = '16px';
-                iconElement.style.height = '16px';
-                iconElement.style.objectFit = 'contain';
-            } else {
-                const iconName = (foundIcon.textContent || foundIcon.innerText || '').trim();
-                let iconColor = 'var(--plugin-icon-color)';
-                try {
-                    const style = window.getComputedStyle(foundIcon);
-                    if (style.color) iconColor = style.color;
-                } catch (e) { }
+        // Get selection position
+        const range = selection.getRangeAt(0);
+        const rect = range.getBoundingClientRect();
 
-                iconElement = document.createElement('mat-icon');
-                iconElement.className = foundIcon.className;
-                iconElement.textContent = iconName;
-                iconElement.setAttribute('aria-hidden', 'true');
-                iconElement.setAttribute('data-mat-icon-type', 'font');
-                iconElement.style.marginRight = '8px';
-                iconElement.style.display = 'inline-flex';
-                iconElement.style.alignItems = 'center';
-                iconElement.style.fontSize = '20px';
-                iconElement.style.width = '20px';
-                iconElement.style.height = '20px';
-                iconElement.style.color = iconColor;
-            }
-        } else {
-            iconElement = document.createElement('span');
-            iconElement.innerText = '📄';
-            iconElement.style.marginRight = '8px';
-        }
-    } else {
-        // Studio panel: Find and clone the artifact icon
-        const artifactIcon = nativeRow.querySelector('.artifact-icon');
+        showFloatingButton(rect, selectedText);
+    }, 10);
+}
 
-        if (artifactIcon) {
-            const iconName = (artifactIcon.textContent || artifactIcon.innerText || '').trim();
-            if (iconName && iconName !== 'more_vert' && iconName !== 'sync') {
-                let iconColor = 'var(--plugin-icon-color)';
-                try {
-                    const style = window.getComputedStyle(artifactIcon);
-                    if (style.color) iconColor = style.color;
-                } catch (e) { }
+function showFloatingButton(rect, selectedText) {
+    hideFloatingButton();
 
-                iconElement = document.createElement('mat-icon');
-                iconElement.className = artifactIcon.className;
-                iconElement.textContent = iconName;
-                iconElement.setAttribute('aria-hidden', 'true');
-                iconElement.setAttribute('data-mat-icon-type', 'font');
-                iconElement.style.marginRight = '8px';
-                iconElement.style.display = 'inline-flex';
-                iconElement.style.alignItems = 'center';
-                iconElement.style.fontSize = '20px';
-                iconElement.style.width = '20px';
-                iconElement.style.height = '20px';
-                iconElement.style.color = iconColor;
-            } else {
-                iconElement = artifactIcon.cloneNode(true);
-                iconElement.style.marginRight = '8px';
-                iconElement.style.display = 'flex';
-            }
-        } else {
-            // Fallback to generic document icon
-            const span = document.createElement('span');
-            span.innerHTML = `<svg style="color:#4DD0E1;" xmlns="http://www.w3.org/2000/svg" height="20px" viewBox="0 -960 960 960" width="20px" fill="currentColor"><path d="M320-240h320v-80H320v80Zm0-160h320v-80H320v80ZM240-80q-33 0-56.5-23.5T160-160v-640q0-33 23.5-56.5T240-880h320l240 240v480q0 33-23.5 56.5T720-80H240Zm280-520v-200H240v640h480v-440H520ZM240-800v200-200 640-640Z"></path></svg>`;
-            iconElement = span.firstElementChild;
-        }
-    }
+    floatingTaskBtn = document.createElement('div');
+    floatingTaskBtn.className = 'plugin-floating-task-btn';
+    floatingTaskBtn.title = 'Create task from selection';
+    floatingTaskBtn.appendChild(getIconElement('addTask'));
 
-    const isP = isPinned(context, text);
-    const pinIcon = isP ? ICONS.keepFilled : ICONS.keep;
+    // Position above the selection
+    floatingTaskBtn.style.left = `${rect.left + rect.width / 2 - 16 + window.scrollX}px`;
+    floatingTaskBtn.style.top = `${rect.top - 40 + window.scrollY}px`;
 
-    const contentDiv = document.createElement('div');
-    contentDiv.className = 'proxy-content';
-    const iconSpan = document.createElement('span');
-    iconSpan.className = 'proxy-icon';
-    if (iconElement) iconSpan.appendChild(iconElement);
-    contentDiv.appendChild(iconSpan);
-    const textSpan = document.createElement('span');
-    textSpan.className = 'proxy-text';
-    textSpan.textContent = text;
-    contentDiv.appendChild(textSpan);
+    floatingTaskBtn.onclick = (e) => {
+        e.stopPropagation();
+        e.preventDefault();
 
-    const actionsDiv = document.createElement('div');
-    actionsDiv.className = 'proxy-actions';
+        // Get the note title
+        const titleEl = safeQuery(document, activeSelectors.activeNoteTitle);
+        const noteTitle = titleEl ? (safeGetText(titleEl) || titleEl.value || '') : '';
 
-    // Pop-out button (Studio panel only - for notes)
-    if (context === 'studio') {
-        const popoutBtn = document.createElement('span');
-        popoutBtn.className = 'plugin-popout-btn';
-        popoutBtn.title = "Open in new window";
-        popoutBtn.appendChild(getIconElement('newWindow'));
-        popoutBtn.onclick = (e) => {
-            e.stopPropagation();
-            // Call the pop-out handler (registered by note-popout.js)
-            if (window.NotebookLMFoldNest && window.NotebookLMFoldNest.openNotePopout) {
-                window.NotebookLMFoldNest.openNotePopout(text, nativeRow);
-            } else {
-                showToast('Pop-out feature initializing...');
-            }
-        };
-        actionsDiv.appendChild(popoutBtn);
-    }
+        // Open modal with selection data
+        showTaskCreateModalWithSelection(selectedText, noteTitle);
 
-    const ejectBtn = document.createElement('span');
-    ejectBtn.className = 'pin-btn';
-    ejectBtn.title = "Eject";
-    ejectBtn.appendChild(getIconElement('eject'));
-    ejectBtn.onclick = (e) => {
-        e.stopPropagation();
-        delete appState[context].mappings[text];
-        saveState();
-        nativeRow.classList.remove('plugin-hidden-native');
-        proxy.remove();
+        // Clear selection and hide button
+        window.getSelection().removeAllRanges();
+        hideFloatingButton();
     };
-    actionsDiv.appendChild(ejectBtn);
 
-    const pinBtn = document.createElement('span');
-    pinBtn.className = 'pin-btn';
-    pinBtn.title = isP ? "Unpin" : "Pin";
-    pinBtn.appendChild(getIconElement(isP ? 'keepFilled' : 'keep'));
-    pinBtn.onclick = (e) => {
-        e.stopPropagation();
-        togglePin(context, text);
-    };
-    actionsDiv.appendChild(pinBtn);
+    document.body.appendChild(floatingTaskBtn);
+}
 
-    proxy.appendChild(contentDiv);
-    proxy.appendChild(actionsDiv);
+function hideFloatingButton(e) {
+    // Don't hide if clicking the button itself
+    if (e && e.target.closest('.plugin-floating-task-btn')) {
+        return;
+    }
 
-    if (!isPinnedView) injectMoveTrigger(proxy, text, context);
+    if (floatingTaskBtn) {
+        floatingTaskBtn.remove();
+        floatingTaskBtn = null;
+    }
+}
 
-    proxy.onclick = (e) => {
-        if (e.target.closest('.plugin-move-trigger') || e.target.closest('.pin-btn') || e.target.closest('.plugin-item-check') || e.target.closest('.plugin-popout-btn')) return;
+// =============================================================================
+// v0.9.0 DASHBOARD FOLDER ORGANIZATION (FoldNest)
+// =============================================================================
 
-        if (context === 'source') {
-            const titleEl = safeQuery(nativeRow, activeSelectors.sourceTitle);
-            if (titleEl) safeClick(titleEl);
-            else safeClick(nativeRow);
-        } else {
-            const titleEl = safeQuery(nativeRow, activeSelectors.studioTitle);
-            if (titleEl) safeClick(titleEl);
-            else safeClick(nativeRow);
-        }
-    };
+/**
+ * Initialize dashboard mode - load state and inject UI
+ */
+function initDashboard() {
+    try {
+        // Hydrate state and title cache concurrently
+        chrome.storage.local.get([DASHBOARD_STATE_KEY, 'notebookLM_titleIdCache'], (result) => {
+            if (result[DASHBOARD_STATE_KEY]) {
+                dashboardState = result[DASHBOARD_STATE_KEY];
+            } else {
+                dashboardState = JSON.parse(JSON.stringify(DEFAULT_DASHBOARD_STATE));
+            }
 
-    return proxy;
-}
+            // Ensure all required properties exist
+            if (!dashboardState.folders) dashboardState.folders = {};
+            if (!dashboardState.mappings) dashboardState.mappings = {};
+            if (!dashboardState.idMappings) dashboardState.idMappings = {};
+            if (!dashboardState.pinned) dashboardState.pinned = [];
+            if (!dashboardState.settings) dashboardState.settings = { foldersOpen: true };
+            if (!dashboardState.notebookTitles) dashboardState.notebookTitles = {};
 
-function injectMoveTrigger(row, text, context) {
-    try {
-        const btn = document.createElement('span');
-        btn.className = 'plugin-move-trigger';
-        btn.title = "Move to Folder";
+            // Hydrate title cache from Part 1
+            if (result['notebookLM_titleIdCache']) {
+                dashboardState.notebookTitles = {
+                    ...result['notebookLM_titleIdCache'],
+                    ...dashboardState.notebookTitles // live session data wins
+                };
+            }
 
-        // Use addToFolder icon for Studio items to match user request, move for others
-        const iconKey = context === 'studio' ? 'addToFolder' : 'move';
-        btn.appendChild(getIconElement(iconKey));
+            // v0.9.3: Migration for ghost proxies
+            rebuildIdMappingsIfNeeded();
 
-        btn.onclick = (e) => {
-            e.stopPropagation();
-            showMoveMenu(e, text, context);
-        };
+            if (dashboardState.folders) {
+                Object.values(dashboardState.folders).forEach(f => f.isOpen = false);
+            }
 
-        // Ensure visibility on hover via CSS (added in styles.css)
-        btn.style.opacity = '0';
-        btn.style.transition = 'opacity 0.2s';
+            console.debug('[NotebookLM FoldNest] Dashboard state loaded');
 
-        if (row.classList.contains('plugin-proxy-item')) {
-            const actions = row.querySelector('.proxy-actions');
-            if (actions) actions.insertBefore(btn, actions.firstChild);
-        } else {
-            if (context === 'source') {
-                const moreBtn = row.querySelector('button[aria-label="More"]');
-                if (moreBtn && moreBtn.parentElement) {
-                    moreBtn.parentElement.insertBefore(btn, moreBtn);
-                    moreBtn.parentElement.style.display = 'flex';
-                } else {
-                    row.insertBefore(btn, row.firstChild);
-                }
-            } else {
-                // Studio items
-                const actions = row.querySelector('.artifact-item-button, .actions-container, .artifact-actions');
-                if (actions) {
-                    actions.insertBefore(btn, actions.firstChild);
-                    actions.style.display = 'flex';
-                    actions.style.alignItems = 'center';
-                } else {
-                    // Fallback for list view rows
-                    const actionsCell = row.querySelector('.actions-column, [role="gridcell"]:last-child, .artifact-list-item-actions');
-                    if (actionsCell) {
-                        actionsCell.insertBefore(btn, actionsCell.firstChild);
-                        actionsCell.style.display = 'flex';
-                        actionsCell.style.alignItems = 'center';
-                    } else {
-                        row.appendChild(btn);
-                    }
-                }
+            // Apply persisted sidebar width
+            const savedWidth = localStorage.getItem('notebooklm_sidebar_width');
+            if (savedWidth) {
+                resizeSidebar(parseInt(savedWidth, 10));
             }
-        }
 
-        // Manual hover handling as backup/complement to CSS
-        row.addEventListener('mouseenter', () => btn.style.opacity = '1');
-        row.addEventListener('mouseleave', () => btn.style.opacity = '0');
+            startDashboardObserver();
+            // Inject CSS styles if not already present (helper function)
+            setTimeout(runDashboardOrganizer, INIT_DELAY_MS);
+            // The weekly time summary counts a running timer too
+            loadTaskTimer();
+        });
     } catch (e) {
-        console.debug('[NotebookLM FoldNest] Inject move trigger error:', e.message);
+        console.error('[NotebookLM FoldNest] Dashboard init failed:', e);
     }
 }
 
-function showMoveMenu(e, text, context) {
+/**
+ * Save dashboard state to storage
+ */
+function saveDashboardState() {
+    // Guard: Skip if extension context invalidated (happens during dev reload)
+    if (!chrome?.runtime?.id) return;
+
     try {
-        document.querySelectorAll('.plugin-dropdown').forEach(el => el.remove());
-        const menu = document.createElement('div');
-        menu.className = 'plugin-dropdown';
+        // Cloud sync picks this up via chrome.storage.onChanged in the service worker
+        chrome.storage.local.set({ [DASHBOARD_STATE_KEY]: dashboardState });
+    } catch (e) {
+        console.error('[NotebookLM FoldNest] Failed to save dashboard state:', e);
+    }
+}
 
-        if (appState[context].mappings[text]) {
-            const item = document.createElement('div');
-            item.className = 'plugin-dropdown-item';
-            item.style.color = '#f28b82';
-            item.innerText = "Remove from Folder";
-            item.onclick = (ev) => {
-                ev.stopPropagation();
-                delete appState[context].mappings[text];
-                saveState();
-                const safeText = CSS.escape(text);
-                const proxy = document.querySelector(`.plugin-proxy-item[data-ref="${safeText}"]`);
-                if (proxy) proxy.remove();
-                safeProcessItems(context);
-                menu.remove();
-            };
-            menu.appendChild(item);
+/**
+ * Start observer for dashboard changes
+ */
+function startDashboardObserver() {
+    try {
+        // Find a valid container to observe
+        let targetContainer = safeQuery(document, activeSelectors.dashboardContainer);
+
+        // v0.9.3 optimization: Try to observe just the grid container first
+        const gridContainer = safeQuery(document, activeSelectors.notebookGrid)
+            || document.querySelector('.featured-project')?.parentElement;
+
+        // If not found, try common fallbacks
+        if (!targetContainer) {
+            targetContainer = document.querySelector('mat-sidenav-content') ||
+                document.querySelector('main') ||
+                document.body;
         }
 
-        const list = getFlatList(context);
-        if (list.length === 0) {
-            const empty = document.createElement('div');
-            empty.className = 'plugin-dropdown-item';
-            empty.style.fontStyle = 'italic';
-            empty.innerText = "No folders created";
-            menu.appendChild(empty);
+        // If still no valid node, retry after a delay
+        if (!targetContainer || targetContainer.nodeType !== 1) {
+            console.debug('[NotebookLM FoldNest] Dashboard container not ready, retrying...');
+            setTimeout(startDashboardObserver, 1000);
+            return;
         }
-        list.forEach(f => {
-            const item = document.createElement('div');
-            item.className = 'plugin-dropdown-item';
-            // Add indent spaces
-            for (let i = 0; i < f.level; i++) item.appendChild(document.createTextNode('\u00A0\u00A0'));
-            item.appendChild(getIconElement('folder', '16px'));
-            item.appendChild(document.createTextNode(' ' + f.name));
-            item.onclick = (ev) => {
-                ev.stopPropagation();
-                appState[context].mappings[text] = f.id;
-                appState[context].folders[f.id].isOpen = true;
-                saveState();
-                renderTree(context);
-                setTimeout(() => safeProcessItems(context), DOM_SETTLE_DELAY_MS);
-                menu.remove();
-            };
-            menu.appendChild(item);
+
+        dashboardObserver = new MutationObserver((mutations) => {
+            try {
+                const isRelevant = mutations.some(m => {
+                    if (!m.target) return false;
+
+                    // Normalize text nodes to parent for .closest() check
+                    const node = m.target.nodeType === 3 ? m.target.parentElement : m.target;
+                    if (!node || (node.closest && node.closest('.plugin-dashboard-container'))) return false;
+
+                    // Ignore mutations where we are just re-injecting our own buttons
+                    if (m.type === 'childList' && m.addedNodes.length > 0) {
+                        const allOurs = Array.from(m.addedNodes).every(n =>
+                            n.nodeType !== 1 || n.classList?.contains('plugin-add-to-folder-btn')
+                        );
+                        if (allOurs) return false;
+                    }
+
+                    return m.type === 'childList';
+                });
+
+                if (!isRelevant) return;
+
+                debouncedRunDashboardOrganizer();
+            } catch (e) { }
         });
 
-        document.body.appendChild(menu);
-        const rect = e.target.getBoundingClientRect();
-        menu.style.top = (rect.bottom + window.scrollY) + 'px';
-        menu.style.left = rect.left + 'px';
+        // Optimization (Part 1): Narrow scope if we have a grid container
+        if (gridContainer) {
+            dashboardObserver.observe(gridContainer, { childList: true, subtree: false });
+        } else {
+            // Fallback to broader scope
+            dashboardObserver.observe(targetContainer, { childList: true, subtree: true });
+        }
 
-        setTimeout(() => {
-            const close = () => {
-                menu.remove();
-                document.removeEventListener('click', close);
-            };
-            document.addEventListener('click', close);
-        }, DOM_SETTLE_DELAY_MS);
+        console.debug('[NotebookLM FoldNest] Dashboard observer started');
+
+        // Also immediately run the organizer
+        debouncedRunDashboardOrganizer();
     } catch (e) {
-        console.debug('[NotebookLM FoldNest] Show move menu error:', e.message);
+        console.error('[NotebookLM FoldNest] Dashboard observer setup failed:', e);
+        // Retry on failure
+        setTimeout(startDashboardObserver, 2000);
     }
 }
 
-function createFolder(context, parentId) {
-    const name = prompt("Folder Name:");
-    if (!name) return;
-    const id = Math.random().toString(36).substr(2, 9);
-    const count = Object.values(appState[context].folders || {}).filter(f => f.parentId === parentId).length;
-    appState[context].folders[id] = { id, name, parentId, isOpen: true, order: count };
-    saveState();
-    renderTree(context);
-}
+const debouncedRunDashboardOrganizer = debounce(() => {
+    runWithGracefulDegradation('dashboardFolderOrganization', runDashboardOrganizer);
+}, DEBOUNCE_ORGANIZER_MS);
 
-function deleteFolder(context, id) {
+/**
+ * Main organizer function for dashboard
+ */
+function runDashboardOrganizer() {
     try {
-        delete appState[context].folders[id];
-        const maps = appState[context].mappings || {};
-        Object.keys(maps).forEach(k => {
-            if (maps[k] === id) delete maps[k];
-        });
-        Object.values(appState[context].folders || {}).forEach(f => {
-            if (f.parentId === id) f.parentId = null;
-        });
-        saveState();
-        renderTree(context);
-        safeProcessItems(context);
-    } catch (e) {
-        console.debug('[NotebookLM FoldNest] Delete folder error:', e.message);
-    }
-}
+        console.debug('[NotebookLM FoldNest] runDashboardOrganizer called');
+        const anchor = findDashboardAnchor();
+        console.debug('[NotebookLM FoldNest] Anchor found:', anchor ? anchor.tagName + '.' + anchor.className : 'null');
 
-function getFlatList(context) {
-    const arr = [];
-    const folders = appState[context].folders || {};
-    function recurse(pid, level) {
-        const kids = Object.values(folders).filter(f => (f.parentId || null) === (pid || null)).sort((a, b) => (a.order || 0) - (b.order || 0));
-        kids.forEach(k => {
-            arr.push({ id: k.id, name: k.name, level });
-            recurse(k.id, level + 1);
-        });
+        // v0.9.0 Setup view listeners (Part 5)
+        setupDashboardViewListeners();
+        setupDashboardMoreMenuInterceptor();
+
+        // Inject container if we have an anchor
+        if (anchor) {
+            injectDashboardContainer(anchor);
+        }
+
+        // v0.9.3: Build ghost proxies for cross-section sync
+        renderDashboardTreeIfChanged();
+        buildGhostProxiesFromStorage();
+
+        // ALWAYS process notebooks (container might already exist from previous run)
+        processDashboardNotebooks();
+
+    } catch (e) {
+        console.debug('[NotebookLM FoldNest] Dashboard organizer error:', e.message);
     }
-    recurse(null, 0);
-    return arr;
 }
 
-// --- FLOATING TASK BUTTON FOR TEXT SELECTION ---
-let floatingTaskBtn = null;
+/**
+ * Find the anchor point for injecting dashboard UI
+ */
+function findDashboardAnchor() {
+    try {
+        // Look for the notebook grid using configured selectors
+        const grid = safeQuery(document, activeSelectors.notebookGrid);
+        if (grid) return grid;
 
-function setupFloatingTaskButton() {
-    // Remove any existing button
-    if (floatingTaskBtn) {
-        floatingTaskBtn.remove();
-        floatingTaskBtn = null;
-    }
+        // Fallback: find first notebook card's parent
+        const firstCard = safeQuery(document, activeSelectors.notebookCard);
+        if (firstCard && firstCard.parentElement) {
+            return firstCard.parentElement;
+        }
 
-    document.addEventListener('mouseup', handleTextSelection);
-    document.addEventListener('mousedown', hideFloatingButton);
-}
+        // Additional fallbacks for NotebookLM's structure
+        const fallbacks = [
+            'mat-sidenav-content',
+            'welcome-page',
+            '.welcome-page-container',
+            'main',
+            '[role="main"]',
+            '.mat-mdc-table',
+            '.mdc-data-table__content'
+        ];
 
-function handleTextSelection(e) {
-    // Don't show if clicking on our own UI
-    if (e.target.closest('.plugin-container') || e.target.closest('.plugin-modal-overlay')) {
-        return;
+        for (const sel of fallbacks) {
+            const el = document.querySelector(sel);
+            if (el) {
+                console.debug('[NotebookLM FoldNest] Using fallback anchor:', sel);
+                return el;
+            }
+        }
+
+        return null;
+    } catch (e) {
+        return null;
     }
+}
 
-    // Small delay to let selection settle
-    setTimeout(() => {
-        const selection = window.getSelection();
-        const selectedText = selection ? selection.toString().trim() : '';
+/**
+ * Injects the dashboard container and UI elements (v0.9.0)
+ * Uses procedural DOM creation to bypass TrustedHTML
+ */
+function injectDashboardContainer(anchorEl) {
+    try {
+        const id = 'plugin-dashboard-root';
+        if (safeHasClass(anchorEl, 'plugin-dashboard-injected') || document.getElementById(id)) return;
 
-        if (selectedText.length < 3) {
-            hideFloatingButton();
-            return;
-        }
+        // 1. Create Header
+        const header = createEl('div', { className: 'plugin-dashboard-header' }, [
+            createEl('div', { className: 'plugin-dashboard-title' }, [
+                getIconElement('folder', '24px'),
+                createEl('span', {}, ['Notebook Folders'])
+            ])
+        ]);
 
-        // Check if selection is within a note editor
-        const anchorNode = selection.anchorNode;
-        if (!anchorNode) {
-            hideFloatingButton();
-            return;
-        }
+        // 2. Create Controls
+        const controls = createEl('div', { className: 'plugin-controls-area' }, [
+            createEl('button', { className: 'plugin-btn add-folder', title: 'Create New Folder' }, [getIconElement('newFolder')]),
+            createEl('button', { className: 'plugin-btn secondary expand-all', title: 'Expand All Folders' }, [getIconElement('unfoldMore')]),
+            createEl('button', { className: 'plugin-btn secondary collapse-all', title: 'Collapse All Folders' }, [getIconElement('unfoldLess')]),
+            createEl('button', { className: 'plugin-btn secondary export-btn', title: 'Download config' }, [getIconElement('export')]),
+            createEl('button', { className: 'plugin-btn secondary import-btn', title: 'Upload config' }, [getIconElement('import')]),
+            createEl('button', { className: 'plugin-btn secondary reset-btn', title: 'Reset All Folders' }, [getIconElement('restart')])
+        ]);
 
-        const editorParent = anchorNode.parentElement?.closest('.ql-editor, .ProseMirror, [contenteditable="true"], .note-body');
-        if (!editorParent) {
-            hideFloatingButton();
-            return;
-        }
+        // 3. Create Search Area
+        const searchDiv = createEl('div', { className: 'plugin-search-area' }, [
+            getIconElement('search', '16px', '#0097A7'),
+            createEl('input', { type: 'text', placeholder: 'Search notebooks, notes and tasks...' }),
+            createEl('span', { className: 'plugin-icon-btn search-clear-btn', title: 'Clear search' }, [getIconElement('cancel', '16px')])
+        ]);
 
-        // Get selection position
-        const range = selection.getRangeAt(0);
-        const rect = range.getBoundingClientRect();
+        // 4. Create Global Search Results, Task Inbox + Tree Component Mounts
+        const globalSearchMount = createEl('div', { id: 'dashboard-global-search', className: 'plugin-global-search', style: { display: 'none' } });
+        const inboxMount = createEl('div', { id: 'dashboard-task-inbox', className: 'plugin-dashboard-tasks' });
+        const treeMount = createEl('div', { id: 'dashboard-tree-mount', className: 'plugin-dashboard-tree' });
 
-        showFloatingButton(rect, selectedText);
-    }, 10);
-}
+        // 5. Assemble Main Container
+        const container = createEl('div', {
+            id: id,
+            className: 'plugin-dashboard-container plugin-container'
+        }, [header, controls, searchDiv, globalSearchMount, inboxMount, treeMount]);
 
-function showFloatingButton(rect, selectedText) {
-    hideFloatingButton();
+        // 6. Wire up event handlers
+        controls.querySelector('.add-folder').onclick = () => {
+            // Simple prompt for now, can upgrade to modal later
+            const name = prompt("New Folder Name:");
+            if (name && name.trim()) {
+                const id = 'folder_' + Date.now();
+                dashboardState.folders[id] = {
+                    id,
+                    name: name.trim(),
+                    parentId: null,
+                    order: Object.keys(dashboardState.folders).length,
+                    isOpen: true,
+                    color: null
+                };
+                saveDashboardState();
+                renderDashboardTree();
+            }
+        };
 
-    floatingTaskBtn = document.createElement('div');
-    floatingTaskBtn.className = 'plugin-floating-task-btn';
-    floatingTaskBtn.title = 'Create task from selection';
-    floatingTaskBtn.appendChild(getIconElement('addTask'));
+        controls.querySelector('.expand-all').onclick = () => expandAllDashboardFolders();
+        controls.querySelector('.collapse-all').onclick = () => collapseAllDashboardFolders();
+        controls.querySelector('.export-btn').onclick = () => exportDashboardFolders();
+        controls.querySelector('.import-btn').onclick = () => importDashboardFolders();
+        controls.querySelector('.reset-btn').onclick = () => {
+            showConfirmModal("Reset all dashboard folders?", async () => {
+                dashboardState = JSON.parse(JSON.stringify(DEFAULT_DASHBOARD_STATE));
 
-    // Position above the selection
-    floatingTaskBtn.style.left = `${rect.left + rect.width / 2 - 16 + window.scrollX}px`;
-    floatingTaskBtn.style.top = `${rect.top - 40 + window.scrollY}px`;
+                // Ensure sync metadata is updated to flag this as a new change
+                if (!dashboardState._syncMeta) dashboardState._syncMeta = {};
+                dashboardState._syncMeta.lastModified = Date.now();
 
-    floatingTaskBtn.onclick = (e) => {
-        e.stopPropagation();
-        e.preventDefault();
+                await saveDashboardState();
+                location.reload();
+            });
+        };
 
-        // Get the note title
-        const titleEl = safeQuery(document, activeSelectors.activeNoteTitle);
-        const noteTitle = titleEl ? (safeGetText(titleEl) || titleEl.value || '') : '';
+        // Search Handlers
+        const searchInput = searchDiv.querySelector('input');
+        const clearBtn = searchDiv.querySelector('.search-clear-btn');
+        const debouncedSearch = debounce((value) => filterDashboardNotebooks(value), DEBOUNCE_SEARCH_MS);
 
-        // Open modal with selection data
-        showTaskCreateModalWithSelection(selectedText, noteTitle);
+        if (searchInput) {
+            searchInput.oninput = (e) => {
+                debouncedSearch(e.target.value);
+                if (clearBtn) clearBtn.classList.toggle('visible', e.target.value.length > 0);
+            };
+        }
 
-        // Clear selection and hide button
-        window.getSelection().removeAllRanges();
-        hideFloatingButton();
-    };
+        if (clearBtn) {
+            clearBtn.onclick = () => {
+                if (searchInput) {
+                    searchInput.value = '';
+                    filterDashboardNotebooks('');
+                    clearBtn.classList.remove('visible');
+                    searchInput.focus();
+                }
+            };
+        }
 
-    document.body.appendChild(floatingTaskBtn);
-}
+        // 7. Inject into Sidebar Shell
+        const shell = ensureSidebarShell();
+        if (shell) {
+            shell.appendChild(container);
+        } else {
+            // Fallback (should typically not happen given ensureSidebarShell logic)
+            if (anchorEl.classList.contains('welcome-page-container') || anchorEl.tagName === 'WELCOME-PAGE') {
+                anchorEl.prepend(container);
+            } else {
+                anchorEl.parentElement.insertBefore(container, anchorEl);
+            }
+        }
 
-function hideFloatingButton(e) {
-    // Don't hide if clicking the button itself
-    if (e && e.target.closest('.plugin-floating-task-btn')) {
-        return;
-    }
+        anchorEl.classList.add('plugin-dashboard-injected');
+        renderDashboardTreeIfChanged();
+        renderDashboardTaskInbox();
 
-    if (floatingTaskBtn) {
-        floatingTaskBtn.remove();
-        floatingTaskBtn = null;
+    } catch (e) {
+        console.error('[NotebookLM FoldNest] Dashboard container inject error:', e);
     }
 }
 
-// =============================================================================
-// v0.9.0 DASHBOARD FOLDER ORGANIZATION (FoldNest)
-// =============================================================================
+// --- DASHBOARD TASK INBOX ---
+// Open tasks from every notebook (notebookTreeState_*), grouped by due date.
+// Edits are written straight back to the owning notebook's stored state;
+// an open tab of that notebook picks them up via chrome.storage.onChanged.
+
+const INBOX_GROUPS = [
+    { key: 'overdue', label: 'Overdue' },
+    { key: 'today', label: 'Today' },
+    { key: 'week', label: 'This week' },
+    { key: 'later', label: 'Later' },
+    { key: 'undated', label: 'No date' }
+];
+const inboxCollapsedGroups = new Set(['undated']);
 
 /**
- * Initialize dashboard mode - load state and inject UI
+ * Map notebook IDs to titles from the dashboard's title cache
+ * @param {object|null} state - Dashboard state (stored copy when off the dashboard)
+ * @returns {Object<string, string>}
  */
-function initDashboard() {
-    try {
-        // Hydrate state and title cache concurrently
-        chrome.storage.local.get([DASHBOARD_STATE_KEY, 'notebookLM_titleIdCache'], (result) => {
-            if (result[DASHBOARD_STATE_KEY]) {
-                dashboardState = result[DASHBOARD_STATE_KEY];
-            } else {
-                dashboardState = JSON.parse(JSON.stringify(DEFAULT_DASHBOARD_STATE));
-            }
+function getNotebookTitlesById(state = dashboardState) {
+    const idToTitle = {};
+    Object.entries(state?.notebookTitles || {}).forEach(([title, ids]) => {
+        (Array.isArray(ids) ? ids : [ids]).forEach(id => {
+            if (!idToTitle[id]) idToTitle[id] = title;
+        });
+    });
+    return idToTitle;
+}
 
-            // Ensure all required properties exist
-            if (!dashboardState.folders) dashboardState.folders = {};
-            if (!dashboardState.mappings) dashboardState.mappings = {};
-            if (!dashboardState.idMappings) dashboardState.idMappings = {};
-            if (!dashboardState.pinned) dashboardState.pinned = [];
-            if (!dashboardState.settings) dashboardState.settings = { foldersOpen: true };
-            if (!dashboardState.notebookTitles) dashboardState.notebookTitles = {};
+/**
+ * Storage keys of every notebook's stored state
+ * @returns {Promise<string[]>}
+ */
+async function listNotebookStateKeys() {
+    // getKeys() avoids reading every stored value just to list the keys
+    const keys = chrome.storage.local.getKeys
+        ? await chrome.storage.local.getKeys()
+        : Object.keys(await chrome.storage.local.get(null));
+    return keys.filter(key => key.startsWith('notebookTreeState_'));
+}
 
-            // Hydrate title cache from Part 1
-            if (result['notebookLM_titleIdCache']) {
-                dashboardState.notebookTitles = {
-                    ...result['notebookLM_titleIdCache'],
-                    ...dashboardState.notebookTitles // live session data wins
-                };
-            }
+/**
+ * Read every notebook's stored state
+ * @returns {Promise<Object<string, object>>} notebookId -> state
+ */
+async function loadAllNotebookStates() {
+    const prefix = 'notebookTreeState_';
+    const stateKeys = await listNotebookStateKeys();
+    if (stateKeys.length === 0) return {};
+
+    const stored = await chrome.storage.local.get(stateKeys);
+    const states = {};
+    stateKeys.forEach(key => {
+        if (stored[key]?.source) states[key.slice(prefix.length)] = stored[key];
+    });
+    return states;
+}
 
-            // v0.9.3: Migration for ghost proxies
-            rebuildIdMappingsIfNeeded();
+/**
+ * Apply a change to one task in a notebook's stored state
+ * @param {string} notebookId
+ * @param {string} taskId
+ * @param {function(object[], number): void} mutate - Called with (tasks, index)
+ * @returns {Promise<boolean>} false if the task no longer exists
+ */
+async function updateNotebookTask(notebookId, taskId, mutate) {
+    const key = `notebookTreeState_${notebookId}`;
+    const result = await chrome.storage.local.get([key]);
+    const state = result[key];
+    const tasks = state?.source?.tasks || [];
+    const index = tasks.findIndex(t => t.id === taskId);
+    if (index === -1) return false;
+
+    mutate(tasks, index);
+    if (!state._syncMeta) state._syncMeta = {};
+    state._syncMeta.lastModified = Date.now();
+    state._syncMeta.writer = STATE_WRITER_ID;
+    await chrome.storage.local.set({ [key]: state });
+    return true;
+}
 
-            if (dashboardState.folders) {
-                Object.values(dashboardState.folders).forEach(f => f.isOpen = false);
-            }
+/**
+ * Inbox group for a due date: overdue, today, this week (through Sunday), later, undated
+ * @param {string} date - 'YYYY-MM-DD' or ''
+ * @returns {string}
+ */
+function getInboxGroup(date) {
+    if (!date) return 'undated';
+    const recurrence = window.FoldNestRecurrence;
+    const due = recurrence.parseDate(date);
+    if (!due) return 'undated';
 
-            console.debug('[NotebookLM FoldNest] Dashboard state loaded');
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const endOfWeek = new Date(today);
+    endOfWeek.setDate(today.getDate() + ((7 - today.getDay()) % 7));
 
-            // Apply persisted sidebar width
-            const savedWidth = localStorage.getItem('notebooklm_sidebar_width');
-            if (savedWidth) {
-                resizeSidebar(parseInt(savedWidth, 10));
-            }
+    if (due < today) return 'overdue';
+    if (due.getTime() === today.getTime()) return 'today';
+    if (due <= endOfWeek) return 'week';
+    return 'later';
+}
 
-            startDashboardObserver();
-            // Inject CSS styles if not already present (helper function)
-            setTimeout(runDashboardOrganizer, INIT_DELAY_MS);
-        });
-    } catch (e) {
-        console.error('[NotebookLM FoldNest] Dashboard init failed:', e);
+/**
+ * Builds one inbox row: check, text, notebook link and editable due date
+ * @param {{notebookId: string, title: string, task: object}} entry
+ * @returns {HTMLElement}
+ */
+function createInboxTaskElement(entry) {
+    const { notebookId, title, task } = entry;
+    const check = createEl('div', { className: 'plugin-task-check', title: 'Mark complete' });
+    check.onclick = async (e) => {
+        e.stopPropagation();
+        const found = await updateNotebookTask(notebookId, task.id, (tasks, index) => toggleTaskDone(tasks, index));
+        showToast(found ? `Completed "${task.text}"` : 'Task no longer exists');
+        renderDashboardTaskInbox();
+    };
+
+    const textRow = createEl('div', { className: 'plugin-inbox-task-text', title: task.description || task.text }, [task.text]);
+    if (window.FoldNestRecurrence?.normalize(task.repeat)) {
+        const repeatIcon = createEl('span', { className: 'plugin-task-repeat', title: window.FoldNestRecurrence.describe(task.repeat) });
+        repeatIcon.appendChild(getIconElement('repeat', '12px'));
+        textRow.appendChild(repeatIcon);
+    }
+    if (task.subtasks?.length) {
+        const done = task.subtasks.filter(sub => sub.done).length;
+        textRow.appendChild(createEl('span', { className: 'plugin-task-progress-count' }, [` ${done}/${task.subtasks.length}`]));
     }
+
+    const link = createEl('a', {
+        className: 'plugin-inbox-notebook',
+        href: `${window.location.origin}/notebook/${notebookId}`,
+        title: `Open "${title}"`
+    }, [title]);
+
+    const dateBtn = createEl('button', { className: 'plugin-inbox-date', title: 'Change due date' }, [task.date || 'Set date']);
+    dateBtn.onclick = (e) => {
+        e.stopPropagation();
+        const input = createEl('input', { type: 'date', className: 'plugin-inbox-date-input' });
+        input.value = task.date || '';
+        input.onchange = async () => {
+            await updateNotebookTask(notebookId, task.id, (tasks, index) => {
+                tasks[index].date = input.value;
+            });
+            renderDashboardTaskInbox();
+        };
+        input.onblur = () => renderDashboardTaskInbox();
+        dateBtn.replaceWith(input);
+        input.focus();
+        try { input.showPicker(); } catch (err) { /* Needs a user gesture in some browsers */ }
+    };
+
+    const meta = createEl('div', { className: 'plugin-inbox-task-meta' }, [link, dateBtn]);
+    return createEl('div', {
+        className: `plugin-inbox-task task-prio-${task.prio || 0}`,
+        'data-task-id': task.id
+    }, [check, createEl('div', { className: 'plugin-inbox-task-main' }, [textRow, meta])]);
 }
 
 /**
- * Save dashboard state to storage
+ * Renders the cross-notebook task inbox on the dashboard
  */
-function saveDashboardState() {
-    // Guard: Skip if extension context invalidated (happens during dev reload)
-    if (!chrome?.runtime?.id) return;
+async function renderDashboardTaskInbox() {
+    const mount = document.getElementById('dashboard-task-inbox');
+    if (!mount || !isFeatureEnabled('taskManagement')) return;
 
     try {
-        chrome.storage.local.set({ [DASHBOARD_STATE_KEY]: dashboardState }, () => {
-            // v0.9.3: Trigger cloud sync if enabled (non-blocking)
-            if (window.FoldNestSync && window.FoldNestSync.isEnabled()) {
-                window.FoldNestSync.triggerUpload('dashboard');
-            }
+        const states = await loadAllNotebookStates();
+        const titles = getNotebookTitlesById();
+        const groups = {};
+        INBOX_GROUPS.forEach(group => { groups[group.key] = []; });
+
+        Object.entries(states).forEach(([notebookId, state]) => {
+            (state.source.tasks || []).forEach(task => {
+                if (task.done || !task.id) return;
+                groups[getInboxGroup(task.date)].push({
+                    notebookId,
+                    title: titles[notebookId] || 'Untitled notebook',
+                    task
+                });
+            });
+        });
+        Object.values(groups).forEach(entries => entries.sort((a, b) =>
+            (a.task.date || '').localeCompare(b.task.date || '') ||
+            ((a.task.prio || 99) - (b.task.prio || 99))
+        ));
+
+        const isOpen = dashboardState.settings?.tasksInboxOpen !== false;
+        const dueCount = groups.overdue.length + groups.today.length + groups.week.length;
+        const arrow = createEl('span', { className: `arrow ${isOpen ? 'open' : ''}` });
+        arrow.appendChild(getIconElement('chevron', '18px'));
+        const calendarBtn = createEl('button', {
+            className: 'plugin-btn secondary plugin-inbox-calendar',
+            title: 'Export all dated tasks to calendar (.ics)'
+        }, [getIconElement('calendar', '16px')]);
+        calendarBtn.onclick = (e) => {
+            e.stopPropagation();
+            showCalendarModal({ getItems: getLibraryCalendarItems, name: 'notebooklm-tasks', allowImport: false });
+        };
+        const exportBtn = createEl('button', {
+            className: 'plugin-btn secondary plugin-inbox-export',
+            title: 'Export tasks from every notebook (Markdown / CSV / JSON)'
+        }, [getIconElement('export', '16px')]);
+        exportBtn.onclick = (e) => {
+            e.stopPropagation();
+            showTaskExportModal({ allowCurrent: false });
+        };
+        const timeBtn = createEl('button', {
+            className: 'plugin-btn secondary plugin-inbox-time',
+            title: 'Time tracked this week'
+        }, [getIconElement('timer', '16px')]);
+        timeBtn.onclick = (e) => {
+            e.stopPropagation();
+            showTimeSummaryModal();
+        };
+        const header = createEl('div', { className: 'plugin-dashboard-tasks-header' }, [
+            arrow,
+            getIconElement('addTask', '18px'),
+            createEl('span', {}, ['Tasks']),
+            createEl('span', { className: 'section-count' }, [dueCount > 0 ? `(${dueCount} due this week)` : '']),
+            calendarBtn,
+            exportBtn,
+            timeBtn
+        ]);
+        header.onclick = () => {
+            if (!dashboardState.settings) dashboardState.settings = {};
+            dashboardState.settings.tasksInboxOpen = !isOpen;
+            saveDashboardState();
+            renderDashboardTaskInbox();
+        };
+
+        const body = createEl('div', { className: 'plugin-dashboard-tasks-body', style: { display: isOpen ? 'block' : 'none' } });
+        const total = Object.values(groups).reduce((sum, entries) => sum + entries.length, 0);
+        if (total === 0) {
+            body.appendChild(createEl('div', { className: 'plugin-inbox-empty' }, ['No open tasks in any notebook']));
+        }
+
+        INBOX_GROUPS.forEach(({ key, label }) => {
+            const entries = groups[key];
+            if (entries.length === 0) return;
+            const collapsed = inboxCollapsedGroups.has(key);
+            const title = createEl('div', { className: `plugin-inbox-group-title inbox-${key}` }, [
+                `${label} (${entries.length})`
+            ]);
+            title.onclick = () => {
+                if (collapsed) inboxCollapsedGroups.delete(key);
+                else inboxCollapsedGroups.add(key);
+                renderDashboardTaskInbox();
+            };
+            const group = createEl('div', { className: `plugin-inbox-group ${collapsed ? 'collapsed' : ''}` }, [title]);
+            if (!collapsed) entries.forEach(entry => group.appendChild(createInboxTaskElement(entry)));
+            body.appendChild(group);
         });
+
+        mount.replaceChildren(header, body);
     } catch (e) {
-        console.error('[NotebookLM FoldNest] Failed to save dashboard state:', e);
+        console.debug('[NotebookLM FoldNest] Task inbox render error:', e.message);
     }
 }
 
+// --- TASK IMPORT (Markdown / CSV) ---
+// Checklists and spreadsheets become tasks (task-import.js). Nothing is added
+// until the preview table has been confirmed.
+
+const IMPORT_PREVIEW_LIMIT = 200;
+const IMPORT_FIELD_LABELS = {
+    title: 'Title',
+    date: 'Due date',
+    priority: 'Priority',
+    section: 'Section',
+    description: 'Description'
+};
+const IMPORT_PRIORITY_LABELS = ['', 'High', 'Medium', 'Low'];
+
 /**
- * Start observer for dashboard changes
+ * Existing task section with this name (case-insensitive)
+ * @param {string} name
+ * @returns {object|null}
  */
-function startDashboardObserver() {
-    try {
-        // Find a valid container to observe
-        let targetContainer = safeQuery(document, activeSelectors.dashboardContainer);
+function findTaskSectionByName(name) {
+    const target = name.trim().toLowerCase();
+    return Object.values(appState.source.taskSections || {}).find(section => (section.name || '').trim().toLowerCase() === target) || null;
+}
 
-        // v0.9.3 optimization: Try to observe just the grid container first
-        const gridContainer = safeQuery(document, activeSelectors.notebookGrid)
-            || document.querySelector('.featured-project')?.parentElement;
+/**
+ * Read dates, priorities and #tags written inside imported task titles
+ * (quick-add syntax); explicit column values win
+ * @param {object[]} rows
+ * @returns {object[]}
+ */
+function applyQuickAddToImportRows(rows) {
+    return rows.map(row => {
+        const parsed = window.FoldNestQuickAdd.parse(row.text, { sections: [] });
+        return {
+            ...row,
+            text: parsed.text,
+            date: row.date || parsed.date,
+            reminder: parsed.reminder,
+            prio: row.prio || parsed.prio,
+            tags: parsed.tags
+        };
+    });
+}
 
-        // If not found, try common fallbacks
-        if (!targetContainer) {
-            targetContainer = document.querySelector('mat-sidenav-content') ||
-                document.querySelector('main') ||
-                document.body;
-        }
+/**
+ * Add previewed rows to the notebook, creating missing sections
+ * @param {object[]} rows
+ * @param {string|null} defaultSectionId - For rows without a section
+ * @returns {{added: number, sections: number}}
+ */
+function commitImportedTasks(rows, defaultSectionId) {
+    if (!appState.source.tasks) appState.source.tasks = [];
+    if (!appState.source.taskSections) appState.source.taskSections = {};
+    const newId = () => Math.random().toString(36).substr(2, 9);
+    let sections = 0;
 
-        // If still no valid node, retry after a delay
-        if (!targetContainer || targetContainer.nodeType !== 1) {
-            console.debug('[NotebookLM FoldNest] Dashboard container not ready, retrying...');
-            setTimeout(startDashboardObserver, 1000);
-            return;
+    rows.forEach(row => {
+        let sectionId = defaultSectionId || null;
+        if (row.section) {
+            let section = findTaskSectionByName(row.section);
+            if (!section) {
+                const id = newId();
+                section = { id, name: row.section, isOpen: true, order: Object.keys(appState.source.taskSections).length, color: null };
+                appState.source.taskSections[id] = section;
+                sections++;
+            }
+            sectionId = section.id;
         }
 
-        dashboardObserver = new MutationObserver((mutations) => {
-            try {
-                const isRelevant = mutations.some(m => {
-                    if (!m.target) return false;
+        appState.source.tasks.push({
+            id: newId(),
+            text: row.text,
+            description: row.description || '',
+            done: row.done,
+            prio: row.prio || 0,
+            date: row.date || '',
+            sectionId,
+            ...(row.reminder && row.date ? { reminder: row.reminder } : {}),
+            ...(row.tags && row.tags.length ? { tags: row.tags } : {}),
+            ...(row.subtasks.length ? { subtasks: row.subtasks.map(sub => ({ id: newId(), text: sub.text, done: sub.done })) } : {})
+        });
+    });
 
-                    // Normalize text nodes to parent for .closest() check
-                    const node = m.target.nodeType === 3 ? m.target.parentElement : m.target;
-                    if (!node || (node.closest && node.closest('.plugin-dashboard-container'))) return false;
+    saveState();
+    renderTasks();
+    return { added: rows.length, sections };
+}
 
-                    // Ignore mutations where we are just re-injecting our own buttons
-                    if (m.type === 'childList' && m.addedNodes.length > 0) {
-                        const allOurs = Array.from(m.addedNodes).every(n =>
-                            n.nodeType !== 1 || n.classList?.contains('plugin-add-to-folder-btn')
-                        );
-                        if (allOurs) return false;
-                    }
+/**
+ * Preview table of the rows about to be imported
+ * @param {object[]} rows
+ * @returns {HTMLElement}
+ */
+function buildImportPreviewTable(rows) {
+    const header = createEl('tr', {}, ['Task', 'Section', 'Due', 'Priority', 'Subtasks'].map(label => createEl('th', {}, [label])));
+    const body = createEl('tbody');
+    rows.slice(0, IMPORT_PREVIEW_LIMIT).forEach(row => {
+        const isNewSection = row.section && !findTaskSectionByName(row.section);
+        const taskCell = createEl('td', { className: row.done ? 'done' : '' }, [row.text]);
+        if (row.tags?.length) taskCell.appendChild(createEl('span', { className: 'plugin-task-tag' }, [` ${row.tags.map(tag => `#${tag}`).join(' ')}`]));
+        body.appendChild(createEl('tr', {}, [
+            taskCell,
+            createEl('td', {}, [row.section ? `${row.section}${isNewSection ? ' (new)' : ''}` : '']),
+            createEl('td', {}, [row.date ? `${row.date}${row.reminder ? ` ${row.reminder}` : ''}` : '']),
+            createEl('td', { className: row.prio ? `import-prio-${row.prio}` : '' }, [IMPORT_PRIORITY_LABELS[row.prio || 0]]),
+            createEl('td', { title: row.subtasks.map(sub => sub.text).join('\n') }, [row.subtasks.length ? String(row.subtasks.length) : ''])
+        ]));
+    });
+    return createEl('table', { className: 'plugin-import-table' }, [createEl('thead', {}, [header]), body]);
+}
 
-                    return m.type === 'childList';
-                });
+/**
+ * Import dialog: paste or load a Markdown checklist or CSV file, map CSV
+ * columns, check the preview, then add the tasks
+ */
+function showTaskImportModal() {
+    const existing = document.getElementById('plugin-confirm-modal');
+    if (existing) existing.remove();
+    const importer = window.FoldNestTaskImport;
 
-                if (!isRelevant) return;
+    let fileName = '';
+    let csvHeaders = null;
+    let mapping = null;
+    let rows = [];
 
-                debouncedRunDashboardOrganizer();
-            } catch (e) { }
+    const textArea = createEl('textarea', {
+        className: 'import-text',
+        rows: '6',
+        placeholder: '# Week 1\n- [ ] Read chapter 1\n  - [ ] Take notes\n\nor CSV: Title,Due date,Priority,Section'
+    });
+    const fileBtn = createEl('button', { className: 'quick-date-btn' }, ['Choose file…']);
+    const formatSelect = createEl('select', { className: 'import-format-select' }, [
+        createEl('option', { value: 'auto' }, ['Detect format']),
+        createEl('option', { value: 'markdown' }, ['Markdown checklist']),
+        createEl('option', { value: 'csv' }, ['CSV'])
+    ]);
+    const mappingField = createEl('div', { className: 'plugin-edit-field', style: { display: 'none' } });
+    const quickAddCheck = createEl('input', { type: 'checkbox' });
+    quickAddCheck.checked = true;
+    const quickAddField = createEl('label', { className: 'plugin-edit-checkbox' }, [
+        quickAddCheck,
+        'Read dates, priorities and #tags in task text (e.g. "Essay fri !high")'
+    ]);
+    const sectionSelect = createEl('select', { className: 'import-section-select' }, [
+        createEl('option', { value: '' }, ['No Section'])
+    ]);
+    Object.values(appState.source.taskSections || {})
+        .sort((a, b) => (a.order || 0) - (b.order || 0))
+        .forEach(section => sectionSelect.appendChild(createEl('option', { value: section.id }, [section.name])));
+    const summary = createEl('div', { className: 'plugin-ics-hint' });
+    const preview = createEl('div', { className: 'plugin-import-preview' });
+
+    const cancelBtn = createEl('button', { className: 'plugin-modal-btn cancel' }, ['Cancel']);
+    const importBtn = createEl('button', { className: 'plugin-modal-btn confirm' }, ['Import']);
+
+    const getFormat = () => (formatSelect.value === 'auto'
+        ? importer.detectFormat(textArea.value, fileName)
+        : formatSelect.value);
+
+    const renderMapping = () => {
+        mappingField.replaceChildren(createEl('label', {}, ['Columns']));
+        const grid = createEl('div', { className: 'plugin-import-mapping' });
+        importer.CSV_FIELDS.forEach(fieldName => {
+            const select = createEl('select', {}, [createEl('option', { value: '-1' }, ['(none)'])]);
+            csvHeaders.forEach((header, index) => select.appendChild(createEl('option', { value: String(index) }, [header || `Column ${index + 1}`])));
+            select.value = String(mapping[fieldName]);
+            select.onchange = () => {
+                mapping[fieldName] = parseInt(select.value, 10);
+                updatePreview();
+            };
+            grid.appendChild(createEl('label', {}, [IMPORT_FIELD_LABELS[fieldName], select]));
         });
+        mappingField.appendChild(grid);
+    };
 
-        // Optimization (Part 1): Narrow scope if we have a grid container
-        if (gridContainer) {
-            dashboardObserver.observe(gridContainer, { childList: true, subtree: false });
+    const updatePreview = () => {
+        const format = getFormat();
+        if (format === 'csv') {
+            const csv = importer.parseCsv(textArea.value);
+            // Keep the user's mapping while the columns stay the same
+            if (!csvHeaders || csvHeaders.join('\u0000') !== csv.headers.join('\u0000')) {
+                csvHeaders = csv.headers;
+                mapping = importer.guessCsvMapping(csv.headers);
+                renderMapping();
+            }
+            rows = importer.mapCsvRows(csv.rows, mapping);
         } else {
-            // Fallback to broader scope
-            dashboardObserver.observe(targetContainer, { childList: true, subtree: true });
+            rows = importer.parseMarkdown(textArea.value);
         }
+        if (quickAddCheck.checked) rows = applyQuickAddToImportRows(rows);
+
+        mappingField.style.display = format === 'csv' && csvHeaders?.length ? '' : 'none';
+        const newSections = new Set(rows.filter(row => row.section && !findTaskSectionByName(row.section)).map(row => row.section.trim().toLowerCase()));
+        const subtaskCount = rows.reduce((sum, row) => sum + row.subtasks.length, 0);
+        summary.textContent = rows.length === 0
+            ? (textArea.value.trim() ? `No tasks found in this ${format === 'csv' ? 'CSV' : 'Markdown'} text` : '')
+            : [
+                `${rows.length} task${rows.length === 1 ? '' : 's'}`,
+                subtaskCount ? `${subtaskCount} subtask${subtaskCount === 1 ? '' : 's'}` : '',
+                newSections.size ? `${newSections.size} new section${newSections.size === 1 ? '' : 's'}` : '',
+                rows.length > IMPORT_PREVIEW_LIMIT ? `showing the first ${IMPORT_PREVIEW_LIMIT}` : ''
+            ].filter(Boolean).join(' · ');
+        preview.replaceChildren(...(rows.length ? [buildImportPreviewTable(rows)] : []));
+        importBtn.textContent = rows.length ? `Import ${rows.length} task${rows.length === 1 ? '' : 's'}` : 'Import';
+        importBtn.disabled = rows.length === 0;
+    };
 
-        console.debug('[NotebookLM FoldNest] Dashboard observer started');
+    const overlay = createEl('div', { id: 'plugin-confirm-modal', className: 'plugin-modal-overlay' }, [
+        createEl('div', { className: 'plugin-modal-content plugin-edit-modal plugin-import-modal' }, [
+            createEl('div', { className: 'plugin-modal-title' }, ['Import Tasks']),
+            createEl('div', { className: 'plugin-edit-field' }, [
+                createEl('label', {}, ['Paste a Markdown checklist or CSV, or load a file']),
+                textArea,
+                createEl('div', { className: 'plugin-edit-date-row' }, [fileBtn, formatSelect])
+            ]),
+            mappingField,
+            quickAddField,
+            createEl('div', { className: 'plugin-edit-field' }, [
+                createEl('label', {}, ['Tasks without a section go to']),
+                sectionSelect,
+                createEl('div', { className: 'plugin-ics-hint' }, ['Markdown headings and the CSV section column create sections that do not exist yet.'])
+            ]),
+            summary,
+            preview,
+            createEl('div', { className: 'plugin-modal-buttons' }, [cancelBtn, importBtn])
+        ])
+    ]);
 
-        // Also immediately run the organizer
-        debouncedRunDashboardOrganizer();
-    } catch (e) {
-        console.error('[NotebookLM FoldNest] Dashboard observer setup failed:', e);
-        // Retry on failure
-        setTimeout(startDashboardObserver, 2000);
+    const escHandler = (e) => {
+        if (e.key === 'Escape') closeModal();
+    };
+    const closeModal = () => {
+        overlay.remove();
+        document.removeEventListener('keydown', escHandler);
+    };
+
+    textArea.oninput = debounce(updatePreview, DEBOUNCE_SEARCH_MS);
+    formatSelect.onchange = updatePreview;
+    quickAddCheck.onchange = updatePreview;
+    fileBtn.onclick = (e) => {
+        e.preventDefault();
+        const input = createEl('input', { type: 'file', accept: '.md,.markdown,.txt,.csv,.tsv,text/markdown,text/csv,text/plain' });
+        input.onchange = (event) => {
+            const file = event.target.files[0];
+            if (!file) return;
+            const reader = new FileReader();
+            reader.onload = (loaded) => {
+                fileName = file.name;
+                textArea.value = loaded.target.result;
+                updatePreview();
+            };
+            reader.readAsText(file);
+        };
+        input.click();
+    };
+    cancelBtn.onclick = closeModal;
+    importBtn.onclick = () => {
+        if (rows.length === 0) return;
+        try {
+            const { added, sections } = commitImportedTasks(rows, sectionSelect.value || null);
+            showToast(`Imported ${added} task${added === 1 ? '' : 's'}${sections ? ` and ${sections} section${sections === 1 ? '' : 's'}` : ''}`);
+            closeModal();
+        } catch (err) {
+            console.error('[NotebookLM FoldNest] Task import failed:', err);
+            showToast('Task import failed');
+        }
+    };
+    overlay.onclick = (e) => {
+        if (e.target === overlay) closeModal();
+    };
+
+    updatePreview();
+    document.addEventListener('keydown', escHandler);
+    document.body.appendChild(overlay);
+    textArea.focus();
+}
+
+// --- TASK EXPORT (Markdown / CSV / JSON) ---
+// Task lists for other tools, from the open notebook or every notebook
+// (task-export.js). Every row links back to its notebook and source note.
+
+const TASK_EXPORT_FORMATS = {
+    markdown: { label: 'Markdown checklist (grouped by section)', extension: 'md', mime: 'text/markdown', build: 'toMarkdown' },
+    csv: { label: 'CSV (every task field)', extension: 'csv', mime: 'text/csv', build: 'toCsv' },
+    json: { label: 'JSON (Todoist-style)', extension: 'json', mime: 'application/json', build: 'toJson' }
+};
+
+/**
+ * Notebook ID -> title, also off the dashboard (reads the stored title cache)
+ * @returns {Promise<Object<string, string>>}
+ */
+async function loadNotebookTitlesById() {
+    const dashboard = dashboardState || (await chrome.storage.local.get([DASHBOARD_STATE_KEY]))[DASHBOARD_STATE_KEY];
+    const titles = getNotebookTitlesById(dashboard);
+    const notebookId = isDashboardMode ? null : getNotebookId();
+    if (notebookId) titles[notebookId] = getCurrentNotebookTitle() || titles[notebookId];
+    return titles;
+}
+
+/**
+ * Notebooks to export, with their sections and tasks
+ * @param {'current'|'all'} scope
+ * @returns {Promise<Array<{id: string, title: string, url: string, sections: object, tasks: object[]}>>}
+ */
+async function getTaskExportNotebooks(scope) {
+    const currentId = isDashboardMode ? null : getNotebookId();
+    const toNotebook = (id, title, source) => ({
+        id,
+        title: title || 'Untitled notebook',
+        url: `${window.location.origin}/notebook/${id}`,
+        sections: source.taskSections || {},
+        tasks: source.tasks || []
+    });
+
+    if (scope === 'current') {
+        return currentId ? [toNotebook(currentId, getCurrentNotebookTitle(), appState.source)] : [];
     }
+
+    const states = await loadAllNotebookStates();
+    // The open notebook's unsaved edits win over its stored copy
+    if (currentId) states[currentId] = appState;
+    const titles = await loadNotebookTitlesById();
+    return Object.entries(states)
+        .map(([id, state]) => toNotebook(id, titles[id], state.source))
+        .filter(notebook => notebook.tasks.length > 0)
+        .sort((a, b) => a.title.localeCompare(b.title));
 }
 
-const debouncedRunDashboardOrganizer = debounce(() => {
-    runWithGracefulDegradation('dashboardFolderOrganization', runDashboardOrganizer);
-}, DEBOUNCE_ORGANIZER_MS);
+/**
+ * Save text as a file through a temporary download link
+ * @param {string} text
+ * @param {string} fileName - Without unsafe characters
+ * @param {string} mime
+ */
+function downloadTextFile(text, fileName, mime) {
+    const blob = new Blob([text], { type: mime });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName.replace(/[<>:"\/\\|?*]/g, '');
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
 
 /**
- * Main organizer function for dashboard
+ * Export dialog: format, notebook scope and whether to include completed tasks
+ * @param {object} options
+ * @param {boolean} options.allowCurrent - Offer "This notebook" (notebook page only)
  */
-function runDashboardOrganizer() {
-    try {
-        console.debug('[NotebookLM FoldNest] runDashboardOrganizer called');
-        const anchor = findDashboardAnchor();
-        console.debug('[NotebookLM FoldNest] Anchor found:', anchor ? anchor.tagName + '.' + anchor.className : 'null');
+function showTaskExportModal({ allowCurrent }) {
+    const existing = document.getElementById('plugin-confirm-modal');
+    if (existing) existing.remove();
 
-        // v0.9.0 Setup view listeners (Part 5)
-        setupDashboardViewListeners();
-        setupDashboardMoreMenuInterceptor();
+    const formatSelect = createEl('select', { className: 'task-export-format' },
+        Object.entries(TASK_EXPORT_FORMATS).map(([key, format]) => createEl('option', { value: key }, [format.label])));
+    const scopeSelect = createEl('select', { className: 'task-export-scope' }, [
+        ...(allowCurrent ? [createEl('option', { value: 'current' }, ['This notebook'])] : []),
+        createEl('option', { value: 'all' }, ['All notebooks'])
+    ]);
+    const includeDone = createEl('input', { type: 'checkbox', className: 'task-export-include-done' });
+
+    const cancelBtn = createEl('button', { className: 'plugin-modal-btn cancel' }, ['Cancel']);
+    const copyBtn = createEl('button', { className: 'plugin-modal-btn' }, ['Copy']);
+    const downloadBtn = createEl('button', { className: 'plugin-modal-btn confirm' }, ['Download']);
+
+    const overlay = createEl('div', { id: 'plugin-confirm-modal', className: 'plugin-modal-overlay' }, [
+        createEl('div', { className: 'plugin-modal-content plugin-edit-modal' }, [
+            createEl('div', { className: 'plugin-modal-title' }, ['Export Tasks']),
+            createEl('div', { className: 'plugin-edit-field' }, [createEl('label', {}, ['Format']), formatSelect]),
+            createEl('div', { className: 'plugin-edit-field' }, [createEl('label', {}, ['Tasks from']), scopeSelect]),
+            createEl('label', { className: 'plugin-edit-checkbox' }, [includeDone, 'Include completed tasks']),
+            createEl('div', { className: 'plugin-ics-hint' }, ['Every task includes its source note and a link to its notebook.']),
+            createEl('div', { className: 'plugin-modal-buttons' }, [cancelBtn, copyBtn, downloadBtn])
+        ])
+    ]);
 
-        // Inject container if we have an anchor
-        if (anchor) {
-            injectDashboardContainer(anchor);
+    const escHandler = (e) => {
+        if (e.key === 'Escape') closeModal();
+    };
+    const closeModal = () => {
+        overlay.remove();
+        document.removeEventListener('keydown', escHandler);
+    };
+
+    const buildExport = async () => {
+        const format = TASK_EXPORT_FORMATS[formatSelect.value];
+        const notebooks = await getTaskExportNotebooks(scopeSelect.value);
+        const result = window.FoldNestTaskExport[format.build](notebooks, { includeDone: includeDone.checked });
+        if (result.count === 0) {
+            showToast(includeDone.checked ? 'No tasks to export' : 'No open tasks to export');
+            return null;
         }
+        const name = scopeSelect.value === 'current' ? (getCurrentNotebookTitle() || getNotebookId() || 'notebook').trim() : 'all';
+        return { ...result, format, fileName: `notebooklm-tasks-${name}.${format.extension}` };
+    };
 
-        // v0.9.3: Build ghost proxies for cross-section sync
-        renderDashboardTreeIfChanged();
-        buildGhostProxiesFromStorage();
+    cancelBtn.onclick = closeModal;
+    downloadBtn.onclick = async () => {
+        try {
+            const result = await buildExport();
+            if (!result) return;
+            downloadTextFile(result.text, result.fileName, result.format.mime);
+            showToast(`Exported ${result.count} task${result.count === 1 ? '' : 's'}`);
+            closeModal();
+        } catch (e) {
+            console.error('[NotebookLM FoldNest] Task export failed:', e);
+            showToast('Task export failed');
+        }
+    };
+    copyBtn.onclick = async () => {
+        try {
+            const result = await buildExport();
+            if (!result) return;
+            await navigator.clipboard.writeText(result.text.replace(/^\uFEFF/, ''));
+            showToast(`Copied ${result.count} task${result.count === 1 ? '' : 's'}`);
+            closeModal();
+        } catch (e) {
+            console.error('[NotebookLM FoldNest] Task copy failed:', e);
+            showToast('Could not copy tasks');
+        }
+    };
+    overlay.onclick = (e) => {
+        if (e.target === overlay) closeModal();
+    };
+    document.addEventListener('keydown', escHandler);
+    document.body.appendChild(overlay);
+}
 
-        // ALWAYS process notebooks (container might already exist from previous run)
-        processDashboardNotebooks();
+// --- CALENDAR EXPORT / IMPORT (.ics) ---
+// Dated tasks as iCalendar entries (task-ics.js). The task section exports
+// and imports one notebook; the dashboard task inbox exports the whole library.
+
+/**
+ * Export items for the open notebook's active dated tasks
+ * @returns {Array<{task: object, notebookTitle: string, url: string}>}
+ */
+function getNotebookCalendarItems() {
+    const notebookId = getNotebookId();
+    const title = getCurrentNotebookTitle() || 'Notebook';
+    return (appState.source.tasks || [])
+        .filter(task => !task.done && task.date)
+        .map(task => ({ task, notebookTitle: title, url: `${window.location.origin}/notebook/${notebookId}` }));
+}
+
+/**
+ * Export items for active dated tasks across every notebook
+ * @returns {Promise<Array<{task: object, notebookTitle: string, url: string}>>}
+ */
+async function getLibraryCalendarItems() {
+    const states = await loadAllNotebookStates();
+    const titles = getNotebookTitlesById();
+    const items = [];
+    Object.entries(states).forEach(([notebookId, state]) => {
+        (state.source.tasks || []).forEach(task => {
+            if (task.done || !task.date) return;
+            items.push({
+                task,
+                notebookTitle: titles[notebookId] || 'Untitled notebook',
+                url: `${window.location.origin}/notebook/${notebookId}`
+            });
+        });
+    });
+    return items;
+}
 
+/**
+ * Download items as an .ics file
+ * @param {object[]} items - See getNotebookCalendarItems
+ * @param {string} component - 'VEVENT' or 'VTODO'
+ * @param {string} name - Calendar and file name
+ */
+function downloadTasksCalendar(items, component, name) {
+    try {
+        const { ics, count } = window.FoldNestICS.buildCalendar(items, { component, name });
+        if (count === 0) {
+            showToast('No open tasks with a due date to export');
+            return;
+        }
+        downloadTextFile(ics, `${name}.ics`, 'text/calendar');
+        showToast(`Exported ${count} task${count === 1 ? '' : 's'} to calendar`);
     } catch (e) {
-        console.debug('[NotebookLM FoldNest] Dashboard organizer error:', e.message);
+        console.error('[NotebookLM FoldNest] Calendar export failed:', e);
+        showToast('Calendar export failed');
     }
 }
 
 /**
- * Find the anchor point for injecting dashboard UI
+ * Merge calendar entries into the open notebook's tasks. Entries whose UID
+ * matches an existing task update it; the rest become new tasks.
+ * @param {string} text - .ics file contents
+ * @param {string|null} sectionId - Section for new tasks
+ * @returns {{added: number, updated: number}}
  */
-function findDashboardAnchor() {
-    try {
-        // Look for the notebook grid using configured selectors
-        const grid = safeQuery(document, activeSelectors.notebookGrid);
-        if (grid) return grid;
-
-        // Fallback: find first notebook card's parent
-        const firstCard = safeQuery(document, activeSelectors.notebookCard);
-        if (firstCard && firstCard.parentElement) {
-            return firstCard.parentElement;
+function importTasksCalendar(text, sectionId) {
+    const ics = window.FoldNestICS;
+    if (!appState.source.tasks) appState.source.tasks = [];
+    const tasks = appState.source.tasks;
+    let added = 0;
+    let updated = 0;
+
+    ics.parseCalendar(text).forEach(entry => {
+        const fields = {
+            text: entry.text,
+            description: entry.description,
+            date: entry.date,
+            prio: entry.prio
+        };
+        // Recurring occurrences share a UID; the open one is the current occurrence
+        const matches = entry.uid ? tasks.filter(task => ics.getTaskUid(task) === entry.uid) : [];
+        const existing = matches.find(task => !task.done) || matches[0];
+        if (existing) {
+            // Completion stays local so recurring tasks do not spawn twice
+            Object.assign(existing, fields);
+            if (entry.repeat) existing.repeat = entry.repeat;
+            else delete existing.repeat;
+            updated++;
+            return;
         }
 
-        // Additional fallbacks for NotebookLM's structure
-        const fallbacks = [
-            'mat-sidenav-content',
-            'welcome-page',
-            '.welcome-page-container',
-            'main',
-            '[role="main"]',
-            '.mat-mdc-table',
-            '.mdc-data-table__content'
-        ];
-
-        for (const sel of fallbacks) {
-            const el = document.querySelector(sel);
-            if (el) {
-                console.debug('[NotebookLM FoldNest] Using fallback anchor:', sel);
-                return el;
-            }
-        }
+        const id = Math.random().toString(36).substr(2, 9);
+        tasks.push({
+            id,
+            ...fields,
+            done: entry.done,
+            sectionId: sectionId || null,
+            // Our own exports already carry the task ID; keep foreign UIDs for re-import
+            icsUid: entry.uid || `${id}@notebooklm-foldnest`,
+            ...(entry.repeat ? { repeat: entry.repeat } : {})
+        });
+        added++;
+    });
 
-        return null;
-    } catch (e) {
-        return null;
+    if (added || updated) {
+        saveState();
+        renderTasks();
     }
+    return { added, updated };
 }
 
 /**
- * Injects the dashboard container and UI elements (v0.9.0)
- * Uses procedural DOM creation to bypass TrustedHTML
+ * Calendar dialog: download dated tasks as .ics and, in a notebook, import an .ics file
+ * @param {object} options
+ * @param {function(): (object[]|Promise<object[]>)} options.getItems - Export items
+ * @param {string} options.name - Calendar and file name
+ * @param {boolean} options.allowImport - Show the import controls (notebook only)
  */
-function injectDashboardContainer(anchorEl) {
-    try {
-        const id = 'plugin-dashboard-root';
-        if (safeHasClass(anchorEl, 'plugin-dashboard-injected') || document.getElementById(id)) return;
+function showCalendarModal({ getItems, name, allowImport }) {
+    const existing = document.getElementById('plugin-confirm-modal');
+    if (existing) existing.remove();
 
-        // 1. Create Header
-        const header = createEl('div', { className: 'plugin-dashboard-header' }, [
-            createEl('div', { className: 'plugin-dashboard-title' }, [
-                getIconElement('folder', '24px'),
-                createEl('span', {}, ['Notebook Folders'])
-            ])
-        ]);
+    const formatSelect = createEl('select', { className: 'ics-format-select' }, [
+        createEl('option', { value: 'VEVENT' }, ['All-day events (Google Calendar, Outlook)']),
+        createEl('option', { value: 'VTODO' }, ['To-dos (Apple Reminders, Thunderbird)'])
+    ]);
+    const fields = [
+        createEl('div', { className: 'plugin-modal-title' }, ['Calendar (.ics)']),
+        createEl('div', { className: 'plugin-edit-field' }, [
+            createEl('label', {}, ['Export open tasks with a due date as']),
+            formatSelect
+        ])
+    ];
 
-        // 2. Create Controls
-        const controls = createEl('div', { className: 'plugin-controls-area' }, [
-            createEl('button', { className: 'plugin-btn add-folder', title: 'Create New Folder' }, [getIconElement('newFolder')]),
-            createEl('button', { className: 'plugin-btn secondary expand-all', title: 'Expand All Folders' }, [getIconElement('unfoldMore')]),
-            createEl('button', { className: 'plugin-btn secondary collapse-all', title: 'Collapse All Folders' }, [getIconElement('unfoldLess')]),
-            createEl('button', { className: 'plugin-btn secondary export-btn', title: 'Download config' }, [getIconElement('export')]),
-            createEl('button', { className: 'plugin-btn secondary import-btn', title: 'Upload config' }, [getIconElement('import')]),
-            createEl('button', { className: 'plugin-btn secondary reset-btn', title: 'Reset All Folders' }, [getIconElement('restart')])
-        ]);
+    const sectionSelect = createEl('select', { className: 'ics-section-select' }, [
+        createEl('option', { value: '' }, ['No Section'])
+    ]);
+    if (allowImport) {
+        Object.values(appState.source.taskSections || {})
+            .sort((a, b) => (a.order || 0) - (b.order || 0))
+            .forEach(section => sectionSelect.appendChild(createEl('option', { value: section.id }, [section.name])));
+        fields.push(createEl('div', { className: 'plugin-edit-field' }, [
+            createEl('label', {}, ['Import new tasks into']),
+            sectionSelect,
+            createEl('div', { className: 'plugin-ics-hint' }, ['Re-importing a file updates the tasks it created instead of adding duplicates.'])
+        ]));
+    }
 
-        // 3. Create Search Area
-        const searchDiv = createEl('div', { className: 'plugin-search-area' }, [
-            getIconElement('search', '16px', '#0097A7'),
-            createEl('input', { type: 'text', placeholder: 'Search notebooks...' }),
-            createEl('span', { className: 'plugin-icon-btn search-clear-btn', title: 'Clear search' }, [getIconElement('cancel', '16px')])
-        ]);
+    const cancelBtn = createEl('button', { className: 'plugin-modal-btn cancel' }, ['Cancel']);
+    const importBtn = allowImport ? createEl('button', { className: 'plugin-modal-btn' }, ['Import .ics…']) : null;
+    const exportBtn = createEl('button', { className: 'plugin-modal-btn confirm' }, ['Download .ics']);
+    fields.push(createEl('div', { className: 'plugin-modal-buttons' }, [cancelBtn, importBtn, exportBtn]));
 
-        // 4. Create Tree Component Mount
-        const treeMount = createEl('div', { id: 'dashboard-tree-mount', className: 'plugin-dashboard-tree' });
+    const overlay = createEl('div', { id: 'plugin-confirm-modal', className: 'plugin-modal-overlay' }, [
+        createEl('div', { className: 'plugin-modal-content plugin-edit-modal' }, fields)
+    ]);
 
-        // 5. Assemble Main Container
-        const container = createEl('div', {
-            id: id,
-            className: 'plugin-dashboard-container plugin-container'
-        }, [header, controls, searchDiv, treeMount]);
+    const escHandler = (e) => {
+        if (e.key === 'Escape') closeModal();
+    };
+    const closeModal = () => {
+        overlay.remove();
+        document.removeEventListener('keydown', escHandler);
+    };
 
-        // 6. Wire up event handlers
-        controls.querySelector('.add-folder').onclick = () => {
-            // Simple prompt for now, can upgrade to modal later
-            const name = prompt("New Folder Name:");
-            if (name && name.trim()) {
-                const id = 'folder_' + Date.now();
-                dashboardState.folders[id] = {
-                    id,
-                    name: name.trim(),
-                    parentId: null,
-                    order: Object.keys(dashboardState.folders).length,
-                    isOpen: true,
-                    color: null
+    cancelBtn.onclick = closeModal;
+    exportBtn.onclick = async () => {
+        const items = await getItems();
+        downloadTasksCalendar(items, formatSelect.value, name);
+        closeModal();
+    };
+    if (importBtn) {
+        importBtn.onclick = () => {
+            const input = createEl('input', { type: 'file', accept: '.ics,text/calendar' });
+            input.onchange = (e) => {
+                const file = e.target.files[0];
+                if (!file) return;
+                const reader = new FileReader();
+                reader.onload = (event) => {
+                    try {
+                        const { added, updated } = importTasksCalendar(event.target.result, sectionSelect.value || null);
+                        showToast(added || updated
+                            ? `Imported ${added} new, updated ${updated} existing task${updated === 1 ? '' : 's'}`
+                            : 'No tasks found in this calendar file');
+                        closeModal();
+                    } catch (err) {
+                        console.error('[NotebookLM FoldNest] Calendar import failed:', err);
+                        showToast('Calendar import failed');
+                    }
                 };
-                saveDashboardState();
-                renderDashboardTree();
-            }
-        };
-
-        controls.querySelector('.expand-all').onclick = () => expandAllDashboardFolders();
-        controls.querySelector('.collapse-all').onclick = () => collapseAllDashboardFolders();
-        controls.querySelector('.export-btn').onclick = () => exportDashboardFolders();
-        controls.querySelector('.import-btn').onclick = () => importDashboardFolders();
-        controls.querySelector('.reset-btn').onclick = () => {
-            showConfirmModal("Reset all dashboard folders?", async () => {
-                dashboardState = JSON.parse(JSON.stringify(DEFAULT_DASHBOARD_STATE));
-
-                // Ensure sync metadata is updated to flag this as a new change
-                if (!dashboardState._syncMeta) dashboardState._syncMeta = {};
-                dashboardState._syncMeta.lastModified = Date.now();
-
-                await saveDashboardState();
-                location.reload();
-            });
-        };
-
-        // Search Handlers
-        const searchInput = searchDiv.querySelector('input');
-        const clearBtn = searchDiv.querySelector('.search-clear-btn');
-        const debouncedSearch = debounce((value) => filterDashboardNotebooks(value), DEBOUNCE_SEARCH_MS);
-
-        if (searchInput) {
-            searchInput.oninput = (e) => {
-                debouncedSearch(e.target.value);
-                if (clearBtn) clearBtn.classList.toggle('visible', e.target.value.length > 0);
-            };
-        }
-
-        if (clearBtn) {
-            clearBtn.onclick = () => {
-                if (searchInput) {
-                    searchInput.value = '';
-                    filterDashboardNotebooks('');
-                    clearBtn.classList.remove('visible');
-                    searchInput.focus();
-                }
+                reader.readAsText(file);
             };
-        }
-
-        // 7. Inject into Sidebar Shell
-        const shell = ensureSidebarShell();
-        if (shell) {
-            shell.appendChild(container);
-        } else {
-            // Fallback (should typically not happen given ensureSidebarShell logic)
-            if (anchorEl.classList.contains('welcome-page-container') || anchorEl.tagName === 'WELCOME-PAGE') {
-                anchorEl.prepend(container);
-            } else {
-                anchorEl.parentElement.insertBefore(container, anchorEl);
-            }
-        }
-
-        anchorEl.classList.add('plugin-dashboard-injected');
-        renderDashboardTreeIfChanged();
-
-    } catch (e) {
-        console.error('[NotebookLM FoldNest] Dashboard container inject error:', e);
+            input.click();
+        };
     }
+
+    overlay.onclick = (e) => {
+        if (e.target === overlay) closeModal();
+    };
+    document.addEventListener('keydown', escHandler);
+    document.body.appendChild(overlay);
 }
 
 let lastFolderStateHash = null;
@@ -5843,6 +8713,7 @@ function filterDashboardNotebooks(query) {
         const term = (query || '').toLowerCase().trim();
         const container = document.getElementById('plugin-dashboard-root');
         if (!container) return;
+        renderDashboardGlobalSearch(term);
 
         if (!term) {
             // Show all
@@ -5889,6 +8760,271 @@ function filterDashboardNotebooks(query) {
     }
 }
 
+// --- DASHBOARD GLOBAL SEARCH ---
+// The dashboard search also looks inside every notebook: indexed note text
+// (search-store.js), task text and descriptions, folder names and source
+// titles. Results are grouped by notebook; clicking one opens the notebook
+// with its Studio search pre-filled (applyPendingStudioSearch).
+
+const STUDIO_SEARCH_KEY = 'foldnest_studio_search';
+const STUDIO_SEARCH_MAX_AGE_MS = 60000;
+const GLOBAL_SEARCH_NOTEBOOK_LIMIT = 20;
+const GLOBAL_SEARCH_HITS_PER_NOTEBOOK = 5;
+const GLOBAL_SEARCH_KIND_LABELS = { note: 'Note', task: 'Task', folder: 'Folder', source: 'Source' };
+
+let globalSearchCorpus = null; // { index, docs: Map<docKey, doc>, keysByNotebook: Map<notebookId, docKey[]>, stale: Set<notebookId> }
+let globalSearchRefresh = null; // Promise of the corpus update in progress
+let globalSearchRun = 0; // Results of an older query are dropped
+
+/**
+ * Have the global search read one notebook again on its next query
+ * @param {string} notebookId
+ */
+function invalidateGlobalSearchNotebook(notebookId) {
+    globalSearchCorpus?.stale.add(notebookId);
+}
+
+/**
+ * Searchable items of every notebook, in one FoldNestSearch index. Notebooks
+ * are read one at a time; after the first search only those whose state or
+ * search index changed are read again.
+ * @returns {Promise<{index: object, docs: Map<string, object>, unreadable: number}>}
+ *   unreadable: notebooks whose notes could not be read (retried on the next search)
+ */
+function loadGlobalSearchCorpus() {
+    if (!globalSearchRefresh) {
+        globalSearchRefresh = refreshGlobalSearchCorpus().finally(() => {
+            globalSearchRefresh = null;
+        });
+    }
+    return globalSearchRefresh;
+}
+
+async function refreshGlobalSearchCorpus() {
+    if (!globalSearchCorpus) {
+        const [stateKeys, response] = await Promise.all([
+            listNotebookStateKeys(),
+            sendSearchIndexMessage({ action: 'searchIndexList' })
+        ]);
+        if (!response) throw new Error('Search index unavailable');
+        globalSearchCorpus = {
+            index: window.FoldNestSearch.createIndex(),
+            docs: new Map(),
+            keysByNotebook: new Map(),
+            stale: new Set([...stateKeys.map(key => key.slice('notebookTreeState_'.length)), ...response.notebookIds])
+        };
+    }
+
+    const corpus = globalSearchCorpus;
+    const failed = [];
+    for (const notebookId of [...corpus.stale]) {
+        corpus.stale.delete(notebookId);
+        if (!await loadGlobalSearchNotebook(corpus, notebookId)) failed.push(notebookId);
+    }
+    failed.forEach(notebookId => corpus.stale.add(notebookId));
+    return { index: corpus.index, docs: corpus.docs, unreadable: failed.length };
+}
+
+/**
+ * Replace one notebook's items in the global search corpus
+ * @param {object} corpus - globalSearchCorpus
+ * @param {string} notebookId
+ * @returns {Promise<boolean>} false if its notes could not be read (old items are kept)
+ */
+async function loadGlobalSearchNotebook(corpus, notebookId) {
+    const stateKey = `notebookTreeState_${notebookId}`;
+    const [stored, response] = await Promise.all([
+        chrome.storage.local.get([stateKey]),
+        sendSearchIndexMessage({ action: 'searchIndexGet', notebookId })
+    ]);
+    if (!response) return false;
+
+    const search = window.FoldNestSearch;
+    (corpus.keysByNotebook.get(notebookId) || []).forEach(docKey => {
+        corpus.docs.delete(docKey);
+        search.removeDocument(corpus.index, docKey);
+    });
+    const docKeys = [];
+    const add = (docKey, doc, text) => {
+        // Note text stays compressed until a search has to read it (see getGlobalSearchText)
+        corpus.docs.set(docKey, doc.kind === 'note' ? doc : { ...doc, searchText: text });
+        search.addDocument(corpus.index, docKey, text);
+        docKeys.push(docKey);
+    };
+
+    const state = stored[stateKey]?.source ? stored[stateKey] : null;
+    if (state) {
+        (state.source.tasks || []).forEach(task => {
+            if (!task.id) return;
+            const subtasks = (task.subtasks || []).map(sub => sub.text).join('\n');
+            add(`task|${notebookId}|${task.id}`, { kind: 'task', notebookId, taskId: task.id, title: task.text, text: task.description || subtasks },
+                [task.text, task.description, subtasks].join('\n'));
+        });
+        ['source', 'studio'].forEach(context => {
+            Object.values(state[context]?.folders || {}).forEach(folder => {
+                add(`folder|${notebookId}|${context}|${folder.id}`, { kind: 'folder', notebookId, title: folder.name }, folder.name);
+            });
+        });
+        const sourceTitles = new Set([...Object.keys(state.source.mappings || {}), ...(state.source.pinned || [])]);
+        sourceTitles.forEach(title => {
+            add(`source|${notebookId}|${title}`, { kind: 'source', notebookId, title }, title);
+        });
+    }
+
+    // Index keys are normalized titles; the notebook's Studio state knows how they are written
+    const titles = {};
+    [...Object.keys(state?.studio?.mappings || {}), ...(state?.studio?.pinned || [])].forEach(title => {
+        titles[normalizeKey(title)] = title;
+    });
+    Object.entries(response.entries || {}).forEach(([key, compressed]) => {
+        const title = titles[key] || key;
+        add(`note|${notebookId}|${key}`, { kind: 'note', notebookId, title, compressed }, `${title}\n${decompressContent(compressed)}`);
+    });
+
+    if (docKeys.length) corpus.keysByNotebook.set(notebookId, docKeys);
+    else corpus.keysByNotebook.delete(notebookId);
+    return true;
+}
+
+/**
+ * Text an item was indexed with, for words the index has no term for
+ * @param {object} doc - Entry of the global search corpus
+ * @returns {string}
+ */
+function getGlobalSearchText(doc) {
+    return doc.kind === 'note' ? `${doc.title}\n${decompressContent(doc.compressed)}` : doc.searchText;
+}
+
+/**
+ * Search every notebook and show the results under the dashboard search box
+ * @param {string} query
+ */
+async function renderDashboardGlobalSearch(query) {
+    const run = ++globalSearchRun;
+    const mount = document.getElementById('dashboard-global-search');
+    if (!mount) return;
+    if (!query) {
+        mount.replaceChildren();
+        mount.style.display = 'none';
+        return;
+    }
+
+    try {
+        const { index, docs, unreadable } = await loadGlobalSearchCorpus();
+        if (run !== globalSearchRun) return;
+
+        // Every searchable word has to occur in the same item
+        const { words, hits } = window.FoldNestSearch.search(index, query, docKey => getGlobalSearchText(docs.get(docKey)));
+        const needed = words.filter(word => !word.stop).length;
+        const byNotebook = new Map();
+        hits.forEach((hit, docKey) => {
+            if (needed === 0 || hit.matched.size < needed) return;
+            const doc = docs.get(docKey);
+            if (!byNotebook.has(doc.notebookId)) byNotebook.set(doc.notebookId, []);
+            byNotebook.get(doc.notebookId).push({ doc, hit });
+        });
+
+        const groups = [...byNotebook.entries()]
+            .map(([notebookId, results]) => ({ notebookId, results: results.sort((a, b) => b.hit.score - a.hit.score) }))
+            .sort((a, b) => b.results[0].hit.score - a.results[0].hit.score);
+        const titles = getNotebookTitlesById();
+
+        const header = createEl('div', { className: 'plugin-global-search-header' }, [
+            groups.length === 0
+                ? 'Nothing found inside notebooks'
+                : `Found inside ${groups.length} notebook${groups.length === 1 ? '' : 's'}`,
+            unreadable ? ` (notes of ${unreadable} notebook${unreadable === 1 ? '' : 's'} could not be read)` : ''
+        ]);
+        const groupEls = groups.slice(0, GLOBAL_SEARCH_NOTEBOOK_LIMIT).map(({ notebookId, results }) => {
+            const title = titles[notebookId] || 'Untitled notebook';
+            const groupEl = createEl('div', { className: 'plugin-global-search-group' }, [
+                createEl('a', {
+                    className: 'plugin-global-search-notebook',
+                    href: `${window.location.origin}/notebook/${notebookId}`,
+                    title: `Open "${title}"`
+                }, [title])
+            ]);
+            results.slice(0, GLOBAL_SEARCH_HITS_PER_NOTEBOOK).forEach(result => {
+                groupEl.appendChild(createGlobalSearchResultElement(result, query));
+            });
+            if (results.length > GLOBAL_SEARCH_HITS_PER_NOTEBOOK) {
+                groupEl.appendChild(createEl('div', { className: 'plugin-global-search-more' }, [
+                    `+${results.length - GLOBAL_SEARCH_HITS_PER_NOTEBOOK} more`
+                ]));
+            }
+            return groupEl;
+        });
+
+        mount.replaceChildren(header, ...groupEls);
+        mount.style.display = 'block';
+    } catch (e) {
+        console.debug('[NotebookLM FoldNest] Global search error:', e.message);
+        if (run !== globalSearchRun) return;
+        mount.replaceChildren(createEl('div', { className: 'plugin-global-search-header' }, [
+            'Search inside notebooks is unavailable - reload the page to try again'
+        ]));
+        mount.style.display = 'block';
+    }
+}
+
+/**
+ * One result row: kind, title and a snippet of the matched text
+ * @param {{doc: object, hit: object}} result
+ * @param {string} query
+ * @returns {HTMLElement}
+ */
+function createGlobalSearchResultElement({ doc, hit }, query) {
+    const href = `${window.location.origin}/notebook/${doc.notebookId}`;
+    const row = createEl('a', { className: `plugin-global-search-hit hit-${doc.kind}`, href }, [
+        createEl('span', { className: 'plugin-global-search-kind' }, [GLOBAL_SEARCH_KIND_LABELS[doc.kind]]),
+        createEl('span', { className: 'plugin-global-search-title' }, [doc.title])
+    ]);
+
+    // Only the shown note texts are decompressed again
+    const text = doc.kind === 'note' ? decompressContent(doc.compressed) : doc.text;
+    const segments = text ? window.FoldNestSearch.makeSnippet(text, hit.terms) : [];
+    if (segments.length) row.appendChild(createSearchSnippet(segments));
+
+    row.onclick = async (e) => {
+        e.preventDefault();
+        // A note is found by its title; anything else by the words searched for
+        const requestedAt = Date.now();
+        const pending = {
+            [STUDIO_SEARCH_KEY]: { notebookId: doc.notebookId, query: doc.kind === 'note' ? doc.title : query.trim(), requestedAt }
+        };
+        if (doc.kind === 'task') pending[FOCUS_TASK_KEY] = { notebookId: doc.notebookId, taskId: doc.taskId, requestedAt };
+        await chrome.storage.local.set(pending);
+        window.location.href = href;
+    };
+    return row;
+}
+
+/**
+ * Pre-fill the Studio search after a dashboard search result was opened
+ * (the same filter as a task's source-note link)
+ * @param {number} attempt - Retries while the Studio panel is still being built
+ */
+async function applyPendingStudioSearch(attempt = 0) {
+    try {
+        const result = await chrome.storage.local.get([STUDIO_SEARCH_KEY]);
+        const request = result[STUDIO_SEARCH_KEY];
+        if (!request || request.notebookId !== getNotebookId()) return;
+        if (Date.now() - request.requestedAt > STUDIO_SEARCH_MAX_AGE_MS) {
+            chrome.storage.local.remove(STUDIO_SEARCH_KEY);
+            return;
+        }
+
+        if (!document.querySelector('#plugin-studio-root .plugin-search-area input')) {
+            if (attempt < 20) setTimeout(() => applyPendingStudioSearch(attempt + 1), 1000);
+            return;
+        }
+        chrome.storage.local.remove(STUDIO_SEARCH_KEY);
+        filterStudioToNote(request.query);
+    } catch (e) {
+        console.debug('[NotebookLM FoldNest] Pending Studio search failed:', e.message);
+    }
+}
+
 /**
  * Export dashboard folder configuration
  */
@@ -0,0 +1,367 @@
+/**
+ * NotebookLM FoldNest - Search Index Module
+ * v1.0.0 - Inverted full-text index with BM25 ranking
+ *
+ * Pure text module used by the Studio search. content.js keeps the note text
+ * it indexes (for snippets, the pop-out and sync) and feeds each note into an
+ * in-memory inverted index once, then again only when that note changes, so
+ * a search looks up postings instead of scanning every note.
+ *
+ * - Words are lowercased, stop-words dropped and English words stemmed
+ *   ("studies", "studying" -> "studi"), the same way for notes and queries
+ * - Chinese, Japanese and Korean runs have no spaces between words; they are
+ *   indexed as overlapping character pairs ("光合作用" -> 光合, 合作, 作用)
+ * - The last query word also matches as a prefix while it is being typed
+ * - A query word with no index match is looked for inside the note text, so
+ *   "synthesis" still finds "photosynthesis"
+ * - Notes are ranked with BM25; snippets mark the matched words
+ *
+ * Index shape (not persisted):
+ *   { docs: Map<key, { length, terms: Map<term, count> }>,
+ *     postings: Map<term, Map<key, count>>, totalLength }
+ */
+
+(function (root) {
+    'use strict';
+
+    // CJK runs are matched on their own, so "abc漢字" yields "abc" and "漢字"
+    const CJK_CHARS = '\\p{scx=Han}\\p{scx=Hiragana}\\p{scx=Katakana}\\p{scx=Hangul}';
+    const WORD_REGEX = new RegExp(`[${CJK_CHARS}]+|(?:(?![${CJK_CHARS}])[\\p{L}\\p{N}])+`, 'gu');
+    const CJK_REGEX = new RegExp(`^[${CJK_CHARS}]`, 'u');
+    const BM25_K1 = 1.2;
+    const BM25_B = 0.75;
+    const MIN_PREFIX_LENGTH = 2; // Shorter last words only match whole words
+    const PREFIX_EXPANSION_LIMIT = 50; // Most common completions of the last word
+    const PREFIX_WEIGHT = 0.5; // Completions rank below the word itself
+    const MIN_SUBSTRING_LENGTH = 3; // Shorter words are not looked for inside other words
+    const SUBSTRING_WEIGHT = 0.3; // Matches inside longer words rank below completions
+    const SNIPPET_LENGTH = 140;
+    const SNIPPET_LEAD = 30; // Characters shown before the first matched word
+
+    const STOP_WORDS = new Set([
+        'a', 'about', 'above', 'after', 'again', 'against', 'all', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+        'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but', 'by', 'can', 'could',
+        'did', 'do', 'does', 'doing', 'down', 'during', 'each', 'few', 'for', 'from', 'further', 'had', 'has',
+        'have', 'having', 'he', 'her', 'here', 'hers', 'herself', 'him', 'himself', 'his', 'how', 'i', 'if',
+        'in', 'into', 'is', 'it', 'its', 'itself', 'just', 'me', 'more', 'most', 'my', 'myself', 'no', 'nor',
+        'not', 'now', 'of', 'off', 'on', 'once', 'only', 'or', 'other', 'our', 'ours', 'ourselves', 'out',
+        'over', 'own', 'same', 'she', 'should', 'so', 'some', 'such', 'than', 'that', 'the', 'their', 'theirs',
+        'them', 'themselves', 'then', 'there', 'these', 'they', 'this', 'those', 'through', 'to', 'too',
+        'under', 'until', 'up', 'very', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'while', 'who',
+        'whom', 'why', 'will', 'with', 'would', 'you', 'your', 'yours', 'yourself', 'yourselves'
+    ]);
+
+    // Derivational suffixes, longest first: [suffix, replacement]
+    const SUFFIXES = [
+        ['ational', 'ate'], ['ization', 'ize'], ['iveness', 'ive'], ['fulness', 'ful'], ['ousness', 'ous'],
+        ['ation', 'ate'], ['ness', ''], ['ment', ''], ['ly', '']
+    ];
+
+    // --- TOKENIZER ---
+
+    /**
+     * Light English stemmer. Not linguistically exact; it only has to map
+     * word forms onto the same stem for notes and queries alike.
+     * @param {string} word - Lowercase word
+     * @returns {string}
+     */
+    function stem(word) {
+        if (word.length <= 3 || !/^[a-z]+$/.test(word)) return word;
+        let w = word;
+
+        // Plurals, -ed and -ing
+        if (w.endsWith('sses')) w = w.slice(0, -2);
+        else if (/[^aeiou](ies|ied)$/.test(w)) w = w.slice(0, -3) + 'y';
+        else if (w.endsWith('s') && !/(ss|us|is)$/.test(w)) w = w.slice(0, -1);
+
+        const inflection = /^(.*[aeiouy].*?)(ing|ed)$/.exec(w);
+        if (inflection && inflection[1].length >= 2) {
+            w = inflection[1];
+            if (/([^aeiouslz])\1$/.test(w)) w = w.slice(0, -1); // running -> run
+        }
+
+        for (const [suffix, replacement] of SUFFIXES) {
+            if (w.endsWith(suffix) && w.length - suffix.length >= 3) {
+                w = w.slice(0, -suffix.length) + replacement;
+                break;
+            }
+        }
+
+        // create/created/creation all end up as "creat"; study/studies as "studi"
+        if (w.length > 3 && w.endsWith('e')) w = w.slice(0, -1);
+        if (/[^aeiou]y$/.test(w)) w = w.slice(0, -1) + 'i';
+        return w;
+    }
+
+    function isCjk(word) {
+        return CJK_REGEX.test(word);
+    }
+
+    /**
+     * Overlapping character pairs of a CJK run; a lone character stays as it is
+     * @param {string} run
+     * @returns {string[]}
+     */
+    function cjkBigrams(run) {
+        const chars = [...run];
+        if (chars.length === 1) return chars;
+        return chars.slice(1).map((char, i) => chars[i] + char);
+    }
+
+    /**
+     * Index terms of a text, in order (stop-words and single letters dropped)
+     * @param {string} text
+     * @returns {string[]}
+     */
+    function tokenize(text) {
+        const terms = [];
+        for (const [word] of String(text || '').toLowerCase().matchAll(WORD_REGEX)) {
+            if (isCjk(word)) {
+                terms.push(...cjkBigrams(word));
+                continue;
+            }
+            if (word.length < 2 || STOP_WORDS.has(word)) continue;
+            terms.push(stem(word));
+        }
+        return terms;
+    }
+
+    // --- INDEX ---
+
+    /**
+     * Empty inverted index
+     * @returns {object}
+     */
+    function createIndex() {
+        return { docs: new Map(), postings: new Map(), totalLength: 0 };
+    }
+
+    /**
+     * Drop a note from the index
+     * @param {object} index
+     * @param {string} key
+     */
+    function removeDocument(index, key) {
+        const doc = index.docs.get(key);
+        if (!doc) return;
+        doc.terms.forEach((count, term) => {
+            const posting = index.postings.get(term);
+            if (!posting) return;
+            posting.delete(key);
+            if (posting.size === 0) index.postings.delete(term);
+        });
+        index.totalLength -= doc.length;
+        index.docs.delete(key);
+    }
+
+    /**
+     * Add or replace a note in the index
+     * @param {object} index
+     * @param {string} key
+     * @param {string} text
+     */
+    function addDocument(index, key, text) {
+        removeDocument(index, key);
+        const terms = new Map();
+        const tokens = tokenize(text);
+        tokens.forEach(term => terms.set(term, (terms.get(term) || 0) + 1));
+
+        terms.forEach((count, term) => {
+            if (!index.postings.has(term)) index.postings.set(term, new Map());
+            index.postings.get(term).set(key, count);
+        });
+        index.docs.set(key, { length: tokens.length, terms });
+        index.totalLength += tokens.length;
+    }
+
+    // --- SEARCH ---
+
+    /**
+     * Split a query into words, each with the index terms it matches
+     */
+    function parseQuery(index, query) {
+        const text = String(query || '').toLowerCase();
+        // Each character pair of a CJK run is a word of its own, all of them required
+        const words = [...text.matchAll(WORD_REGEX)].flatMap(([word]) => (isCjk(word)
+            ? cjkBigrams(word).map(gram => ({ word: gram, stop: false, cjk: true, terms: [gram] }))
+            : [{ word, stop: STOP_WORDS.has(word) || word.length < 2, cjk: false, terms: [stem(word)] }]));
+
+        // A last word still being typed ("photosyn", "光") also matches longer terms
+        const last = words[words.length - 1];
+        if (last && !last.stop && /[\p{L}\p{N}]$/u.test(text) && (last.cjk || last.terms[0].length >= MIN_PREFIX_LENGTH)) {
+            const prefixes = [...new Set([last.terms[0], last.word])];
+            const completions = [];
+            index.postings.forEach((posting, term) => {
+                if (term !== last.terms[0] && prefixes.some(prefix => term.startsWith(prefix))) {
+                    completions.push([term, posting.size]);
+                }
+            });
+            completions
+                .sort((a, b) => b[1] - a[1])
+                .slice(0, PREFIX_EXPANSION_LIMIT)
+                .forEach(([term]) => last.terms.push(term));
+        }
+        return words;
+    }
+
+    /**
+     * Notes whose text contains a word the index has no term for. Only runs on
+     * a miss, since it reads every note's text.
+     * @param {object} index
+     * @param {{word: string, cjk: boolean}} entry - Query word
+     * @param {function(string): string} getText - key -> note text
+     * @param {Map<string, string>} texts - Lowercased texts already read in this search
+     * @returns {Map<string, string[]>} key -> terms of the words containing it (for snippets)
+     */
+    function findInText(index, entry, getText, texts) {
+        const found = new Map();
+        index.docs.forEach((doc, key) => {
+            if (!texts.has(key)) texts.set(key, String(getText(key) || '').toLowerCase());
+            const text = texts.get(key);
+            if (!text.includes(entry.word)) return;
+            const terms = new Set();
+            for (const [word] of text.matchAll(WORD_REGEX)) {
+                if (word.includes(entry.word)) terms.add(entry.cjk ? entry.word : stem(word));
+            }
+            found.set(key, [...terms]);
+        });
+        return found;
+    }
+
+    /**
+     * Rank notes for a query with BM25. Any matched word counts here; the
+     * caller decides whether words matched elsewhere (e.g. the title) complete
+     * a result.
+     * @param {object} index
+     * @param {string} query
+     * @param {function(string): string} [getText] - key -> note text, for words the index does not know
+     * @returns {{words: Array<{word: string, stop: boolean}>, hits: Map<string, {score: number, matched: Set<number>, terms: Set<string>}>}}
+     *   hits: key -> score, indexes of the matched query words and the matched terms (for snippets)
+     */
+    function search(index, query, getText = null) {
+        const words = parseQuery(index, query);
+        const hits = new Map();
+        const docCount = index.docs.size;
+        if (docCount === 0) return { words, hits };
+        const avgLength = index.totalLength / docCount || 1;
+        const texts = new Map();
+
+        words.forEach((entry, wordIndex) => {
+            if (entry.stop) return;
+            // A word scores once per note, by its best matching term
+            const best = new Map();
+            entry.terms.forEach((term, termIndex) => {
+                const posting = index.postings.get(term);
+                if (!posting) return;
+                const weight = termIndex === 0 ? 1 : PREFIX_WEIGHT;
+                const idf = weight * Math.log(1 + (docCount - posting.size + 0.5) / (posting.size + 0.5));
+                posting.forEach((count, key) => {
+                    const length = index.docs.get(key).length;
+                    const score = idf * (count * (BM25_K1 + 1)) /
+                        (count + BM25_K1 * (1 - BM25_B + BM25_B * length / avgLength));
+                    const current = best.get(key);
+                    if (!current || score > current.score) best.set(key, { score, terms: current ? [...current.terms, term] : [term] });
+                    else current.terms.push(term);
+                });
+            });
+
+            if (best.size === 0 && getText && (entry.cjk || entry.word.length >= MIN_SUBSTRING_LENGTH)) {
+                const found = findInText(index, entry, getText, texts);
+                const idf = SUBSTRING_WEIGHT * Math.log(1 + (docCount - found.size + 0.5) / (found.size + 0.5));
+                found.forEach((terms, key) => best.set(key, { score: idf, terms }));
+            }
+
+            best.forEach(({ score, terms }, key) => {
+                if (!hits.has(key)) hits.set(key, { score: 0, matched: new Set(), terms: new Set() });
+                const hit = hits.get(key);
+                hit.score += score;
+                hit.matched.add(wordIndex);
+                terms.forEach(term => hit.terms.add(term));
+            });
+        });
+        return { words: words.map(({ word, stop }) => ({ word, stop })), hits };
+    }
+
+    // --- SNIPPETS ---
+
+    /**
+     * Short excerpt around the densest group of matched words
+     * @param {string} text - Note text
+     * @param {Set<string>} terms - Matched index terms (search() hit.terms)
+     * @param {number} maxLength
+     * @returns {Array<{text: string, match: boolean}>} Segments; empty when nothing matches
+     */
+    function makeSnippet(text, terms, maxLength = SNIPPET_LENGTH) {
+        const source = String(text || '');
+        const words = [];
+        for (const match of source.matchAll(WORD_REGEX)) {
+            const lower = match[0].toLowerCase();
+            if (isCjk(lower)) {
+                // Per character, marked when a matched pair (or lone character) covers it
+                const chars = [...match[0]];
+                let offset = match.index;
+                chars.forEach((char, i) => {
+                    words.push({
+                        start: offset,
+                        end: offset + char.length,
+                        match: terms.has(char) || (i > 0 && terms.has(chars[i - 1] + char)) || (i < chars.length - 1 && terms.has(char + chars[i + 1]))
+                    });
+                    offset += char.length;
+                });
+                continue;
+            }
+            words.push({
+                start: match.index,
+                end: match.index + match[0].length,
+                match: !STOP_WORDS.has(lower) && terms.has(stem(lower))
+            });
+        }
+        const matches = words.filter(w => w.match);
+        if (matches.length === 0) return [];
+
+        // Window start with the most matched words inside it
+        let best = matches[0];
+        let bestCount = 0;
+        matches.forEach(candidate => {
+            const count = matches.filter(m => m.start >= candidate.start && m.end <= candidate.start + maxLength - SNIPPET_LEAD).length;
+            if (count > bestCount) {
+                best = candidate;
+                bestCount = count;
+            }
+        });
+
+        const first = words.find(w => w.end > best.start - SNIPPET_LEAD) || best;
+        const start = first.start;
+        const inside = words.filter(w => w.start >= start && w.end <= start + maxLength);
+        const end = inside.length ? inside[inside.length - 1].end : best.end;
+
+        const segments = [];
+        const push = (part, match) => {
+            const clean = part.replace(/\s+/g, ' ');
+            if (!clean) return;
+            const previous = segments[segments.length - 1];
+            if (previous && previous.match === match) previous.text += clean;
+            else segments.push({ text: clean, match });
+        };
+        if (start > 0) push('…', false);
+        let cursor = start;
+        inside.filter(w => w.match).forEach(w => {
+            push(source.slice(cursor, w.start), false);
+            push(source.slice(w.start, w.end), true);
+            cursor = w.end;
+        });
+        push(source.slice(cursor, end), false);
+        if (end < source.length) push('…', false);
+        return segments;
+    }
+
+    root.FoldNestSearch = {
+        tokenize,
+        createIndex,
+        addDocument,
+        removeDocument,
+        search,
+        makeSnippet
+    };
+
+})(typeof globalThis !== 'undefined' ? globalThis : window);
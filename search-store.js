@@ -0,0 +1,342 @@
+/**
+ * NotebookLM FoldNest - Search Index Store
+ * v1.0.0 - Note text for deep search, kept in IndexedDB
+ *
+ * Loaded by background.js via importScripts(). The service worker owns the
+ * database, so every NotebookLM tab and the sync engine share one copy.
+ * Tabs keep the notebook they show in memory and send single-note writes.
+ *
+ * - One record per note instead of one chrome.storage object per notebook
+ * - A size ledger per notebook, so a write never re-measures the whole index
+ * - Access times are indexed; eviction walks the oldest notes first
+ * - Old notebookSearchIndex_<id> storage entries are moved here once
+ * - Changes are broadcast to tabs ('searchIndexUpdated') and to onChange listeners
+ * - The dashboard lists indexed notebooks ('searchIndexList') and reads them one
+ *   at a time for its global search, so no single message carries every index
+ *
+ * Records:
+ *   notes:  { notebookId, key, content, size, accessedAt, updatedAt }  // content LZString-compressed
+ *   ledger: { notebookId, size, count }
+ */
+
+(function (root) {
+    'use strict';
+
+    // --- CONSTANTS ---
+    const DB_NAME = 'foldnest_search';
+    const DB_VERSION = 1;
+    const NOTES_STORE = 'notes';
+    const LEDGER_STORE = 'ledger';
+    const ACCESS_INDEX = 'byAccess'; // [notebookId, accessedAt]
+    const LEGACY_PREFIX = 'notebookSearchIndex_';
+    const MIGRATED_KEY = 'foldnest_search_store_migrated';
+    const MAX_INDEX_SIZE_BYTES = 10 * 1024 * 1024; // Per notebook, as UTF-16 (same cap as sync-merge.js)
+    const NOTEBOOKLM_TABS = 'https://notebooklm.google.com/*';
+
+    let dbPromise = null;
+    const listeners = [];
+
+    // --- DATABASE ---
+
+    function promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    function transactionDone(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    }
+
+    /**
+     * Walk a cursor until visit() returns false or the cursor ends
+     */
+    function forEachCursor(request, visit) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor && visit(cursor) !== false) cursor.continue();
+                else resolve();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // All notes of one notebook: [id] sorts before [id, key], [id, []] after every string key
+    function notebookRange(notebookId) {
+        return IDBKeyRange.bound([notebookId], [notebookId, []]);
+    }
+
+    function accessRange(notebookId) {
+        return IDBKeyRange.bound([notebookId, -Infinity], [notebookId, Infinity]);
+    }
+
+    /**
+     * Open the database once per worker lifetime, moving old storage entries in first
+     * @returns {Promise<IDBDatabase>}
+     */
+    function openDb() {
+        if (!dbPromise) {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                const notes = db.createObjectStore(NOTES_STORE, { keyPath: ['notebookId', 'key'] });
+                notes.createIndex(ACCESS_INDEX, ['notebookId', 'accessedAt']);
+                db.createObjectStore(LEDGER_STORE, { keyPath: 'notebookId' });
+            };
+            dbPromise = promisify(request)
+                .then(async db => {
+                    await migrateLegacyIndexes(db);
+                    return db;
+                })
+                .catch(e => {
+                    dbPromise = null;
+                    throw e;
+                });
+        }
+        return dbPromise;
+    }
+
+    /**
+     * One-time move of notebookSearchIndex_<id> objects out of chrome.storage.local
+     * @param {IDBDatabase} db
+     */
+    async function migrateLegacyIndexes(db) {
+        const flag = await chrome.storage.local.get([MIGRATED_KEY]);
+        if (flag[MIGRATED_KEY]) return;
+
+        const all = await chrome.storage.local.get(null);
+        const keys = Object.keys(all).filter(key => key.startsWith(LEGACY_PREFIX));
+        for (const storageKey of keys) {
+            const entries = all[storageKey];
+            if (entries && typeof entries === 'object') {
+                await writeEntries(db, storageKey.slice(LEGACY_PREFIX.length), entries);
+            }
+        }
+        await chrome.storage.local.set({ [MIGRATED_KEY]: true });
+        if (keys.length) await chrome.storage.local.remove(keys);
+        console.log(`[FoldNest Search] Moved ${keys.length} search index(es) to IndexedDB`);
+    }
+
+    // --- WRITES ---
+
+    /**
+     * Add or update notes of one notebook, then evict the least recently used
+     * notes beyond the size cap. Unchanged notes only get a new access time.
+     * With fitOnly, notes that would push the notebook over the cap are
+     * skipped instead, so nothing is evicted (used for entries from sync,
+     * which would otherwise evict notes the cloud then brings back).
+     * @param {IDBDatabase} db
+     * @param {string} notebookId
+     * @param {Object<string, string>} entries - key -> compressed content, most important first
+     * @param {{fitOnly?: boolean}} options
+     * @returns {Promise<{changed: Object<string, string>, evicted: string[], skipped: number}>}
+     */
+    async function writeEntries(db, notebookId, entries, { fitOnly = false } = {}) {
+        const tx = db.transaction([NOTES_STORE, LEDGER_STORE], 'readwrite');
+        const notes = tx.objectStore(NOTES_STORE);
+        const ledger = tx.objectStore(LEDGER_STORE);
+        const done = transactionDone(tx);
+        const now = Date.now();
+        const changed = {};
+        const evicted = [];
+        let skipped = 0;
+
+        const totals = (await promisify(ledger.get(notebookId))) || { notebookId, size: 0, count: 0 };
+        for (const [key, content] of Object.entries(entries)) {
+            if (typeof content !== 'string' || !content) continue;
+            const existing = await promisify(notes.get([notebookId, key]));
+            if (existing && existing.content === content) {
+                notes.put({ ...existing, accessedAt: now });
+                continue;
+            }
+            const size = content.length * 2;
+            const growth = size - (existing ? existing.size : 0);
+            if (fitOnly && growth > 0 && totals.size + growth > MAX_INDEX_SIZE_BYTES) {
+                skipped++;
+                continue;
+            }
+            totals.size += growth;
+            if (!existing) totals.count++;
+            notes.put({ notebookId, key, content, size, accessedAt: now, updatedAt: now });
+            changed[key] = content;
+        }
+
+        if (totals.size > MAX_INDEX_SIZE_BYTES) {
+            await forEachCursor(notes.index(ACCESS_INDEX).openCursor(accessRange(notebookId)), cursor => {
+                if (totals.size <= MAX_INDEX_SIZE_BYTES) return false;
+                const { key, size } = cursor.value;
+                if (key in changed) return true; // Never evict what was just written
+                cursor.delete();
+                totals.size -= size;
+                totals.count--;
+                evicted.push(key);
+                return true;
+            });
+        }
+
+        ledger.put(totals);
+        await done;
+        return { changed, evicted, skipped };
+    }
+
+    /**
+     * Tell listeners and open tabs which notes changed
+     */
+    async function notifyChange(change) {
+        if (Object.keys(change.changed).length === 0 && change.evicted.length === 0 && !change.cleared) return;
+        listeners.forEach(listener => {
+            try {
+                listener(change);
+            } catch (e) {
+                console.warn('[FoldNest Search] Change listener failed:', e);
+            }
+        });
+
+        const tabs = await chrome.tabs.query({ url: NOTEBOOKLM_TABS });
+        tabs.forEach(tab => {
+            chrome.tabs.sendMessage(tab.id, { action: 'searchIndexUpdated', ...change }).catch(() => {
+                // Tab is still loading or has no content script
+            });
+        });
+    }
+
+    // --- PUBLIC OPERATIONS ---
+
+    /**
+     * Every note of a notebook
+     * @param {string} notebookId
+     * @returns {Promise<Object<string, string>>} key -> compressed content
+     */
+    async function getEntries(notebookId) {
+        const db = await openDb();
+        const records = await promisify(db.transaction(NOTES_STORE).objectStore(NOTES_STORE).getAll(notebookRange(notebookId)));
+        const entries = {};
+        records.forEach(record => { entries[record.key] = record.content; });
+        return entries;
+    }
+
+    /**
+     * Add or update notes (one from a tab, many from sync)
+     * @param {string} notebookId
+     * @param {Object<string, string>} entries - key -> compressed content
+     * @param {{fitOnly?: boolean}} options - See writeEntries
+     * @returns {Promise<string[]>} Keys evicted to stay under the size cap
+     */
+    async function putEntries(notebookId, entries, options = {}) {
+        const { changed, evicted, skipped } = await writeEntries(await openDb(), notebookId, entries, options);
+        if (skipped) console.log(`[FoldNest Search] ${skipped} synced note(s) did not fit the size cap of ${notebookId}`);
+        await notifyChange({ notebookId, changed, evicted, cleared: false });
+        return evicted;
+    }
+
+    /**
+     * Mark notes as just used, so eviction keeps them longer
+     * @param {string} notebookId
+     * @param {string[]} keys
+     */
+    async function touch(notebookId, keys) {
+        const db = await openDb();
+        const tx = db.transaction(NOTES_STORE, 'readwrite');
+        const notes = tx.objectStore(NOTES_STORE);
+        const done = transactionDone(tx);
+        const now = Date.now();
+        for (const key of keys) {
+            const record = await promisify(notes.get([notebookId, key]));
+            if (record) notes.put({ ...record, accessedAt: now });
+        }
+        await done;
+    }
+
+    /**
+     * Remove every note of a notebook
+     * @param {string} notebookId
+     */
+    async function clear(notebookId) {
+        const db = await openDb();
+        const tx = db.transaction([NOTES_STORE, LEDGER_STORE], 'readwrite');
+        const done = transactionDone(tx);
+        tx.objectStore(NOTES_STORE).delete(notebookRange(notebookId));
+        tx.objectStore(LEDGER_STORE).delete(notebookId);
+        await done;
+        await notifyChange({ notebookId, changed: {}, evicted: [], cleared: true });
+    }
+
+    /**
+     * Notebooks with at least one indexed note
+     * @returns {Promise<string[]>}
+     */
+    async function listNotebookIds() {
+        const db = await openDb();
+        const ledgers = await promisify(db.transaction(LEDGER_STORE).objectStore(LEDGER_STORE).getAll());
+        return ledgers.filter(entry => entry.count > 0).map(entry => entry.notebookId);
+    }
+
+    /**
+     * Register a listener for index changes
+     * @param {function({notebookId: string, changed: object, evicted: string[], cleared: boolean})} listener
+     */
+    function onChange(listener) {
+        listeners.push(listener);
+    }
+
+    // --- MESSAGES ---
+
+    function respond(promise, sendResponse) {
+        promise
+            .then(result => sendResponse(result))
+            .catch(e => {
+                console.error('[FoldNest Search] Request failed:', e);
+                sendResponse({ error: e.message || 'Search index request failed' });
+            });
+    }
+
+    /**
+     * chrome.runtime.onMessage handler for requests from content.js
+     * @returns {boolean} true if the message was handled (response is async)
+     */
+    function handleMessage(request, sender, sendResponse) {
+        if (request.action === 'searchIndexList') {
+            respond(listNotebookIds().then(notebookIds => ({ notebookIds })), sendResponse);
+            return true;
+        }
+        if (!request.notebookId) return false;
+        switch (request.action) {
+            case 'searchIndexGet':
+                respond(getEntries(request.notebookId).then(entries => ({ entries })), sendResponse);
+                return true;
+
+            case 'searchIndexPut':
+                respond(putEntries(request.notebookId, { [request.key]: request.content }).then(evicted => ({ evicted })), sendResponse);
+                return true;
+
+            case 'searchIndexTouch':
+                respond(touch(request.notebookId, request.keys || []).then(() => ({ success: true })), sendResponse);
+                return true;
+
+            case 'searchIndexClear':
+                respond(clear(request.notebookId).then(() => ({ success: true })), sendResponse);
+                return true;
+        }
+        return false;
+    }
+
+    // --- PUBLIC API ---
+
+    root.FoldNestSearchStore = {
+        init: () => openDb().then(() => { }),
+        getEntries,
+        putEntries,
+        touch,
+        clear,
+        listNotebookIds,
+        onChange,
+        handleMessage
+    };
+
+})(globalThis);
@@ -0,0 +1,1723 @@
+/**
+ * NotebookLM FoldNest - Sync Engine
+ * v1.0.0 - Single sync coordinator for the background service worker
+ *
+ * Loaded by background.js via importScripts() after lz-string_min.js,
+ * sync-merge.js and sync-providers.js. Every upload, download and the offline
+ * queue run here, once per browser, so several NotebookLM tabs never race
+ * each other. Content scripts (sync.js) only show status and dialogs.
+ *
+ * - Local edits arrive through chrome.storage.onChanged (search index edits
+ *   from search-store.js) and are debounced per file
+ * - chrome.alarms schedules the periodic catch-up pass and the sync-all pass
+ * - Status is published in chrome.storage.local under 'foldnest_sync_status'
+ * - Cloud changes and conflict dialogs go to open tabs via chrome.tabs.sendMessage
+ * - All sync operations are serialized, so no two ever touch the same file at once;
+ *   conflict dialogs are waited for outside that lock
+ */
+
+(function (root) {
+    'use strict';
+
+    // --- CONSTANTS ---
+    const SYNC_STORAGE_KEY = 'foldnest_sync_settings';
+    const SYNC_STATUS_KEY = 'foldnest_sync_status';
+    const NOTEBOOK_STATE_PREFIX = 'notebookTreeState_';
+    const WEBDAV_CONFIG_KEY = 'foldnest_webdav_config';
+    const SYNC_DEBOUNCE_MS = 2000; // Debounce uploads per file
+    const NOTEBOOKLM_TABS = 'https://notebooklm.google.com/*';
+
+    // Synced files besides the per-notebook ones: type -> file, storage key, scope
+    const SHARED_FILES = {
+        dashboard: {
+            fileName: 'foldnest_dashboard.json',
+            stateKey: 'notebookLM_dashboardFolders',
+            scope: 'dashboard'
+        },
+        exportFormats: {
+            fileName: 'foldnest_export_formats.json',
+            stateKey: 'foldnest_export_formats', // Mirrored from localStorage by export-studio.js
+            scope: 'exportFormats'
+        },
+        lockedViews: {
+            fileName: 'foldnest_locked_views.json',
+            stateKey: 'foldnest_locked_views', // Mirrored from localStorage by content.js
+            scope: 'lockedViews'
+        }
+    };
+
+    // Per-notebook search index (search-store.js, IndexedDB), synced as its own file.
+    // Entries are LZString-compressed already and merge by union, newest content wins.
+    const SEARCH_INDEX_FILE_PATTERN = /^foldnest_search_([^.]+)\.json$/;
+    const SEARCH_INDEX_DEBOUNCE_MS = 30000; // The index grows with every note opened
+
+    // Parts of a file each scope covers; a file is skipped when all its scopes are off
+    const SCOPE_PATHS = {
+        folders: {
+            notebook: [['source', 'folders'], ['source', 'mappings'], ['studio', 'folders'], ['studio', 'mappings']]
+        },
+        tasks: {
+            notebook: [['source', 'tasks'], ['source', 'taskSections']]
+        },
+        pinned: {
+            notebook: [['source', 'pinned'], ['studio', 'pinned']],
+            dashboard: [['pinned']]
+        }
+    };
+
+    // Common-ancestor snapshots for three-way merge, one per synced file
+    const SYNC_BASE_PREFIX = 'foldnest_sync_base_';
+
+    // Sync-all pass over every notebook file
+    const NOTEBOOK_FILE_PATTERN = /^foldnest_notebook_([^.]+)\.json$/;
+
+    // Rolling snapshot history kept next to each synced file
+    const SYNC_HISTORY_LIMIT = 10;
+    const SYNC_HISTORY_INTERVAL_MS = 30 * 60 * 1000; // Plain uploads add a snapshot at most this often; merges always do
+    const SYNC_HISTORY_TIMES_KEY = 'foldnest_sync_history_times'; // fileName -> last snapshot from this device
+
+    // Optional end-to-end encryption (PBKDF2 + AES-GCM)
+    const CRYPTO_FILE_NAME = 'foldnest_crypto.json'; // Shared salt + key check, never the key
+    const ENCRYPTION_KEY_STORAGE = 'foldnest_sync_key'; // Derived key for this device
+    const ENCRYPTION_MARKER_STORAGE = 'foldnest_sync_crypto_marker'; // Copy of the marker, to restore it when missing
+    const ENCRYPTION_VERSION = 1;
+    const CRYPTO_CHECK_TTL_MS = 5 * 60 * 1000; // How long a look at the cloud's encryption marker is trusted
+    const PBKDF2_ITERATIONS = 310000;
+
+    // Alarms (survive service worker restarts, unlike timers)
+    const PERIODIC_ALARM = 'foldnest-sync-periodic'; // Offline queue + unsynced local edits
+    const PERIODIC_MINUTES = 15;
+    const SYNC_ALL_ALARM = 'foldnest-sync-all'; // Bring down notebooks never opened here
+    const SYNC_ALL_MINUTES = 6 * 60;
+
+    // --- STATE ---
+    let syncSettings = {
+        enabled: false,
+        lastSyncTime: null,
+        autoSync: true, // Auto-sync on changes
+        provider: 'google', // 'google' or 'webdav'
+        deviceLabel: null, // Shown in version history
+        lastSyncAllTime: null, // Last pass over every notebook
+        encryption: false, // Encrypt payloads with the sync passphrase
+        scopes: { // What to sync - see isScopeEnabled()
+            dashboard: true,
+            folders: true,
+            tasks: true,
+            pinned: true,
+            lockedViews: true,
+            exportFormats: true,
+            searchIndex: true
+        }
+    };
+    let provider = null; // Storage backend from sync-providers.js
+    let encryptionKey = null;
+    let cryptoCheckedAt = 0; // Last look at CRYPTO_FILE_NAME (see followCloudEncryption)
+    let verifiedMarker = null; // Marker version this device's key was checked against
+    let loaded = null; // Promise of the one-time load per worker lifetime
+    let lastStatus = { status: 'idle', message: '' };
+    let syncChain = Promise.resolve(); // Serializes sync operations
+    let conflictDialogs = Promise.resolve(); // One conflict dialog at a time, outside syncChain
+    const pendingConflicts = new Set(); // fileName -> conflict dialog open or queued
+    const answeredConflicts = new Map(); // fileName -> { local, remote, choices } for the next reconcile
+    const debounceTimers = new Map(); // fileName -> timeout
+
+    // --- SETTINGS & STATUS ---
+
+    /**
+     * Load settings, provider and encryption key once per worker lifetime
+     * @returns {Promise<void>}
+     */
+    function ensureLoaded() {
+        if (!loaded) {
+            loaded = (async () => {
+                const result = await chrome.storage.local.get([SYNC_STORAGE_KEY]);
+                if (result[SYNC_STORAGE_KEY]) {
+                    syncSettings = { ...syncSettings, ...result[SYNC_STORAGE_KEY] };
+                }
+                await loadProvider();
+                await loadEncryptionKey();
+            })().catch(e => {
+                loaded = null;
+                throw e;
+            });
+        }
+        return loaded;
+    }
+
+    /**
+     * Save sync settings to storage
+     */
+    async function saveSyncSettings() {
+        await chrome.storage.local.set({ [SYNC_STORAGE_KEY]: syncSettings });
+    }
+
+    /**
+     * Publish the sync status for every tab's indicator
+     * @param {string} status - 'idle', 'syncing', 'success', 'error', 'offline'
+     * @param {string} message - Optional detail
+     * @param {object|null} progress - { done, total, title } during a sync-all pass
+     */
+    async function setStatus(status, message = '', progress = null) {
+        const queue = await loadOfflineQueue();
+        lastStatus = { status, message };
+        await chrome.storage.local.set({
+            [SYNC_STATUS_KEY]: {
+                status,
+                message,
+                progress,
+                pending: queue.length, // Files waiting in the offline queue
+                pendingAll: queue.some(op => op.type === 'all'),
+                providerLabel: provider?.label || null,
+                encryptionLocked: !!syncSettings.encryption && !encryptionKey,
+                updatedAt: Date.now()
+            }
+        });
+    }
+
+    /**
+     * Re-publish the last status (e.g. after the offline queue changed)
+     */
+    async function refreshStatus() {
+        await setStatus(lastStatus.status, lastStatus.message);
+    }
+
+    /**
+     * Run sync operations one at a time, in call order
+     * @param {function(): Promise<*>} task
+     * @returns {Promise<*>}
+     */
+    function runExclusive(task) {
+        const run = syncChain.then(task, task);
+        syncChain = run.catch(() => {});
+        return run;
+    }
+
+    // --- OFFLINE QUEUE ---
+    // One entry per file (latest edit wins). Local state is always current in
+    // chrome.storage, so entries name the file to reconcile, never a snapshot.
+    const OFFLINE_QUEUE_KEY = 'foldnest_sync_offline_queue';
+    const OFFLINE_QUEUE_LIMIT = 50; // Beyond this, replay as one sync-all pass
+
+    /**
+     * Load offline queue from storage. Entries from older versions carried a
+     * full state copy (and no notebook ID) - those are reduced to targets.
+     * @returns {Promise<Array<{type: string, notebookId: string|null, timestamp: number}>>}
+     */
+    async function loadOfflineQueue() {
+        try {
+            const result = await chrome.storage.local.get([OFFLINE_QUEUE_KEY]);
+            return (result[OFFLINE_QUEUE_KEY] || []).map(({ type, notebookId = null, timestamp }) => ({
+                // A legacy notebook entry does not say which notebook - sync them all
+                type: type === 'notebook' && !notebookId ? 'all' : type,
+                notebookId,
+                timestamp
+            }));
+        } catch (e) {
+            console.warn('[FoldNest Sync] Failed to load offline queue:', e);
+            return [];
+        }
+    }
+
+    /**
+     * Save offline queue to storage
+     * @param {Array} queue
+     */
+    async function saveOfflineQueue(queue) {
+        try {
+            await chrome.storage.local.set({ [OFFLINE_QUEUE_KEY]: queue });
+        } catch (e) {
+            console.warn('[FoldNest Sync] Failed to save offline queue:', e);
+        }
+    }
+
+    /**
+     * Remember files to sync once back online, collapsing repeated edits
+     * to the same file into one entry
+     * @param {Array<{type: string, notebookId: string|null}>} targets
+     */
+    async function queueOfflineTargets(targets) {
+        let queue = await loadOfflineQueue();
+        targets.forEach(({ type, notebookId }) => {
+            queue = queue.filter(op => !(op.type === type && op.notebookId === notebookId));
+            queue.push({ type, notebookId, timestamp: Date.now() });
+        });
+
+        if (queue.length > OFFLINE_QUEUE_LIMIT || queue.some(op => op.type === 'all')) {
+            queue = [{ type: 'all', notebookId: null, timestamp: Date.now() }];
+        }
+
+        await saveOfflineQueue(queue);
+        console.log('[FoldNest Sync] Queued offline sync:', queue.length, 'files pending');
+    }
+
+    /**
+     * Drop replayed entries, keeping any edit queued while the replay ran
+     * @param {Array} replayed - Entries that were synced
+     */
+    async function dequeueOfflineTargets(replayed) {
+        const queue = await loadOfflineQueue();
+        await saveOfflineQueue(queue.filter(op => !replayed.some(done =>
+            done.type === op.type && done.notebookId === op.notebookId && done.timestamp >= op.timestamp
+        )));
+    }
+
+    /**
+     * Sync queued files when back online. Each file is reconciled against the
+     * cloud (three-way merge) rather than overwritten, since other devices
+     * may have synced while this one was offline. Shared files such as the
+     * dashboard go first, then per-notebook files in the order they were edited.
+     * @returns {Promise<boolean>}
+     */
+    async function processOfflineQueue() {
+        await ensureLoaded();
+        const queue = await loadOfflineQueue();
+        if (queue.length === 0 || !syncSettings.enabled || !navigator.onLine) return false;
+
+        console.log('[FoldNest Sync] Processing offline queue:', queue.length, 'files');
+        const ordered = [...queue].sort((a, b) =>
+            (a.notebookId ? 1 : 0) - (b.notebookId ? 1 : 0) || a.timestamp - b.timestamp
+        );
+        const replayAll = queue.some(op => op.type === 'all');
+        const synced = replayAll
+            ? await performSyncAll()
+            : await performSync(ordered.map(({ type, notebookId }) => ({ type, notebookId })));
+
+        if (synced) {
+            await dequeueOfflineTargets(queue);
+            await refreshStatus();
+            // performSyncAll() reports its own summary
+            if (!replayAll) {
+                notifyTabs({ action: 'syncToast', message: `Synced ${queue.length} queued change${queue.length === 1 ? '' : 's'}`, level: 'success' });
+            }
+        }
+        return synced;
+    }
+
+    // --- STORAGE PROVIDER ---
+
+    /**
+     * Load the WebDAV configuration (URL, username, app password)
+     * @returns {Promise<object|null>}
+     */
+    async function loadWebDavConfig() {
+        const result = await chrome.storage.local.get([WEBDAV_CONFIG_KEY]);
+        return result[WEBDAV_CONFIG_KEY] || null;
+    }
+
+    /**
+     * Host permission pattern for a WebDAV server (match patterns carry no port)
+     * @param {string} url - Folder URL
+     * @returns {string}
+     */
+    function webDavOriginPattern(url) {
+        const { protocol, hostname } = new URL(url);
+        return `${protocol}//${hostname}/*`;
+    }
+
+    /**
+     * Whether the user granted access to the WebDAV server. Without it the
+     * service worker's requests are subject to the server's CORS rules.
+     * @param {string} url - Folder URL
+     * @returns {Promise<boolean>}
+     */
+    async function hasWebDavAccess(url) {
+        return chrome.permissions.contains({ origins: [webDavOriginPattern(url)] });
+    }
+
+    /**
+     * Open the page that asks for access to the WebDAV server. Content scripts
+     * cannot call chrome.permissions.request, and it needs a click on an
+     * extension page.
+     * @param {string} url - Folder URL
+     */
+    async function openWebDavAccessPage(url) {
+        const page = chrome.runtime.getURL(`webdav-permission.html?origin=${encodeURIComponent(webDavOriginPattern(url))}`);
+        await chrome.windows.create({ url: page, type: 'popup', width: 440, height: 300 });
+    }
+
+    /**
+     * Select the storage provider configured in syncSettings
+     */
+    async function loadProvider() {
+        const providers = root.FoldNestSyncProviders;
+        resetCloudEncryptionCheck();
+        if (syncSettings.provider === 'webdav') {
+            const config = await loadWebDavConfig();
+            if (config?.url) {
+                provider = providers.createWebDavProvider(config);
+                return;
+            }
+            console.warn('[FoldNest Sync] WebDAV selected but not configured, using Google Drive');
+        }
+        provider = providers.createDriveProvider();
+    }
+
+    /**
+     * Forget what is known about the cloud's encryption marker (provider changed)
+     */
+    function resetCloudEncryptionCheck() {
+        cryptoCheckedAt = 0;
+        verifiedMarker = null;
+    }
+
+    /**
+     * Find a synced file by name
+     * @param {string} fileName - File name to find
+     * @returns {Promise<{id: string, modifiedTime: string}|null>}
+     */
+    async function findFile(fileName) {
+        return provider.findFile(fileName);
+    }
+
+    /**
+     * List every synced file
+     * @returns {Promise<Array<{id: string, name: string, modifiedTime: string}>>}
+     */
+    async function listFiles() {
+        return provider.listFiles();
+    }
+
+    /**
+     * Download file content without decrypting it
+     * @param {string} fileId - Provider file ID
+     * @returns {Promise<object>} Parsed JSON content
+     */
+    async function downloadRawFile(fileId) {
+        return provider.readFile(fileId);
+    }
+
+    /**
+     * Download file content
+     * @param {string} fileId - Provider file ID
+     * @returns {Promise<object|null>} Parsed JSON content or null
+     */
+    async function downloadFile(fileId) {
+        try {
+            const content = await downloadRawFile(fileId);
+            return isEncryptedPayload(content) ? await decryptPayload(content) : content;
+        } catch (e) {
+            // Key problems must reach the user instead of looking like a missing file
+            if (isEncryptionError(e)) throw e;
+            console.error('[FoldNest Sync] Download failed:', e);
+            return null;
+        }
+    }
+
+    /**
+     * Upload/update a synced file
+     * @param {string} fileName - File name
+     * @param {object} content - Content to upload
+     * @param {string|null} existingFileId - Existing file ID to update
+     * @param {object} options - { plain: true } skips encryption
+     * @returns {Promise<object|null>} The written sync metadata, or null on failure
+     */
+    async function uploadFile(fileName, content, existingFileId = null, options = {}) {
+        try {
+            // The cloud decides whether to encrypt, so devices never mix plaintext and ciphertext
+            if (!options.plain) await followCloudEncryption();
+
+            // Add sync metadata
+            const syncMeta = {
+                lastModified: Date.now(),
+                version: '1.0.0'
+            };
+            const contentWithMeta = {
+                ...content,
+                _syncMeta: syncMeta
+            };
+
+            const body = syncSettings.encryption && !options.plain
+                ? await encryptPayload(contentWithMeta)
+                : contentWithMeta;
+
+            await provider.writeFile(fileName, body, existingFileId);
+            return syncMeta;
+        } catch (e) {
+            if (isEncryptionError(e)) throw e;
+            console.error('[FoldNest Sync] Upload failed:', e);
+            return null;
+        }
+    }
+
+    // --- ENCRYPTION ---
+
+    /**
+     * Encode bytes as base64
+     * @param {ArrayBuffer|Uint8Array} buffer
+     * @returns {string}
+     */
+    function bytesToBase64(buffer) {
+        const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    /**
+     * Decode base64 to bytes
+     * @param {string} base64
+     * @returns {Uint8Array}
+     */
+    function base64ToBytes(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes;
+    }
+
+    /**
+     * Create an error the sync UI can explain to the user
+     * @param {string} code - 'ENCRYPTION_LOCKED', 'ENCRYPTION_WRONG_KEY' or 'ENCRYPTION_MARKER_MISSING'
+     * @param {string} message
+     * @returns {Error}
+     */
+    function encryptionError(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+
+    function isEncryptionError(e) {
+        return !!e?.code?.startsWith('ENCRYPTION_');
+    }
+
+    /**
+     * Derive an AES-GCM key from a passphrase
+     * @param {string} passphrase
+     * @param {Uint8Array} salt
+     * @param {number} iterations
+     * @returns {Promise<CryptoKey>}
+     */
+    async function deriveKey(passphrase, salt, iterations) {
+        const material = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+        );
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            true,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * Load this device's derived key (the passphrase itself is never stored)
+     */
+    async function loadEncryptionKey() {
+        encryptionKey = null;
+        if (!syncSettings.encryption) return;
+        try {
+            const result = await chrome.storage.local.get([ENCRYPTION_KEY_STORAGE]);
+            const raw = result[ENCRYPTION_KEY_STORAGE];
+            if (raw) {
+                encryptionKey = await crypto.subtle.importKey(
+                    'raw', base64ToBytes(raw), 'AES-GCM', false, ['encrypt', 'decrypt']
+                );
+            }
+        } catch (e) {
+            console.error('[FoldNest Sync] Failed to load encryption key:', e);
+        }
+    }
+
+    /**
+     * Encrypt a payload for upload
+     * @param {object} content
+     * @returns {Promise<object>} Envelope with IV and ciphertext
+     */
+    async function encryptPayload(content) {
+        if (!encryptionKey) {
+            throw encryptionError('ENCRYPTION_LOCKED', 'Encryption is on but this device has no key - re-enter your passphrase');
+        }
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const cipher = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv },
+            encryptionKey,
+            new TextEncoder().encode(JSON.stringify(content))
+        );
+        return { _foldnestEncrypted: ENCRYPTION_VERSION, iv: bytesToBase64(iv), data: bytesToBase64(cipher) };
+    }
+
+    /**
+     * Decrypt a downloaded envelope
+     * @param {object} envelope
+     * @param {CryptoKey} key
+     * @returns {Promise<object>}
+     */
+    async function decryptPayload(envelope, key = encryptionKey) {
+        if (!key) {
+            throw encryptionError('ENCRYPTION_LOCKED', 'Cloud data is encrypted - enter your sync passphrase on this device');
+        }
+        try {
+            const plain = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: base64ToBytes(envelope.iv) },
+                key,
+                base64ToBytes(envelope.data)
+            );
+            return JSON.parse(new TextDecoder().decode(plain));
+        } catch (e) {
+            // AES-GCM authentication fails when the key does not match
+            throw encryptionError('ENCRYPTION_WRONG_KEY', 'Cannot decrypt cloud data - this device has a different passphrase');
+        }
+    }
+
+    function isEncryptedPayload(content) {
+        return !!content && typeof content === 'object' && '_foldnestEncrypted' in content;
+    }
+
+    /**
+     * Forget this device's key, e.g. when it no longer matches the cloud
+     */
+    async function forgetEncryptionKey() {
+        encryptionKey = null;
+        verifiedMarker = null;
+        await chrome.storage.local.remove([ENCRYPTION_KEY_STORAGE, ENCRYPTION_MARKER_STORAGE]);
+    }
+
+    /**
+     * Put the encryption marker back from this device's copy, e.g. after
+     * switching to an empty folder or when the file was deleted by hand.
+     * A missing marker never turns encryption off: without a copy, syncing
+     * stops until the user confirms turning encryption off (or, without a
+     * key, unlocks again, which creates a new marker).
+     */
+    async function restoreCryptoMarker() {
+        const result = await chrome.storage.local.get([ENCRYPTION_MARKER_STORAGE]);
+        const params = result[ENCRYPTION_MARKER_STORAGE];
+        if (!params?.salt) {
+            if (!encryptionKey) return; // followCloudEncryption asks for the passphrase
+            throw encryptionError('ENCRYPTION_MARKER_MISSING',
+                'Encryption settings are missing from the cloud - turn encryption off in the sync menu, then set it up again to keep encrypting');
+        }
+        if (!await uploadFile(CRYPTO_FILE_NAME, params, null, { plain: true })) {
+            throw new Error('Could not save encryption settings to the cloud');
+        }
+        console.log('[FoldNest Sync] Restored the missing encryption marker');
+    }
+
+    /**
+     * Match this device to the encryption marker in the cloud. Encryption is
+     * turned on here when another device set it up (uploads stop until the
+     * passphrase is entered) and off only when the marker says another device
+     * turned it off. A missing marker is restored from this device's copy.
+     * Throws ENCRYPTION_LOCKED when the cloud is encrypted and this device has no valid key.
+     */
+    async function followCloudEncryption() {
+        if (Date.now() - cryptoCheckedAt > CRYPTO_CHECK_TTL_MS) {
+            const marker = await findFile(CRYPTO_FILE_NAME);
+            const params = marker ? await downloadRawFile(marker.id) : null;
+            if (marker && !params) throw new Error('Could not read encryption settings from the cloud');
+
+            if (!marker) {
+                if (syncSettings.encryption) await restoreCryptoMarker();
+            } else if (params.disabled) {
+                if (syncSettings.encryption) {
+                    console.log('[FoldNest Sync] Encryption was turned off on another device');
+                    syncSettings.encryption = false;
+                    await saveSyncSettings();
+                    await forgetEncryptionKey();
+                    await refreshStatus();
+                    notifyTabs({
+                        action: 'syncToast',
+                        message: 'Cloud sync encryption was turned off on another device',
+                        level: 'info'
+                    });
+                }
+            } else {
+                if (!syncSettings.encryption) {
+                    console.log('[FoldNest Sync] Encryption was turned on on another device');
+                    syncSettings.encryption = true;
+                    await saveSyncSettings();
+                    await forgetEncryptionKey();
+                    notifyTabs({
+                        action: 'syncToast',
+                        message: 'Cloud sync is encrypted - choose "Unlock Encryption…" in the sync menu and enter your passphrase',
+                        level: 'warning'
+                    });
+                }
+                // A marker re-created with another passphrase makes the stored key useless
+                const markerVersion = `${marker.id}@${marker.modifiedTime || ''}`;
+                if (encryptionKey && verifiedMarker !== markerVersion) {
+                    try {
+                        await decryptPayload(params.check);
+                        verifiedMarker = markerVersion;
+                        await chrome.storage.local.set({ [ENCRYPTION_MARKER_STORAGE]: params });
+                    } catch (e) {
+                        await forgetEncryptionKey();
+                    }
+                }
+            }
+            cryptoCheckedAt = Date.now();
+        }
+
+        if (syncSettings.encryption && !encryptionKey) {
+            await refreshStatus();
+            throw encryptionError('ENCRYPTION_LOCKED', 'Cloud data is encrypted - enter your sync passphrase on this device');
+        }
+    }
+
+    /**
+     * Turn on encryption with a passphrase. The first device creates the
+     * shared salt and a key check in Drive; later devices must match it.
+     * @param {string} passphrase
+     * @returns {Promise<string|null>} Error message, or null on success
+     */
+    async function setupEncryption(passphrase) {
+        try {
+            const file = await findFile(CRYPTO_FILE_NAME);
+            const params = file ? await downloadFile(file.id) : null;
+            if (file && !params) return 'Could not read encryption settings from the cloud';
+
+            let key;
+            let marker = params;
+            if (params?.salt && !params.disabled) {
+                key = await deriveKey(passphrase, base64ToBytes(params.salt), params.iterations);
+                try {
+                    await decryptPayload(params.check, key);
+                } catch (e) {
+                    return 'Wrong passphrase - it does not match the one used on your other devices';
+                }
+            } else {
+                const salt = crypto.getRandomValues(new Uint8Array(16));
+                key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+                encryptionKey = key;
+                const check = await encryptPayload({ check: 'foldnest' });
+                marker = { salt: bytesToBase64(salt), iterations: PBKDF2_ITERATIONS, check };
+                // Replaces the "turned off" marker left by disableEncryption
+                const meta = await uploadFile(CRYPTO_FILE_NAME, marker, file?.id || null, { plain: true });
+                if (!meta) {
+                    encryptionKey = null;
+                    return 'Could not save encryption settings to the cloud';
+                }
+            }
+
+            const raw = await crypto.subtle.exportKey('raw', key);
+            await chrome.storage.local.set({
+                [ENCRYPTION_KEY_STORAGE]: bytesToBase64(raw),
+                [ENCRYPTION_MARKER_STORAGE]: marker
+            });
+            syncSettings.encryption = true;
+            await saveSyncSettings();
+            await loadEncryptionKey();
+            resetCloudEncryptionCheck(); // Next upload verifies the key against the marker
+            return null;
+        } catch (e) {
+            console.error('[FoldNest Sync] Encryption setup failed:', e);
+            return e.message || 'Encryption setup failed';
+        }
+    }
+
+    /**
+     * Re-upload every synced file in the current mode, so turning encryption
+     * on or off also covers data uploaded before the switch
+     * @returns {Promise<number>} Number of files rewritten
+     */
+    async function rewriteRemoteFiles() {
+        const files = (await listFiles()).filter(f => f.name !== CRYPTO_FILE_NAME);
+        let rewritten = 0;
+
+        for (const file of files) {
+            try {
+                const raw = await downloadRawFile(file.id);
+                if (isEncryptedPayload(raw) === !!syncSettings.encryption) continue;
+                const content = isEncryptedPayload(raw) ? await decryptPayload(raw) : raw;
+                const { _syncMeta, ...data } = content;
+                if (await uploadFile(file.name, data, file.id)) rewritten++;
+            } catch (e) {
+                console.warn('[FoldNest Sync] Could not rewrite', file.name, e);
+            }
+        }
+
+        console.log(`[FoldNest Sync] Rewrote ${rewritten} of ${files.length} files`);
+        return rewritten;
+    }
+
+    /**
+     * Turn off encryption everywhere: mark the cloud marker as turned off
+     * (other devices follow it on their next upload), decrypt what is in the
+     * cloud and forget the key
+     * @returns {Promise<string|null>} Error message, or null on success
+     */
+    async function disableEncryption() {
+        try {
+            const marker = await findFile(CRYPTO_FILE_NAME);
+            const meta = await uploadFile(CRYPTO_FILE_NAME, {
+                disabled: true,
+                disabledAt: Date.now()
+            }, marker?.id || null, { plain: true });
+            if (!meta) throw new Error('Upload failed');
+        } catch (e) {
+            console.error('[FoldNest Sync] Could not update the encryption marker:', e);
+            return 'Could not reach the cloud - encryption is still on';
+        }
+        syncSettings.encryption = false;
+        await saveSyncSettings();
+        cryptoCheckedAt = Date.now(); // Just checked: marked as turned off
+        try {
+            await rewriteRemoteFiles();
+        } catch (e) {
+            console.warn('[FoldNest Sync] Failed to decrypt cloud files:', e);
+        }
+        await forgetEncryptionKey();
+        return null;
+    }
+
+
+    // --- SYNC OPERATIONS ---
+
+    /**
+     * Resolve the synced file name for a state type
+     * @param {string} type - 'notebook', 'searchIndex' or a SHARED_FILES type
+     * @param {string|null} notebookId
+     * @returns {string|null} File name, or null when no notebook is given
+     */
+    function getSyncFileName(type, notebookId = null) {
+        if (SHARED_FILES[type]) return SHARED_FILES[type].fileName;
+        if (!notebookId) return null;
+        return type === 'searchIndex' ? `foldnest_search_${notebookId}.json` : `foldnest_notebook_${notebookId}.json`;
+    }
+
+    /**
+     * Storage key holding a file's local state (the search index is in search-store.js)
+     * @param {string} type - 'notebook' or a SHARED_FILES type
+     * @param {string|null} notebookId
+     * @returns {string}
+     */
+    function getStateKey(type, notebookId) {
+        if (SHARED_FILES[type]) return SHARED_FILES[type].stateKey;
+        return NOTEBOOK_STATE_PREFIX + notebookId;
+    }
+
+    /**
+     * Map a chrome.storage key back to the file it syncs to
+     * @param {string} key
+     * @returns {{type: string, notebookId: string|null}|null}
+     */
+    function getTargetForKey(key) {
+        const type = Object.keys(SHARED_FILES).find(t => SHARED_FILES[t].stateKey === key);
+        if (type) return { type, notebookId: null };
+        if (key.startsWith(NOTEBOOK_STATE_PREFIX)) {
+            return { type: 'notebook', notebookId: key.slice(NOTEBOOK_STATE_PREFIX.length) };
+        }
+        return null;
+    }
+
+    /**
+     * Check a sync scope. Scopes added in later versions are on until turned off.
+     * @param {string} scope - Key of syncSettings.scopes
+     * @returns {boolean}
+     */
+    function isScopeEnabled(scope) {
+        return syncSettings.scopes?.[scope] !== false;
+    }
+
+    /**
+     * Whether any part of a file is synced under the current scopes
+     * @param {string} type - 'notebook', 'searchIndex' or a SHARED_FILES type
+     * @returns {boolean}
+     */
+    function isFileInScope(type) {
+        if (SHARED_FILES[type]) return isScopeEnabled(SHARED_FILES[type].scope);
+        if (type === 'searchIndex') return isScopeEnabled('searchIndex');
+        return ['folders', 'tasks', 'pinned'].some(isScopeEnabled);
+    }
+
+    /**
+     * Paths inside a file that stay on this device under the current scopes
+     * @param {string} type
+     * @returns {string[][]}
+     */
+    function getExcludedPaths(type) {
+        return Object.keys(SCOPE_PATHS)
+            .filter(scope => !isScopeEnabled(scope))
+            .flatMap(scope => SCOPE_PATHS[scope][type] || []);
+    }
+
+    /**
+     * Compare a local state with a file's sync base, ignoring excluded scopes
+     * @param {string} type
+     * @param {object} state
+     * @param {{snapshot: object}|null} base
+     * @returns {boolean}
+     */
+    function matchesBase(type, state, base) {
+        if (!base) return false;
+        const merge = root.FoldNestMerge;
+        if (type === 'searchIndex') return merge.searchIndexMatchesBase(state, base.snapshot.entries);
+        const excluded = getExcludedPaths(type);
+        return merge.sameState(merge.omitPaths(state, excluded), merge.omitPaths(base.snapshot, excluded));
+    }
+
+    /**
+     * Read the local state. Tabs save every edit to chrome.storage.local
+     * (and search index entries to search-store.js), so it is always current.
+     * @param {string} type - 'notebook', 'searchIndex' or a SHARED_FILES type
+     * @param {string|null} notebookId
+     * @returns {Promise<object|null>}
+     */
+    async function getLocalState(type, notebookId = null) {
+        if (type === 'searchIndex') {
+            const entries = await root.FoldNestSearchStore.getEntries(notebookId);
+            return Object.keys(entries).length ? entries : null;
+        }
+        const key = getStateKey(type, notebookId);
+        const result = await chrome.storage.local.get([key]);
+        return result[key] || null;
+    }
+
+    /**
+     * Look up a notebook's title from the dashboard's title cache
+     * @param {string} notebookId
+     * @returns {Promise<string>}
+     */
+    async function getNotebookTitle(notebookId) {
+        const dashboard = await getLocalState('dashboard');
+        const titles = dashboard?.notebookTitles || {};
+        const title = Object.keys(titles).find(t => [].concat(titles[t]).includes(notebookId));
+        return title || `Notebook ${notebookId.slice(0, 8)}`;
+    }
+
+    /**
+     * Load the common-ancestor snapshot for a synced file
+     * @param {string} fileName
+     * @returns {Promise<{snapshot: object, lastModified: number}|null>}
+     */
+    async function loadSyncBase(fileName) {
+        const key = SYNC_BASE_PREFIX + fileName;
+        const result = await chrome.storage.local.get([key]);
+        return result[key] || null;
+    }
+
+    /**
+     * Remember the state both sides now agree on
+     * @param {string} fileName
+     * @param {object} state - Agreed state (sync metadata is stripped)
+     * @param {number} lastModified - Remote timestamp of that state
+     */
+    async function saveSyncBase(fileName, state, lastModified) {
+        await chrome.storage.local.set({
+            [SYNC_BASE_PREFIX + fileName]: {
+                snapshot: root.FoldNestMerge.stripMeta(state),
+                lastModified: lastModified || 0
+            }
+        });
+    }
+
+    /**
+     * Upload a state, remember it as the new common ancestor and record it in
+     * the file's history (merges always, other uploads once per interval)
+     * @param {string} fileName
+     * @param {object} state - State to upload
+     * @param {string|null} fileId - Existing provider file ID
+     * @param {boolean} merged - The state combines edits from both sides
+     * @returns {Promise<number>} Remote timestamp of the uploaded state
+     */
+    async function pushState(fileName, state, fileId = null, merged = false) {
+        const data = root.FoldNestMerge.stripMeta(state);
+        const meta = await uploadFile(fileName, data, fileId);
+        if (!meta) throw new Error('Upload failed');
+        await saveSyncBase(fileName, data, meta.lastModified);
+        if (merged || await isHistoryDue(fileName)) {
+            await recordHistory(fileName, data, meta.lastModified);
+        }
+        return meta.lastModified;
+    }
+
+    /**
+     * Write synced state locally and let open tabs re-render it.
+     * The sync base is saved first, so the resulting storage change is
+     * recognised as already synced and does not trigger an upload.
+     * Other data is picked up by the page's own chrome.storage.onChanged listeners.
+     * Search index entries are added to search-store.js, which tells the tabs;
+     * entries kept only on this device stay, and entries that do not fit the
+     * local size cap are left in the cloud instead of evicting local ones.
+     * @param {string} type - 'notebook', 'searchIndex' or a SHARED_FILES type
+     * @param {object} state - State to apply
+     * @param {string|null} notebookId
+     */
+    async function applyLocalState(type, state, notebookId = null) {
+        if (type === 'searchIndex') {
+            await root.FoldNestSearchStore.putEntries(notebookId, state, { fitOnly: true });
+            return;
+        }
+        await chrome.storage.local.set({ [getStateKey(type, notebookId)]: state });
+        if (type === 'notebook' || type === 'dashboard') {
+            notifyTabs({ action: 'syncApplyState', type, notebookId, state });
+        }
+    }
+
+    /**
+     * Reconcile a notebook's search index with its synced copy. There are no
+     * conflicts: entries are unioned and the newest content wins, and entries
+     * evicted locally are not deleted from the cloud. No history is kept.
+     * @param {string} notebookId
+     * @returns {Promise<{conflicts: object[], postponed: boolean}>}
+     */
+    async function reconcileSearchIndex(notebookId) {
+        const merge = root.FoldNestMerge;
+        const fileName = getSyncFileName('searchIndex', notebookId);
+        const outcome = { conflicts: [], postponed: false };
+
+        const local = await getLocalState('searchIndex', notebookId) || {};
+        const file = await findFile(fileName);
+        const remote = file ? await downloadFile(file.id) : null;
+        if (file && !remote) {
+            throw new Error('Download failed');
+        }
+        if (!remote && Object.keys(local).length === 0) return outcome;
+
+        const base = await loadSyncBase(fileName);
+        const { entries, index } = merge.mergeSearchIndex(local, remote?.entries, base?.snapshot.entries);
+
+        let lastModified = remote?._syncMeta?.lastModified;
+        if (!remote || !merge.sameState({ entries }, { entries: remote.entries })) {
+            const meta = await uploadFile(fileName, { entries }, file?.id);
+            if (!meta) throw new Error('Upload failed');
+            lastModified = meta.lastModified;
+            console.log('[FoldNest Sync] 📤 Uploaded search index:', fileName);
+        }
+        await saveSyncBase(fileName, { entries: merge.fingerprintSearchIndex(entries) }, lastModified);
+
+        // Only what this device lacks, newest first, so the newest notes win the space left
+        const incoming = {};
+        Object.keys(index)
+            .filter(key => index[key] !== local[key])
+            .sort((a, b) => entries[b].updatedAt - entries[a].updatedAt)
+            .forEach(key => { incoming[key] = index[key]; });
+        if (Object.keys(incoming).length) {
+            console.log('[FoldNest Sync] 📥 Applying cloud search index:', fileName);
+            await applyLocalState('searchIndex', incoming, notebookId);
+        }
+        return outcome;
+    }
+
+    /**
+     * Reconcile local and cloud state for one file.
+     * Uses the last snapshot both sides agreed on as the common ancestor so
+     * that edits made on different devices combine instead of overwriting
+     * each other. Only true conflicts are reported.
+     * Parts excluded by sync scopes are left alone on both sides: uploads
+     * keep the cloud's copy, downloads keep this device's copy.
+     * @param {string} type - 'notebook', 'searchIndex' or a SHARED_FILES type
+     * @param {string|null} notebookId
+     * @returns {Promise<{conflicts: object[], postponed: boolean}>}
+     */
+    async function reconcileState(type, notebookId = null) {
+        const merge = root.FoldNestMerge;
+        const fileName = getSyncFileName(type, notebookId);
+        const outcome = { conflicts: [], postponed: false };
+        if (!fileName || !isFileInScope(type)) return outcome;
+        if (type === 'searchIndex') return reconcileSearchIndex(notebookId);
+
+        const excluded = getExcludedPaths(type);
+        const localFull = await getLocalState(type, notebookId);
+        const file = await findFile(fileName);
+        const remoteFull = file ? await downloadFile(file.id) : null;
+        if (file && !remoteFull) {
+            throw new Error('Download failed');
+        }
+
+        const local = localFull && merge.omitPaths(localFull, excluded);
+        const remote = remoteFull && merge.omitPaths(remoteFull, excluded);
+        const toUpload = state => merge.copyPaths(state, remoteFull, excluded);
+        const toApply = state => merge.copyPaths(state, localFull, excluded);
+
+        // Nothing on this device yet - take the cloud copy as-is
+        if (!local) {
+            if (remote) {
+                await saveSyncBase(fileName, remote, remote._syncMeta?.lastModified);
+                await applyLocalState(type, remote, notebookId);
+            }
+            return outcome;
+        }
+
+        // Nothing in the cloud yet - first upload
+        if (!remote) {
+            await pushState(fileName, local);
+            console.log('[FoldNest Sync] 📤 Initial upload:', fileName);
+            return outcome;
+        }
+
+        const storedBase = await loadSyncBase(fileName);
+        const base = storedBase && merge.omitPaths(storedBase.snapshot, excluded);
+
+        if (merge.sameState(local, remote)) {
+            await saveSyncBase(fileName, remoteFull, remote._syncMeta?.lastModified);
+            console.log('[FoldNest Sync] ✓ Already in sync:', fileName);
+            return outcome;
+        }
+
+        const localChanged = !base || !merge.sameState(local, base);
+        const remoteChanged = !base || !merge.sameState(remote, base);
+
+        if (!localChanged) {
+            // Only the cloud moved on - fast-forward
+            console.log('[FoldNest Sync] 📥 Applying cloud changes:', fileName);
+            await saveSyncBase(fileName, remoteFull, remote._syncMeta?.lastModified);
+            await applyLocalState(type, toApply(remote), notebookId);
+            return outcome;
+        }
+
+        if (!remoteChanged) {
+            // Only this device moved on - upload
+            console.log('[FoldNest Sync] 📤 Uploading local changes:', fileName);
+            await pushState(fileName, toUpload(local), file.id);
+            return outcome;
+        }
+
+        // Both sides changed - three-way merge
+        let { merged, conflicts } = merge.mergeStates(base, local, remote, type);
+        console.log(`[FoldNest Sync] 🔀 Merged ${fileName}, conflicts: ${conflicts.length}`);
+
+        if (conflicts.length > 0) {
+            console.warn('[FoldNest Sync] Conflicts:', conflicts.map(c => c.label));
+            const choices = takeConflictChoices(fileName, local, remote);
+            if (!choices) {
+                // Leave both sides untouched; the answer syncs this file again
+                askConflictChoices(fileName, conflicts, local, remote, type, notebookId);
+                outcome.conflicts = conflicts;
+                outcome.postponed = true;
+                return outcome;
+            }
+            merged = merge.resolveConflicts(merged, conflicts, choices);
+        }
+
+        let lastModified = remote._syncMeta?.lastModified;
+        if (!merge.sameState(merged, remote)) {
+            lastModified = await pushState(fileName, toUpload(merged), file.id, true);
+        } else {
+            await saveSyncBase(fileName, toUpload(merged), lastModified);
+        }
+
+        if (!merge.sameState(merged, local)) {
+            await applyLocalState(type, { ...toApply(merged), _syncMeta: { lastModified, version: '1.0.0' } }, notebookId);
+        }
+
+        outcome.conflicts = conflicts;
+        return outcome;
+    }
+
+    /**
+     * Reconcile a set of files, publishing status as it goes.
+     * Queues the files instead when offline.
+     * @param {Array<{type: string, notebookId: string|null}>} targets
+     * @returns {Promise<boolean>}
+     */
+    function performSync(targets) {
+        return runExclusive(async () => {
+            await ensureLoaded();
+            if (!syncSettings.enabled) return false;
+
+            if (!navigator.onLine) {
+                await queueOfflineTargets(targets);
+                await setStatus('offline', 'Queued for later');
+                return false;
+            }
+
+            try {
+                await setStatus('syncing');
+                let postponed = false;
+                for (const { type, notebookId } of targets.filter(t => isFileInScope(t.type))) {
+                    const outcome = await reconcileState(type, notebookId);
+                    postponed = postponed || outcome.postponed;
+                }
+
+                if (postponed) {
+                    await setStatus('idle', 'Conflicts unresolved');
+                    return false;
+                }
+
+                syncSettings.lastSyncTime = Date.now();
+                await saveSyncSettings();
+                await setStatus('success');
+                return true;
+            } catch (e) {
+                console.error('[FoldNest Sync] Sync failed:', e);
+                await setStatus('error', e.message);
+                return false;
+            }
+        });
+    }
+
+    /**
+     * Full sync: the shared files and (optionally) one notebook with its search index
+     * @param {string|null} notebookId - Notebook open in the requesting tab
+     * @returns {Promise<boolean>}
+     */
+    function performFullSync(notebookId = null) {
+        const targets = Object.keys(SHARED_FILES).map(type => ({ type, notebookId: null }));
+        if (notebookId) {
+            targets.push({ type: 'notebook', notebookId }, { type: 'searchIndex', notebookId });
+        }
+        return performSync(targets);
+    }
+
+    /**
+     * Reconcile every notebook (and its search index) known locally or in
+     * the cloud, not just open ones
+     * @param {function(number, number, string): Promise<void>} onProgress - Called with (done, total, title)
+     * @returns {Promise<{synced: number, failed: number, conflicts: number}>}
+     */
+    async function syncAllNotebooks(onProgress = async () => {}) {
+        const summary = { synced: 0, failed: 0, conflicts: 0 };
+        const types = ['notebook', 'searchIndex'].filter(isFileInScope);
+        if (types.length === 0) return summary;
+
+        const patterns = { notebook: NOTEBOOK_FILE_PATTERN, searchIndex: SEARCH_INDEX_FILE_PATTERN };
+        const remoteIds = (await listFiles())
+            .map(file => types.map(type => (file.name.match(patterns[type]) || [])[1]).find(Boolean))
+            .filter(Boolean);
+        const localIds = Object.keys(await chrome.storage.local.get(null))
+            .map(getTargetForKey)
+            .filter(target => target && types.includes(target.type))
+            .map(target => target.notebookId);
+        if (types.includes('searchIndex')) localIds.push(...await root.FoldNestSearchStore.listNotebookIds());
+        const ids = [...new Set([...remoteIds, ...localIds])];
+
+        for (let i = 0; i < ids.length; i++) {
+            await onProgress(i, ids.length, await getNotebookTitle(ids[i]));
+            try {
+                let postponed = false;
+                for (const type of types) {
+                    const outcome = await reconcileState(type, ids[i]);
+                    summary.conflicts += outcome.conflicts.length;
+                    postponed = postponed || outcome.postponed;
+                }
+                if (!postponed) summary.synced++;
+            } catch (e) {
+                // Key problems affect every file - stop instead of repeating the error
+                if (isEncryptionError(e)) throw e;
+                console.warn('[FoldNest Sync] Failed to sync notebook', ids[i], e);
+                summary.failed++;
+            }
+        }
+        await onProgress(ids.length, ids.length, '');
+
+        syncSettings.lastSyncAllTime = Date.now();
+        await saveSyncSettings();
+        console.log('[FoldNest Sync] Sync all complete:', summary);
+        return summary;
+    }
+
+    /**
+     * Run syncAllNotebooks(), publishing progress in the sync status
+     * @returns {Promise<boolean>}
+     */
+    function performSyncAll() {
+        return runExclusive(async () => {
+            await ensureLoaded();
+            if (!syncSettings.enabled) return false;
+            if (!navigator.onLine) {
+                await queueOfflineTargets([{ type: 'all', notebookId: null }]);
+                await setStatus('offline', 'Queued for later');
+                return false;
+            }
+
+            try {
+                await setStatus('syncing');
+                for (const type of Object.keys(SHARED_FILES)) {
+                    await reconcileState(type);
+                }
+                const summary = await syncAllNotebooks((done, total, title) => setStatus('syncing', '', { done, total, title }));
+
+                syncSettings.lastSyncTime = Date.now();
+                await saveSyncSettings();
+                await setStatus('success');
+                notifyTabs({
+                    action: 'syncToast',
+                    message: `Synced ${summary.synced} notebook${summary.synced === 1 ? '' : 's'}${summary.failed ? `, ${summary.failed} failed` : ''}`,
+                    level: summary.failed ? 'warning' : 'success'
+                });
+                return true;
+            } catch (e) {
+                console.error('[FoldNest Sync] Sync all failed:', e);
+                await setStatus('error', e.message);
+                return false;
+            }
+        });
+    }
+
+    /**
+     * Catch-up pass run by the periodic alarm: queued files plus any local
+     * edits whose debounced upload was lost when the worker was stopped
+     * @returns {Promise<boolean>}
+     */
+    async function performCatchUp() {
+        await ensureLoaded();
+        if (!syncSettings.enabled || !navigator.onLine) return false;
+
+        await processOfflineQueue();
+
+        const stored = await chrome.storage.local.get(null);
+        const targets = Object.keys(SHARED_FILES).map(type => ({ type, notebookId: null }));
+        Object.keys(stored).forEach(key => {
+            const target = getTargetForKey(key);
+            if (!target?.notebookId) return;
+            const base = stored[SYNC_BASE_PREFIX + getSyncFileName(target.type, target.notebookId)];
+            // Only notebooks synced before - the sync-all pass handles the rest
+            if (base && !matchesBase(target.type, stored[key], base)) targets.push(target);
+        });
+        for (const notebookId of await root.FoldNestSearchStore.listNotebookIds()) {
+            const base = stored[SYNC_BASE_PREFIX + getSyncFileName('searchIndex', notebookId)];
+            if (base && !matchesBase('searchIndex', await getLocalState('searchIndex', notebookId), base)) {
+                targets.push({ type: 'searchIndex', notebookId });
+            }
+        }
+
+        return performSync(targets);
+    }
+
+    // --- SCHEDULING ---
+
+    /**
+     * chrome.storage.onChanged listener: debounce an upload for every changed
+     * file (notebook or shared file)
+     * @param {object} changes
+     * @param {string} areaName
+     */
+    function handleStorageChange(changes, areaName) {
+        if (areaName !== 'local') return;
+
+        Object.keys(changes).forEach(key => {
+            const target = getTargetForKey(key);
+            if (target && changes[key].newValue) {
+                scheduleSync(target, changes[key].newValue).catch(e => {
+                    console.warn('[FoldNest Sync] Failed to schedule sync:', e);
+                });
+            }
+        });
+    }
+
+    /**
+     * FoldNestSearchStore.onChange listener: debounce an upload of a notebook's
+     * search index after notes were added or changed (evictions are not synced)
+     * @param {{notebookId: string, changed: object}} change
+     */
+    async function handleSearchIndexChange({ notebookId, changed }) {
+        if (Object.keys(changed).length === 0) return;
+        try {
+            await ensureLoaded();
+            if (!syncSettings.enabled || !syncSettings.autoSync || !isFileInScope('searchIndex')) return;
+            await scheduleSync({ type: 'searchIndex', notebookId }, await getLocalState('searchIndex', notebookId) || {});
+        } catch (e) {
+            console.warn('[FoldNest Sync] Failed to schedule sync:', e);
+        }
+    }
+
+    /**
+     * Debounce a sync for one file after a local edit
+     * @param {{type: string, notebookId: string|null}} target
+     * @param {object} state - The newly stored state
+     */
+    async function scheduleSync(target, state) {
+        await ensureLoaded();
+        if (!syncSettings.enabled || !syncSettings.autoSync || !isFileInScope(target.type)) return;
+
+        const fileName = getSyncFileName(target.type, target.notebookId);
+        // Writes made by the engine itself (and tabs re-saving them) match the base,
+        // as do edits that only touch scopes kept on this device
+        if (matchesBase(target.type, state, await loadSyncBase(fileName))) return;
+
+        clearTimeout(debounceTimers.get(fileName));
+        debounceTimers.set(fileName, setTimeout(() => {
+            debounceTimers.delete(fileName);
+            performSync([target]);
+        }, target.type === 'searchIndex' ? SEARCH_INDEX_DEBOUNCE_MS : SYNC_DEBOUNCE_MS));
+    }
+
+    /**
+     * Create the sync alarms unless they already exist
+     */
+    async function setupAlarms() {
+        if (!(await chrome.alarms.get(PERIODIC_ALARM))) {
+            await chrome.alarms.create(PERIODIC_ALARM, { periodInMinutes: PERIODIC_MINUTES });
+        }
+        if (!(await chrome.alarms.get(SYNC_ALL_ALARM))) {
+            await chrome.alarms.create(SYNC_ALL_ALARM, { delayInMinutes: 1, periodInMinutes: SYNC_ALL_MINUTES });
+        }
+    }
+
+    /**
+     * chrome.alarms.onAlarm listener
+     * @param {chrome.alarms.Alarm} alarm
+     */
+    function handleAlarm(alarm) {
+        if (alarm.name === PERIODIC_ALARM) {
+            performCatchUp().catch(e => console.warn('[FoldNest Sync] Catch-up failed:', e));
+        } else if (alarm.name === SYNC_ALL_ALARM) {
+            performSyncAll();
+        }
+    }
+
+    /**
+     * Worker startup: make sure the alarms match the settings
+     */
+    async function init() {
+        try {
+            await ensureLoaded();
+            if (syncSettings.enabled) {
+                await setupAlarms();
+            } else {
+                await chrome.alarms.clear(PERIODIC_ALARM);
+                await chrome.alarms.clear(SYNC_ALL_ALARM);
+            }
+        } catch (e) {
+            console.error('[FoldNest Sync] Init failed:', e);
+        }
+    }
+
+    // --- VERSION HISTORY ---
+
+    /**
+     * Drive file holding the rolling history for a synced file
+     * @param {string} fileName
+     * @returns {string}
+     */
+    function getHistoryFileName(fileName) {
+        return fileName.replace(/\.json$/, '.history.json');
+    }
+
+    /**
+     * Label identifying this device in the history list
+     * @returns {string}
+     */
+    function getDeviceLabel() {
+        if (!syncSettings.deviceLabel) {
+            const platform = navigator.userAgentData?.platform || navigator.platform || 'Unknown device';
+            syncSettings.deviceLabel = `${platform} (${Math.random().toString(36).substr(2, 4)})`;
+            saveSyncSettings();
+        }
+        return syncSettings.deviceLabel;
+    }
+
+    /**
+     * Load the snapshot history for a synced file
+     * @param {string} fileName
+     * @returns {Promise<{file: object|null, entries: object[]}>}
+     */
+    async function loadHistory(fileName) {
+        const file = await findFile(getHistoryFileName(fileName));
+        if (!file) return { file: null, entries: [] };
+        const content = await downloadFile(file.id);
+        return { file, entries: Array.isArray(content?.entries) ? content.entries : [] };
+    }
+
+    /**
+     * Whether this device last added a snapshot of the file over SYNC_HISTORY_INTERVAL_MS ago
+     * @param {string} fileName
+     * @returns {Promise<boolean>}
+     */
+    async function isHistoryDue(fileName) {
+        const times = (await chrome.storage.local.get([SYNC_HISTORY_TIMES_KEY]))[SYNC_HISTORY_TIMES_KEY] || {};
+        return Date.now() - (times[fileName] || 0) >= SYNC_HISTORY_INTERVAL_MS;
+    }
+
+    /**
+     * Prepend a snapshot to the file's history, keeping the last SYNC_HISTORY_LIMIT.
+     * History is best-effort and never fails the sync itself.
+     * @param {string} fileName
+     * @param {object} state - Uploaded state
+     * @param {number} timestamp - Remote timestamp of the upload
+     */
+    async function recordHistory(fileName, state, timestamp) {
+        try {
+            const { file, entries } = await loadHistory(fileName);
+            entries.unshift({
+                timestamp,
+                device: getDeviceLabel(),
+                state: LZString.compressToBase64(JSON.stringify(state))
+            });
+            await uploadFile(getHistoryFileName(fileName), { entries: entries.slice(0, SYNC_HISTORY_LIMIT) }, file?.id);
+
+            const times = (await chrome.storage.local.get([SYNC_HISTORY_TIMES_KEY]))[SYNC_HISTORY_TIMES_KEY] || {};
+            times[fileName] = Date.now();
+            await chrome.storage.local.set({ [SYNC_HISTORY_TIMES_KEY]: times });
+        } catch (e) {
+            console.warn('[FoldNest Sync] Failed to record history:', e);
+        }
+    }
+
+
+    // --- SETTINGS MANAGEMENT ---
+
+    /**
+     * Enable sync functionality
+     * @param {string} providerId - 'google' or 'webdav'
+     * @param {object|null} webdavConfig - { url, username, password } for WebDAV
+     * @param {string|null} notebookId - Notebook open in the requesting tab
+     * @returns {Promise<{success: boolean, error?: string, code?: string}>} code 'WEBDAV_PERMISSION' until the server is allowed
+     */
+    async function enableSync(providerId = 'google', webdavConfig = null, notebookId = null) {
+        console.log('[FoldNest Sync] 🚀 Enabling sync...');
+        try {
+            await ensureLoaded();
+            await setStatus('syncing');
+
+            if (webdavConfig) {
+                await chrome.storage.local.set({ [WEBDAV_CONFIG_KEY]: webdavConfig });
+            }
+            if (providerId === 'webdav') {
+                const url = (webdavConfig || await loadWebDavConfig())?.url;
+                if (!url) {
+                    await setStatus('idle');
+                    return { success: false, error: 'WebDAV is not configured' };
+                }
+                if (!await hasWebDavAccess(url)) {
+                    console.warn('[FoldNest Sync] No access to the WebDAV server yet, asking the user');
+                    await openWebDavAccessPage(url);
+                    await setStatus('idle');
+                    return {
+                        success: false,
+                        code: 'WEBDAV_PERMISSION',
+                        error: `Allow FoldNest to reach ${new URL(url).hostname} in the window that opened, then connect again`
+                    };
+                }
+            }
+            syncSettings.provider = providerId || 'google';
+            await loadProvider();
+
+            console.log(`[FoldNest Sync] Connecting to ${provider.label} (interactive)...`);
+            const connected = await provider.connect(true);
+            if (!connected) {
+                console.error('[FoldNest Sync] ❌ Not connected');
+                await setStatus('error', 'Authentication failed');
+                return { success: false, error: 'Authentication failed' };
+            }
+
+            syncSettings.enabled = true;
+            await saveSyncSettings();
+            await setupAlarms();
+
+            await performFullSync(notebookId);
+            console.log('[FoldNest Sync] ✅ Sync enabled successfully!');
+            return { success: true };
+        } catch (e) {
+            console.error('[FoldNest Sync] ❌ Enable failed:', e);
+            await setStatus('idle');
+            return { success: false, error: e.message };
+        }
+    }
+
+    /**
+     * Disable sync functionality
+     */
+    async function disableSync() {
+        await ensureLoaded();
+        syncSettings.enabled = false;
+        await saveSyncSettings();
+        await provider?.disconnect();
+        debounceTimers.forEach(timer => clearTimeout(timer));
+        debounceTimers.clear();
+        await chrome.alarms.clear(PERIODIC_ALARM);
+        await chrome.alarms.clear(SYNC_ALL_ALARM);
+        await setStatus('idle');
+    }
+
+    // --- TABS ---
+
+    /**
+     * Send a message to every open NotebookLM tab
+     * @param {object} message
+     */
+    async function notifyTabs(message) {
+        const tabs = await chrome.tabs.query({ url: NOTEBOOKLM_TABS });
+        tabs.forEach(tab => {
+            chrome.tabs.sendMessage(tab.id, message).catch(() => {
+                // Tab is still loading or has no content script
+            });
+        });
+    }
+
+    /**
+     * Choices the user made for exactly this local and cloud state (used once)
+     * @param {string} fileName
+     * @param {object} local
+     * @param {object} remote
+     * @returns {object|null}
+     */
+    function takeConflictChoices(fileName, local, remote) {
+        const answer = answeredConflicts.get(fileName);
+        if (!answer) return null;
+        answeredConflicts.delete(fileName);
+        const merge = root.FoldNestMerge;
+        return merge.sameState(answer.local, local) && merge.sameState(answer.remote, remote) ? answer.choices : null;
+    }
+
+    /**
+     * Show the conflict dialog without holding the sync lock, so an unanswered
+     * dialog does not stop every other file from syncing. Once answered, the
+     * file is synced again and the choices apply if nothing changed meanwhile.
+     * @param {string} fileName
+     * @param {object[]} conflicts
+     * @param {object} local
+     * @param {object} remote
+     * @param {string} type - 'notebook' or 'dashboard'
+     * @param {string|null} notebookId
+     */
+    function askConflictChoices(fileName, conflicts, local, remote, type, notebookId) {
+        if (pendingConflicts.has(fileName)) return;
+        pendingConflicts.add(fileName);
+        conflictDialogs = conflictDialogs
+            .then(() => requestConflictChoices(conflicts, local, remote, type, notebookId))
+            .then(choices => {
+                pendingConflicts.delete(fileName);
+                if (!choices) {
+                    // User postponed (or no tab to ask) - the next sync asks again
+                    notifyTabs({ action: 'syncToast', message: 'Sync postponed - conflicts not resolved', level: 'warning' });
+                    return;
+                }
+                answeredConflicts.set(fileName, { local, remote, choices });
+                performSync([{ type, notebookId }]);
+            })
+            .catch(e => {
+                pendingConflicts.delete(fileName);
+                console.warn('[FoldNest Sync] Conflict dialog failed:', e);
+            });
+    }
+
+    /**
+     * Ask a NotebookLM tab to show the conflict dialog. Prefers the tab
+     * showing that notebook, then the active tab.
+     * @param {object[]} conflicts
+     * @param {object} local
+     * @param {object} remote
+     * @param {string} type - 'notebook' or 'dashboard'
+     * @param {string|null} notebookId
+     * @returns {Promise<object|null>} Choices map, or null when postponed
+     */
+    async function requestConflictChoices(conflicts, local, remote, type, notebookId) {
+        const tabs = await chrome.tabs.query({ url: NOTEBOOKLM_TABS });
+        const showing = type === 'notebook' ? tabs.find(tab => tab.url?.includes(`/notebook/${notebookId}`)) : null;
+        const tab = showing || tabs.find(tab => tab.active) || tabs[0];
+        if (!tab) {
+            console.log('[FoldNest Sync] No NotebookLM tab to resolve conflicts, postponing');
+            return null;
+        }
+
+        const subject = type === 'notebook' && !showing ? await getNotebookTitle(notebookId) : null;
+        try {
+            const response = await chrome.tabs.sendMessage(tab.id, {
+                action: 'syncResolveConflicts',
+                conflicts,
+                local,
+                remote,
+                subject
+            });
+            return response?.choices || null;
+        } catch (e) {
+            console.warn('[FoldNest Sync] Conflict dialog unavailable:', e.message);
+            return null;
+        }
+    }
+
+    // --- MESSAGES ---
+
+    /**
+     * Reply to a message once an async handler settles
+     * @param {Promise<object>} promise
+     * @param {function} sendResponse
+     */
+    function respond(promise, sendResponse) {
+        promise
+            .then(result => sendResponse(result))
+            .catch(e => {
+                console.error('[FoldNest Sync] Request failed:', e);
+                sendResponse({ error: e.message || 'Sync request failed' });
+            });
+    }
+
+    /**
+     * chrome.runtime.onMessage handler for requests from sync.js
+     * @returns {boolean} true if the message was handled (response is async)
+     */
+    function handleMessage(request, sender, sendResponse) {
+        switch (request.action) {
+            case 'syncNow':
+                respond(performFullSync(request.notebookId).then(success => ({ success })), sendResponse);
+                return true;
+
+            case 'syncAll':
+                respond(performSyncAll().then(success => ({ success })), sendResponse);
+                return true;
+
+            case 'syncOnline':
+                respond(processOfflineQueue().then(success => ({ success })), sendResponse);
+                return true;
+
+            case 'syncEnable':
+                respond(enableSync(request.provider, request.webdav, request.notebookId), sendResponse);
+                return true;
+
+            case 'syncSetScopes':
+                respond(ensureLoaded().then(async () => {
+                    syncSettings.scopes = { ...syncSettings.scopes, ...request.scopes };
+                    await saveSyncSettings();
+                    return { success: true };
+                }), sendResponse);
+                return true;
+
+            case 'syncDisable':
+                respond(disableSync().then(() => ({ success: true })), sendResponse);
+                return true;
+
+            case 'syncEncryptionInfo':
+                respond(ensureLoaded().then(async () => {
+                    const marker = await findFile(CRYPTO_FILE_NAME);
+                    const params = marker ? await downloadRawFile(marker.id) : null;
+                    return {
+                        exists: !!params?.salt && !params.disabled, // Not left behind by disableEncryption
+                        unlocked: !!encryptionKey
+                    };
+                }), sendResponse);
+                return true;
+
+            case 'syncSetupEncryption':
+                respond(runExclusive(async () => {
+                    await ensureLoaded();
+                    const error = await setupEncryption(request.passphrase);
+                    if (!error) {
+                        await rewriteRemoteFiles().catch(e => console.warn('[FoldNest Sync] Failed to encrypt cloud files:', e));
+                        await setStatus('idle');
+                    }
+                    return { error };
+                }), sendResponse);
+                return true;
+
+            case 'syncDisableEncryption':
+                respond(runExclusive(async () => {
+                    await ensureLoaded();
+                    const error = await disableEncryption();
+                    if (error) return { error };
+                    await setStatus('idle');
+                    return { success: true };
+                }), sendResponse);
+                return true;
+
+            case 'syncHistory':
+                respond(ensureLoaded().then(async () => {
+                    const fileName = getSyncFileName(request.type, request.notebookId);
+                    return { entries: fileName ? (await loadHistory(fileName)).entries : [] };
+                }), sendResponse);
+                return true;
+        }
+        return false;
+    }
+
+    // --- PUBLIC API ---
+
+    root.FoldNestSyncEngine = {
+        init,
+        handleMessage,
+        handleStorageChange,
+        handleSearchIndexChange,
+        handleAlarm,
+
+        // For debugging from the service worker console
+        performFullSync,
+        performSyncAll,
+        processOfflineQueue
+    };
+
+})(globalThis);
@@ -0,0 +1,615 @@
+/**
+ * NotebookLM FoldNest - Sync Merge Module
+ * v1.0.0 - Three-way merge of synced state against a common ancestor
+ *
+ * Pure data module shared by the sync layer. Given the snapshot both devices
+ * last agreed on (the "base"), the local state and the remote state, it
+ * combines non-overlapping edits per entity and reports only true conflicts.
+ *
+ * Features:
+ * - Per-entity merge of folders, mappings, pinned items, tasks and task sections
+ * - Field-level merge inside entities (rename on one device + recolor on another)
+ * - Delete/modify detection
+ * - Task list ordering preserved from whichever side reordered
+ * - Conflict candidates that can be resolved per item after the merge
+ * - Search index union with newest-content-wins per entry
+ */
+
+(function (root) {
+    'use strict';
+
+    // --- SCHEMA ---
+    // kind: 'entities' - object of id -> object, merged field by field
+    //       'values'   - object of key -> primitive/opaque value
+    //       'set'      - array of unique strings
+    //       'list'     - ordered array of objects (tasks)
+    // silent: conflicts are resolved to local without being surfaced
+    const SCHEMAS = {
+        notebook: [
+            { path: ['source', 'folders'], kind: 'entities', label: 'Folder' },
+            { path: ['source', 'mappings'], kind: 'values', label: 'Source placement' },
+            { path: ['source', 'pinned'], kind: 'set' },
+            { path: ['source', 'tasks'], kind: 'list', label: 'Task' },
+            { path: ['source', 'taskSections'], kind: 'entities', label: 'Task section' },
+            { path: ['studio', 'folders'], kind: 'entities', label: 'Folder' },
+            { path: ['studio', 'mappings'], kind: 'values', label: 'Note placement' },
+            { path: ['studio', 'pinned'], kind: 'set' },
+            { path: ['settings'], kind: 'values', silent: true }
+        ],
+        dashboard: [
+            { path: ['folders'], kind: 'entities', label: 'Folder' },
+            { path: ['mappings'], kind: 'values', label: 'Notebook placement' },
+            { path: ['idMappings'], kind: 'values', label: 'Notebook placement' },
+            { path: ['notebookTitles'], kind: 'values', silent: true },
+            { path: ['pinned'], kind: 'set' },
+            { path: ['settings'], kind: 'values', silent: true }
+        ],
+        exportFormats: [
+            { path: ['formats'], kind: 'values', silent: true }
+        ],
+        lockedViews: [
+            { path: ['views'], kind: 'list', label: 'Locked view' }
+        ]
+    };
+
+    // Synced search index is capped like the local one in search-store.js
+    const SEARCH_INDEX_MAX_BYTES = 10 * 1024 * 1024;
+
+    // UI-only fields that never count as a conflict (local wins)
+    const SOFT_FIELDS = ['isOpen', 'order', 'subtasksOpen'];
+
+    // --- HELPERS ---
+
+    /**
+     * JSON.stringify with sorted keys so equal objects compare equal
+     * regardless of property insertion order
+     * @param {*} value
+     * @returns {string}
+     */
+    function canonicalStringify(value) {
+        if (value === undefined) return 'undefined';
+        if (value === null || typeof value !== 'object') return JSON.stringify(value);
+        if (Array.isArray(value)) {
+            return '[' + value.map(canonicalStringify).join(',') + ']';
+        }
+        const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+        return '{' + keys.map(k => JSON.stringify(k) + ':' + canonicalStringify(value[k])).join(',') + '}';
+    }
+
+    function isEqual(a, b) {
+        return canonicalStringify(a) === canonicalStringify(b);
+    }
+
+    function clone(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+
+    function isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    function getPath(obj, path) {
+        let cur = obj;
+        for (const key of path) {
+            if (!isPlainObject(cur)) return undefined;
+            cur = cur[key];
+        }
+        return cur;
+    }
+
+    function setPath(obj, path, value) {
+        let cur = obj;
+        for (let i = 0; i < path.length - 1; i++) {
+            if (!isPlainObject(cur[path[i]])) cur[path[i]] = {};
+            cur = cur[path[i]];
+        }
+        cur[path[path.length - 1]] = value;
+    }
+
+    /**
+     * Remove sync bookkeeping so it never takes part in comparisons
+     * @param {object|null} state
+     * @returns {object}
+     */
+    function stripMeta(state) {
+        if (!isPlainObject(state)) return {};
+        const { _syncMeta, ...rest } = state;
+        return rest;
+    }
+
+    /**
+     * Check whether two states hold the same user data
+     * @param {object|null} a
+     * @param {object|null} b
+     * @returns {boolean}
+     */
+    function sameState(a, b) {
+        return isEqual(stripMeta(a), stripMeta(b));
+    }
+
+    /**
+     * Copy of a state without the given paths (sync scopes turned off)
+     * @param {object|null} state
+     * @param {string[][]} paths
+     * @returns {object}
+     */
+    function omitPaths(state, paths) {
+        const result = isPlainObject(state) ? clone(state) : {};
+        paths.forEach(path => {
+            const parent = getPath(result, path.slice(0, -1));
+            if (isPlainObject(parent)) delete parent[path[path.length - 1]];
+        });
+        return result;
+    }
+
+    /**
+     * Copy of a state with the given paths taken from another state
+     * @param {object} state
+     * @param {object|null} source
+     * @param {string[][]} paths
+     * @returns {object}
+     */
+    function copyPaths(state, source, paths) {
+        const result = clone(state);
+        paths.forEach(path => {
+            const value = getPath(source, path);
+            if (value !== undefined) setPath(result, path, clone(value));
+        });
+        return result;
+    }
+
+    function hashText(text) {
+        let hash = 0x811c9dc5; // FNV-1a
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(36);
+    }
+
+    /**
+     * Stable identity for a task. Tasks created before task IDs existed get
+     * one derived from their text, with a counter for duplicates, so every
+     * device derives the same identity for the same list.
+     * @param {object[]} tasks
+     * @returns {string[]}
+     */
+    function taskKeys(tasks) {
+        const seen = {};
+        return tasks.map(task => {
+            if (task && task.id) return task.id;
+            const text = ((task && task.text) || '').trim().toLowerCase();
+            seen[text] = (seen[text] || 0) + 1;
+            return `legacy-${hashText(seen[text] > 1 ? `${text}#${seen[text]}` : text)}`;
+        });
+    }
+
+    /**
+     * Give tasks without an ID the identity taskKeys() derives for them,
+     * so devices that upgrade the same list separately still match up
+     * @param {object[]} tasks - Mutated
+     * @returns {number} Number of tasks that got an ID
+     */
+    function assignTaskIds(tasks) {
+        if (!Array.isArray(tasks)) return 0;
+        const keys = taskKeys(tasks);
+        let assigned = 0;
+        tasks.forEach((task, index) => {
+            if (task && !task.id) {
+                task.id = keys[index];
+                assigned++;
+            }
+        });
+        return assigned;
+    }
+
+    function describe(schema, key, value) {
+        const name = value && (value.name || value.text);
+        return `${schema.label} "${name || key}"`;
+    }
+
+    // --- ENTITY MERGE ---
+
+    /**
+     * Three-way merge of a single value.
+     * @returns {{value: *, conflict: null|{fields: string[], local: *, remote: *}}}
+     */
+    function mergeValue(base, local, remote, entityLevel) {
+        if (isEqual(local, remote)) return { value: clone(local), conflict: null };
+        if (isEqual(local, base)) return { value: clone(remote), conflict: null };
+        if (isEqual(remote, base)) return { value: clone(local), conflict: null };
+
+        // Both sides changed - try field by field when both still exist as objects
+        if (entityLevel && isPlainObject(local) && isPlainObject(remote)) {
+            const baseObj = isPlainObject(base) ? base : {};
+            const merged = {};
+            const remoteCandidate = {};
+            const fields = [];
+            const keys = new Set([...Object.keys(baseObj), ...Object.keys(local), ...Object.keys(remote)]);
+
+            keys.forEach(field => {
+                const b = baseObj[field];
+                const l = local[field];
+                const r = remote[field];
+                let value;
+                let remoteValue;
+
+                if (isEqual(l, r) || isEqual(r, b)) {
+                    value = remoteValue = l;
+                } else if (isEqual(l, b)) {
+                    value = remoteValue = r;
+                } else if (SOFT_FIELDS.includes(field)) {
+                    value = remoteValue = l;
+                } else {
+                    value = l;
+                    remoteValue = r;
+                    fields.push(field);
+                }
+
+                if (value !== undefined) merged[field] = clone(value);
+                if (remoteValue !== undefined) remoteCandidate[field] = clone(remoteValue);
+            });
+
+            if (fields.length === 0) return { value: merged, conflict: null };
+            return { value: merged, conflict: { fields, local: merged, remote: remoteCandidate } };
+        }
+
+        // Delete vs. modify, or two different scalar values
+        return { value: clone(local), conflict: { fields: [], local: clone(local), remote: clone(remote) } };
+    }
+
+    /**
+     * Merge a keyed collection (folders, sections, mappings, settings)
+     */
+    function mergeKeyed(schema, base, local, remote, conflicts) {
+        const result = {};
+        const b = isPlainObject(base) ? base : {};
+        const l = isPlainObject(local) ? local : {};
+        const r = isPlainObject(remote) ? remote : {};
+        const keys = new Set([...Object.keys(l), ...Object.keys(r), ...Object.keys(b)]);
+        const entityLevel = schema.kind === 'entities';
+
+        keys.forEach(key => {
+            const { value, conflict } = mergeValue(b[key], l[key], r[key], entityLevel);
+            if (value !== undefined) result[key] = value;
+            if (conflict && !schema.silent) {
+                conflicts.push({
+                    id: `${schema.path.join('.')}:${key}`,
+                    path: schema.path,
+                    kind: schema.kind,
+                    key,
+                    label: describe(schema, key, l[key] !== undefined ? l[key] : r[key]),
+                    fields: conflict.fields,
+                    base: clone(b[key]),
+                    local: conflict.local,
+                    remote: conflict.remote
+                });
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Merge a set of pinned keys. Additions from either side are kept,
+     * removals from either side win over an untouched item.
+     */
+    function mergeSet(base, local, remote) {
+        const b = new Set(Array.isArray(base) ? base : []);
+        const l = Array.isArray(local) ? local : [];
+        const r = Array.isArray(remote) ? remote : [];
+        const lSet = new Set(l);
+        const rSet = new Set(r);
+        const result = [];
+
+        [...l, ...r].forEach(item => {
+            if (result.includes(item)) return;
+            const keep = b.has(item) ? (lSet.has(item) && rSet.has(item)) : true;
+            if (keep) result.push(item);
+        });
+
+        return result;
+    }
+
+    /**
+     * Check whether the relative order of shared keys differs
+     */
+    function isReordered(baseKeys, keys) {
+        const inBoth = new Set(keys.filter(k => baseKeys.includes(k)));
+        const a = baseKeys.filter(k => inBoth.has(k));
+        const b = keys.filter(k => inBoth.has(k));
+        return a.some((k, i) => k !== b[i]);
+    }
+
+    /**
+     * Merge an ordered task list. Tasks are matched by id, merged field by
+     * field, and ordered after whichever side reordered its list.
+     */
+    function mergeList(schema, base, local, remote, conflicts) {
+        const b = Array.isArray(base) ? base : [];
+        const l = Array.isArray(local) ? local : [];
+        const r = Array.isArray(remote) ? remote : [];
+        const bKeys = taskKeys(b);
+        const lKeys = taskKeys(l);
+        const rKeys = taskKeys(r);
+        const toMap = (items, keys) => keys.reduce((map, key, i) => { map[key] = items[i]; return map; }, {});
+        const merged = mergeKeyed({ ...schema, kind: 'entities' }, toMap(b, bKeys), toMap(l, lKeys), toMap(r, rKeys), conflicts);
+
+        // Conflicts on lists are addressed by task key, not object key
+        conflicts.forEach(c => { if (c.path === schema.path) c.kind = 'list'; });
+
+        // Primary order comes from the side that reordered (local if both did)
+        const useRemote = !isReordered(bKeys, lKeys) && isReordered(bKeys, rKeys);
+        const primary = useRemote ? rKeys : lKeys;
+        const secondary = useRemote ? lKeys : rKeys;
+        const order = primary.filter(k => k in merged);
+
+        secondary.forEach((key, i) => {
+            if (!(key in merged) || order.includes(key)) return;
+            // Insert after the closest preceding item that is already placed
+            let anchor = -1;
+            for (let j = i - 1; j >= 0; j--) {
+                anchor = order.indexOf(secondary[j]);
+                if (anchor > -1) break;
+            }
+            order.splice(anchor + 1, 0, key);
+        });
+
+        return order.map(key => merged[key]);
+    }
+
+    // --- SEARCH INDEX ---
+    // The per-notebook search index syncs as { entries: { key: { content, updatedAt } } }.
+    // Its sync base only keeps a fingerprint per entry ({ hash, updatedAt }),
+    // enough to tell which local entries changed since the last sync.
+
+    /**
+     * Cheap content fingerprint (length + 32-bit djb2)
+     * @param {string} content
+     * @returns {string}
+     */
+    function fingerprint(content) {
+        let hash = 5381;
+        for (let i = 0; i < content.length; i++) {
+            hash = ((hash << 5) + hash + content.charCodeAt(i)) | 0;
+        }
+        return `${content.length}:${(hash >>> 0).toString(36)}`;
+    }
+
+    /**
+     * Fingerprints of synced index entries, stored as the sync base
+     * @param {object} entries - key -> { content, updatedAt }
+     * @returns {object} key -> { hash, updatedAt }
+     */
+    function fingerprintSearchIndex(entries) {
+        const result = {};
+        Object.keys(entries || {}).forEach(key => {
+            result[key] = { hash: fingerprint(entries[key].content), updatedAt: entries[key].updatedAt };
+        });
+        return result;
+    }
+
+    /**
+     * Check whether every local index entry is already synced. Entries
+     * evicted locally do not count - deletions are not synced.
+     * @param {object} index - Local index, key -> compressed content
+     * @param {object|null} baseEntries - Fingerprints from the sync base
+     * @returns {boolean}
+     */
+    function searchIndexMatchesBase(index, baseEntries) {
+        if (!baseEntries) return false;
+        return Object.keys(index || {}).every(key =>
+            baseEntries[key] && baseEntries[key].hash === fingerprint(index[key])
+        );
+    }
+
+    /**
+     * Merge a local search index with the synced one: the union of both,
+     * with the newest content winning per entry. Local entries unchanged
+     * since the last sync keep their timestamp; the rest count as new.
+     * The oldest entries are dropped beyond the size cap.
+     * @param {object} index - Local index, key -> compressed content
+     * @param {object|null} remoteEntries - key -> { content, updatedAt }
+     * @param {object|null} baseEntries - Fingerprints from the sync base
+     * @param {number} now - Timestamp for local changes
+     * @returns {{entries: object, index: object}} Merged entries for upload and the matching local index
+     */
+    function mergeSearchIndex(index, remoteEntries, baseEntries, now = Date.now()) {
+        const entries = {};
+        Object.keys(remoteEntries || {}).forEach(key => {
+            const entry = remoteEntries[key];
+            if (entry && typeof entry.content === 'string') {
+                entries[key] = { content: entry.content, updatedAt: entry.updatedAt || 0 };
+            }
+        });
+
+        Object.keys(index || {}).forEach(key => {
+            const content = index[key];
+            if (typeof content !== 'string') return;
+            const known = baseEntries && baseEntries[key];
+            const updatedAt = known && known.hash === fingerprint(content) ? known.updatedAt : now;
+            const current = entries[key];
+            if (!current || (current.content !== content && updatedAt > current.updatedAt)) {
+                entries[key] = { content, updatedAt };
+            }
+        });
+
+        let size = 0;
+        Object.keys(entries)
+            .sort((a, b) => entries[b].updatedAt - entries[a].updatedAt)
+            .forEach(key => {
+                size += entries[key].content.length * 2; // UTF-16
+                if (size > SEARCH_INDEX_MAX_BYTES) delete entries[key];
+            });
+
+        const merged = {};
+        Object.keys(entries).forEach(key => { merged[key] = entries[key].content; });
+        return { entries, index: merged };
+    }
+
+    // --- PUBLIC ---
+
+    /**
+     * Three-way merge of two states against their common ancestor.
+     * Conflicts are resolved to the local side in `merged`; use
+     * resolveConflicts() to apply other choices.
+     * @param {object|null} base - Last snapshot both sides agreed on (null if unknown)
+     * @param {object} local - Local state
+     * @param {object} remote - Remote state
+     * @param {string} type - 'notebook' or 'dashboard'
+     * @returns {{merged: object, conflicts: object[]}}
+     */
+    function mergeStates(base, local, remote, type = 'notebook') {
+        const schema = SCHEMAS[type] || SCHEMAS.notebook;
+        const b = stripMeta(base);
+        const l = stripMeta(local);
+        const r = stripMeta(remote);
+        const conflicts = [];
+
+        // Start from local, pick up anything only the remote knows about
+        const merged = clone(l);
+        Object.keys(r).forEach(key => {
+            if (merged[key] === undefined) merged[key] = clone(r[key]);
+        });
+
+        schema.forEach(entry => {
+            const bv = getPath(b, entry.path);
+            const lv = getPath(l, entry.path);
+            const rv = getPath(r, entry.path);
+            if (lv === undefined && rv === undefined) return;
+
+            let value;
+            if (entry.kind === 'set') {
+                value = mergeSet(bv, lv, rv);
+            } else if (entry.kind === 'list') {
+                value = mergeList(entry, bv, lv, rv, conflicts);
+            } else {
+                value = mergeKeyed(entry, bv, lv, rv, conflicts);
+            }
+            setPath(merged, entry.path, value);
+        });
+
+        return { merged, conflicts };
+    }
+
+    /**
+     * Apply per-conflict choices to a merged state
+     * @param {object} merged - Result of mergeStates()
+     * @param {object[]} conflicts - Conflicts from mergeStates()
+     * @param {object|function} choices - Map of conflict id -> 'local'|'remote', or a picker function
+     * @returns {object} New merged state
+     */
+    function resolveConflicts(merged, conflicts, choices) {
+        const result = clone(merged);
+
+        conflicts.forEach(conflict => {
+            const choice = typeof choices === 'function' ? choices(conflict) : choices[conflict.id];
+            const value = clone(choice === 'remote' ? conflict.remote : conflict.local);
+            const container = getPath(result, conflict.path);
+
+            if (conflict.kind === 'list') {
+                if (!Array.isArray(container)) return;
+                const index = taskKeys(container).indexOf(conflict.key);
+                if (value === undefined) {
+                    if (index > -1) container.splice(index, 1);
+                } else if (index > -1) {
+                    container[index] = value;
+                } else {
+                    container.push(value);
+                }
+                return;
+            }
+
+            if (!isPlainObject(container)) {
+                if (value !== undefined) setPath(result, conflict.path, { [conflict.key]: value });
+                return;
+            }
+            if (value === undefined) delete container[conflict.key];
+            else container[conflict.key] = value;
+        });
+
+        return result;
+    }
+
+    /**
+     * Summarize what changes when going from one state to another
+     * (used to preview a restore from sync history)
+     * @param {object} from - Current state
+     * @param {object} to - Candidate state
+     * @param {string} type - 'notebook' or 'dashboard'
+     * @returns {{foldersAdded: string[], foldersRemoved: string[], foldersRenamed: string[], tasksAdded: string[], tasksRemoved: string[], tasksChanged: string[], placementsChanged: number}}
+     */
+    function summarizeChanges(from, to, type = 'notebook') {
+        const schema = SCHEMAS[type] || SCHEMAS.notebook;
+        const a = stripMeta(from);
+        const b = stripMeta(to);
+        const summary = {
+            foldersAdded: [],
+            foldersRemoved: [],
+            foldersRenamed: [],
+            tasksAdded: [],
+            tasksRemoved: [],
+            tasksChanged: [],
+            placementsChanged: 0
+        };
+
+        schema.forEach(entry => {
+            const lastKey = entry.path[entry.path.length - 1];
+            let before = getPath(a, entry.path);
+            let after = getPath(b, entry.path);
+
+            if (entry.kind === 'list') {
+                const toMap = (items) => {
+                    const list = Array.isArray(items) ? items : [];
+                    const keys = taskKeys(list);
+                    return keys.reduce((map, key, i) => { map[key] = list[i]; return map; }, {});
+                };
+                before = toMap(before);
+                after = toMap(after);
+                Object.keys(after).forEach(key => {
+                    if (!(key in before)) summary.tasksAdded.push(after[key].text);
+                    else if (!isEqual(before[key], after[key])) summary.tasksChanged.push(after[key].text);
+                });
+                Object.keys(before).forEach(key => {
+                    if (!(key in after)) summary.tasksRemoved.push(before[key].text);
+                });
+                return;
+            }
+
+            before = isPlainObject(before) ? before : {};
+            after = isPlainObject(after) ? after : {};
+
+            if (lastKey === 'folders') {
+                Object.keys(after).forEach(id => {
+                    if (!(id in before)) summary.foldersAdded.push(after[id].name);
+                    else if (before[id].name !== after[id].name) summary.foldersRenamed.push(`${before[id].name} → ${after[id].name}`);
+                });
+                Object.keys(before).forEach(id => {
+                    if (!(id in after)) summary.foldersRemoved.push(before[id].name);
+                });
+            } else if (lastKey === 'mappings') {
+                new Set([...Object.keys(before), ...Object.keys(after)]).forEach(key => {
+                    if (before[key] !== after[key]) summary.placementsChanged++;
+                });
+            }
+        });
+
+        return summary;
+    }
+
+    root.FoldNestMerge = {
+        mergeStates,
+        resolveConflicts,
+        summarizeChanges,
+        sameState,
+        stripMeta,
+        omitPaths,
+        copyPaths,
+        assignTaskIds,
+        mergeSearchIndex,
+        fingerprintSearchIndex,
+        searchIndexMatchesBase,
+        canonicalStringify
+    };
+
+})(typeof globalThis !== 'undefined' ? globalThis : window);
@@ -0,0 +1,410 @@
+/**
+ * NotebookLM FoldNest - Sync Providers
+ * v1.0.0 - Storage backends for cloud sync
+ *
+ * Every provider exposes the same interface, used by sync-engine.js in the
+ * background service worker:
+ * - id / label
+ * - connect(interactive)          -> Promise<boolean>   Authorize and prepare storage
+ * - disconnect()                  -> Promise<void>
+ * - listFiles()                   -> Promise<Array<{id, name, modifiedTime}>>
+ * - findFile(name)                -> Promise<{id, name, modifiedTime}|null>
+ * - readFile(id)                  -> Promise<object>    Parsed JSON, throws on failure
+ * - writeFile(name, content, id)  -> Promise<void>      Create (id null) or replace, throws on failure
+ * - deleteFile(id)                -> Promise<void>      Missing files count as deleted, throws on failure
+ *
+ * Providers:
+ * - Google Drive appdata folder (OAuth via chrome.identity)
+ * - WebDAV (Nextcloud, ownCloud, self-hosted) with basic auth or app tokens
+ */
+
+(function (root) {
+    'use strict';
+
+    // --- CONSTANTS ---
+    const DRIVE_API_URL = 'https://www.googleapis.com/drive/v3';
+    const DRIVE_UPLOAD_URL = 'https://www.googleapis.com/upload/drive/v3';
+    const WEBDAV_PROPFIND_BODY = '<?xml version="1.0" encoding="utf-8"?>' +
+        '<d:propfind xmlns:d="DAV:"><d:prop><d:getlastmodified/><d:resourcetype/></d:prop></d:propfind>';
+    const WEBDAV_TIMEOUT_MS = 10000;
+
+    // =========================================================================
+    // GOOGLE DRIVE
+    // =========================================================================
+
+    /**
+     * Create the Google Drive appdata provider
+     * @returns {object} Provider
+     */
+    function createDriveProvider() {
+        let cachedToken = null;
+
+        /**
+         * Get OAuth token via chrome.identity
+         * @param {boolean} interactive - Whether to show auth UI
+         * @returns {Promise<string|null>} Access token or null
+         */
+        async function getAuthToken(interactive = false) {
+            // Check if we have a valid cached token
+            if (cachedToken && !interactive) {
+                return cachedToken;
+            }
+
+            try {
+                // Use Promise-based API (Chrome 116+)
+                const result = await chrome.identity.getAuthToken({ interactive });
+                console.log(`[FoldNest Sync] ✅ Token received (${result.token?.length || 0} chars)`);
+                cachedToken = result.token || null;
+                return cachedToken;
+            } catch (error) {
+                console.error('[FoldNest Sync] ❌ getAuthToken error:', error.message);
+                if (error.message?.includes('OAuth2')) {
+                    console.error('[FoldNest Sync] 💡 OAuth2 error - check:');
+                    console.error('   1. manifest.json has correct oauth2.client_id');
+                    console.error('   2. Google Cloud Console OAuth client is type "Chrome extension"');
+                    console.error('   3. Extension ID is added to OAuth client');
+                }
+                cachedToken = null;
+                return null;
+            }
+        }
+
+        /**
+         * Drop the current auth token from Chrome's cache
+         */
+        async function revokeAuthToken() {
+            if (cachedToken) {
+                try {
+                    await chrome.identity.removeCachedAuthToken({ token: cachedToken });
+                } catch (error) {
+                    console.warn('[FoldNest Sync] revokeAuthToken error:', error);
+                }
+                cachedToken = null;
+            }
+        }
+
+        /**
+         * Make an authenticated request with auto-retry on 401
+         * @param {string} url - Request URL
+         * @param {object} options - Fetch options (without auth header)
+         * @param {boolean} isRetry - Whether this is a retry attempt
+         * @returns {Promise<Response>}
+         */
+        async function makeAuthenticatedRequest(url, options = {}, isRetry = false) {
+            const token = await getAuthToken(isRetry);
+            if (!token) {
+                const error = new Error('Not authenticated - no token received');
+                error.code = 'NO_TOKEN';
+                console.error('[FoldNest Sync] No auth token available. User may need to re-enable sync.');
+                throw error;
+            }
+
+            const response = await fetch(url, {
+                ...options,
+                headers: {
+                    ...options.headers,
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+
+            // Handle token expiration - retry once with fresh token
+            if (response.status === 401 && !isRetry) {
+                console.log('[FoldNest Sync] Token expired, refreshing...');
+                await revokeAuthToken();
+                return makeAuthenticatedRequest(url, options, true);
+            }
+
+            // Handle 403 - permission issue
+            if (response.status === 403) {
+                const errorBody = await response.text().catch(() => 'Could not read error body');
+                console.error('[FoldNest Sync] ❌ 403 Forbidden');
+                console.error('[FoldNest Sync] 📋 Response body:', errorBody);
+                console.error('[FoldNest Sync] 💡 How to fix:');
+                console.error('   1. Go to Google Cloud Console: https://console.cloud.google.com/apis/credentials');
+                console.error('   2. Enable "Google Drive API" in APIs & Services');
+                console.error('   3. Edit your OAuth 2.0 Client ID');
+                console.error('   4. Make sure Application type is "Chrome extension"');
+                console.error('   5. Add your Extension ID (from chrome://extensions)');
+                console.error('   6. Save and reload the extension');
+                const error = new Error('Permission denied - see console for setup instructions');
+                error.code = 'FORBIDDEN';
+                throw error;
+            }
+
+            return response;
+        }
+
+        return {
+            id: 'google',
+            label: 'Google Drive',
+
+            async connect(interactive = false) {
+                return !!(await getAuthToken(interactive));
+            },
+
+            async disconnect() {
+                await revokeAuthToken();
+            },
+
+            /**
+             * List every file in the Drive appdata folder
+             */
+            async listFiles() {
+                const files = [];
+                let pageToken = null;
+
+                do {
+                    const params = new URLSearchParams({
+                        spaces: 'appDataFolder',
+                        fields: 'nextPageToken, files(id, name, modifiedTime)',
+                        pageSize: '1000'
+                    });
+                    if (pageToken) params.set('pageToken', pageToken);
+
+                    const response = await makeAuthenticatedRequest(`${DRIVE_API_URL}/files?${params}`);
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}`);
+                    }
+
+                    const data = await response.json();
+                    files.push(...(data.files || []));
+                    pageToken = data.nextPageToken;
+                } while (pageToken);
+
+                return files;
+            },
+
+            /**
+             * Find a file in Drive appdata folder
+             */
+            async findFile(fileName) {
+                console.log(`[FoldNest Sync] 🔍 Finding file: ${fileName}`);
+                const params = new URLSearchParams({
+                    spaces: 'appDataFolder',
+                    q: `name='${fileName}'`,
+                    fields: 'files(id, name, modifiedTime)'
+                });
+
+                const response = await makeAuthenticatedRequest(`${DRIVE_API_URL}/files?${params}`);
+
+                if (!response.ok) {
+                    const errorText = await response.text().catch(() => '');
+                    console.error(`[FoldNest Sync] ❌ Find file HTTP ${response.status}: ${errorText}`);
+                    throw new Error(`HTTP ${response.status}`);
+                }
+
+                const data = await response.json();
+                return data.files && data.files.length > 0 ? data.files[0] : null;
+            },
+
+            /**
+             * Download file content from Drive
+             */
+            async readFile(fileId) {
+                const response = await makeAuthenticatedRequest(`${DRIVE_API_URL}/files/${fileId}?alt=media`);
+
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+
+                return response.json();
+            },
+
+            /**
+             * Upload/update file in Drive appdata folder
+             */
+            async writeFile(fileName, content, existingFileId = null) {
+                const metadata = {
+                    name: fileName,
+                    mimeType: 'application/json'
+                };
+
+                if (!existingFileId) {
+                    metadata.parents = ['appDataFolder'];
+                }
+
+                const form = new FormData();
+                form.append('metadata', new Blob([JSON.stringify(metadata)], { type: 'application/json' }));
+                form.append('file', new Blob([JSON.stringify(content)], { type: 'application/json' }));
+
+                const url = existingFileId
+                    ? `${DRIVE_UPLOAD_URL}/files/${existingFileId}?uploadType=multipart`
+                    : `${DRIVE_UPLOAD_URL}/files?uploadType=multipart`;
+
+                const response = await makeAuthenticatedRequest(url, {
+                    method: existingFileId ? 'PATCH' : 'POST',
+                    body: form
+                });
+
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+            },
+
+            /**
+             * Delete a file from Drive appdata folder
+             */
+            async deleteFile(fileId) {
+                const response = await makeAuthenticatedRequest(`${DRIVE_API_URL}/files/${fileId}`, { method: 'DELETE' });
+                if (!response.ok && response.status !== 404) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+            }
+        };
+    }
+
+    // =========================================================================
+    // WEBDAV
+    // =========================================================================
+
+    /**
+     * Parse a PROPFIND multistatus response into file entries.
+     * Regex-based so it does not depend on DOMParser.
+     * @param {string} xml
+     * @returns {Array<{id: string, name: string, modifiedTime: string|null}>}
+     */
+    function parseMultistatus(xml) {
+        const files = [];
+        const blocks = xml.split(/<(?:[\w-]+:)?response[\s>]/i).slice(1);
+
+        blocks.forEach(block => {
+            const href = (block.match(/<(?:[\w-]+:)?href>([^<]*)</i) || [])[1];
+            if (!href || /<(?:[\w-]+:)?collection\s*\/?>/i.test(block)) return;
+
+            const modified = (block.match(/<(?:[\w-]+:)?getlastmodified>([^<]*)</i) || [])[1];
+            const name = decodeURIComponent(href.replace(/\/$/, '').split('/').pop());
+            files.push({
+                id: name,
+                name,
+                modifiedTime: modified ? new Date(modified).toISOString() : null
+            });
+        });
+
+        return files;
+    }
+
+    /**
+     * Create a WebDAV provider. Runs in the service worker (sync-engine.js) and
+     * needs the server's host permission (requested before enabling), otherwise
+     * the server would have to allow the extension via CORS.
+     * @param {{url: string, username: string, password: string}} config - Folder URL and credentials (app token recommended)
+     * @returns {object} Provider
+     */
+    function createWebDavProvider(config) {
+        const baseUrl = config.url.endsWith('/') ? config.url : `${config.url}/`;
+        const authHeader = `Basic ${btoa(unescape(encodeURIComponent(`${config.username}:${config.password}`)))}`;
+
+        /**
+         * Send a WebDAV request relative to the sync folder
+         * @param {string} method
+         * @param {string} name - File name ('' for the folder itself)
+         * @param {object} options - { headers, body }
+         * @returns {Promise<{status: number, body: string}>}
+         */
+        async function request(method, name = '', { headers = {}, body } = {}) {
+            let response;
+            try {
+                const res = await fetch(baseUrl + encodeURIComponent(name), {
+                    method,
+                    headers: { 'Authorization': authHeader, ...headers },
+                    body,
+                    signal: AbortSignal.timeout(WEBDAV_TIMEOUT_MS)
+                });
+                response = { status: res.status, body: await res.text() };
+            } catch (e) {
+                throw new Error(`WebDAV server unreachable: ${e.message}`);
+            }
+
+            if (response.status === 401 || response.status === 403) {
+                const error = new Error('WebDAV login failed - check username and app password');
+                error.code = 'FORBIDDEN';
+                throw error;
+            }
+
+            return response;
+        }
+
+        return {
+            id: 'webdav',
+            label: 'WebDAV',
+
+            /**
+             * Check credentials and create the sync folder if needed
+             */
+            async connect() {
+                const response = await request('PROPFIND', '', {
+                    headers: { 'Depth': '0', 'Content-Type': 'application/xml' },
+                    body: WEBDAV_PROPFIND_BODY
+                });
+                if (response.status === 207) return true;
+                if (response.status === 404) {
+                    const created = await request('MKCOL');
+                    if (created.status === 201) return true;
+                    throw new Error(`Could not create sync folder (HTTP ${created.status})`);
+                }
+                throw new Error(`WebDAV HTTP ${response.status}`);
+            },
+
+            async disconnect() {
+                // Basic auth has no session to revoke
+            },
+
+            async listFiles() {
+                const response = await request('PROPFIND', '', {
+                    headers: { 'Depth': '1', 'Content-Type': 'application/xml' },
+                    body: WEBDAV_PROPFIND_BODY
+                });
+                if (response.status !== 207) {
+                    throw new Error(`WebDAV HTTP ${response.status}`);
+                }
+                return parseMultistatus(response.body);
+            },
+
+            async findFile(fileName) {
+                const response = await request('PROPFIND', fileName, {
+                    headers: { 'Depth': '0', 'Content-Type': 'application/xml' },
+                    body: WEBDAV_PROPFIND_BODY
+                });
+                if (response.status === 404) return null;
+                if (response.status !== 207) {
+                    throw new Error(`WebDAV HTTP ${response.status}`);
+                }
+                return parseMultistatus(response.body)[0] || { id: fileName, name: fileName, modifiedTime: null };
+            },
+
+            async readFile(fileId) {
+                const response = await request('GET', fileId);
+                if (response.status !== 200) {
+                    throw new Error(`WebDAV HTTP ${response.status}`);
+                }
+                return JSON.parse(response.body);
+            },
+
+            async writeFile(fileName, content) {
+                const response = await request('PUT', fileName, {
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(content)
+                });
+                if (![200, 201, 204].includes(response.status)) {
+                    throw new Error(`WebDAV HTTP ${response.status}`);
+                }
+            },
+
+            async deleteFile(fileId) {
+                const response = await request('DELETE', fileId);
+                if (![200, 204, 404].includes(response.status)) {
+                    throw new Error(`WebDAV HTTP ${response.status}`);
+                }
+            }
+        };
+    }
+
+    // --- PUBLIC API ---
+
+    root.FoldNestSyncProviders = {
+        createDriveProvider,
+        createWebDavProvider,
+        parseMultistatus
+    };
+
+})(typeof globalThis !== 'undefined' ? globalThis : window);
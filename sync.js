@@ -1,16 +1,24 @@
 /**
  * NotebookLM FoldNest - Sync Module v1.0.0
- * 
- * Provides optional cross-device sync functionality using Google Drive's appdata folder.
+ *
+ * Provides optional cross-device sync functionality using Google Drive's appdata folder
+ * or a WebDAV server (storage backends live in sync-providers.js).
  * This module is completely self-contained and does not interfere with existing functionality.
- * 
+ *
+ * Syncing itself runs once per browser in the background service worker
+ * (sync-engine.js). This content script only shows status and dialogs:
+ * - Sync button, menu and status indicator (mirrors 'foldnest_sync_status')
+ * - Conflict, history, passphrase and WebDAV dialogs
+ * - Re-renders cloud changes the worker applies to the open page
+ *
  * Features:
  * - Optional toggle (off by default)
  * - Google OAuth authentication via chrome.identity
- * - Google Drive appdata storage (private to extension)
+ * - Google Drive appdata storage (private to extension) or WebDAV (Nextcloud, self-hosted)
  * - Automatic sync on state changes
  * - Manual sync trigger
- * - Conflict detection with timestamp-based resolution
+ * - Three-way merge against the last synced snapshot with a conflict resolution dialog
+ * - Optional passphrase-based end-to-end encryption (PBKDF2 + AES-GCM)
  * - Sync status indicator
  */
 
@@ -19,116 +27,38 @@
 
     // --- CONSTANTS ---
     const SYNC_STORAGE_KEY = 'foldnest_sync_settings';
-    const SYNC_FILE_NAME = 'foldnest_state.json';
-    const DASHBOARD_SYNC_FILE_NAME = 'foldnest_dashboard.json';
-    const DRIVE_API_URL = 'https://www.googleapis.com/drive/v3';
-    const DRIVE_UPLOAD_URL = 'https://www.googleapis.com/upload/drive/v3';
-    const SYNC_DEBOUNCE_MS = 2000; // Debounce sync uploads
-    const SYNC_COOLDOWN_MS = 5000; // Minimum time between syncs
+    const SYNC_STATUS_KEY = 'foldnest_sync_status';
+    const WEBDAV_CONFIG_KEY = 'foldnest_webdav_config';
+
+    // Options in the "What to Sync" dialog (keys of syncSettings.scopes in sync-engine.js)
+    const SYNC_SCOPE_OPTIONS = [
+        { key: 'dashboard', label: 'Dashboard folders', hint: 'Notebook folders on the NotebookLM home page' },
+        { key: 'folders', label: 'Notebook folder trees', hint: 'Source and note folders inside each notebook' },
+        { key: 'tasks', label: 'Tasks', hint: 'Tasks and task sections' },
+        { key: 'pinned', label: 'Pinned items', hint: 'Pinned sources, notes and notebooks' },
+        { key: 'lockedViews', label: 'Locked views', hint: 'Saved Source Explorer filter views' },
+        { key: 'searchIndex', label: 'Search index', hint: 'Note content for deep search (can be large)' },
+        { key: 'exportFormats', label: 'Export format memory', hint: 'Last format chosen per Studio artifact type' }
+    ];
 
     // --- STATE ---
+    // Read-only mirror of the settings owned by sync-engine.js
     let syncSettings = {
         enabled: false,
         lastSyncTime: null,
-        autoSync: true // Auto-sync on changes
+        autoSync: true,
+        provider: 'google',
+        deviceLabel: null,
+        lastSyncAllTime: null,
+        encryption: false
     };
-    let isSyncing = false;
-    let syncDebounceTimer = null;
-    let lastSyncAttempt = 0;
-    let cachedToken = null;
+    let syncStatus = { status: 'idle', message: '', progress: null };
     let isOnline = navigator.onLine;
 
     // Page type tracking
     let currentPageType = null; // 'notebook' or 'dashboard'
     let currentNotebookId = null;
 
-    // Reload prevention - track if we just synced to avoid reload loop
-    const JUST_SYNCED_KEY = 'foldnest_just_synced';
-    const RELOAD_GRACE_PERIOD = 5000; // 5 seconds
-
-    // --- OFFLINE QUEUE ---
-    const OFFLINE_QUEUE_KEY = 'foldnest_sync_offline_queue';
-    let offlineQueue = [];
-
-    /**
-     * Load offline queue from storage
-     */
-    async function loadOfflineQueue() {
-        try {
-            const result = await chrome.storage.local.get([OFFLINE_QUEUE_KEY]);
-            offlineQueue = result[OFFLINE_QUEUE_KEY] || [];
-        } catch (e) {
-            console.warn('[FoldNest Sync] Failed to load offline queue:', e);
-            offlineQueue = [];
-        }
-    }
-
-    /**
-     * Save offline queue to storage
-     */
-    async function saveOfflineQueue() {
-        try {
-            await chrome.storage.local.set({ [OFFLINE_QUEUE_KEY]: offlineQueue });
-        } catch (e) {
-            console.warn('[FoldNest Sync] Failed to save offline queue:', e);
-        }
-    }
-
-    /**
-     * Add operation to offline queue
-     * @param {string} type - 'notebook' or 'dashboard'
-     * @param {object} state - State to sync
-     */
-    async function queueOfflineOperation(type, state) {
-        // Remove duplicate operations for same type
-        offlineQueue = offlineQueue.filter(op => op.type !== type);
-        
-        offlineQueue.push({
-            type,
-            state,
-            timestamp: Date.now()
-        });
-        
-        await saveOfflineQueue();
-        console.log('[FoldNest Sync] Queued offline operation:', type);
-        showToast(`Offline: ${type} sync queued`, 'warning');
-    }
-
-    /**
-     * Process offline queue when back online
-     */
-    async function processOfflineQueue() {
-        if (offlineQueue.length === 0 || !syncSettings.enabled) return;
-        
-        console.log('[FoldNest Sync] Processing offline queue:', offlineQueue.length, 'operations');
-        showToast(`Syncing ${offlineQueue.length} queued changes...`, 'info');
-        
-        const queue = [...offlineQueue];
-        offlineQueue = [];
-        await saveOfflineQueue();
-        
-        let successCount = 0;
-        for (const op of queue) {
-            try {
-                const success = await uploadState(op.type);
-                if (success) successCount++;
-            } catch (e) {
-                console.error('[FoldNest Sync] Failed to process queued operation:', e);
-                // Re-queue failed operation
-                offlineQueue.push(op);
-            }
-        }
-        
-        await saveOfflineQueue();
-        
-        if (successCount > 0) {
-            showToast(`Synced ${successCount} queued changes`, 'success');
-        }
-        if (offlineQueue.length > 0) {
-            showToast(`${offlineQueue.length} changes still pending`, 'warning');
-        }
-    }
-
     /**
      * Setup online/offline listeners
      */
@@ -136,15 +66,14 @@
         window.addEventListener('online', () => {
             isOnline = true;
             console.log('[FoldNest Sync] Back online');
-            showToast('Back online - syncing...', 'info');
-            processOfflineQueue();
+            // The service worker cannot observe connectivity - tell it to replay the queue
+            if (syncSettings.enabled) sendToEngine({ action: 'syncOnline' });
         });
 
         window.addEventListener('offline', () => {
             isOnline = false;
             console.log('[FoldNest Sync] Went offline');
-            showToast('Offline - changes will sync when connected', 'warning');
-            updateSyncStatus('offline', 'No internet connection');
+            updateSyncStatus('offline', 'Offline - changes will sync when connected');
         });
     }
 
@@ -167,10 +96,10 @@
      */
     function detectPageType() {
         const url = window.location.href;
-        
+
         if (url.includes('/notebook/')) {
             currentPageType = 'notebook';
-            
+
             // Extract notebook ID from URL
             const match = url.match(/\/notebook\/([^/?#]+)/);
             if (match) {
@@ -189,46 +118,31 @@
      */
     async function initSync() {
         try {
-            // IMMEDIATELY clear just-synced flag on page load to prevent stale timestamps
-            await chrome.storage.local.remove(JUST_SYNCED_KEY);
-            
             // Detect page type first
             detectPageType();
 
-            // Load sync settings
-            const result = await chrome.storage.local.get([SYNC_STORAGE_KEY]);
+            // Load sync settings and the last published status
+            const result = await chrome.storage.local.get([SYNC_STORAGE_KEY, SYNC_STATUS_KEY]);
             if (result[SYNC_STORAGE_KEY]) {
                 syncSettings = { ...syncSettings, ...result[SYNC_STORAGE_KEY] };
             }
-
-            // Clear just-synced flag after grace period
-            const justSyncedResult = await chrome.storage.local.get([JUST_SYNCED_KEY]);
-            const justSynced = justSyncedResult[JUST_SYNCED_KEY] || 0;
-            if (Date.now() - justSynced > RELOAD_GRACE_PERIOD) {
-                await chrome.storage.local.remove(JUST_SYNCED_KEY);
+            if (result[SYNC_STATUS_KEY]) {
+                syncStatus = result[SYNC_STATUS_KEY];
             }
 
-            // Load offline queue
-            await loadOfflineQueue();
+            // Follow the service worker's settings and status
+            chrome.storage.onChanged.addListener(handleStorageChange);
+            chrome.runtime.onMessage.addListener(handleEngineMessage);
 
             // Setup connectivity listeners
             setupConnectivityListeners();
 
-            // Process any pending offline operations
-            if (isOnline && offlineQueue.length > 0) {
-                setTimeout(() => processOfflineQueue(), 3000);
-            }
-
             // Add sync UI elements
             setupSyncUI();
 
-            // If sync is enabled, perform initial sync after UI is ready
+            // Pull cloud changes for this page once the UI is ready
             if (syncSettings.enabled && isOnline) {
-                setTimeout(() => {
-                    performFullSync().catch(err => {
-                        console.error('[FoldNest Sync] Initial sync failed:', err);
-                    });
-                }, 2000);
+                setTimeout(() => performFullSync(), 2000);
             }
 
             console.log('[FoldNest Sync] Module initialized, enabled:', syncSettings.enabled, 'page:', currentPageType);
@@ -237,607 +151,317 @@
         }
     }
 
-    // --- AUTHENTICATION ---
+    // --- SERVICE WORKER BRIDGE ---
 
     /**
-     * Get OAuth token via background script (chrome.identity not available in content scripts)
-     * @param {boolean} interactive - Whether to show auth UI
-     * @returns {Promise<string|null>} Access token or null
+     * Send a request to sync-engine.js in the background service worker
+     * @param {object} message - { action: 'sync…', ... }
+     * @returns {Promise<object>} The worker's response ({ error } when unreachable)
      */
-    async function getAuthToken(interactive = false) {
-        console.log(`[FoldNest Sync] 🔑 getAuthToken called, interactive: ${interactive}, hasCachedToken: ${!!cachedToken}`);
-        
+    function sendToEngine(message) {
+        if (!isContextValid()) {
+            return Promise.resolve({ error: 'Extension was reloaded - refresh this page' });
+        }
         return new Promise((resolve) => {
-            // Check if we have a valid cached token
-            if (cachedToken && !interactive) {
-                console.log('[FoldNest Sync] 🔑 Using cached token');
-                resolve(cachedToken);
-                return;
-            }
-
-            console.log('[FoldNest Sync] 🔑 Requesting token from background script...');
-            
-            // Request token from background script
-            chrome.runtime.sendMessage(
-                { action: 'getAuthToken', interactive },
-                (response) => {
-                    if (chrome.runtime.lastError) {
-                        console.error('[FoldNest Sync] ❌ Auth message failed:', chrome.runtime.lastError.message);
-                        console.error('[FoldNest Sync] 💡 This usually means:');
-                        console.error('   - Extension was reloaded (refresh this page)');
-                        console.error('   - Background service worker crashed');
-                        cachedToken = null;
-                        resolve(null);
-                    } else if (response && response.success) {
-                        console.log('[FoldNest Sync] ✅ Token received successfully');
-                        console.log(`[FoldNest Sync] 🔑 Token length: ${response.token?.length || 0} chars`);
-                        cachedToken = response.token;
-                        resolve(response.token);
-                    } else {
-                        console.error('[FoldNest Sync] ❌ Auth failed:', response?.error);
-                        console.error('[FoldNest Sync] 💡 Possible causes:');
-                        console.error('   - User cancelled OAuth consent');
-                        console.error('   - OAuth client not configured as "Chrome extension" type');
-                        console.error('   - Extension ID not added to OAuth client');
-                        cachedToken = null;
-                        resolve(null);
-                    }
+            chrome.runtime.sendMessage(message, (response) => {
+                if (chrome.runtime.lastError) {
+                    console.warn('[FoldNest Sync] Service worker unreachable:', chrome.runtime.lastError.message);
+                    resolve({ error: chrome.runtime.lastError.message });
+                } else {
+                    resolve(response || {});
                 }
-            );
+            });
         });
     }
 
     /**
-     * Revoke current auth token via background script
+     * chrome.storage.onChanged listener: mirror settings and status
      */
-    async function revokeAuthToken() {
-        if (cachedToken) {
-            await new Promise((resolve) => {
-                chrome.runtime.sendMessage(
-                    { action: 'revokeAuthToken', token: cachedToken },
-                    () => resolve()
-                );
-            });
-            cachedToken = null;
+    function handleStorageChange(changes, areaName) {
+        if (areaName !== 'local') return;
+
+        if (changes[SYNC_STORAGE_KEY]?.newValue) {
+            syncSettings = { ...syncSettings, ...changes[SYNC_STORAGE_KEY].newValue };
+            updateSyncIndicator();
+        }
+        if (changes[SYNC_STATUS_KEY]?.newValue) {
+            syncStatus = changes[SYNC_STATUS_KEY].newValue;
+            // Re-renders the pending badge too
+            updateSyncStatus(syncStatus.status, syncStatus.message);
+            updateSyncProgress(syncStatus.progress);
         }
     }
 
     /**
-     * Make an authenticated request with auto-retry on 401
-     * @param {string} url - Request URL
-     * @param {object} options - Fetch options (without auth header)
-     * @param {boolean} isRetry - Whether this is a retry attempt
-     * @returns {Promise<Response>}
+     * chrome.runtime.onMessage listener for requests from the service worker
      */
-    async function makeAuthenticatedRequest(url, options = {}, isRetry = false) {
-        const token = await getAuthToken(isRetry);
-        if (!token) {
-            const error = new Error('Not authenticated - no token received');
-            error.code = 'NO_TOKEN';
-            console.error('[FoldNest Sync] No auth token available. User may need to re-enable sync.');
-            throw error;
-        }
+    function handleEngineMessage(request, sender, sendResponse) {
+        switch (request.action) {
+            case 'syncApplyState':
+                applyLocalState(request.type, request.state, request.notebookId);
+                return false;
 
-        const response = await fetch(url, {
-            ...options,
-            headers: {
-                ...options.headers,
-                'Authorization': `Bearer ${token}`
-            }
-        });
+            case 'syncResolveConflicts':
+                showConflictModal(request.conflicts, request.local, request.remote, request.subject)
+                    .then(choices => sendResponse({ choices }));
+                return true;
 
-        // Handle token expiration - retry once with fresh token
-        if (response.status === 401 && !isRetry) {
-            console.log('[FoldNest Sync] Token expired, refreshing...');
-            await revokeAuthToken();
-            return makeAuthenticatedRequest(url, options, true);
-        }
-
-        // Handle 403 - permission issue
-        if (response.status === 403) {
-            const errorBody = await response.text().catch(() => 'Could not read error body');
-            console.error('[FoldNest Sync] ❌ 403 Forbidden');
-            console.error('[FoldNest Sync] 📋 Response body:', errorBody);
-            console.error('[FoldNest Sync] 💡 How to fix:');
-            console.error('   1. Go to Google Cloud Console: https://console.cloud.google.com/apis/credentials');
-            console.error('   2. Enable "Google Drive API" in APIs & Services');
-            console.error('   3. Edit your OAuth 2.0 Client ID');
-            console.error('   4. Make sure Application type is "Chrome extension"');
-            console.error('   5. Add your Extension ID (from chrome://extensions)');
-            console.error('   6. Save and reload the extension');
-            const error = new Error('Permission denied - see console for setup instructions');
-            error.code = 'FORBIDDEN';
-            throw error;
+            case 'syncToast':
+                showToast(request.message, request.level);
+                return false;
         }
-
-        return response;
+        return false;
     }
 
-    // --- GOOGLE DRIVE API ---
+    // --- ENCRYPTION ---
 
     /**
-     * Find a file in Drive appdata folder
-     * @param {string} fileName - File name to find
-     * @returns {Promise<{id: string, modifiedTime: string}|null>}
+     * Ask for the sync passphrase
+     * @param {boolean} isNew - true when no passphrase exists yet (asks for confirmation)
+     * @param {function(string): Promise<string|null>} onSubmit - Returns an error message to keep the modal open
      */
-    async function findFile(fileName) {
-        console.log(`[FoldNest Sync] 🔍 Finding file: ${fileName}`);
-        try {
-            const params = new URLSearchParams({
-                spaces: 'appDataFolder',
-                q: `name='${fileName}'`,
-                fields: 'files(id, name, modifiedTime)'
-            });
+    function showPassphraseModal(isNew, onSubmit) {
+        document.getElementById('foldnest-passphrase-modal')?.remove();
+
+        const overlay = document.createElement('div');
+        overlay.id = 'foldnest-passphrase-modal';
+        overlay.className = 'plugin-modal-overlay';
+        overlay.innerHTML = `
+            <div class="plugin-modal-content plugin-edit-modal">
+                <div class="plugin-modal-title">${isNew ? 'Encrypt cloud sync' : 'Unlock encrypted sync'}</div>
+                <div class="foldnest-passphrase-intro">
+                    ${isNew
+                        ? 'Your data will be encrypted before it leaves this device. Use the same passphrase on every device. It cannot be recovered if lost.'
+                        : 'Your cloud data is encrypted. Enter the passphrase you chose on your other device.'}
+                </div>
+                <div class="plugin-edit-field">
+                    <label>Passphrase</label>
+                    <input type="password" class="foldnest-passphrase-input" autocomplete="new-password">
+                </div>
+                ${isNew ? `
+                <div class="plugin-edit-field">
+                    <label>Confirm passphrase</label>
+                    <input type="password" class="foldnest-passphrase-confirm" autocomplete="new-password">
+                </div>` : ''}
+                <div class="foldnest-passphrase-error"></div>
+                <div class="plugin-modal-buttons">
+                    <button class="plugin-modal-btn cancel">Cancel</button>
+                    <button class="plugin-modal-btn confirm">${isNew ? 'Encrypt' : 'Unlock'}</button>
+                </div>
+            </div>
+        `;
 
-            const url = `${DRIVE_API_URL}/files?${params}`;
-            console.log(`[FoldNest Sync] 🌐 API URL: ${url}`);
-            
-            const response = await makeAuthenticatedRequest(url);
+        const input = overlay.querySelector('.foldnest-passphrase-input');
+        const confirmInput = overlay.querySelector('.foldnest-passphrase-confirm');
+        const errorEl = overlay.querySelector('.foldnest-passphrase-error');
+        const submitBtn = overlay.querySelector('.plugin-modal-btn.confirm');
 
-            if (!response.ok) {
-                const errorText = await response.text().catch(() => '');
-                console.error(`[FoldNest Sync] ❌ Find file HTTP ${response.status}: ${errorText}`);
-                throw new Error(`HTTP ${response.status}`);
-            }
+        const close = () => {
+            overlay.remove();
+            document.removeEventListener('keydown', escHandler);
+        };
+        const escHandler = (e) => {
+            if (e.key === 'Escape') close();
+        };
+        document.addEventListener('keydown', escHandler);
 
-            const data = await response.json();
-            console.log(`[FoldNest Sync] 📁 Found ${data.files?.length || 0} files`);
-            
-            if (data.files && data.files.length > 0) {
-                console.log(`[FoldNest Sync] ✅ File found: ${data.files[0].id}`);
+        const submit = async () => {
+            const passphrase = input.value;
+            if (passphrase.length < 8) {
+                errorEl.textContent = 'Use at least 8 characters';
+                return;
             }
-            
-            return data.files && data.files.length > 0 ? data.files[0] : null;
-        } catch (e) {
-            console.error('[FoldNest Sync] ❌ Find file failed:', e.message);
-            return null;
-        }
-    }
-
-    /**
-     * Download file content from Drive
-     * @param {string} fileId - Drive file ID
-     * @returns {Promise<object|null>} Parsed JSON content or null
-     */
-    async function downloadFile(fileId) {
-        try {
-            const response = await makeAuthenticatedRequest(`${DRIVE_API_URL}/files/${fileId}?alt=media`);
-
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}`);
+            if (confirmInput && confirmInput.value !== passphrase) {
+                errorEl.textContent = 'Passphrases do not match';
+                return;
             }
-
-            return await response.json();
-        } catch (e) {
-            console.error('[FoldNest Sync] Download failed:', e);
-            return null;
-        }
-    }
-
-    /**
-     * Upload/update file in Drive appdata folder
-     * @param {string} fileName - File name
-     * @param {object} content - Content to upload
-     * @param {string|null} existingFileId - Existing file ID to update
-     * @returns {Promise<boolean>} Success status
-     */
-    async function uploadFile(fileName, content, existingFileId = null) {
-        try {
-            const metadata = {
-                name: fileName,
-                mimeType: 'application/json'
-            };
-
-            if (!existingFileId) {
-                metadata.parents = ['appDataFolder'];
+            submitBtn.disabled = true;
+            errorEl.textContent = '';
+            const error = await onSubmit(passphrase);
+            submitBtn.disabled = false;
+            if (error) {
+                errorEl.textContent = error;
+            } else {
+                close();
             }
+        };
 
-            // Add sync metadata
-            const contentWithMeta = {
-                ...content,
-                _syncMeta: {
-                    lastModified: Date.now(),
-                    version: '1.0.0'
-                }
-            };
-
-            const form = new FormData();
-            form.append('metadata', new Blob([JSON.stringify(metadata)], { type: 'application/json' }));
-            form.append('file', new Blob([JSON.stringify(contentWithMeta)], { type: 'application/json' }));
-
-            const url = existingFileId
-                ? `${DRIVE_UPLOAD_URL}/files/${existingFileId}?uploadType=multipart`
-                : `${DRIVE_UPLOAD_URL}/files?uploadType=multipart`;
-
-            const response = await makeAuthenticatedRequest(url, {
-                method: existingFileId ? 'PATCH' : 'POST',
-                body: form
-            });
-
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}`);
-            }
+        overlay.querySelector('.plugin-modal-btn.cancel').onclick = close;
+        submitBtn.onclick = submit;
+        overlay.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') submit();
+        });
 
-            return true;
-        } catch (e) {
-            console.error('[FoldNest Sync] Upload failed:', e);
-            return false;
-        }
+        document.body.appendChild(overlay);
+        input.focus();
     }
 
-    // --- SYNC OPERATIONS ---
-
     /**
-     * Upload current state to Drive
-     * @param {string} type - 'notebook' or 'dashboard'
-     * @returns {Promise<boolean>}
+     * Menu handler: set up / unlock encryption, or turn it off
      */
-    async function uploadState(type = 'notebook') {
-        if (!syncSettings.enabled || isSyncing) return false;
-
-        const now = Date.now();
-        if (now - lastSyncAttempt < SYNC_COOLDOWN_MS) {
-            console.debug('[FoldNest Sync] Cooldown active, skipping upload');
-            return false;
+    async function handleEncryptionClick() {
+        const info = await sendToEngine({ action: 'syncEncryptionInfo' });
+        if (info.error) {
+            updateSyncStatus('error', info.error);
+            return;
         }
 
-        try {
-            isSyncing = true;
-            lastSyncAttempt = now;
-            updateSyncStatus('syncing');
-
-            // Check if offline - queue instead of sync
-            if (!isOnline) {
-                const api = window.NotebookLMFoldNest;
-                let state;
-                if (type === 'dashboard') {
-                    const result = await chrome.storage.local.get(['notebookLM_dashboardFolders']);
-                    state = result['notebookLM_dashboardFolders'];
-                } else if (api) {
-                    state = api.getState();
-                }
-                if (state) {
-                    await queueOfflineOperation(type, state);
+        if (syncSettings.encryption && info.unlocked) {
+            const api = window.NotebookLMFoldNest;
+            const turnOff = async () => {
+                const { error } = await sendToEngine({ action: 'syncDisableEncryption' });
+                if (error) {
+                    showToast(`Could not turn off encryption: ${error}`, 'error');
+                } else {
+                    showToast('Encryption turned off - future uploads are not encrypted', 'warning');
                 }
-                updateSyncStatus('offline', 'Queued for later');
-                return false;
-            }
-
-            let state, fileName;
-
-            if (type === 'dashboard') {
-                // Get dashboard state from local storage
-                const result = await chrome.storage.local.get(['notebookLM_dashboardFolders']);
-                state = result['notebookLM_dashboardFolders'];
-                fileName = DASHBOARD_SYNC_FILE_NAME;
+            };
+            if (api?.showConfirmModal) {
+                api.showConfirmModal('Turn off encryption? Your cloud data will be decrypted and stored as plain JSON.', turnOff);
             } else {
-                // Get notebook state - need notebook ID from content script
-                const api = window.NotebookLMFoldNest;
-                if (!api) {
-                    updateSyncStatus('idle');
-                    return false;
-                }
-                state = api.getState();
-                // Get current notebook ID from URL
-                const match = window.location.pathname.match(/\/notebook\/([^\/\?]+)/);
-                if (!match) {
-                    updateSyncStatus('idle');
-                    return false;
-                }
-                const notebookId = match[1];
-                fileName = `foldnest_notebook_${notebookId}.json`;
+                await turnOff();
             }
+            return;
+        }
 
-            if (!state) {
-                updateSyncStatus('idle');
-                return false;
+        showPassphraseModal(!info.exists, async (passphrase) => {
+            const { error } = await sendToEngine({ action: 'syncSetupEncryption', passphrase });
+            if (!error) {
+                showToast('Cloud sync is now end-to-end encrypted', 'success');
+                performFullSync();
             }
+            return error || null;
+        });
+    }
 
-            // Find existing file
-            const existingFile = await findFile(fileName);
-
-            // Upload
-            const success = await uploadFile(fileName, state, existingFile?.id);
-
-            if (success) {
-                // Update local storage with sync metadata to prevent reload loops
-                const syncMeta = {
-                    lastModified: now,
-                    version: '1.0.0'
-                };
-                
-                if (type === 'dashboard') {
-                    const updatedState = { ...state, _syncMeta: syncMeta };
-                    await chrome.storage.local.set({ 'notebookLM_dashboardFolders': updatedState });
-                } else {
-                    // Update notebook state in storage with sync metadata
-                    const match = window.location.pathname.match(/\/notebook\/([^\/\?]+)/);
-                    if (match) {
-                        const notebookId = match[1];
-                        const stateKey = `notebookTreeState_${notebookId}`;
-                        const updatedState = { ...state, _syncMeta: syncMeta };
-                        await chrome.storage.local.set({ [stateKey]: updatedState });
-                    }
-                }
-                
-                syncSettings.lastSyncTime = now;
-                saveSyncSettings();
-                updateSyncStatus('success');
-                console.log('[FoldNest Sync] Upload successful:', fileName);
-            } else {
-                updateSyncStatus('error', 'Upload failed');
-            }
+    // --- SYNC OPERATIONS ---
 
-            return success;
-        } catch (e) {
-            console.error('[FoldNest Sync] Upload error:', e);
-            updateSyncStatus('error', e.message);
-            return false;
-        } finally {
-            isSyncing = false;
-        }
+    /**
+     * ID of the notebook open in this tab
+     * @returns {string|null}
+     */
+    function getOpenNotebookId() {
+        const match = window.location.pathname.match(/\/notebook\/([^\/\?]+)/);
+        return match ? match[1] : null;
     }
 
     /**
-     * Download state from Drive
+     * Read the page's current state (used to preview history snapshots)
      * @param {string} type - 'notebook' or 'dashboard'
      * @returns {Promise<object|null>}
      */
-    async function downloadState(type = 'notebook') {
-        if (!syncSettings.enabled || isSyncing) return null;
-
-        try {
-            isSyncing = true;
-            updateSyncStatus('syncing');
-
-            // Check if offline
-            if (!isOnline) {
-                updateSyncStatus('offline', 'No internet connection');
-                return null;
-            }
-
-            let fileName;
-            if (type === 'dashboard') {
-                fileName = DASHBOARD_SYNC_FILE_NAME;
-            } else {
-                const match = window.location.pathname.match(/\/notebook\/([^\/\?]+)/);
-                if (!match) {
-                    updateSyncStatus('idle');
-                    return null;
-                }
-                fileName = `foldnest_notebook_${match[1]}.json`;
-            }
-
-            // Find file
-            const file = await findFile(fileName);
-            if (!file) {
-                console.log('[FoldNest Sync] No remote file found:', fileName);
-                updateSyncStatus('idle');
-                return null;
-            }
-
-            // Download content
-            const content = await downloadFile(file.id);
-            if (!content) {
-                updateSyncStatus('error', 'Download failed');
-                return null;
-            }
+    async function getLocalState(type) {
+        if (type === 'dashboard') {
+            const result = await chrome.storage.local.get(['notebookLM_dashboardFolders']);
+            return result['notebookLM_dashboardFolders'] || null;
+        }
+        const api = window.NotebookLMFoldNest;
+        return api ? api.getState() : null;
+    }
 
-            // Extract sync metadata for comparison, but keep it in data for storage
-            const { _syncMeta } = content;
+    /**
+     * Show state that is already in chrome.storage.local on this page,
+     * re-rendering via applyState when possible
+     * @param {string} type - 'notebook' or 'dashboard'
+     * @param {object} state - State to show
+     * @param {string|null} notebookId - Notebook the state belongs to
+     * @returns {boolean} false if the page is reloading to pick it up
+     */
+    function applyLocalState(type, state, notebookId = null) {
+        const api = window.NotebookLMFoldNest;
 
-            updateSyncStatus('success');
-            console.log('[FoldNest Sync] Download successful:', fileName);
+        // Other pages (and other modules, e.g. export format memory) read the new state from storage
+        if (type === 'dashboard' ? currentPageType !== 'dashboard' : type !== 'notebook' || notebookId !== getOpenNotebookId()) {
+            return true;
+        }
 
-            // Return full content (WITH _syncMeta) so local storage gets proper timestamps
-            return { data: content, meta: _syncMeta };
-        } catch (e) {
-            console.error('[FoldNest Sync] Download error:', e);
-            updateSyncStatus('error', e.message);
-            return null;
-        } finally {
-            isSyncing = false;
+        if (api?.applyState && api.applyState(state, type)) {
+            console.log(`[FoldNest Sync] ✓ ${type} state applied via applyState (no reload)`);
+            return true;
         }
+
+        // applyState unavailable or failed - reload, or this tab would later
+        // save its stale in-memory copy over the synced state
+        showToast(type === 'dashboard' ? 'Dashboard synced from cloud' : 'Notebook synced from cloud', 'success');
+        console.log('[FoldNest Sync] ⚡ Reloading page as fallback...');
+        window.location.reload();
+        return false;
     }
 
     /**
-     * Perform full sync (download then upload if needed)
+     * Ask the service worker to sync the dashboard and the open notebook
      * @returns {Promise<boolean>}
      */
     async function performFullSync() {
         if (!syncSettings.enabled) return false;
-        
-        // Guard: Skip if extension context invalidated (happens during dev reload)
-        if (!isContextValid()) {
-            console.warn('[FoldNest Sync] Extension context invalidated, skipping sync');
-            return false;
-        }
-
-        try {
-            updateSyncStatus('syncing');
-
-            // Sync dashboard state
-            const dashboardRemote = await downloadState('dashboard');
-            if (dashboardRemote) {
-                // Get local state
-                const localResult = await chrome.storage.local.get(['notebookLM_dashboardFolders']);
-                const localState = localResult['notebookLM_dashboardFolders'];
-
-                // Compare timestamps for conflict resolution (last-write-wins)
-                const localTime = localState?._syncMeta?.lastModified || 0;
-                const remoteTime = dashboardRemote.meta?.lastModified || 0;
-
-                if (remoteTime > localTime) {
-                    // Remote is newer - try to apply without reload
-                    console.log('[FoldNest Sync] Dashboard remote is newer, applying state...');
-                    
-                    // CHANGED: Use applyState if available, otherwise just save to storage
-                    const api = window.NotebookLMFoldNest;
-                    if (api?.applyState) {
-                        const applied = api.applyState(dashboardRemote.data, 'dashboard');
-                        if (applied) {
-                            console.log('[FoldNest Sync] ✓ Dashboard state applied via applyState');
-                        } else {
-                            // Fallback: just save to storage (no reload needed for dashboard)
-                            await chrome.storage.local.set({ 'notebookLM_dashboardFolders': dashboardRemote.data });
-                            showToast('Dashboard synced from cloud', 'success');
-                        }
-                    } else {
-                        // applyState not available, just save to storage
-                        await chrome.storage.local.set({ 'notebookLM_dashboardFolders': dashboardRemote.data });
-                        showToast('Dashboard synced from cloud', 'success');
-                    }
-                }
-            }
-
-            // Sync notebook state (if on notebook page)
-            const match = window.location.pathname.match(/\/notebook\/([^\/\?]+)/);
-            if (match) {
-                const notebookRemote = await downloadState('notebook');
-                if (notebookRemote) {
-                    const notebookId = match[1];
-                    const stateKey = `notebookTreeState_${notebookId}`;
-                    const localResult = await chrome.storage.local.get([stateKey]);
-                    const localState = localResult[stateKey];
-
-                    const localTime = localState?._syncMeta?.lastModified || 0;
-                    const remoteTime = notebookRemote.meta?.lastModified || 0;
-
-                    console.log('[FoldNest Sync] Notebook times - Local:', localTime, 'Remote:', remoteTime);
-
-                    if (remoteTime > localTime) {
-                        // Remote is newer - try to apply without reload
-                        if (!isContextValid()) {
-                            console.warn('[FoldNest Sync] Context invalidated, cannot sync');
-                            return false;
-                        }
-
-                        // CHANGED: Use applyState if available, fall back to reload only if it fails
-                        const api = window.NotebookLMFoldNest;
-                        if (api?.applyState) {
-                            console.log('[FoldNest Sync] Attempting to apply state without reload...');
-                            const applied = api.applyState(notebookRemote.data, 'notebook');
-                            if (applied) {
-                                console.log('[FoldNest Sync] ✓ Notebook state applied via applyState (no reload)');
-                                // Also update storage with the new state (applyState calls saveState internally)
-                                await chrome.storage.local.set({ [stateKey]: notebookRemote.data });
-                            } else {
-                                // applyState failed - fall back to reload
-                                console.warn('[FoldNest Sync] applyState returned false, falling back to reload');
-                                await chrome.storage.local.set({ [stateKey]: notebookRemote.data });
-                                showToast('Notebook synced from cloud', 'success');
-                                console.log('[FoldNest Sync] ⚡ Reloading page as fallback...');
-                                window.location.reload();
-                                return true;
-                            }
-                        } else {
-                            // applyState not available - fall back to reload
-                            console.log('[FoldNest Sync] applyState not available, using reload fallback');
-                            await chrome.storage.local.set({ [stateKey]: notebookRemote.data });
-                            showToast('Notebook synced from cloud', 'success');
-                            console.log('[FoldNest Sync] ⚡ Reloading page...');
-                            window.location.reload();
-                            return true;
-                        }
-                    } else if (localTime > remoteTime) {
-                        // Local is newer - upload to cloud
-                        console.log('[FoldNest Sync] 📤 Local notebook is newer, uploading...');
-                        await uploadState('notebook');
-                    } else {
-                        console.log('[FoldNest Sync] ✓ Notebook already in sync');
-                    }
-                }
-            }
-
-            syncSettings.lastSyncTime = Date.now();
-            saveSyncSettings();
-            updateSyncStatus('success');
-            return true;
-        } catch (e) {
-            console.error('[FoldNest Sync] Full sync failed:', e);
-            updateSyncStatus('error', e.message);
-            return false;
-        }
+        const { success } = await sendToEngine({ action: 'syncNow', notebookId: getOpenNotebookId() });
+        return !!success;
     }
 
     /**
-     * Debounced upload trigger
-     * @param {string} type - 'notebook' or 'dashboard'
+     * Ask the service worker to sync every notebook (progress arrives via the sync status)
+     * @returns {Promise<boolean>}
      */
-    function triggerUpload(type = 'notebook') {
-        if (!syncSettings.enabled || !syncSettings.autoSync) return;
-
-        if (syncDebounceTimer) {
-            clearTimeout(syncDebounceTimer);
-        }
-
-        syncDebounceTimer = setTimeout(() => {
-            uploadState(type);
-        }, SYNC_DEBOUNCE_MS);
+    async function performSyncAll() {
+        if (!syncSettings.enabled) return false;
+        const { success } = await sendToEngine({ action: 'syncAll' });
+        return !!success;
     }
 
-    // --- SETTINGS MANAGEMENT ---
-
     /**
-     * Save sync settings to storage
+     * Decompress a history entry's state
+     * @param {object} entry
+     * @returns {object|null}
      */
-    function saveSyncSettings() {
-        if (!isContextValid()) {
-            console.warn('[FoldNest Sync] Extension context invalidated, skipping save');
-            return;
+    function readHistoryEntry(entry) {
+        try {
+            return JSON.parse(LZString.decompressFromBase64(entry.state));
+        } catch (e) {
+            console.warn('[FoldNest Sync] Corrupt history entry:', e);
+            return null;
         }
-        chrome.storage.local.set({ [SYNC_STORAGE_KEY]: syncSettings });
     }
 
+    // --- SETTINGS MANAGEMENT ---
+
     /**
      * Enable sync functionality
-     * @returns {Promise<boolean>}
+     * @param {string} providerId - 'google' or 'webdav' (defaults to the last used provider)
+     * @param {object|null} webdavConfig - { url, username, password } when connecting WebDAV
+     * @returns {Promise<{success: boolean, error?: string, code?: string}>}
      */
-    async function enableSync() {
+    async function enableSync(providerId = syncSettings.provider, webdavConfig = null) {
         console.log('[FoldNest Sync] 🚀 Enabling sync...');
-        try {
-            updateSyncStatus('syncing');
+        updateSyncStatus('syncing');
 
-            console.log('[FoldNest Sync] Step 1: Requesting auth token (interactive)...');
-            // Request auth token with interactive mode
-            const token = await getAuthToken(true);
-            if (!token) {
-                console.error('[FoldNest Sync] ❌ Step 1 failed: No token received');
-                updateSyncStatus('error', 'Authentication failed');
-                showToast('Sync: Authentication failed - check console for details', 'error');
-                return false;
+        const result = await sendToEngine({
+            action: 'syncEnable',
+            provider: providerId || 'google',
+            webdav: webdavConfig,
+            notebookId: getOpenNotebookId()
+        });
+        if (!result.success) {
+            console.error('[FoldNest Sync] ❌ Enable failed:', result.error);
+            updateSyncStatus('idle');
+            if (result.code !== 'WEBDAV_PERMISSION') {
+                showToast(`Failed to enable sync: ${result.error || 'Authentication failed'}`, 'error');
             }
-            console.log('[FoldNest Sync] ✅ Step 1 complete: Token received');
-
-            console.log('[FoldNest Sync] Step 2: Saving sync settings...');
-            syncSettings.enabled = true;
-            saveSyncSettings();
-            console.log('[FoldNest Sync] ✅ Step 2 complete: Settings saved');
-
-            console.log('[FoldNest Sync] Step 3: Performing initial sync...');
-            // Perform initial sync
-            await performFullSync();
-            console.log('[FoldNest Sync] ✅ Step 3 complete: Initial sync done');
-
-            updateSyncIndicator();
-            showToast('Cloud sync enabled', 'success');
-            console.log('[FoldNest Sync] ✅ Sync enabled successfully!');
-            return true;
-        } catch (e) {
-            console.error('[FoldNest Sync] ❌ Enable failed at step:', e.message);
-            console.error('[FoldNest Sync] Stack:', e.stack);
-            showToast('Failed to enable sync - check console', 'error');
-            return false;
+            return result;
         }
+
+        syncSettings.enabled = true;
+        updateSyncIndicator();
+        showToast('Cloud sync enabled', 'success');
+        console.log('[FoldNest Sync] ✅ Sync enabled successfully!');
+        return result;
     }
 
     /**
      * Disable sync functionality
      */
     async function disableSync() {
+        await sendToEngine({ action: 'syncDisable' });
         syncSettings.enabled = false;
-        saveSyncSettings();
-        await revokeAuthToken();
         updateSyncIndicator();
         updateSyncStatus('idle');
         showToast('Cloud sync disabled');
@@ -858,6 +482,8 @@
 
     let syncStatusEl = null;
     let currentSyncStatus = 'idle';
+    let currentSyncMessage = '';
+    let offlineCheck = null; // Interval waiting for the connection to come back
 
     /**
      * Setup sync UI elements
@@ -897,6 +523,12 @@
         syncBtn.title = syncSettings.enabled ? 'Sync enabled - Click to sync now' : 'Click to enable sync';
         syncBtn.innerHTML = getSyncIcon();
         syncBtn.onclick = handleSyncClick;
+        // Right-click opens the sync menu (left-click syncs once enabled)
+        syncBtn.oncontextmenu = (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            showSyncMenu(e);
+        };
 
         // Create status indicator
         syncStatusEl = document.createElement('span');
@@ -907,6 +539,7 @@
         container.appendChild(syncBtn);
 
         updateSyncIndicator();
+        updatePendingBadge(syncBtn);
     }
 
     /**
@@ -940,14 +573,45 @@
         toggleItem.className = 'plugin-dropdown-item';
         toggleItem.innerHTML = syncSettings.enabled
             ? '<span style="color: #f28b82;">⏻ Disable Cloud Sync</span>'
-            : '<span style="color: #81c995;">⏻ Enable Cloud Sync</span>';
+            : '<span style="color: #81c995;">⏻ Enable Cloud Sync (Google Drive)</span>';
         toggleItem.onclick = async () => {
             menu.remove();
-            await toggleSync();
+            if (syncSettings.enabled) await disableSync();
+            else await enableSync('google');
         };
         menu.appendChild(toggleItem);
 
+        // Sync scopes (can be chosen before enabling sync)
+        const scopesItem = document.createElement('div');
+        scopesItem.className = 'plugin-dropdown-item';
+        scopesItem.textContent = '☰ What to Sync…';
+        scopesItem.onclick = () => {
+            menu.remove();
+            showScopesModal();
+        };
+        menu.appendChild(scopesItem);
+
+        if (!syncSettings.enabled) {
+            // Alternative backend
+            const webdavItem = document.createElement('div');
+            webdavItem.className = 'plugin-dropdown-item';
+            webdavItem.textContent = '🖧 Sync with WebDAV…';
+            webdavItem.onclick = () => {
+                menu.remove();
+                showWebDavModal();
+            };
+            menu.appendChild(webdavItem);
+        }
+
         if (syncSettings.enabled) {
+            // Active backend
+            const providerItem = document.createElement('div');
+            providerItem.className = 'plugin-dropdown-item disabled';
+            providerItem.style.fontSize = '11px';
+            providerItem.style.opacity = '0.6';
+            providerItem.textContent = `Syncing with ${syncStatus.providerLabel || (syncSettings.provider === 'webdav' ? 'WebDAV' : 'Google Drive')}`;
+            menu.appendChild(providerItem);
+
             // Sync now option
             const syncNowItem = document.createElement('div');
             syncNowItem.className = 'plugin-dropdown-item';
@@ -958,6 +622,38 @@
             };
             menu.appendChild(syncNowItem);
 
+            // Sync every notebook, not just this one
+            const syncAllItem = document.createElement('div');
+            syncAllItem.className = 'plugin-dropdown-item';
+            syncAllItem.textContent = '⇅ Sync All Notebooks';
+            syncAllItem.onclick = async () => {
+                menu.remove();
+                await performSyncAll();
+            };
+            menu.appendChild(syncAllItem);
+
+            // Encryption
+            const encryptionItem = document.createElement('div');
+            encryptionItem.className = 'plugin-dropdown-item';
+            encryptionItem.textContent = syncSettings.encryption && !syncStatus.encryptionLocked
+                ? '🔒 Encryption: On (turn off)'
+                : syncSettings.encryption ? '🔑 Unlock Encryption…' : '🔓 Set Up Encryption…';
+            encryptionItem.onclick = () => {
+                menu.remove();
+                handleEncryptionClick();
+            };
+            menu.appendChild(encryptionItem);
+
+            // Version history
+            const historyItem = document.createElement('div');
+            historyItem.className = 'plugin-dropdown-item';
+            historyItem.textContent = '⏱ History…';
+            historyItem.onclick = () => {
+                menu.remove();
+                showHistoryModal();
+            };
+            menu.appendChild(historyItem);
+
             // Last sync time
             if (syncSettings.lastSyncTime) {
                 const timeItem = document.createElement('div');
@@ -988,13 +684,539 @@
         setTimeout(() => document.addEventListener('click', closeMenu), 10);
     }
 
+    /**
+     * Show the snapshot history for the current page and restore one via applyState
+     */
+    async function showHistoryModal() {
+        const type = currentPageType === 'notebook' ? 'notebook' : 'dashboard';
+        const notebookId = getOpenNotebookId();
+        if ((type === 'notebook' && !notebookId) || !document.body) return;
+
+        document.getElementById('foldnest-history-modal')?.remove();
+
+        let entries;
+        try {
+            updateSyncStatus('syncing');
+            const response = await sendToEngine({ action: 'syncHistory', type, notebookId });
+            if (response.error) throw new Error(response.error);
+            entries = response.entries;
+            updateSyncStatus('idle');
+        } catch (e) {
+            console.error('[FoldNest Sync] Failed to load history:', e);
+            updateSyncStatus('error', 'Could not load history');
+            return;
+        }
+
+        if (entries.length === 0) {
+            showToast('No sync history yet', 'info');
+            return;
+        }
+
+        const current = await getLocalState(type);
+        let selected = null;
+
+        const overlay = document.createElement('div');
+        overlay.id = 'foldnest-history-modal';
+        overlay.className = 'plugin-modal-overlay';
+
+        const content = document.createElement('div');
+        content.className = 'plugin-modal-content foldnest-history-modal';
+
+        const title = document.createElement('div');
+        title.className = 'plugin-modal-title';
+        title.textContent = type === 'notebook' ? 'Notebook sync history' : 'Dashboard sync history';
+        content.appendChild(title);
+
+        const body = document.createElement('div');
+        body.className = 'foldnest-history-body';
+        const list = document.createElement('div');
+        list.className = 'foldnest-history-list';
+        const diff = document.createElement('div');
+        diff.className = 'foldnest-history-diff';
+        diff.textContent = 'Select a snapshot to compare it with the current state.';
+        body.appendChild(list);
+        body.appendChild(diff);
+        content.appendChild(body);
+
+        const renderDiff = (state) => {
+            diff.innerHTML = '';
+            const changes = window.FoldNestMerge.summarizeChanges(current, state, type);
+            const groups = [
+                ['Folders restored', changes.foldersAdded],
+                ['Folders removed', changes.foldersRemoved],
+                ['Folders renamed', changes.foldersRenamed],
+                ['Tasks restored', changes.tasksAdded],
+                ['Tasks removed', changes.tasksRemoved],
+                ['Tasks changed', changes.tasksChanged]
+            ].filter(([, items]) => items.length > 0);
+
+            if (groups.length === 0 && changes.placementsChanged === 0) {
+                diff.textContent = 'Identical to the current state.';
+                return;
+            }
+
+            groups.forEach(([label, items]) => {
+                const heading = document.createElement('div');
+                heading.className = 'foldnest-history-diff-heading';
+                heading.textContent = `${label} (${items.length})`;
+                diff.appendChild(heading);
+                const ul = document.createElement('ul');
+                items.forEach(item => {
+                    const li = document.createElement('li');
+                    li.textContent = item || '(untitled)';
+                    ul.appendChild(li);
+                });
+                diff.appendChild(ul);
+            });
+
+            if (changes.placementsChanged > 0) {
+                const heading = document.createElement('div');
+                heading.className = 'foldnest-history-diff-heading';
+                heading.textContent = `${changes.placementsChanged} item${changes.placementsChanged === 1 ? '' : 's'} moved between folders`;
+                diff.appendChild(heading);
+            }
+        };
+
+        entries.forEach(entry => {
+            const item = document.createElement('button');
+            item.className = 'foldnest-history-item';
+            const when = document.createElement('span');
+            when.textContent = new Date(entry.timestamp).toLocaleString();
+            const device = document.createElement('span');
+            device.className = 'foldnest-history-device';
+            device.textContent = entry.device === syncSettings.deviceLabel ? `${entry.device} · this device` : entry.device;
+            item.appendChild(when);
+            item.appendChild(device);
+            item.onclick = () => {
+                const state = readHistoryEntry(entry);
+                list.querySelectorAll('.foldnest-history-item').forEach(el => el.classList.toggle('selected', el === item));
+                selected = state;
+                restoreBtn.disabled = !state;
+                if (state) renderDiff(state);
+                else diff.textContent = 'This snapshot could not be read.';
+            };
+            list.appendChild(item);
+        });
+
+        const buttons = document.createElement('div');
+        buttons.className = 'plugin-modal-buttons';
+        const closeBtn = document.createElement('button');
+        closeBtn.className = 'plugin-modal-btn cancel';
+        closeBtn.textContent = 'Close';
+        const restoreBtn = document.createElement('button');
+        restoreBtn.className = 'plugin-modal-btn confirm';
+        restoreBtn.textContent = 'Restore';
+        restoreBtn.disabled = true;
+        buttons.appendChild(closeBtn);
+        buttons.appendChild(restoreBtn);
+        content.appendChild(buttons);
+
+        const close = () => {
+            overlay.remove();
+            document.removeEventListener('keydown', escHandler);
+        };
+        const escHandler = (e) => {
+            if (e.key === 'Escape') close();
+        };
+        document.addEventListener('keydown', escHandler);
+        overlay.onclick = (e) => {
+            if (e.target === overlay) close();
+        };
+        closeBtn.onclick = close;
+
+        restoreBtn.onclick = async () => {
+            if (!selected) return;
+            close();
+            // Restoring is a local edit: the service worker uploads it like any other change
+            const restored = { ...selected, _syncMeta: { lastModified: Date.now(), version: '1.0.0' } };
+            const stateKey = type === 'dashboard' ? 'notebookLM_dashboardFolders' : `notebookTreeState_${notebookId}`;
+            await chrome.storage.local.set({ [stateKey]: restored });
+            if (applyLocalState(type, restored, notebookId)) {
+                showToast('Snapshot restored', 'success');
+            }
+        };
+
+        overlay.appendChild(content);
+        document.body.appendChild(overlay);
+    }
+
+    /**
+     * Choose which categories sync (the rest stays on this device)
+     */
+    function showScopesModal() {
+        document.getElementById('foldnest-scopes-modal')?.remove();
+
+        const overlay = document.createElement('div');
+        overlay.id = 'foldnest-scopes-modal';
+        overlay.className = 'plugin-modal-overlay';
+
+        const content = document.createElement('div');
+        content.className = 'plugin-modal-content plugin-edit-modal';
+
+        const title = document.createElement('div');
+        title.className = 'plugin-modal-title';
+        title.textContent = 'What to sync';
+        content.appendChild(title);
+
+        const intro = document.createElement('div');
+        intro.className = 'foldnest-passphrase-intro';
+        intro.textContent = 'Unchecked categories stay on this device. Other devices keep their own copy in the cloud.';
+        content.appendChild(intro);
+
+        const list = document.createElement('div');
+        list.className = 'foldnest-scope-list';
+        const inputs = {};
+        SYNC_SCOPE_OPTIONS.forEach(({ key, label, hint }) => {
+            const row = document.createElement('label');
+            row.className = 'foldnest-scope-row';
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.checked = syncSettings.scopes?.[key] !== false;
+            inputs[key] = input;
+            const text = document.createElement('span');
+            text.className = 'foldnest-scope-text';
+            const name = document.createElement('span');
+            name.textContent = label;
+            const detail = document.createElement('span');
+            detail.className = 'foldnest-scope-hint';
+            detail.textContent = hint;
+            text.appendChild(name);
+            text.appendChild(detail);
+            row.appendChild(input);
+            row.appendChild(text);
+            list.appendChild(row);
+        });
+        content.appendChild(list);
+
+        const buttons = document.createElement('div');
+        buttons.className = 'plugin-modal-buttons';
+        const cancelBtn = document.createElement('button');
+        cancelBtn.className = 'plugin-modal-btn cancel';
+        cancelBtn.textContent = 'Cancel';
+        const saveBtn = document.createElement('button');
+        saveBtn.className = 'plugin-modal-btn confirm';
+        saveBtn.textContent = 'Save';
+        buttons.appendChild(cancelBtn);
+        buttons.appendChild(saveBtn);
+        content.appendChild(buttons);
+
+        const close = () => {
+            overlay.remove();
+            document.removeEventListener('keydown', escHandler);
+        };
+        const escHandler = (e) => {
+            if (e.key === 'Escape') close();
+        };
+        document.addEventListener('keydown', escHandler);
+        cancelBtn.onclick = close;
+
+        saveBtn.onclick = async () => {
+            const scopes = {};
+            Object.keys(inputs).forEach(key => { scopes[key] = inputs[key].checked; });
+            saveBtn.disabled = true;
+            const { error } = await sendToEngine({ action: 'syncSetScopes', scopes });
+            saveBtn.disabled = false;
+            if (error) {
+                showToast(`Could not save sync settings: ${error}`, 'error');
+                return;
+            }
+            close();
+            // Pull categories that were just turned on
+            if (syncSettings.enabled) performFullSync();
+        };
+
+        overlay.appendChild(content);
+        document.body.appendChild(overlay);
+    }
+
+    /**
+     * Describe one side of a conflict for display
+     * @param {object} conflict - Conflict from FoldNestMerge.mergeStates()
+     * @param {string} side - 'local' or 'remote'
+     * @param {object} state - Full state of that side (used to resolve folder names)
+     * @returns {string}
+     */
+    function describeConflictSide(conflict, side, state) {
+        const value = conflict[side];
+        if (value === undefined) return 'Deleted';
+
+        // Placement conflicts store a folder ID - show the folder name instead
+        const lastKey = conflict.path[conflict.path.length - 1];
+        if (lastKey === 'mappings' || lastKey === 'idMappings') {
+            let folders = state;
+            conflict.path.slice(0, -1).concat('folders').forEach(key => { folders = folders?.[key]; });
+            const folder = folders?.[value];
+            return folder ? `In folder "${folder.name}"` : 'Not in a folder';
+        }
+
+        if (value && typeof value === 'object') {
+            const fields = conflict.fields.length > 0 ? conflict.fields : Object.keys(value);
+            return fields
+                .filter(field => value[field] !== undefined && value[field] !== '')
+                .map(field => `${field}: ${typeof value[field] === 'object' ? JSON.stringify(value[field]) : value[field]}`)
+                .join('\n') || '(empty)';
+        }
+        return String(value);
+    }
+
+    /**
+     * Let the user resolve sync conflicts item by item.
+     * @param {object[]} conflicts - Conflicts from FoldNestMerge.mergeStates()
+     * @param {object} local - Local state
+     * @param {object} remote - Cloud state
+     * @param {string|null} subject - Name of the notebook when it is not the one on screen
+     * @returns {Promise<object|null>} Map of conflict id -> 'local'|'remote', or null if postponed
+     */
+    function showConflictModal(conflicts, local, remote, subject = null) {
+        return new Promise((resolve) => {
+            const existing = document.getElementById('foldnest-conflict-modal');
+            if (existing || !document.body) {
+                resolve(null);
+                return;
+            }
+
+            const localTime = local?._syncMeta?.lastModified || 0;
+            const remoteTime = remote?._syncMeta?.lastModified || 0;
+            const preferred = remoteTime > localTime ? 'remote' : 'local';
+            const choices = {};
+            conflicts.forEach(c => { choices[c.id] = preferred; });
+
+            const overlay = document.createElement('div');
+            overlay.id = 'foldnest-conflict-modal';
+            overlay.className = 'plugin-modal-overlay';
+
+            const content = document.createElement('div');
+            content.className = 'plugin-modal-content foldnest-conflict-modal';
+
+            const title = document.createElement('div');
+            title.className = 'plugin-modal-title';
+            title.textContent = subject
+                ? `Sync conflicts in "${subject}" (${conflicts.length})`
+                : `Sync conflicts (${conflicts.length})`;
+            content.appendChild(title);
+
+            const intro = document.createElement('div');
+            intro.className = 'foldnest-conflict-intro';
+            intro.textContent = 'These items were changed differently on this device and in the cloud. Everything else was merged automatically.';
+            content.appendChild(intro);
+
+            const formatStamp = (time) => time ? new Date(time).toLocaleString() : 'unknown';
+            const header = document.createElement('div');
+            header.className = 'foldnest-conflict-header';
+            [
+                '',
+                `This device · ${formatStamp(localTime)}`,
+                `Cloud · ${formatStamp(remoteTime)}`
+            ].forEach(text => {
+                const cell = document.createElement('span');
+                cell.textContent = text;
+                header.appendChild(cell);
+            });
+            content.appendChild(header);
+
+            const list = document.createElement('div');
+            list.className = 'foldnest-conflict-list';
+            const optionEls = [];
+
+            conflicts.forEach(conflict => {
+                const row = document.createElement('div');
+                row.className = 'foldnest-conflict-row';
+
+                const label = document.createElement('div');
+                label.className = 'foldnest-conflict-label';
+                label.textContent = conflict.label;
+                row.appendChild(label);
+
+                ['local', 'remote'].forEach(side => {
+                    const option = document.createElement('button');
+                    option.className = 'foldnest-conflict-option';
+                    option.dataset.side = side;
+                    option.textContent = describeConflictSide(conflict, side, side === 'local' ? local : remote);
+                    option.onclick = () => {
+                        choices[conflict.id] = side;
+                        row.querySelectorAll('.foldnest-conflict-option').forEach(el => {
+                            el.classList.toggle('selected', el.dataset.side === side);
+                        });
+                    };
+                    option.classList.toggle('selected', choices[conflict.id] === side);
+                    optionEls.push({ option, conflict, side });
+                    row.appendChild(option);
+                });
+
+                list.appendChild(row);
+            });
+            content.appendChild(list);
+
+            const buttons = document.createElement('div');
+            buttons.className = 'plugin-modal-buttons foldnest-conflict-buttons';
+
+            const pickAll = (side) => {
+                optionEls.forEach(({ option, conflict, side: optionSide }) => {
+                    choices[conflict.id] = side;
+                    option.classList.toggle('selected', optionSide === side);
+                });
+            };
+
+            const makeButton = (text, className, onClick) => {
+                const btn = document.createElement('button');
+                btn.className = `plugin-modal-btn ${className}`;
+                btn.textContent = text;
+                btn.onclick = onClick;
+                buttons.appendChild(btn);
+                return btn;
+            };
+
+            const close = (result) => {
+                overlay.remove();
+                document.removeEventListener('keydown', escHandler);
+                resolve(result);
+            };
+
+            makeButton('Later', 'cancel', () => close(null));
+            makeButton('Keep all local', 'cancel', () => pickAll('local'));
+            makeButton('Keep all cloud', 'cancel', () => pickAll('remote'));
+            const applyBtn = makeButton('Apply', 'confirm', () => close({ ...choices }));
+            content.appendChild(buttons);
+
+            // Escape postpones, like Cancel in showConfirmModal
+            const escHandler = (e) => {
+                if (e.key === 'Escape') close(null);
+            };
+            document.addEventListener('keydown', escHandler);
+
+            overlay.appendChild(content);
+            document.body.appendChild(overlay);
+            applyBtn.focus();
+        });
+    }
+
+    /**
+     * Configure and enable the WebDAV backend
+     */
+    async function showWebDavModal() {
+        document.getElementById('foldnest-webdav-modal')?.remove();
+        const config = (await chrome.storage.local.get([WEBDAV_CONFIG_KEY]))[WEBDAV_CONFIG_KEY] || {};
+
+        const overlay = document.createElement('div');
+        overlay.id = 'foldnest-webdav-modal';
+        overlay.className = 'plugin-modal-overlay';
+        overlay.innerHTML = `
+            <div class="plugin-modal-content plugin-edit-modal">
+                <div class="plugin-modal-title">Sync with WebDAV</div>
+                <div class="foldnest-passphrase-intro">
+                    Works with Nextcloud, ownCloud and any WebDAV server. Use a dedicated folder and an app password or token instead of your main password.
+                </div>
+                <div class="plugin-edit-field">
+                    <label>Folder URL</label>
+                    <input type="text" class="foldnest-webdav-url" placeholder="https://cloud.example.com/remote.php/dav/files/me/FoldNest/">
+                </div>
+                <div class="plugin-edit-field">
+                    <label>Username</label>
+                    <input type="text" class="foldnest-webdav-user" autocomplete="username">
+                </div>
+                <div class="plugin-edit-field">
+                    <label>App password / token</label>
+                    <input type="password" class="foldnest-webdav-pass" autocomplete="current-password">
+                </div>
+                <div class="foldnest-passphrase-error"></div>
+                <div class="plugin-modal-buttons">
+                    <button class="plugin-modal-btn cancel">Cancel</button>
+                    <button class="plugin-modal-btn confirm">Connect</button>
+                </div>
+            </div>
+        `;
+
+        const urlInput = overlay.querySelector('.foldnest-webdav-url');
+        const userInput = overlay.querySelector('.foldnest-webdav-user');
+        const passInput = overlay.querySelector('.foldnest-webdav-pass');
+        const errorEl = overlay.querySelector('.foldnest-passphrase-error');
+        const connectBtn = overlay.querySelector('.plugin-modal-btn.confirm');
+        urlInput.value = config.url || '';
+        userInput.value = config.username || '';
+        passInput.value = config.password || '';
+
+        const close = () => {
+            overlay.remove();
+            document.removeEventListener('keydown', escHandler);
+        };
+        const escHandler = (e) => {
+            if (e.key === 'Escape') close();
+        };
+        document.addEventListener('keydown', escHandler);
+
+        overlay.querySelector('.plugin-modal-btn.cancel').onclick = close;
+        connectBtn.onclick = async () => {
+            const url = urlInput.value.trim();
+            if (!/^https?:\/\//i.test(url)) {
+                errorEl.textContent = 'Enter the full folder URL (https://…)';
+                return;
+            }
+            connectBtn.disabled = true;
+            errorEl.textContent = '';
+            const result = await enableSync('webdav', { url, username: userInput.value.trim(), password: passInput.value });
+            connectBtn.disabled = false;
+            if (result.success) {
+                close();
+            } else if (result.code === 'WEBDAV_PERMISSION') {
+                errorEl.textContent = result.error;
+            } else {
+                errorEl.textContent = 'Could not connect - check the URL and credentials';
+            }
+        };
+
+        document.body.appendChild(overlay);
+        urlInput.focus();
+    }
+
+    /**
+     * Show, update or hide the progress panel for the sync-all pass
+     * @param {{done: number, total: number, title: string}|null} progress - From the published sync status
+     */
+    function updateSyncProgress(progress) {
+        let panel = document.querySelector('.foldnest-sync-progress');
+
+        if (!progress) {
+            if (panel && !panel.dataset.closing) {
+                panel.dataset.closing = 'true';
+                setTimeout(() => panel.remove(), 1500);
+            }
+            return;
+        }
+
+        if (!panel || panel.dataset.closing) {
+            panel?.remove();
+            panel = document.createElement('div');
+            panel.className = 'foldnest-sync-progress';
+            const label = document.createElement('div');
+            label.className = 'foldnest-sync-progress-label';
+            const track = document.createElement('div');
+            track.className = 'foldnest-sync-progress-track';
+            const bar = document.createElement('div');
+            bar.className = 'foldnest-sync-progress-bar';
+            track.appendChild(bar);
+            panel.appendChild(label);
+            panel.appendChild(track);
+            document.body?.appendChild(panel);
+        }
+
+        const { done, total, title } = progress;
+        panel.querySelector('.foldnest-sync-progress-label').textContent = done < total
+            ? `Syncing notebooks ${done + 1}/${total}: ${title}`
+            : `Synced ${total} notebook${total === 1 ? '' : 's'}`;
+        panel.querySelector('.foldnest-sync-progress-bar').style.width = `${total ? Math.round((done / total) * 100) : 100}%`;
+    }
+
     /**
      * Update sync status indicator
      * @param {string} status - 'idle', 'syncing', 'success', 'error', 'offline'
      * @param {string} message - Optional error message
      */
     function updateSyncStatus(status, message = '') {
+        // The engine republishes on every queued edit; only a new state is news
+        const previousStatus = currentSyncStatus;
+        const changed = status !== previousStatus || message !== currentSyncMessage;
         currentSyncStatus = status;
+        currentSyncMessage = message;
 
         if (!syncStatusEl) return;
 
@@ -1006,6 +1228,7 @@
         if (btn) {
             btn.innerHTML = getSyncIcon();
             btn.appendChild(syncStatusEl);
+            updatePendingBadge(btn);
 
             if (status === 'syncing') {
                 btn.classList.add('syncing');
@@ -1022,9 +1245,9 @@
         }
 
         // Show toast for error/offline status
-        if (status === 'error' && message) {
+        if (changed && status === 'error' && message) {
             showToast(`Sync error: ${message}`, 'error');
-        } else if (status === 'offline' && message) {
+        } else if (status === 'offline' && message && previousStatus !== 'offline') {
             showToast(message, 'warning');
         }
 
@@ -1038,16 +1261,39 @@
         }
 
         // Auto-clear offline status when back online
-        if (status === 'offline') {
-            const checkOnline = setInterval(() => {
-                if (navigator.onLine) {
-                    clearInterval(checkOnline);
-                    updateSyncStatus('idle');
-                }
+        if (status === 'offline' && !offlineCheck) {
+            offlineCheck = setInterval(() => {
+                if (!navigator.onLine) return;
+                clearInterval(offlineCheck);
+                offlineCheck = null;
+                if (currentSyncStatus === 'offline') updateSyncStatus('idle');
             }, 5000);
+        } else if (status !== 'offline' && offlineCheck) {
+            clearInterval(offlineCheck);
+            offlineCheck = null;
         }
     }
 
+    /**
+     * Show how many files are waiting in the offline queue
+     * @param {HTMLElement} btn - Sync button
+     */
+    function updatePendingBadge(btn = document.querySelector('.foldnest-sync-btn')) {
+        if (!btn) return;
+        btn.querySelector('.foldnest-sync-pending')?.remove();
+
+        const pending = syncStatus.pending || 0;
+        if (!syncSettings.enabled || pending === 0) return;
+
+        const badge = document.createElement('span');
+        badge.className = 'foldnest-sync-pending';
+        badge.textContent = syncStatus.pendingAll ? '∗' : pending > 9 ? '9+' : String(pending);
+        badge.title = syncStatus.pendingAll
+            ? 'All notebooks will sync when back online'
+            : `${pending} change${pending === 1 ? '' : 's'} waiting to sync`;
+        btn.appendChild(badge);
+    }
+
     /**
      * Update sync indicator based on settings
      */
@@ -1057,7 +1303,7 @@
 
         if (syncSettings.enabled) {
             btn.classList.add('enabled');
-            btn.title = 'Cloud sync enabled - Click to sync now';
+            btn.title = 'Cloud sync enabled - Click to sync now, right-click for options';
         } else {
             btn.classList.remove('enabled');
             btn.title = 'Cloud sync disabled - Click to enable';
@@ -1182,11 +1428,9 @@
     // --- PUBLIC API ---
 
     window.FoldNestSync = {
-        // Core operations
-        uploadState,
-        downloadState,
+        // Core operations (run by the background service worker)
         performFullSync,
-        triggerUpload,
+        performSyncAll,
 
         // Settings
         enableSync,
@@ -1197,16 +1441,12 @@
 
         // Status
         getStatus: () => currentSyncStatus,
-        isSyncing: () => isSyncing,
+        isSyncing: () => currentSyncStatus === 'syncing',
 
         // Page info
         getPageType: () => currentPageType,
         getNotebookId: () => currentNotebookId,
-        isOnline: () => isOnline,
-        
-        // Offline queue
-        getQueueLength: () => offlineQueue.length,
-        processOfflineQueue
+        isOnline: () => isOnline
     };
 
     // --- STARTUP ---
@@ -0,0 +1,230 @@
+/**
+ * NotebookLM FoldNest - Task Export Module
+ * v1.0.0 - Tasks as Markdown, CSV and Todoist-style JSON
+ *
+ * Pure text module used by the task export dialog, for one notebook or the
+ * whole library. Every task carries its notebook title and URL and its
+ * source note, so exported lists still point back into NotebookLM.
+ *
+ * Input (built by content.js):
+ *   [{ id, title, url, sections: { [id]: { id, name, order } }, tasks: [task] }]
+ *
+ * - Markdown: "##" per section, "- [ ]" per task (and "#" per notebook when
+ *   there are several); re-importable with task-import.js (dates, !priority
+ *   and #tags inline)
+ * - CSV: one row per task with every task field; formula-like text is
+ *   prefixed with ' so spreadsheet apps do not evaluate it
+ * - JSON: Todoist-style projects, sections and tasks (priority 4 = highest,
+ *   subtasks as tasks with a parent_id)
+ */
+
+(function (root) {
+    'use strict';
+
+    const PRIORITY_WORDS = ['', 'high', 'medium', 'low'];
+    const FORMULA_START = /^[=+\-@\t\r]/; // Cells spreadsheet apps would evaluate
+    // FoldNest 1 (red) .. 3 (blue) -> Todoist 4 (p1) .. 2 (p3); no priority -> 1
+    const TODOIST_PRIORITY = { 0: 1, 1: 4, 2: 3, 3: 2 };
+    const CSV_COLUMNS = [
+        'ID', 'Notebook', 'Notebook URL', 'Section', 'Title', 'Description', 'Done', 'Priority',
+        'Due date', 'Reminder', 'Repeat', 'Tags', 'Subtasks', 'Source note', 'Time spent (min)'
+    ];
+
+    function describeRepeat(rule) {
+        const recurrence = root.FoldNestRecurrence;
+        return recurrence && recurrence.normalize(rule) ? recurrence.describe(rule) : '';
+    }
+
+    /**
+     * A notebook's tasks grouped by section, in section order (no-section first)
+     */
+    function groupBySection(notebook, includeDone) {
+        const tasks = notebook.tasks.filter(task => includeDone || !task.done);
+        const sections = Object.values(notebook.sections || {}).sort((a, b) => (a.order || 0) - (b.order || 0));
+        const groups = [{ section: null, tasks: tasks.filter(task => !notebook.sections?.[task.sectionId]) }];
+        sections.forEach(section => {
+            groups.push({ section, tasks: tasks.filter(task => task.sectionId === section.id) });
+        });
+        return groups.filter(group => group.tasks.length > 0);
+    }
+
+    function countTasks(notebooks, includeDone) {
+        return notebooks.reduce((sum, notebook) => sum + notebook.tasks.filter(task => includeDone || !task.done).length, 0);
+    }
+
+    // --- MARKDOWN ---
+
+    function oneLine(text) {
+        return String(text || '').replace(/\s*\n\s*/g, ' ').trim();
+    }
+
+    /**
+     * Markdown checklist grouped by notebook and section
+     * @param {object[]} notebooks
+     * @param {object} options
+     * @param {boolean} options.includeDone
+     * @returns {{text: string, count: number}}
+     */
+    function toMarkdown(notebooks, { includeDone = false } = {}) {
+        const lines = [];
+        const exported = notebooks
+            .map(notebook => ({ notebook, groups: groupBySection(notebook, includeDone) }))
+            .filter(({ groups }) => groups.length > 0);
+
+        exported.forEach(({ notebook, groups }) => {
+            if (lines.length) lines.push('');
+            // A single notebook gets no heading, so re-importing does not turn it into a section
+            if (exported.length > 1) lines.push(`# ${oneLine(notebook.title)}`, '', notebook.url);
+            else lines.push(`Notebook: ${oneLine(notebook.title)} · ${notebook.url}`);
+
+            groups.forEach(({ section, tasks }) => {
+                // Tasks without a section come first, under the notebook itself
+                lines.push('');
+                if (section) lines.push(`## ${oneLine(section.name)}`, '');
+                tasks.forEach(task => {
+                    const meta = [
+                        task.date,
+                        task.date && task.reminder ? task.reminder : '',
+                        task.prio ? `!${PRIORITY_WORDS[task.prio]}` : '',
+                        ...(task.tags || []).map(tag => `#${tag}`)
+                    ].filter(Boolean);
+                    lines.push(`- [${task.done ? 'x' : ' '}] ${[oneLine(task.text), ...meta].join(' ')}`);
+
+                    // Plain indented lines: kept by Markdown readers, skipped on re-import
+                    const repeat = describeRepeat(task.repeat);
+                    if (repeat) lines.push(`  Repeats: ${repeat}`);
+                    if (task.description) {
+                        task.description.trim().split('\n').forEach(line => lines.push(`  ${line.trim()}`));
+                    }
+                    lines.push(`  Source: ${task.sourceNote ? oneLine(task.sourceNote) : '-'} · ${notebook.url}`);
+                    (task.subtasks || []).forEach(sub => lines.push(`  - [${sub.done ? 'x' : ' '}] ${oneLine(sub.text)}`));
+                });
+            });
+        });
+        return { text: lines.join('\n') + '\n', count: countTasks(notebooks, includeDone) };
+    }
+
+    // --- CSV ---
+
+    /**
+     * Quoted CSV cell. Text starting like a formula gets a leading ' so
+     * spreadsheet apps show it instead of running it (task-import.js drops it again).
+     */
+    function csvCell(value) {
+        let text = String(value ?? '');
+        if (typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * One CSV row per task with every task field
+     * @param {object[]} notebooks
+     * @param {object} options
+     * @param {boolean} options.includeDone
+     * @returns {{text: string, count: number}}
+     */
+    function toCsv(notebooks, { includeDone = false } = {}) {
+        const rows = [CSV_COLUMNS];
+        notebooks.forEach(notebook => {
+            groupBySection(notebook, includeDone).forEach(({ section, tasks }) => {
+                tasks.forEach(task => rows.push([
+                    task.id || '',
+                    notebook.title,
+                    notebook.url,
+                    section ? section.name : '',
+                    task.text,
+                    task.description || '',
+                    task.done ? 'yes' : 'no',
+                    PRIORITY_WORDS[task.prio || 0],
+                    task.date || '',
+                    task.reminder || '',
+                    describeRepeat(task.repeat),
+                    (task.tags || []).join(' '),
+                    (task.subtasks || []).map(sub => `[${sub.done ? 'x' : ' '}] ${sub.text}`).join('; '),
+                    task.sourceNote || '',
+                    task.timeSpent ? Math.round(task.timeSpent / 60000) : ''
+                ]));
+            });
+        });
+        // UTF-8 BOM so spreadsheet apps read accents correctly
+        return { text: '\uFEFF' + rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n', count: rows.length - 1 };
+    }
+
+    // --- JSON ---
+
+    /**
+     * Todoist-style JSON: projects (notebooks), sections and flat tasks
+     * @param {object[]} notebooks
+     * @param {object} options
+     * @param {boolean} options.includeDone
+     * @param {Date} options.now
+     * @returns {{text: string, count: number}}
+     */
+    function toJson(notebooks, { includeDone = false, now = new Date() } = {}) {
+        const projects = [];
+        const sections = [];
+        const tasks = [];
+
+        notebooks.forEach(notebook => {
+            const groups = groupBySection(notebook, includeDone);
+            if (groups.length === 0) return;
+            projects.push({ id: notebook.id, name: notebook.title, url: notebook.url });
+
+            groups.forEach(({ section, tasks: sectionTasks }) => {
+                if (section) sections.push({ id: section.id, project_id: notebook.id, name: section.name, order: section.order || 0 });
+                sectionTasks.forEach((task, order) => {
+                    const repeat = describeRepeat(task.repeat);
+                    const id = task.id || `${notebook.id}-${tasks.length}`;
+                    const shared = {
+                        project_id: notebook.id,
+                        section_id: section ? section.id : null,
+                        notebook: notebook.title,
+                        notebook_url: notebook.url,
+                        source_note: task.sourceNote || null
+                    };
+                    tasks.push({
+                        id,
+                        parent_id: null,
+                        ...shared,
+                        content: task.text,
+                        description: task.description || '',
+                        is_completed: !!task.done,
+                        priority: TODOIST_PRIORITY[task.prio || 0],
+                        due: task.date ? {
+                            date: task.date,
+                            ...(task.reminder ? { datetime: `${task.date}T${task.reminder}:00` } : {}),
+                            string: repeat ? repeat.toLowerCase() : task.date,
+                            is_recurring: !!repeat
+                        } : null,
+                        labels: task.tags || [],
+                        order: order + 1,
+                        duration: task.timeSpent ? { amount: Math.round(task.timeSpent / 60000), unit: 'minute' } : null
+                    });
+                    (task.subtasks || []).forEach((sub, subOrder) => tasks.push({
+                        id: `${id}-${sub.id || subOrder}`,
+                        parent_id: id,
+                        ...shared,
+                        content: sub.text,
+                        description: '',
+                        is_completed: !!sub.done,
+                        priority: 1,
+                        due: null,
+                        labels: [],
+                        order: subOrder + 1,
+                        duration: null
+                    }));
+                });
+            });
+        });
+
+        const data = { source: 'NotebookLM FoldNest', exported_at: now.toISOString(), projects, sections, tasks };
+        return { text: JSON.stringify(data, null, 2), count: countTasks(notebooks, includeDone) };
+    }
+
+    root.FoldNestTaskExport = {
+        toMarkdown,
+        toCsv,
+        toJson
+    };
+
+})(typeof globalThis !== 'undefined' ? globalThis : window);
@@ -0,0 +1,259 @@
+/**
+ * NotebookLM FoldNest - Task Calendar Module
+ * v1.0.0 - iCalendar (.ics) export and import for tasks
+ *
+ * Pure text module shared by the task section and the dashboard task inbox.
+ * Export turns dated tasks into all-day VEVENTs (calendar apps) or VTODOs
+ * (task apps); import reads both back into plain task fields.
+ *
+ * Every entry carries a stable UID (task.icsUid, or "<task.id>@notebooklm-foldnest"),
+ * so re-importing a file updates the matching tasks instead of duplicating them.
+ * Occurrences of a recurring task get new IDs but inherit the first one's icsUid.
+ *
+ * Priorities map to RFC 5545 PRIORITY: red = 1 (high), yellow = 5, blue = 9.
+ */
+
+(function (root) {
+    'use strict';
+
+    const PRODID = '-//NotebookLM FoldNest//Tasks//EN';
+    const UID_DOMAIN = 'notebooklm-foldnest';
+    const MAX_LINE_OCTETS = 75;
+    const PRIORITY_TO_ICS = { 1: 1, 2: 5, 3: 9 };
+
+    function getRecurrence() {
+        return root.FoldNestRecurrence || null;
+    }
+
+    // --- TEXT ---
+
+    function escapeText(value) {
+        return String(value)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    function unescapeText(value) {
+        return value.replace(/\\([\\;,nN])/g, (match, ch) => (ch === 'n' || ch === 'N' ? '\n' : ch));
+    }
+
+    function utf8Length(ch) {
+        const code = ch.codePointAt(0);
+        if (code < 0x80) return 1;
+        if (code < 0x800) return 2;
+        return code < 0x10000 ? 3 : 4;
+    }
+
+    /**
+     * Fold a content line at 75 octets (continuation lines start with a space)
+     */
+    function foldLine(line) {
+        const chunks = [];
+        let current = '';
+        let octets = 0;
+        for (const ch of line) {
+            const size = utf8Length(ch);
+            const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+            if (octets + size > limit) {
+                chunks.push(current);
+                current = '';
+                octets = 0;
+            }
+            current += ch;
+            octets += size;
+        }
+        chunks.push(current);
+        return chunks.join('\r\n ');
+    }
+
+    // --- DATES ---
+
+    function toIcsDate(date) {
+        return date.replace(/-/g, '');
+    }
+
+    function nextDay(date) {
+        const recurrence = getRecurrence();
+        const parsed = recurrence.parseDate(date);
+        parsed.setDate(parsed.getDate() + 1);
+        return recurrence.formatDate(parsed);
+    }
+
+    function toIcsTimestamp(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    /**
+     * 'YYYY-MM-DD' due date for a DATE or DATE-TIME value. UTC times are
+     * converted to the local day; floating and TZID times keep their date.
+     */
+    function fromIcsDate(value) {
+        const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+        if (!match) return '';
+        const [, year, month, day, hour, minute, second, utc] = match;
+        if (utc) {
+            const date = new Date(Date.UTC(+year, +month - 1, +day, +hour, +minute, +second));
+            return getRecurrence().formatDate(date);
+        }
+        return `${year}-${month}-${day}`;
+    }
+
+    // --- EXPORT ---
+
+    /**
+     * UID of a task's calendar entry
+     * @param {object} task
+     * @returns {string}
+     */
+    function getTaskUid(task) {
+        return task.icsUid || `${task.id}@${UID_DOMAIN}`;
+    }
+
+    /**
+     * Build an iCalendar file from dated tasks
+     * @param {Array<{task: object, notebookTitle?: string, url?: string}>} items - Tasks without a date are skipped
+     * @param {object} options
+     * @param {string} options.component - 'VEVENT' (all-day events) or 'VTODO' (to-dos)
+     * @param {string} options.name - Calendar name
+     * @param {Date} options.now - DTSTAMP
+     * @returns {{ics: string, count: number}}
+     */
+    function buildCalendar(items, { component = 'VEVENT', name = 'NotebookLM FoldNest', now = new Date() } = {}) {
+        const recurrence = getRecurrence();
+        const stamp = toIcsTimestamp(now);
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${PRODID}`,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${escapeText(name)}`
+        ];
+        let count = 0;
+
+        items.forEach(({ task, notebookTitle, url }) => {
+            if (!task?.date || !recurrence.parseDate(task.date)) return;
+            count++;
+
+            const notes = [];
+            if (task.description) notes.push(task.description);
+            if (url) notes.push(notebookTitle ? `Notebook: ${notebookTitle}\n${url}` : url);
+
+            lines.push(`BEGIN:${component}`);
+            lines.push(`UID:${getTaskUid(task)}`);
+            lines.push(`DTSTAMP:${stamp}`);
+            lines.push(`SUMMARY:${escapeText(task.text || '')}`);
+            if (notes.length) lines.push(`DESCRIPTION:${escapeText(notes.join('\n\n'))}`);
+            if (url) lines.push(`URL:${url}`);
+            if (PRIORITY_TO_ICS[task.prio]) lines.push(`PRIORITY:${PRIORITY_TO_ICS[task.prio]}`);
+
+            if (component === 'VTODO') {
+                lines.push(`DUE;VALUE=DATE:${toIcsDate(task.date)}`);
+                lines.push(`STATUS:${task.done ? 'COMPLETED' : 'NEEDS-ACTION'}`);
+            } else {
+                lines.push(`DTSTART;VALUE=DATE:${toIcsDate(task.date)}`);
+                lines.push(`DTEND;VALUE=DATE:${toIcsDate(nextDay(task.date))}`);
+                lines.push('TRANSP:TRANSPARENT');
+            }
+
+            const rrule = recurrence.toRRule(task.repeat);
+            if (rrule) lines.push(`RRULE:${rrule}`);
+            lines.push(`END:${component}`);
+        });
+
+        lines.push('END:VCALENDAR');
+        return { ics: lines.map(foldLine).join('\r\n') + '\r\n', count };
+    }
+
+    // --- IMPORT ---
+
+    /**
+     * Split "NAME;PARAM=a;PARAM="b:c":value" into name and value (parameters are not needed)
+     */
+    function parseProperty(line) {
+        let inQuotes = false;
+        for (let i = 0; i < line.length; i++) {
+            const ch = line[i];
+            if (ch === '"') inQuotes = !inQuotes;
+            if (ch === ':' && !inQuotes) {
+                return { name: line.slice(0, i).split(';')[0].toUpperCase(), value: line.slice(i + 1) };
+            }
+        }
+        return null;
+    }
+
+    function fromIcsPriority(value) {
+        const priority = parseInt(value, 10);
+        if (!priority) return 0;
+        if (priority <= 4) return 1;
+        return priority === 5 ? 2 : 3;
+    }
+
+    /**
+     * Read the VEVENTs and VTODOs of an iCalendar file as task fields
+     * @param {string} text - .ics file contents
+     * @returns {Array<{uid: string, text: string, description: string, date: string, prio: number, done: boolean, repeat: object|null}>}
+     */
+    function parseCalendar(text) {
+        // Unfold continuation lines first
+        const lines = String(text || '').replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+        const entries = [];
+        let current = null;
+
+        lines.forEach(line => {
+            const prop = parseProperty(line);
+            if (!prop) return;
+
+            const isEntry = prop.value === 'VEVENT' || prop.value === 'VTODO';
+            if (prop.name === 'BEGIN') {
+                if (isEntry && !current) current = { props: {}, depth: 0 };
+                else if (current) current.depth++; // e.g. VALARM inside an event
+                return;
+            }
+            if (prop.name === 'END') {
+                if (current && current.depth > 0) current.depth--;
+                else if (current && isEntry) {
+                    entries.push(current.props);
+                    current = null;
+                }
+                return;
+            }
+            if (current && current.depth === 0 && !(prop.name in current.props)) {
+                current.props[prop.name] = prop.value;
+            }
+        });
+
+        return entries
+            .filter(props => props.SUMMARY || props.DESCRIPTION)
+            .map(props => {
+                let description = props.DESCRIPTION ? unescapeText(props.DESCRIPTION) : '';
+                // Drop the notebook link block added on export
+                const url = props.URL ? props.URL.trim() : '';
+                if (url && description.endsWith(url)) {
+                    const cut = description.lastIndexOf('\n\n');
+                    description = cut === -1 ? '' : description.slice(0, cut);
+                }
+                const dateValue = props.DUE || props.DTSTART || '';
+                const summary = unescapeText(props.SUMMARY || '').trim();
+
+                return {
+                    uid: (props.UID || '').trim(),
+                    text: summary || description.split('\n')[0],
+                    description: description.trim(),
+                    date: dateValue ? fromIcsDate(dateValue) : '',
+                    prio: fromIcsPriority(props.PRIORITY),
+                    done: props.STATUS === 'COMPLETED',
+                    repeat: props.RRULE ? getRecurrence().fromRRule(props.RRULE) : null
+                };
+            });
+    }
+
+    root.FoldNestICS = {
+        buildCalendar,
+        parseCalendar,
+        getTaskUid
+    };
+
+})(typeof globalThis !== 'undefined' ? globalThis : window);
@@ -0,0 +1,274 @@
+/**
+ * NotebookLM FoldNest - Task Import Module
+ * v1.0.0 - Task lists from Markdown checklists and CSV
+ *
+ * Pure text module used by the task import dialog. Both formats are turned
+ * into the same preview rows; content.js shows them in a table and only then
+ * adds them to the notebook's tasks.
+ *
+ * Markdown:
+ *   # Week 1                 -> section "Week 1"
+ *   - [ ] Read chapter 1     -> task
+ *     - [x] Take notes       -> subtask (any deeper indentation)
+ *   Headings must start the line; indented "# ..." lines are skipped.
+ *   Plain "- item" bullets count only when the text has no checkboxes at all.
+ *
+ * CSV: first row is the header; comma, semicolon or tab separated, with
+ * "quoted, fields". Columns are mapped to title/date/priority/section/description.
+ *
+ * Row shape:
+ *   { text, done, date: 'YYYY-MM-DD' | '', prio: 0-3, section: 'Week 1' | '',
+ *     description, subtasks: [{ text, done }] }
+ */
+
+(function (root) {
+    'use strict';
+
+    // No indent: task-export.js indents descriptions, which may start with "#"
+    const HEADING_REGEX = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+    const CHECKBOX_REGEX = /^([ \t]*)(?:[-*+]|\d+[.)])\s+\[([ xX])\]\s+(.*)$/;
+    const BULLET_REGEX = /^([ \t]*)(?:[-*+]|\d+[.)])\s+(.*)$/;
+    const TAB_WIDTH = 4;
+
+    const CSV_FIELDS = ['title', 'date', 'priority', 'section', 'description'];
+    // Header names recognised for each field (lowercase, matched as whole words)
+    const CSV_HEADER_HINTS = {
+        title: ['title', 'task', 'name', 'item', 'summary', 'todo', 'content'],
+        date: ['date', 'due', 'deadline', 'due date'],
+        priority: ['priority', 'prio', 'importance'],
+        section: ['section', 'category', 'group', 'list', 'project', 'module', 'week', 'topic'],
+        description: ['description', 'desc', 'notes', 'note', 'details', 'comment', 'comments']
+    };
+    const PRIORITY_VALUES = {
+        1: 1, p1: 1, high: 1, urgent: 1, h: 1,
+        2: 2, p2: 2, medium: 2, med: 2, normal: 2, m: 2,
+        3: 3, p3: 3, low: 3, l: 3
+    };
+
+    function indentWidth(indent) {
+        return indent.replace(/\t/g, ' '.repeat(TAB_WIDTH)).length;
+    }
+
+    // --- MARKDOWN ---
+
+    /**
+     * Read a Markdown checklist
+     * @param {string} text
+     * @returns {object[]} Rows (see module header)
+     */
+    function parseMarkdown(text) {
+        const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+        const useCheckboxes = lines.some(line => CHECKBOX_REGEX.test(line));
+        const rows = [];
+        let section = '';
+        let parent = null;
+
+        lines.forEach(line => {
+            const heading = HEADING_REGEX.exec(line);
+            if (heading) {
+                section = heading[2].trim();
+                parent = null;
+                return;
+            }
+
+            let indent;
+            let done = false;
+            let itemText;
+            if (useCheckboxes) {
+                const match = CHECKBOX_REGEX.exec(line);
+                if (!match) return;
+                [, indent, , itemText] = match;
+                done = match[2] !== ' ';
+            } else {
+                const match = BULLET_REGEX.exec(line);
+                if (!match) return;
+                [, indent, itemText] = match;
+            }
+            itemText = itemText.trim();
+            if (!itemText) return;
+
+            // Anything indented under a task becomes one of its subtasks
+            const width = indentWidth(indent);
+            if (parent && width > parent.indent) {
+                parent.row.subtasks.push({ text: itemText, done });
+                return;
+            }
+
+            const row = { text: itemText, done, date: '', prio: 0, section, description: '', subtasks: [] };
+            rows.push(row);
+            parent = { row, indent: width };
+        });
+        return rows;
+    }
+
+    // --- CSV ---
+
+    /**
+     * Delimiter used in the header line (outside quotes)
+     */
+    function detectDelimiter(text) {
+        const firstLine = String(text || '').split(/\r?\n/)[0];
+        const counts = { ',': 0, ';': 0, '\t': 0 };
+        let inQuotes = false;
+        for (const ch of firstLine) {
+            if (ch === '"') inQuotes = !inQuotes;
+            else if (!inQuotes && ch in counts) counts[ch]++;
+        }
+        return Object.keys(counts).reduce((best, ch) => (counts[ch] > counts[best] ? ch : best), ',');
+    }
+
+    /**
+     * Split CSV text into a header and rows (RFC 4180 quoting)
+     * @param {string} text
+     * @returns {{headers: string[], rows: string[][]}}
+     */
+    function parseCsv(text) {
+        const source = String(text || '').replace(/^\uFEFF/, '');
+        const delimiter = detectDelimiter(source);
+        const records = [];
+        let record = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < source.length; i++) {
+            const ch = source[i];
+            if (inQuotes) {
+                if (ch === '"' && source[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (ch === '"') {
+                    inQuotes = false;
+                } else {
+                    field += ch;
+                }
+            } else if (ch === '"') {
+                inQuotes = true;
+            } else if (ch === delimiter) {
+                record.push(field);
+                field = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && source[i + 1] === '\n') i++;
+                record.push(field);
+                records.push(record);
+                record = [];
+                field = '';
+            } else {
+                field += ch;
+            }
+        }
+        if (field || record.length) {
+            record.push(field);
+            records.push(record);
+        }
+
+        const nonEmpty = records.filter(r => r.some(value => value.trim()));
+        const [headers = [], ...rows] = nonEmpty;
+        return { headers: headers.map(h => h.trim()), rows };
+    }
+
+    /**
+     * Best column for each field from the header names
+     * @param {string[]} headers
+     * @returns {Object<string, number>} field -> column index (-1 = not mapped)
+     */
+    function guessCsvMapping(headers) {
+        const names = headers.map(h => h.toLowerCase().trim());
+        const used = new Set();
+        const mapping = {};
+        CSV_FIELDS.forEach(fieldName => {
+            const hints = CSV_HEADER_HINTS[fieldName];
+            // Exact names first, then names containing a hint ("Due date", "Task name")
+            let index = names.findIndex((name, i) => !used.has(i) && hints.includes(name));
+            if (index === -1) {
+                index = names.findIndex((name, i) => !used.has(i) &&
+                    hints.some(hint => new RegExp(`\\b${hint}\\b`).test(name)));
+            }
+            if (index > -1) used.add(index);
+            mapping[fieldName] = index;
+        });
+        if (mapping.title === -1 && headers.length > 0) {
+            mapping.title = [...headers.keys()].find(i => !used.has(i)) ?? 0;
+        }
+        return mapping;
+    }
+
+    /**
+     * 'YYYY-MM-DD' for common spreadsheet date formats ('' if unreadable).
+     * Slash dates are month/day unless the first number cannot be a month.
+     */
+    function parseDateValue(value) {
+        const text = String(value || '').trim();
+        const pad = n => String(n).padStart(2, '0');
+        const build = (year, month, day) => {
+            const date = new Date(year, month - 1, day);
+            if (date.getFullYear() !== year || date.getMonth() !== month - 1) return '';
+            return `${year}-${pad(month)}-${pad(day)}`;
+        };
+
+        let match = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T\s].*)?$/.exec(text);
+        if (match) return build(+match[1], +match[2], +match[3]);
+        match = /^(\d{1,2})\.(\d{1,2})\.(\d{4})$/.exec(text);
+        if (match) return build(+match[3], +match[2], +match[1]);
+        match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(text);
+        if (match) {
+            const [first, second] = [+match[1], +match[2]];
+            return first > 12 ? build(+match[3], second, first) : build(+match[3], first, second);
+        }
+        return '';
+    }
+
+    function parsePriorityValue(value) {
+        return PRIORITY_VALUES[String(value || '').trim().toLowerCase()] || 0;
+    }
+
+    /**
+     * Turn CSV rows into preview rows using a column mapping
+     * @param {string[][]} csvRows
+     * @param {Object<string, number>} mapping - field -> column index (-1 = not mapped)
+     * @returns {object[]} Rows (see module header)
+     */
+    function mapCsvRows(csvRows, mapping) {
+        const cell = (row, fieldName) => {
+            const index = mapping[fieldName];
+            const value = index > -1 && index < row.length ? row[index].trim() : '';
+            // Undo the formula guard of task-export.js ("'=A1" -> "=A1")
+            return /^'[=+\-@\t\r]/.test(value) ? value.slice(1) : value;
+        };
+        return csvRows
+            .map(row => ({
+                text: cell(row, 'title'),
+                done: false,
+                date: parseDateValue(cell(row, 'date')),
+                prio: parsePriorityValue(cell(row, 'priority')),
+                section: cell(row, 'section'),
+                description: cell(row, 'description'),
+                subtasks: []
+            }))
+            .filter(row => row.text);
+    }
+
+    /**
+     * Guess the format of pasted or loaded text
+     * @param {string} text
+     * @param {string} fileName - Used when it has a known extension
+     * @returns {'markdown'|'csv'}
+     */
+    function detectFormat(text, fileName = '') {
+        if (/\.(csv|tsv)$/i.test(fileName)) return 'csv';
+        if (/\.(md|markdown|txt)$/i.test(fileName)) return 'markdown';
+        const lines = String(text || '').split(/\r?\n/).filter(line => line.trim());
+        if (lines.some(line => CHECKBOX_REGEX.test(line) || HEADING_REGEX.test(line))) return 'markdown';
+        const delimiter = detectDelimiter(text);
+        return lines.length > 1 && lines[0].includes(delimiter) ? 'csv' : 'markdown';
+    }
+
+    root.FoldNestTaskImport = {
+        parseMarkdown,
+        parseCsv,
+        guessCsvMapping,
+        mapCsvRows,
+        detectFormat,
+        CSV_FIELDS
+    };
+
+})(typeof globalThis !== 'undefined' ? globalThis : window);
@@ -0,0 +1,281 @@
+/**
+ * NotebookLM FoldNest - Task Quick-Add Parser
+ * v1.0.0 - Natural-language task entry
+ *
+ * Pure text module used by the task input box. Pulls a due date, reminder
+ * time, priority, section and tags out of a one-line task and returns what is
+ * left as the task title, plus chips describing each parsed part for the
+ * live preview.
+ *
+ * Examples:
+ * - "Read chapter 4 tomorrow !!high #Exam-prep" -> date, priority 1, section "Exam prep"
+ * - "quiz on fri 3pm"                            -> next Friday, reminder 15:00
+ * - "Flashcards in 3 days #anki !low"            -> date, priority 3, tag "anki"
+ *
+ * Syntax:
+ * - Dates: today, tonight, tomorrow, weekday names (next fri), "in 3 days",
+ *   "next week", "nov 3", "3rd november", "3 nov." or "3 nov" at the end,
+ *   2026-11-03 (optionally after on/by/due)
+ * - Times: 3pm, 9:30am, 15:00, noon (optionally after at/@); become the reminder
+ * - Priority: !!!, !!, ! or !high, !medium, !low (also !1, !2, !3)
+ * - #words: the first one matching a task section (fuzzily) picks the section,
+ *   the others become tags
+ */
+
+(function (root) {
+    'use strict';
+
+    const WEEKDAYS = {
+        sun: 0, sunday: 0, mon: 1, monday: 1, tue: 2, tues: 2, tuesday: 2,
+        wed: 3, wednesday: 3, thu: 4, thur: 4, thurs: 4, thursday: 4,
+        fri: 5, friday: 5, sat: 6, saturday: 6
+    };
+    const MONTHS = {
+        jan: 0, january: 0, feb: 1, february: 1, mar: 2, march: 2, apr: 3, april: 3,
+        may: 4, jun: 5, june: 5, jul: 6, july: 6, aug: 7, august: 7,
+        sep: 8, sept: 8, september: 8, oct: 9, october: 9, nov: 10, november: 10, dec: 11, december: 11
+    };
+    const PRIORITY_WORDS = { high: 1, urgent: 1, '1': 1, medium: 2, med: 2, '2': 2, low: 3, '3': 3 };
+    const PRIORITY_LABELS = ['None', 'High', 'Medium', 'Low'];
+    const SECTION_MATCH_THRESHOLD = 0.75;
+
+    // Token boundaries: start/whitespace before, whitespace/end/punctuation after
+    const START = '(?<=^|\\s)';
+    const END = '(?=$|\\s|[,.;!?])';
+    const LEAD = '(?:(?:on|by|due|until)\\s+)?';
+    const WEEKDAY_NAMES = Object.keys(WEEKDAYS).sort((a, b) => b.length - a.length).join('|');
+    const MONTH_NAMES = Object.keys(MONTHS).sort((a, b) => b.length - a.length).join('|');
+    // After a number, "3 may be hard" or "chapter 2 mar" are text: a month word
+    // counts when it is a full name, an abbreviation with a ".", or the last
+    // word before a time, #word or !priority
+    const FULL_MONTH_NAMES = 'january|february|march|april|june|july|august|september|october|november|december';
+    const SHORT_MONTH_NAMES = Object.keys(MONTHS).filter(name => !FULL_MONTH_NAMES.split('|').includes(name))
+        .sort((a, b) => b.length - a.length).join('|');
+    const METADATA_AHEAD = '(?=\\s*$|\\s+(?:(?:at|@)\\s*)?(?:\\d{1,2}(?::\\d{2})?\\s*(?:am|pm)|\\d{1,2}:\\d{2}|noon)(?=$|\\s|[,.;!?])|\\s+[#!])';
+    // "sat"/"sun" are common words; on their own only full weekday names count
+    const BARE_WEEKDAYS = 'monday|tuesday|wednesday|thursday|friday|saturday|sunday|mon|tues|tue|wed|thurs|thur|thu|fri';
+
+    function addDays(date, days) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+    }
+
+    function startOfDay(date) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    }
+
+    /**
+     * Upcoming weekday (today counts unless "next" is given)
+     */
+    function resolveWeekday(name, modifier, today) {
+        const target = WEEKDAYS[name];
+        let days = (target - today.getDay() + 7) % 7;
+        if (modifier === 'next') {
+            // "next fri" means the Friday of next week (Monday-start weeks)
+            const daysToNextMonday = ((8 - today.getDay()) % 7) || 7;
+            if (days < daysToNextMonday) days += 7;
+        }
+        return addDays(today, days);
+    }
+
+    /**
+     * Day + month without a year: this year, or next year once it has passed
+     */
+    function resolveMonthDay(month, day, today) {
+        if (day < 1 || day > 31) return null;
+        let date = new Date(today.getFullYear(), month, day);
+        if (date.getMonth() !== month) return null; // e.g. Feb 30
+        if (date < today) date = new Date(today.getFullYear() + 1, month, day);
+        return date;
+    }
+
+    // --- RULES ---
+    // Each rule matches once; the first date rule that matches wins.
+
+    const DATE_RULES = [
+        {
+            regex: new RegExp(`${START}${LEAD}(\\d{4})-(\\d{2})-(\\d{2})${END}`, 'i'),
+            resolve: (m) => {
+                const date = new Date(+m[1], +m[2] - 1, +m[3]);
+                return date.getMonth() === +m[2] - 1 ? date : null;
+            }
+        },
+        {
+            regex: new RegExp(`${START}${LEAD}(today|tonight|tomorrow|tmrw|tmr)${END}`, 'i'),
+            resolve: (m, today) => addDays(today, /^to(day|night)$/i.test(m[1]) ? 0 : 1)
+        },
+        {
+            regex: new RegExp(`${START}in\\s+(\\d+|a|an|one)\\s+(days?|weeks?|months?)${END}`, 'i'),
+            resolve: (m, today) => {
+                const n = /^\d+$/.test(m[1]) ? parseInt(m[1], 10) : 1;
+                const unit = m[2].toLowerCase();
+                if (unit.startsWith('month')) return new Date(today.getFullYear(), today.getMonth() + n, today.getDate());
+                return addDays(today, unit.startsWith('week') ? n * 7 : n);
+            }
+        },
+        {
+            regex: new RegExp(`${START}next\\s+week${END}`, 'i'),
+            resolve: (m, today) => addDays(today, ((8 - today.getDay()) % 7) || 7)
+        },
+        {
+            regex: new RegExp(`${START}(?:(?:on|by|due|until)\\s+|(next|this)\\s+|(?:on|by|due|until)\\s+(next|this)\\s+)(${WEEKDAY_NAMES})${END}`, 'i'),
+            resolve: (m, today) => resolveWeekday(m[3].toLowerCase(), (m[1] || m[2] || '').toLowerCase(), today)
+        },
+        {
+            regex: new RegExp(`${START}(${BARE_WEEKDAYS})${END}`, 'i'),
+            resolve: (m, today) => resolveWeekday(m[1].toLowerCase(), '', today)
+        },
+        {
+            // The modal verb "may" only counts with the day right after it ("may 3")
+            regex: new RegExp(`${START}${LEAD}(${MONTH_NAMES})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?${END}`, 'i'),
+            resolve: (m, today) => resolveMonthDay(MONTHS[m[1].toLowerCase()], +m[2], today)
+        },
+        {
+            regex: new RegExp(`${START}${LEAD}(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?` +
+                `(?:(${FULL_MONTH_NAMES})${END}|(?!may\\.)(${SHORT_MONTH_NAMES})\\.(?=$|\\s)|(${SHORT_MONTH_NAMES})${METADATA_AHEAD})`, 'i'),
+            resolve: (m, today) => resolveMonthDay(MONTHS[(m[2] || m[3] || m[4]).toLowerCase()], +m[1], today)
+        }
+    ];
+
+    const TIME_RULES = [
+        {
+            regex: new RegExp(`${START}(?:(?:at|@)\\s*)?(\\d{1,2})(?::(\\d{2}))?\\s*(am|pm)${END}`, 'i'),
+            resolve: (m) => {
+                let hour = parseInt(m[1], 10);
+                if (hour < 1 || hour > 12) return null;
+                if (m[3].toLowerCase() === 'pm' && hour !== 12) hour += 12;
+                if (m[3].toLowerCase() === 'am' && hour === 12) hour = 0;
+                return [hour, parseInt(m[2] || '0', 10)];
+            }
+        },
+        {
+            regex: new RegExp(`${START}(?:(?:at|@)\\s*)?([01]?\\d|2[0-3]):([0-5]\\d)${END}`, 'i'),
+            resolve: (m) => [parseInt(m[1], 10), parseInt(m[2], 10)]
+        },
+        {
+            regex: new RegExp(`${START}(?:at\\s+)?noon${END}`, 'i'),
+            resolve: () => [12, 0]
+        }
+    ];
+
+    const PRIORITY_REGEX = new RegExp(`${START}(!{1,3})(high|urgent|medium|med|low|[123])?${END}`, 'i');
+    const HASHTAG_REGEX = /(?<=^|\s)#([\p{L}\p{N}_-]+)/gu;
+
+    // --- PARSER ---
+
+    function normalizeName(name) {
+        return name.toLowerCase().replace(/[-_]+/g, ' ').replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Section whose name matches a #word: exact (ignoring case, dashes and
+     * underscores) first, then the most similar one above the threshold
+     */
+    function matchSection(word, sections, similarity) {
+        const target = normalizeName(word);
+        const exact = sections.find(section => normalizeName(section.name || '') === target);
+        if (exact || !similarity) return exact || null;
+
+        let best = null;
+        let bestScore = SECTION_MATCH_THRESHOLD;
+        sections.forEach(section => {
+            const score = similarity(normalizeName(section.name || ''), target);
+            if (score >= bestScore) {
+                best = section;
+                bestScore = score;
+            }
+        });
+        return best;
+    }
+
+    function pad(n) {
+        return String(n).padStart(2, '0');
+    }
+
+    function formatDate(date) {
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * Parse a one-line task
+     * @param {string} input - Raw text from the task box
+     * @param {object} options
+     * @param {Array<{id: string, name: string}>} options.sections - Task sections to match #words against
+     * @param {function(string, string): number} options.similarity - 0..1 string similarity (content.js getSimilarity)
+     * @param {Date} options.now
+     * @returns {{text: string, date: string, reminder: string, prio: number, sectionId: string|null, tags: string[], parts: Array<{type: string, label: string}>}}
+     */
+    function parse(input, { sections = [], similarity = null, now = new Date() } = {}) {
+        const today = startOfDay(now);
+        const result = { text: '', date: '', reminder: '', prio: 0, sectionId: null, tags: [], parts: [] };
+        let rest = String(input || '');
+
+        const take = (regex) => {
+            const match = regex.exec(rest);
+            if (match) rest = rest.slice(0, match.index) + ' ' + rest.slice(match.index + match[0].length);
+            return match;
+        };
+
+        for (const rule of DATE_RULES) {
+            const match = rule.regex.exec(rest);
+            const date = match ? rule.resolve(match, today) : null;
+            if (date) {
+                take(rule.regex);
+                result.date = formatDate(date);
+                break;
+            }
+        }
+
+        for (const rule of TIME_RULES) {
+            const match = rule.regex.exec(rest);
+            const time = match ? rule.resolve(match) : null;
+            if (time) {
+                take(rule.regex);
+                result.reminder = `${pad(time[0])}:${pad(time[1])}`;
+                if (!result.date) {
+                    // A bare time means the next time it comes round
+                    const at = new Date(today.getFullYear(), today.getMonth(), today.getDate(), time[0], time[1]);
+                    result.date = formatDate(at > now ? today : addDays(today, 1));
+                }
+                break;
+            }
+        }
+
+        const prioMatch = take(PRIORITY_REGEX);
+        if (prioMatch) {
+            result.prio = prioMatch[2]
+                ? PRIORITY_WORDS[prioMatch[2].toLowerCase()]
+                : 4 - prioMatch[1].length; // !!! = high, ! = low
+        }
+
+        rest = rest.replace(HASHTAG_REGEX, (full, word) => {
+            const section = !result.sectionId && matchSection(word, sections, similarity);
+            if (section) {
+                result.sectionId = section.id;
+                result.parts.push({ type: 'section', label: section.name });
+            } else {
+                const tag = word.toLowerCase();
+                if (!result.tags.includes(tag)) result.tags.push(tag);
+            }
+            return ' ';
+        });
+
+        // Connector words left dangling at the end ("Essay due", "Call at")
+        result.text = rest.replace(/\s+/g, ' ').trim().replace(/\s+(on|by|due|at|until)$/i, '');
+        if (!result.text) result.text = String(input || '').trim();
+
+        if (result.date) {
+            const [year, month, day] = result.date.split('-').map(Number);
+            const date = new Date(year, month - 1, day);
+            result.parts.unshift({ type: 'date', label: date.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' }) });
+        }
+        if (result.reminder) result.parts.splice(result.date ? 1 : 0, 0, { type: 'time', label: result.reminder });
+        if (result.prio) result.parts.push({ type: 'prio', label: PRIORITY_LABELS[result.prio], prio: result.prio });
+        result.tags.forEach(tag => result.parts.push({ type: 'tag', label: `#${tag}` }));
+        return result;
+    }
+
+    root.FoldNestQuickAdd = {
+        parse
+    };
+
+})(typeof globalThis !== 'undefined' ? globalThis : window);
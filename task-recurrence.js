@@ -0,0 +1,250 @@
+/**
+ * NotebookLM FoldNest - Task Recurrence Module
+ * v1.0.0 - Repeat rules for recurring tasks
+ *
+ * Pure date module shared by the task UI. A rule describes how often a
+ * task repeats; when a recurring task is completed, content.js asks for
+ * the next due date and spawns a new occurrence. Rules also convert to and
+ * from iCalendar RRULEs for .ics export/import (task-ics.js).
+ *
+ * Rule shape (stored as task.repeat):
+ *   { unit: 'day' | 'week' | 'month', every: 1,
+ *     weekdays: [1, 3],                    // week: 0 = Sunday ... 6 = Saturday
+ *     monthly: 'date' | 'lastWeekday',     // month: same day, or last Mon-Fri
+ *     monthDay: 15 }                       // month + 'date': day of month
+ *
+ * Examples:
+ * - Every Monday          { unit: 'week', every: 1, weekdays: [1] }
+ * - Every 3 days          { unit: 'day', every: 3 }
+ * - Last weekday of month { unit: 'month', every: 1, monthly: 'lastWeekday' }
+ */
+
+(function (root) {
+    'use strict';
+
+    const UNITS = ['day', 'week', 'month'];
+    const MAX_INTERVAL = 365;
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+    // --- DATES ---
+    // Due dates are local calendar days stored as 'YYYY-MM-DD'
+
+    /**
+     * Parse a 'YYYY-MM-DD' due date as a local date
+     * @param {string} value
+     * @returns {Date|null}
+     */
+    function parseDate(value) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+        if (!match) return null;
+        return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    }
+
+    /**
+     * Format a date as a 'YYYY-MM-DD' due date (local time, not UTC)
+     * @param {Date} date
+     * @returns {string}
+     */
+    function formatDate(date) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    function today() {
+        const now = new Date();
+        return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    }
+
+    function addDays(date, days) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+    }
+
+    function daysInMonth(year, month) {
+        return new Date(year, month + 1, 0).getDate();
+    }
+
+    /**
+     * Monday of the week a date falls in
+     */
+    function weekStart(date) {
+        return addDays(date, -((date.getDay() + 6) % 7));
+    }
+
+    /**
+     * Last Monday-Friday of a month
+     */
+    function lastWeekdayOf(year, month) {
+        let date = new Date(year, month, daysInMonth(year, month));
+        while (date.getDay() === 0 || date.getDay() === 6) date = addDays(date, -1);
+        return date;
+    }
+
+    // --- RULES ---
+
+    /**
+     * Validate a rule, dropping fields that do not apply to its unit
+     * @param {object|null} rule
+     * @returns {object|null} Clean rule, or null when the task does not repeat
+     */
+    function normalize(rule) {
+        if (!rule || !UNITS.includes(rule.unit)) return null;
+        const every = Math.min(MAX_INTERVAL, Math.max(1, parseInt(rule.every, 10) || 1));
+        const clean = { unit: rule.unit, every };
+
+        if (rule.unit === 'week') {
+            const weekdays = [...new Set((rule.weekdays || []).map(Number))]
+                .filter(day => day >= 0 && day <= 6)
+                .sort((a, b) => a - b);
+            if (weekdays.length > 0) clean.weekdays = weekdays;
+        } else if (rule.unit === 'month') {
+            clean.monthly = rule.monthly === 'lastWeekday' ? 'lastWeekday' : 'date';
+            const monthDay = parseInt(rule.monthDay, 10);
+            if (clean.monthly === 'date' && monthDay >= 1 && monthDay <= 31) clean.monthDay = monthDay;
+        }
+        return clean;
+    }
+
+    /**
+     * First occurrence strictly after a date
+     */
+    function nextAfter(rule, from) {
+        if (rule.unit === 'day') {
+            return addDays(from, rule.every);
+        }
+
+        if (rule.unit === 'week') {
+            const weekdays = rule.weekdays || [from.getDay()];
+            const origin = weekStart(from);
+            // Enough days to reach the matching week after skipped ones
+            for (let i = 1; i <= 7 * (rule.every + 1); i++) {
+                const date = addDays(from, i);
+                const weeks = Math.round((weekStart(date) - origin) / (7 * DAY_MS));
+                if (weeks % rule.every === 0 && weekdays.includes(date.getDay())) return date;
+            }
+            return addDays(from, 7 * rule.every);
+        }
+
+        // Months: the first matching month (0, every, 2 * every, ...) whose occurrence is after `from`
+        for (let k = 0; ; k += rule.every) {
+            const year = from.getFullYear();
+            const month = from.getMonth() + k;
+            const date = rule.monthly === 'lastWeekday'
+                ? lastWeekdayOf(year, month)
+                : new Date(year, month, Math.min(rule.monthDay || from.getDate(), daysInMonth(year, month)));
+            if (date > from) return date;
+        }
+    }
+
+    /**
+     * Due date of the next occurrence
+     * @param {object} rule - Repeat rule
+     * @param {string} fromDate - Due date of the completed occurrence ('' = today)
+     * @param {string|null} notBefore - Skip missed occurrences before this date (defaults to today)
+     * @returns {string|null} 'YYYY-MM-DD', or null for an invalid rule
+     */
+    function nextDueDate(rule, fromDate, notBefore = null) {
+        const clean = normalize(rule);
+        if (!clean) return null;
+
+        const floor = parseDate(notBefore) || today();
+        let date = nextAfter(clean, parseDate(fromDate) || today());
+        // Completed late: catch up instead of spawning overdue occurrences
+        while (date < floor) date = nextAfter(clean, date);
+        return formatDate(date);
+    }
+
+    /**
+     * Human-readable rule, e.g. "Every 2 weeks on Mon, Thu"
+     * @param {object} rule
+     * @returns {string}
+     */
+    function describe(rule) {
+        const clean = normalize(rule);
+        if (!clean) return 'Does not repeat';
+        const n = clean.every;
+
+        if (clean.unit === 'day') {
+            return n === 1 ? 'Daily' : `Every ${n} days`;
+        }
+        if (clean.unit === 'week') {
+            const days = clean.weekdays ? clean.weekdays.map(day => WEEKDAY_NAMES[day]).join(', ') : '';
+            if (n === 1) return days ? `Every ${days}` : 'Weekly';
+            return days ? `Every ${n} weeks on ${days}` : `Every ${n} weeks`;
+        }
+        const months = n === 1 ? 'every month' : `every ${n} months`;
+        if (clean.monthly === 'lastWeekday') return `Last weekday of ${months}`;
+        return clean.monthDay ? `Day ${clean.monthDay} of ${months}` : (n === 1 ? 'Monthly' : `Every ${n} months`);
+    }
+
+    // --- ICALENDAR ---
+    // RRULE conversion for .ics export/import. COUNT and UNTIL have no
+    // equivalent here and are dropped on import.
+
+    const RRULE_DAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+    const WORKDAYS = 'MO,TU,WE,TH,FR';
+
+    /**
+     * iCalendar RRULE value for a rule, e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH"
+     * @param {object} rule
+     * @returns {string|null} null when the task does not repeat
+     */
+    function toRRule(rule) {
+        const clean = normalize(rule);
+        if (!clean) return null;
+
+        const parts = [`FREQ=${{ day: 'DAILY', week: 'WEEKLY', month: 'MONTHLY' }[clean.unit]}`];
+        if (clean.every > 1) parts.push(`INTERVAL=${clean.every}`);
+        if (clean.weekdays) parts.push(`BYDAY=${clean.weekdays.map(day => RRULE_DAYS[day]).join(',')}`);
+        if (clean.monthly === 'lastWeekday') parts.push(`BYDAY=${WORKDAYS}`, 'BYSETPOS=-1');
+        if (clean.monthDay) parts.push(`BYMONTHDAY=${clean.monthDay}`);
+        return parts.join(';');
+    }
+
+    /**
+     * Rule for an iCalendar RRULE value (the subset this module can express)
+     * @param {string} value - e.g. "FREQ=MONTHLY;BYMONTHDAY=15"
+     * @returns {object|null} null when the RRULE cannot be represented
+     */
+    function fromRRule(value) {
+        const parts = {};
+        String(value || '').split(';').forEach(part => {
+            const [key, val] = part.split('=');
+            if (key && val) parts[key.trim().toUpperCase()] = val.trim().toUpperCase();
+        });
+        const every = parseInt(parts.INTERVAL, 10) || 1;
+        const byDay = parts.BYDAY ? parts.BYDAY.split(',') : [];
+
+        switch (parts.FREQ) {
+            case 'DAILY':
+                return normalize({ unit: 'day', every });
+            case 'WEEKLY': {
+                const weekdays = byDay.map(day => RRULE_DAYS.indexOf(day)).filter(day => day >= 0);
+                return normalize({ unit: 'week', every, weekdays });
+            }
+            case 'MONTHLY':
+                if (byDay.join(',') === WORKDAYS && parts.BYSETPOS === '-1') {
+                    return normalize({ unit: 'month', every, monthly: 'lastWeekday' });
+                }
+                // Other BYDAY forms (e.g. "2nd Tuesday") have no equivalent
+                if (byDay.length > 0) return null;
+                return normalize({ unit: 'month', every, monthly: 'date', monthDay: parts.BYMONTHDAY });
+            case 'YEARLY':
+                return normalize({ unit: 'month', every: every * 12, monthly: 'date' });
+            default:
+                return null;
+        }
+    }
+
+    root.FoldNestRecurrence = {
+        normalize,
+        nextDueDate,
+        describe,
+        toRRule,
+        fromRRule,
+        parseDate,
+        formatDate,
+        WEEKDAY_NAMES
+    };
+
+})(typeof globalThis !== 'undefined' ? globalThis : window);
@@ -0,0 +1,248 @@
+/**
+ * NotebookLM FoldNest - Task Reminders
+ * v1.0.0 - Due-date notifications from the background service worker
+ *
+ * Loaded by background.js via importScripts(). A task with a due date and a
+ * reminder time (task.reminder = 'HH:MM') gets one chrome.alarms alarm for
+ * that moment; when it fires, a chrome.notifications toast shows the task
+ * even if no NotebookLM tab is open.
+ *
+ * - Alarms follow notebook state through chrome.storage.onChanged
+ * - All alarms are rebuilt from stored state on browser start and install
+ * - Reminders missed while the browser was closed are shown once at startup
+ * - Clicking a notification opens the notebook and asks content.js to focus the task
+ */
+
+(function (root) {
+    'use strict';
+
+    // --- CONSTANTS ---
+    const NOTEBOOK_STATE_PREFIX = 'notebookTreeState_';
+    const DASHBOARD_STATE_KEY = 'notebookLM_dashboardFolders';
+    const ALARM_PREFIX = 'foldnest_reminder|'; // + notebookId|taskId
+    const SENT_KEY = 'foldnest_reminders_sent'; // alarm name -> reminder time already shown
+    const FOCUS_KEY = 'foldnest_focus_task'; // Read by content.js (focusPendingTask)
+    const NOTEBOOK_URL = 'https://notebooklm.google.com/notebook/';
+    const NOTEBOOKLM_TABS = 'https://notebooklm.google.com/*';
+
+    // Storage changes and the startup rebuild read and write the same keys
+    let queue = Promise.resolve();
+
+    function runExclusive(fn) {
+        const result = queue.then(fn);
+        queue = result.catch(() => { });
+        return result;
+    }
+
+    // --- SCHEDULE ---
+
+    /**
+     * Reminder moment of an open task, from its due date and reminder time
+     * @param {object} task
+     * @returns {number|null} Epoch ms, or null when no reminder applies
+     */
+    function getReminderTime(task) {
+        if (!task || task.done || !task.id) return null;
+        const date = /^(\d{4})-(\d{2})-(\d{2})$/.exec(task.date || '');
+        const time = /^(\d{2}):(\d{2})$/.exec(task.reminder || '');
+        if (!date || !time) return null;
+        return new Date(+date[1], +date[2] - 1, +date[3], +time[1], +time[2]).getTime();
+    }
+
+    function getAlarmName(notebookId, taskId) {
+        return `${ALARM_PREFIX}${notebookId}|${taskId}`;
+    }
+
+    function parseAlarmName(name) {
+        if (!name || !name.startsWith(ALARM_PREFIX)) return null;
+        const [notebookId, taskId] = name.slice(ALARM_PREFIX.length).split('|');
+        return notebookId && taskId ? { notebookId, taskId } : null;
+    }
+
+    async function loadSent() {
+        const result = await chrome.storage.local.get([SENT_KEY]);
+        return result[SENT_KEY] || {};
+    }
+
+    /**
+     * Make one notebook's alarms match its tasks. Reminders that are already
+     * due and not yet shown are shown now.
+     * @param {string} notebookId
+     * @param {object|undefined} state - Stored notebook state (undefined when removed)
+     * @param {object[]} alarms - Current reminder alarms
+     * @param {object} sent - Shown reminders, updated in place
+     */
+    async function scheduleNotebook(notebookId, state, alarms, sent) {
+        const now = Date.now();
+        const wanted = new Map();
+        (state?.source?.tasks || []).forEach(task => {
+            const when = getReminderTime(task);
+            if (when !== null) wanted.set(getAlarmName(notebookId, task.id), { task, when });
+        });
+
+        for (const alarm of alarms) {
+            const target = parseAlarmName(alarm.name);
+            if (target?.notebookId !== notebookId) continue;
+            const entry = wanted.get(alarm.name);
+            if (!entry || entry.when !== alarm.scheduledTime) await chrome.alarms.clear(alarm.name);
+        }
+
+        for (const [name, { task, when }] of wanted) {
+            if (when > now) {
+                if (!alarms.some(alarm => alarm.name === name && alarm.scheduledTime === when)) {
+                    await chrome.alarms.create(name, { when });
+                }
+            } else if (sent[name] !== when) {
+                await showReminder(notebookId, task, sent);
+            }
+        }
+    }
+
+    /**
+     * Rebuild every reminder alarm from stored notebook state
+     */
+    function rebuildAll() {
+        return runExclusive(async () => {
+            const all = await chrome.storage.local.get(null);
+            const alarms = (await chrome.alarms.getAll()).filter(alarm => parseAlarmName(alarm.name));
+            const sent = all[SENT_KEY] || {};
+
+            const notebookIds = Object.keys(all)
+                .filter(key => key.startsWith(NOTEBOOK_STATE_PREFIX))
+                .map(key => key.slice(NOTEBOOK_STATE_PREFIX.length));
+            // Alarms of deleted notebooks are cleared too
+            alarms.forEach(alarm => {
+                const { notebookId } = parseAlarmName(alarm.name);
+                if (!notebookIds.includes(notebookId)) notebookIds.push(notebookId);
+            });
+
+            for (const notebookId of notebookIds) {
+                await scheduleNotebook(notebookId, all[NOTEBOOK_STATE_PREFIX + notebookId], alarms, sent);
+            }
+
+            // Forget shown reminders whose task no longer has one
+            const live = new Set();
+            notebookIds.forEach(notebookId => {
+                (all[NOTEBOOK_STATE_PREFIX + notebookId]?.source?.tasks || []).forEach(task => {
+                    if (getReminderTime(task) !== null) live.add(getAlarmName(notebookId, task.id));
+                });
+            });
+            Object.keys(sent).forEach(name => {
+                if (!live.has(name)) delete sent[name];
+            });
+            await chrome.storage.local.set({ [SENT_KEY]: sent });
+            console.log(`[FoldNest Reminders] Rebuilt alarms for ${notebookIds.length} notebook(s)`);
+        });
+    }
+
+    // --- NOTIFICATIONS ---
+
+    async function getNotebookTitle(notebookId) {
+        const result = await chrome.storage.local.get([DASHBOARD_STATE_KEY]);
+        const titles = result[DASHBOARD_STATE_KEY]?.notebookTitles || {};
+        const title = Object.keys(titles).find(t => [].concat(titles[t]).includes(notebookId));
+        return title || `Notebook ${notebookId.slice(0, 8)}`;
+    }
+
+    /**
+     * Show a task's reminder and remember it so it is not shown again
+     * @param {string} notebookId
+     * @param {object} task
+     * @param {object} sent - Shown reminders (caller saves it)
+     */
+    async function showReminder(notebookId, task, sent) {
+        const name = getAlarmName(notebookId, task.id);
+        sent[name] = getReminderTime(task);
+
+        const today = new Date();
+        const todayStr = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
+        const label = task.date < todayStr ? 'Overdue' : 'Due today';
+        const description = (task.description || '').split('\n')[0];
+
+        await chrome.notifications.create(name, {
+            type: 'basic',
+            iconUrl: 'icons/icon128.png',
+            title: `${label}: ${task.text}`,
+            message: description || await getNotebookTitle(notebookId),
+            contextMessage: description ? await getNotebookTitle(notebookId) : 'NotebookLM FoldNest',
+            priority: task.prio === 1 ? 2 : 0
+        });
+    }
+
+    // --- LISTENERS ---
+
+    /**
+     * chrome.storage.onChanged listener: reschedule notebooks whose tasks changed
+     */
+    function handleStorageChange(changes, areaName) {
+        if (areaName !== 'local') return;
+        const notebookIds = Object.keys(changes)
+            .filter(key => key.startsWith(NOTEBOOK_STATE_PREFIX))
+            .map(key => key.slice(NOTEBOOK_STATE_PREFIX.length));
+        if (notebookIds.length === 0) return;
+
+        runExclusive(async () => {
+            const alarms = (await chrome.alarms.getAll()).filter(alarm => parseAlarmName(alarm.name));
+            const sent = await loadSent();
+            for (const notebookId of notebookIds) {
+                await scheduleNotebook(notebookId, changes[NOTEBOOK_STATE_PREFIX + notebookId].newValue, alarms, sent);
+            }
+            await chrome.storage.local.set({ [SENT_KEY]: sent });
+        }).catch(e => console.warn('[FoldNest Reminders] Reschedule failed:', e));
+    }
+
+    /**
+     * chrome.alarms.onAlarm listener: show the reminder if the task still wants it
+     */
+    function handleAlarm(alarm) {
+        const target = parseAlarmName(alarm.name);
+        if (!target) return;
+
+        runExclusive(async () => {
+            const key = NOTEBOOK_STATE_PREFIX + target.notebookId;
+            const result = await chrome.storage.local.get([key]);
+            const task = (result[key]?.source?.tasks || []).find(t => t.id === target.taskId);
+            // Edited or completed since the alarm was set
+            if (getReminderTime(task) !== alarm.scheduledTime) return;
+
+            const sent = await loadSent();
+            await showReminder(target.notebookId, task, sent);
+            await chrome.storage.local.set({ [SENT_KEY]: sent });
+        }).catch(e => console.warn('[FoldNest Reminders] Reminder failed:', e));
+    }
+
+    /**
+     * chrome.notifications.onClicked listener: open the notebook and focus the task
+     */
+    async function handleNotificationClick(notificationId) {
+        const target = parseAlarmName(notificationId);
+        if (!target) return;
+        chrome.notifications.clear(notificationId);
+
+        try {
+            // content.js focuses the task once the notebook's task list is on screen
+            await chrome.storage.local.set({ [FOCUS_KEY]: { ...target, requestedAt: Date.now() } });
+
+            const tabs = await chrome.tabs.query({ url: NOTEBOOKLM_TABS });
+            const tab = tabs.find(t => t.url?.includes(`/notebook/${target.notebookId}`));
+            if (tab) {
+                await chrome.tabs.update(tab.id, { active: true });
+                await chrome.windows.update(tab.windowId, { focused: true });
+            } else {
+                await chrome.tabs.create({ url: NOTEBOOK_URL + target.notebookId });
+            }
+        } catch (e) {
+            console.warn('[FoldNest Reminders] Could not open notebook:', e);
+        }
+    }
+
+    // --- PUBLIC API ---
+
+    root.FoldNestReminders = {
+        init: rebuildAll,
+        handleStorageChange,
+        handleAlarm,
+        handleNotificationClick
+    };
+
+})(globalThis);
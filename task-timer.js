@@ -0,0 +1,194 @@
+/**
+ * NotebookLM FoldNest - Task Timer Module
+ * v1.0.0 - Time tracking and Pomodoro sessions for tasks
+ *
+ * Pure time module used by the task UI. A running timer is one small object
+ * kept in chrome.storage.local by content.js, so it survives tab reloads;
+ * everything else (Pomodoro phase, worked time, logged sessions) is derived
+ * from its start time.
+ *
+ * Timer shape (content.js TASK_TIMER_KEY):
+ *   { notebookId, taskId, taskText, startedAt,
+ *     pomodoro: { work: 25, break: 5 } }  // minutes; null for a plain timer
+ *
+ * Logged time (stored on the task):
+ *   task.timeSpent = 5400000                              // total ms, never trimmed
+ *   task.timeLog   = [{ start, end, pomodoro: true }]     // epoch ms, newest last
+ */
+
+(function (root) {
+    'use strict';
+
+    const MINUTE_MS = 60 * 1000;
+    const TIME_LOG_LIMIT = 200; // Sessions kept per task (totals keep counting)
+    const MIN_SESSION_MS = 5000; // Shorter sessions are accidental clicks
+    const DEFAULT_POMODORO = { work: 25, break: 5 };
+    const MAX_POMODORO_MINUTES = 180;
+
+    /**
+     * Validate Pomodoro lengths
+     * @param {object|null} lengths - { work, break } in minutes
+     * @returns {{work: number, break: number}}
+     */
+    function normalizePomodoro(lengths) {
+        const clamp = (value, fallback) => Math.min(MAX_POMODORO_MINUTES, Math.max(1, parseInt(value, 10) || fallback));
+        return {
+            work: clamp(lengths?.work, DEFAULT_POMODORO.work),
+            break: clamp(lengths?.break, DEFAULT_POMODORO.break)
+        };
+    }
+
+    // --- SESSIONS ---
+
+    /**
+     * Current Pomodoro phase of a timer
+     * @param {object} timer
+     * @param {number} now - Epoch ms
+     * @returns {{phase: 'work'|'break', round: number, endsAt: number}|null} null for a plain timer
+     */
+    function getPhase(timer, now) {
+        if (!timer?.pomodoro) return null;
+        const { work, break: rest } = normalizePomodoro(timer.pomodoro);
+        const cycle = (work + rest) * MINUTE_MS;
+        const elapsed = Math.max(0, now - timer.startedAt);
+        const round = Math.floor(elapsed / cycle);
+        const cycleStart = timer.startedAt + round * cycle;
+        const workEnd = cycleStart + work * MINUTE_MS;
+        return now < workEnd
+            ? { phase: 'work', round: round + 1, endsAt: workEnd }
+            : { phase: 'break', round: round + 1, endsAt: cycleStart + cycle };
+    }
+
+    /**
+     * Worked intervals of a timer up to now (breaks are left out)
+     * @param {object} timer
+     * @param {number} now - Epoch ms
+     * @returns {Array<{start: number, end: number, pomodoro?: boolean}>}
+     */
+    function getWorkSessions(timer, now) {
+        if (!timer || now <= timer.startedAt) return [];
+        if (!timer.pomodoro) return [{ start: timer.startedAt, end: now }];
+
+        const { work, break: rest } = normalizePomodoro(timer.pomodoro);
+        const cycle = (work + rest) * MINUTE_MS;
+        const sessions = [];
+        for (let start = timer.startedAt; start < now; start += cycle) {
+            sessions.push({ start, end: Math.min(now, start + work * MINUTE_MS), pomodoro: true });
+        }
+        return sessions;
+    }
+
+    /**
+     * Worked time of a running timer
+     * @param {object} timer
+     * @param {number} now - Epoch ms
+     * @returns {number} ms
+     */
+    function getElapsed(timer, now) {
+        return getWorkSessions(timer, now).reduce((sum, s) => sum + s.end - s.start, 0);
+    }
+
+    /**
+     * Log a stopped timer's sessions onto its task
+     * @param {object} task - Stored task (mutated)
+     * @param {object} timer
+     * @param {number} now - Epoch ms
+     * @returns {number} ms added
+     */
+    function logSessions(task, timer, now) {
+        const sessions = getWorkSessions(timer, now).filter(s => s.end - s.start >= MIN_SESSION_MS);
+        if (sessions.length === 0) return 0;
+
+        const added = sessions.reduce((sum, s) => sum + s.end - s.start, 0);
+        task.timeSpent = (task.timeSpent || 0) + added;
+        task.timeLog = [...(task.timeLog || []), ...sessions].slice(-TIME_LOG_LIMIT);
+        return added;
+    }
+
+    // --- SUMMARY ---
+
+    /**
+     * Monday 00:00 of the week a moment falls in, shifted by whole weeks
+     * @param {number} now - Epoch ms
+     * @param {number} offset - 0 = this week, -1 = last week
+     * @returns {Date}
+     */
+    function getWeekStart(now, offset = 0) {
+        const date = new Date(now);
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate() - ((date.getDay() + 6) % 7) + offset * 7);
+    }
+
+    /**
+     * Time logged within [from, to), per notebook and section
+     * @param {Object<string, object>} states - notebookId -> stored notebook state
+     * @param {number} from - Epoch ms
+     * @param {number} to - Epoch ms
+     * @returns {Array<{notebookId: string, total: number, sections: Array<{sectionId: string|null, name: string, total: number}>}>} Largest first
+     */
+    function summarize(states, from, to) {
+        const notebooks = [];
+        Object.entries(states).forEach(([notebookId, state]) => {
+            const sectionDefs = state?.source?.taskSections || {};
+            const bySection = new Map();
+
+            (state?.source?.tasks || []).forEach(task => {
+                const time = (task.timeLog || []).reduce((sum, s) => {
+                    // Sessions crossing the week boundary count their part inside it
+                    return sum + Math.max(0, Math.min(s.end, to) - Math.max(s.start, from));
+                }, 0);
+                if (time === 0) return;
+                const sectionId = sectionDefs[task.sectionId] ? task.sectionId : null;
+                bySection.set(sectionId, (bySection.get(sectionId) || 0) + time);
+            });
+            if (bySection.size === 0) return;
+
+            const sections = [...bySection.entries()]
+                .map(([sectionId, total]) => ({ sectionId, name: sectionId ? sectionDefs[sectionId].name : 'No section', total }))
+                .sort((a, b) => b.total - a.total);
+            notebooks.push({ notebookId, total: sections.reduce((sum, s) => sum + s.total, 0), sections });
+        });
+        return notebooks.sort((a, b) => b.total - a.total);
+    }
+
+    // --- FORMAT ---
+
+    /**
+     * Compact duration, e.g. "1h 25m", "12m", "<1m"
+     * @param {number} ms
+     * @returns {string}
+     */
+    function formatDuration(ms) {
+        const minutes = Math.floor(ms / MINUTE_MS);
+        if (minutes < 1) return '<1m';
+        const hours = Math.floor(minutes / 60);
+        if (hours === 0) return `${minutes}m`;
+        return minutes % 60 ? `${hours}h ${minutes % 60}m` : `${hours}h`;
+    }
+
+    /**
+     * Clock display, e.g. "4:05", "1:02:33"
+     * @param {number} ms
+     * @returns {string}
+     */
+    function formatClock(ms) {
+        const total = Math.max(0, Math.floor(ms / 1000));
+        const pad = n => String(n).padStart(2, '0');
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor((total % 3600) / 60);
+        const seconds = total % 60;
+        return hours ? `${hours}:${pad(minutes)}:${pad(seconds)}` : `${minutes}:${pad(seconds)}`;
+    }
+
+    root.FoldNestTimer = {
+        normalizePomodoro,
+        getPhase,
+        getWorkSessions,
+        getElapsed,
+        logSessions,
+        getWeekStart,
+        summarize,
+        formatDuration,
+        formatClock
+    };
+
+})(typeof globalThis !== 'undefined' ? globalThis : window);
@@ -0,0 +1,45 @@
+/**
+ * NotebookLM FoldNest - WebDAV Server Access
+ * v1.0.0 - Asks for the host permission of a WebDAV sync server
+ *
+ * Opened by sync-engine.js when WebDAV sync is enabled for a server FoldNest
+ * may not reach yet. chrome.permissions.request needs a click on an extension
+ * page, so content scripts cannot ask themselves.
+ */
+
+(function () {
+    'use strict';
+
+    const origin = new URLSearchParams(location.search).get('origin') || '';
+    const originEl = document.querySelector('.origin');
+    const resultEl = document.querySelector('.result');
+    const allowBtn = document.querySelector('.allow');
+
+    originEl.textContent = origin.replace(/\/\*$/, '');
+
+    if (!/^https?:\/\/[^/]+\/\*$/.test(origin)) {
+        resultEl.textContent = 'No server given - open this page from the WebDAV dialog.';
+        resultEl.classList.add('error');
+        allowBtn.disabled = true;
+        return;
+    }
+
+    allowBtn.onclick = async () => {
+        allowBtn.disabled = true;
+        resultEl.classList.remove('error');
+        try {
+            const granted = await chrome.permissions.request({ origins: [origin] });
+            if (granted) {
+                resultEl.textContent = 'Access granted. Go back to NotebookLM and click Connect again.';
+                setTimeout(() => window.close(), 2500);
+                return;
+            }
+            resultEl.textContent = 'Access was not granted. WebDAV sync stays off.';
+        } catch (e) {
+            console.error('[FoldNest Sync] Permission request failed:', e);
+            resultEl.textContent = e.message || 'Permission request failed';
+        }
+        resultEl.classList.add('error');
+        allowBtn.disabled = false;
+    };
+})();